@@ -0,0 +1,96 @@
+/**
+ * Runner de fixtures de webhooks de Stripe
+ * Firma los payloads grabados en scripts/fixtures/stripe con STRIPE_WEBHOOK_SECRET
+ * y los envía en orden al webhook local, sin pasar por Stripe
+ *
+ * Uso: npm run stripe:fixtures -- [fixture...] [--url URL] [--user USER_ID] [--fresh] [--delay MS]
+ *   fixture  nombre (o parte del nombre) de los archivos a enviar; por defecto todos
+ *   --user   reemplaza __USER_ID__ en los payloads
+ *   --fresh  IDs de evento nuevos (sin él, reenviar un fixture prueba la deduplicación)
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import fetch from 'node-fetch';
+import Stripe from 'stripe';
+
+dotenv.config();
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'stripe');
+
+const parseArgs = (argv) => {
+  const options = {
+    url: `http://localhost:${process.env.PORT || 4000}/api/stripe/webhook`,
+    user: '00000000-0000-0000-0000-000000000000',
+    fresh: false,
+    delay: 500,
+    names: []
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--url') options.url = argv[++i];
+    else if (arg === '--user') options.user = argv[++i];
+    else if (arg === '--delay') options.delay = parseInt(argv[++i]) || 0;
+    else if (arg === '--fresh') options.fresh = true;
+    else options.names.push(arg);
+  }
+
+  return options;
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  if (!secret) {
+    throw new Error('STRIPE_WEBHOOK_SECRET no está definido');
+  }
+
+  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_fixtures');
+
+  const files = (await fs.readdir(FIXTURES_DIR))
+    .filter(file => file.endsWith('.json'))
+    .filter(file => options.names.length === 0 || options.names.some(name => file.includes(name)))
+    .sort();
+
+  if (files.length === 0) {
+    throw new Error('No hay fixtures que coincidan');
+  }
+
+  const runId = crypto.randomBytes(4).toString('hex');
+
+  for (const file of files) {
+    const event = JSON.parse(
+      (await fs.readFile(path.join(FIXTURES_DIR, file), 'utf8')).replaceAll('__USER_ID__', options.user)
+    );
+
+    if (options.fresh) {
+      event.id = `${event.id}_${runId}`;
+    }
+
+    const payload = JSON.stringify(event);
+    const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+    const response = await fetch(options.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+      body: payload
+    });
+
+    const body = await response.text();
+    console.log(`${response.ok ? '✅' : '❌'} ${file} (${event.id}) → ${response.status} ${body}`);
+
+    await new Promise(resolve => setTimeout(resolve, options.delay));
+  }
+
+  console.log('ℹ️ Revisa el resultado en GET /api/stripe/events');
+};
+
+run().catch((error) => {
+  console.error('❌ Error enviando fixtures:', error.message);
+  process.exitCode = 1;
+});
@@ -63,6 +63,7 @@ export const googleConfig = {
       images: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml'],
       documents: ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
       data: ['application/json', 'text/csv', 'application/xml'],
+      fonts: ['font/woff', 'font/woff2', 'font/ttf', 'font/otf', 'application/font-woff', 'application/x-font-ttf'],
       audio: ['audio/mpeg', 'audio/wav', 'audio/ogg'],
       video: ['video/mp4', 'video/webm']
     }
@@ -5,6 +5,7 @@
 
 import * as Sentry from '@sentry/node';
 import dotenv from 'dotenv';
+import { redactBreadcrumb, redactEvent } from '../services/redactionService.js';
 
 dotenv.config();
 
@@ -27,6 +28,11 @@ export const initSentry = (app) => {
       new ProfilingIntegration(),
     ],
     tracesSampleRate: process.env.NODE_ENV === 'production' ? 0.1 : 1.0,
+
+    // Los breadcrumbs de console y http pueden llevar tokens (URLs de OAuth, respuestas de Google)
+    beforeBreadcrumb(breadcrumb) {
+      return redactBreadcrumb(breadcrumb);
+    },
     
     beforeSend(event, hint) {
       // No enviar errores 404
@@ -40,7 +46,7 @@ export const initSentry = (app) => {
         delete event.request.headers.cookie;
       }
       
-      return event;
+      return redactEvent(event);
     },
   });
 
@@ -0,0 +1,53 @@
+/**
+ * Runner de migraciones SQL
+ * Aplica en orden los archivos de src/db/migrations que aún no se han ejecutado
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import db, { query, transaction } from '../config/database.js';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+const run = async () => {
+  await query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       name TEXT PRIMARY KEY,
+       applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     )`
+  );
+
+  const applied = await query('SELECT name FROM schema_migrations');
+  const appliedNames = new Set(applied.rows.map(row => row.name));
+
+  const files = (await fs.readdir(MIGRATIONS_DIR))
+    .filter(file => file.endsWith('.sql'))
+    .sort();
+
+  let count = 0;
+
+  for (const file of files) {
+    if (appliedNames.has(file)) continue;
+
+    const sql = await fs.readFile(path.join(MIGRATIONS_DIR, file), 'utf8');
+
+    console.log(`⚙️ Aplicando migración: ${file}`);
+
+    await transaction(async (client) => {
+      await client.query(sql);
+      await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+    });
+
+    count++;
+  }
+
+  console.log(count > 0 ? `✅ ${count} migración(es) aplicada(s)` : '✅ Base de datos al día');
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Error aplicando migraciones:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.pool.end());
@@ -0,0 +1,26 @@
+-- Jobs de generación de apps (POST /api/apps/create)
+-- Guarda el progreso para que el frontend pueda reconectarse sin volver a cobrar
+
+CREATE TABLE IF NOT EXISTS generation_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  job_id TEXT,
+  client_request_id TEXT,
+  status TEXT NOT NULL DEFAULT 'queued',
+  phase TEXT,
+  lines_generated INTEGER NOT NULL DEFAULT 0,
+  tokens_used INTEGER NOT NULL DEFAULT 0,
+  progress JSONB NOT NULL DEFAULT '{}'::jsonb,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_app_id ON generation_jobs (app_id, created_at DESC);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_generation_jobs_client_request
+  ON generation_jobs (user_id, client_request_id)
+  WHERE client_request_id IS NOT NULL;
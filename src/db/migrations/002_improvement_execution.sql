@@ -0,0 +1,16 @@
+-- Ejecución de mejoras confirmadas (app_improvements)
+-- pending → in_progress → applied | failed
+
+ALTER TABLE app_improvements
+  ADD COLUMN IF NOT EXISTS job_id TEXT,
+  ADD COLUMN IF NOT EXISTS auto_deploy BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS version INTEGER,
+  ADD COLUMN IF NOT EXISTS changed_files JSONB,
+  ADD COLUMN IF NOT EXISTS tokens_used INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS tokens_refunded BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS deploy_result JSONB,
+  ADD COLUMN IF NOT EXISTS error TEXT,
+  ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_app_improvements_status ON app_improvements (status, created_at);
@@ -0,0 +1,12 @@
+-- Rollback desde app_versions
+-- tag: vX.Y.Z publicado (mismo nombre que el tag de GitHub)
+-- source_version: versión de origen cuando la fila es un rollback
+-- vercel_deployment_id / deploy_url: deployment que sirvió esta versión (ruta rápida de promote)
+
+ALTER TABLE app_versions
+  ADD COLUMN IF NOT EXISTS tag TEXT,
+  ADD COLUMN IF NOT EXISTS source_version INTEGER,
+  ADD COLUMN IF NOT EXISTS vercel_deployment_id TEXT,
+  ADD COLUMN IF NOT EXISTS deploy_url TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_app_versions_tag ON app_versions (app_id, tag) WHERE tag IS NOT NULL;
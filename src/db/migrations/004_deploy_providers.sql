@@ -0,0 +1,54 @@
+-- Providers de deploy intercambiables (vercel, netlify, local)
+-- deploy_provider: preferencia de la app (NULL = auto, el primero configurado)
+-- deployment_provider / deployment_id / deploy_project_*: deployment activo, sea cual sea el provider
+-- Las columnas vercel_* se mantienen para no romper lecturas antiguas, pero ya no se escriben
+
+ALTER TABLE apps
+  ADD COLUMN IF NOT EXISTS vercel_deployment_id TEXT,
+  ADD COLUMN IF NOT EXISTS vercel_project_id TEXT,
+  ADD COLUMN IF NOT EXISTS vercel_project_name TEXT,
+  ADD COLUMN IF NOT EXISTS deploy_provider TEXT,
+  ADD COLUMN IF NOT EXISTS deployment_provider TEXT,
+  ADD COLUMN IF NOT EXISTS deployment_id TEXT,
+  ADD COLUMN IF NOT EXISTS deploy_project_id TEXT,
+  ADD COLUMN IF NOT EXISTS deploy_project_name TEXT;
+
+UPDATE apps
+SET deployment_provider = 'vercel',
+    deployment_id = vercel_deployment_id,
+    deploy_project_id = vercel_project_id,
+    deploy_project_name = vercel_project_name
+WHERE deployment_provider IS NULL
+  AND (vercel_deployment_id IS NOT NULL OR vercel_project_name IS NOT NULL);
+
+-- deployService (Netlify) escribía deployment_url en lugar de deploy_url
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'apps' AND column_name = 'deployment_url'
+  ) THEN
+    UPDATE apps SET deploy_url = deployment_url WHERE deploy_url IS NULL AND deployment_url IS NOT NULL;
+  END IF;
+END $$;
+
+-- app_versions: el deployment que sirvió cada versión ya no es solo de Vercel
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'app_versions' AND column_name = 'vercel_deployment_id'
+  ) AND NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'app_versions' AND column_name = 'deployment_id'
+  ) THEN
+    ALTER TABLE app_versions RENAME COLUMN vercel_deployment_id TO deployment_id;
+  END IF;
+END $$;
+
+ALTER TABLE app_versions
+  ADD COLUMN IF NOT EXISTS deployment_id TEXT,
+  ADD COLUMN IF NOT EXISTS deployment_provider TEXT;
+
+UPDATE app_versions SET deployment_provider = 'vercel'
+WHERE deployment_id IS NOT NULL AND deployment_provider IS NULL;
@@ -0,0 +1,5 @@
+-- Backends de apps fullstack desplegados junto al frontend
+-- api_url: URL de la API que se inyectó en el build como VITE_API_URL (NULL = app solo frontend)
+
+ALTER TABLE apps
+  ADD COLUMN IF NOT EXISTS api_url TEXT;
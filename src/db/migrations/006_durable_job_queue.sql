@@ -0,0 +1,45 @@
+-- Cola de jobs persistente y compartida entre instancias
+-- pending → processing (lease con locked_by/locked_until) → completed | dead
+-- Un lease vencido (worker caído) vuelve a estar disponible para otra instancia
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'pending',
+  max_retries INTEGER NOT NULL DEFAULT 3,
+  priority INTEGER NOT NULL DEFAULT 0,
+  scheduled_for TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  result JSONB,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  failed_at TIMESTAMPTZ
+);
+
+ALTER TABLE jobs
+  ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS idempotency_key TEXT,
+  ADD COLUMN IF NOT EXISTS locked_by TEXT,
+  ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- 'failed' del procesador anterior = agotó reintentos → dead-letter
+UPDATE jobs SET status = 'dead' WHERE status = 'failed';
+
+-- Jobs que quedaron en 'processing' sin lease (procesador en memoria) se reintentan
+UPDATE jobs SET status = 'pending', scheduled_for = NOW()
+WHERE status = 'processing' AND locked_until IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_idempotency_key
+  ON jobs (idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_ready
+  ON jobs (type, priority DESC, scheduled_for)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_jobs_leases
+  ON jobs (type, locked_until)
+  WHERE status = 'processing';
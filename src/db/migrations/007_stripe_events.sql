@@ -0,0 +1,26 @@
+-- Ledger de webhooks de Stripe (clave = event.id)
+-- received → processing → processed | skipped (duplicado o fuera de orden) | failed (replay manual)
+
+CREATE TABLE IF NOT EXISTS stripe_events (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  object_id TEXT,
+  stripe_created_at TIMESTAMPTZ NOT NULL,
+  livemode BOOLEAN NOT NULL DEFAULT FALSE,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'received',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  replays INTEGER NOT NULL DEFAULT 0,
+  job_id TEXT,
+  error TEXT,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Último evento aplicado por suscripción (protección contra eventos fuera de orden)
+CREATE INDEX IF NOT EXISTS idx_stripe_events_object
+  ON stripe_events (object_id, stripe_created_at DESC)
+  WHERE status = 'processed';
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_status ON stripe_events (status, received_at DESC);
@@ -0,0 +1,32 @@
+-- Máquina de estados de suscripciones (billingService)
+-- trial → active → past_due → grace → suspended → canceled
+
+-- Estados anteriores: status crudo de Stripe y 'expired' del trial
+UPDATE subscriptions SET status = 'active' WHERE status = 'trialing';
+UPDATE subscriptions SET status = 'suspended' WHERE status IN ('expired', 'unpaid');
+UPDATE subscriptions SET status = 'past_due' WHERE status = 'incomplete';
+UPDATE subscriptions SET status = 'canceled' WHERE status = 'incomplete_expired';
+
+ALTER TABLE subscriptions
+  ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS subscription_transitions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription_id UUID NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  event TEXT NOT NULL,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  context JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_transitions_subscription
+  ON subscription_transitions (subscription_id, created_at DESC);
+
+-- Motivo de suspensión: las apps suspendidas por facturación ('billing:<evento>') se reactivan al pagar
+ALTER TABLE apps
+  ADD COLUMN IF NOT EXISTS suspended_reason TEXT;
+
+UPDATE apps SET suspended_reason = 'billing:legacy'
+WHERE deployment_status = 'suspended' AND suspended_reason IS NULL;
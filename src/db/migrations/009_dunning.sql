@@ -0,0 +1,13 @@
+-- Dunning: periodo de gracia antes de suspender por falta de pago
+-- grace_ends_at: fin del periodo de gracia (past_due → grace, o cancelación)
+-- billing_notice: aviso de pago pendiente que se inyecta en la app desplegada (NULL = sin aviso)
+-- phone: WhatsApp del dueño para los recordatorios
+
+ALTER TABLE subscriptions
+  ADD COLUMN IF NOT EXISTS grace_ends_at TIMESTAMPTZ;
+
+ALTER TABLE apps
+  ADD COLUMN IF NOT EXISTS billing_notice TEXT;
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS phone TEXT;
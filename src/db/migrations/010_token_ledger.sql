@@ -0,0 +1,47 @@
+-- Ledger de tokens (tokenLedgerService)
+-- amount: con signo (consumo < 0, reembolso / crédito / reset > 0); 0 mientras la entrada está reservada
+-- reserved: tokens retenidos al reservar, antes de conocer el consumo real
+-- status: reserved → settled | released
+-- reference_id: generación, mejora, factura... (una entrada por operación y referencia)
+-- subscriptions.tokens_used queda como caché de lo consumido en el periodo actual
+
+CREATE TABLE IF NOT EXISTS token_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  subscription_id UUID REFERENCES subscriptions(id) ON DELETE SET NULL,
+  app_id UUID REFERENCES apps(id) ON DELETE SET NULL,
+  operation TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'settled',
+  amount INTEGER NOT NULL DEFAULT 0,
+  reserved INTEGER NOT NULL DEFAULT 0,
+  reference_id TEXT,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  settled_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_token_ledger_reference
+  ON token_ledger (operation, reference_id) WHERE reference_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_token_ledger_reserved
+  ON token_ledger (user_id) WHERE status = 'reserved';
+
+CREATE INDEX IF NOT EXISTS idx_token_ledger_user
+  ON token_ledger (user_id, created_at DESC);
+
+-- Periodo de facturación de los tokens (se renueva con cada factura de ciclo de Stripe)
+ALTER TABLE subscriptions
+  ADD COLUMN IF NOT EXISTS tokens_period_start TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS tokens_period_end TIMESTAMPTZ;
+
+UPDATE subscriptions SET tokens_period_start = created_at WHERE tokens_period_start IS NULL;
+
+ALTER TABLE subscriptions ALTER COLUMN tokens_period_start SET DEFAULT NOW();
+
+-- Saldo inicial: lo consumido antes del ledger
+INSERT INTO token_ledger (user_id, subscription_id, operation, status, amount, metadata, settled_at)
+SELECT s.user_id, s.id, 'opening_balance', 'settled', -s.tokens_used, '{"source": "migration"}'::jsonb, NOW()
+FROM subscriptions s
+WHERE s.tokens_used > 0
+  AND NOT EXISTS (SELECT 1 FROM token_ledger l WHERE l.subscription_id = s.id);
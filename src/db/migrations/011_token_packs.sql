@@ -0,0 +1,6 @@
+-- Paquetes de tokens (compra única con Stripe Checkout)
+-- purchased_tokens: saldo comprado que no caduca; se consume cuando se agota la asignación mensual del plan
+-- Cada compra queda en token_ledger (operation = 'top_up', reference_id = ID de la sesión de checkout)
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS purchased_tokens INTEGER NOT NULL DEFAULT 0;
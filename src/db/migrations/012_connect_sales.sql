@@ -0,0 +1,30 @@
+-- Stripe Connect: ventas de las apps generadas y webhook de cuentas conectadas
+-- stripe_events.account: cuenta conectada del evento (NULL = evento de la plataforma)
+-- app_sales: una fila por cargo en la cuenta del dueño de la app (importes en centavos)
+--   application_fee_amount: comisión de la plataforma (% según el plan del dueño)
+--   stripe_fee_amount: comisión de procesamiento de Stripe (del balance transaction)
+
+ALTER TABLE stripe_events
+  ADD COLUMN IF NOT EXISTS account TEXT;
+
+CREATE TABLE IF NOT EXISTS app_sales (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  app_id UUID REFERENCES apps(id) ON DELETE SET NULL,
+  user_id UUID NOT NULL,
+  stripe_account_id TEXT NOT NULL,
+  stripe_charge_id TEXT NOT NULL UNIQUE,
+  stripe_payment_intent_id TEXT,
+  currency TEXT NOT NULL DEFAULT 'usd',
+  gross_amount INTEGER NOT NULL,
+  application_fee_amount INTEGER NOT NULL DEFAULT 0,
+  stripe_fee_amount INTEGER NOT NULL DEFAULT 0,
+  refunded_amount INTEGER NOT NULL DEFAULT 0,
+  platform_fee_percent NUMERIC(5, 2),
+  status TEXT NOT NULL DEFAULT 'succeeded',
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_app_sales_user ON app_sales (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_app_sales_app ON app_sales (app_id, created_at DESC);
@@ -0,0 +1,28 @@
+-- Suscripciones de los usuarios finales de las apps generadas (cuenta Connect del dueño)
+-- Se mantienen con el webhook de Connect (customer.subscription.*) y al confirmar el checkout
+-- customer_ref: ID del usuario en la app generada (lo manda la app al abrir el checkout)
+
+CREATE TABLE IF NOT EXISTS app_customer_subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  stripe_account_id TEXT NOT NULL,
+  stripe_subscription_id TEXT NOT NULL UNIQUE,
+  stripe_customer_id TEXT NOT NULL,
+  customer_ref TEXT,
+  customer_email TEXT,
+  price_id TEXT,
+  status TEXT NOT NULL,
+  quantity INTEGER NOT NULL DEFAULT 1,
+  current_period_end TIMESTAMPTZ,
+  trial_end TIMESTAMPTZ,
+  cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE,
+  canceled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_app_customer_subscriptions_ref
+  ON app_customer_subscriptions (app_id, customer_ref);
+
+CREATE INDEX IF NOT EXISTS idx_app_customer_subscriptions_customer
+  ON app_customer_subscriptions (app_id, stripe_customer_id);
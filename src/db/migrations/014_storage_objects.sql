@@ -0,0 +1,16 @@
+-- Cuota de almacenamiento por usuario
+-- storage_objects: archivos de cada app en Supabase Storage (apps/<app_id>/<path>): exports, previews, zips
+--   Junto con app_files (subidas del usuario) es lo que cuenta contra storageGB del plan
+
+CREATE TABLE IF NOT EXISTS storage_objects (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  path TEXT NOT NULL,
+  size BIGINT NOT NULL DEFAULT 0,
+  content_type TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (app_id, path)
+);
+
+CREATE INDEX IF NOT EXISTS idx_storage_objects_app ON storage_objects (app_id);
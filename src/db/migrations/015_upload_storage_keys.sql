@@ -0,0 +1,11 @@
+-- Subidas de usuarios en object storage
+-- app_files.storage_key: clave en el driver (uploads/<user_id>/<app_id>/<archivo>)
+-- app_files.storage_driver: driver donde está (supabase | local)
+-- app_files.path queda solo para las filas antiguas en disco, hasta que las migra el job migrate_uploads
+
+ALTER TABLE app_files ADD COLUMN IF NOT EXISTS storage_key TEXT;
+ALTER TABLE app_files ADD COLUMN IF NOT EXISTS storage_driver TEXT;
+ALTER TABLE app_files ALTER COLUMN path DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_app_files_legacy_path ON app_files (id)
+  WHERE storage_key IS NULL AND path IS NOT NULL;
@@ -0,0 +1,5 @@
+-- Recursos de Google que usa cada app generada a través del proxy del runtime
+-- (/api/runtime/:appId/google/:api/*), con las conexiones OAuth del dueño:
+--   { "calendar": { "calendarId" }, "sheets": { "spreadsheetId", "range" }, "drive": { "folderId" } }
+
+ALTER TABLE apps ADD COLUMN IF NOT EXISTS google_resources JSONB NOT NULL DEFAULT '{}'::jsonb;
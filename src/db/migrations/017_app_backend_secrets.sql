@@ -0,0 +1,6 @@
+-- JWT_SECRET del backend desplegado de cada app (serverless en Vercel)
+-- Se genera en el primer deploy y se reutiliza en redeploys, rollbacks y avisos de facturación:
+-- cambiarlo invalidaría las sesiones de los usuarios finales de la app.
+-- Cifrado con tokenEncryptionService (contexto apps:<id>:backend_jwt_secret)
+
+ALTER TABLE apps ADD COLUMN IF NOT EXISTS backend_jwt_secret TEXT;
@@ -0,0 +1,6 @@
+-- Base de datos del backend desplegado de cada app (apps generadas con database: 'postgres')
+-- La configura el dueño con PUT /api/deploy/:id/database; sin ella no se despliega un backend con Postgres.
+-- backend_database_url cifrada con tokenEncryptionService (contexto apps:<id>:backend_database_url)
+
+ALTER TABLE apps ADD COLUMN IF NOT EXISTS backend_database_url TEXT;
+ALTER TABLE apps ADD COLUMN IF NOT EXISTS backend_database_ssl BOOLEAN NOT NULL DEFAULT TRUE;
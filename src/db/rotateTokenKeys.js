@@ -0,0 +1,33 @@
+/**
+ * Rotación de claves de cifrado de tokens
+ * Re-cifra con la clave activa (la primera de TOKEN_ENCRYPTION_KEYS) los tokens cifrados con otra
+ * clave y cifra los que siguen en claro. Con --dry-run solo cuenta.
+ * Las claves antiguas pueden quitarse de TOKEN_ENCRYPTION_KEYS cuando no queden filas fallidas.
+ */
+
+import db from '../config/database.js';
+import { reencryptTokens } from '../services/tokenEncryptionService.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  const report = await reencryptTokens({ dryRun });
+
+  for (const { table, scanned, reencrypted, plaintext, failed } of report) {
+    console.log(`🔐 ${table}: ${scanned} fila(s), ${reencrypted} valor(es) ${dryRun ? 'por re-cifrar' : 're-cifrado(s)'} (${plaintext} en claro), ${failed} fallido(s)`);
+  }
+
+  if (report.some(stats => stats.failed > 0)) {
+    console.error('❌ Hay tokens que no se pudieron descifrar: no retires todavía las claves antiguas');
+    process.exitCode = 1;
+  } else {
+    console.log(dryRun ? '✅ Simulación completada' : '✅ Rotación completada');
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Error rotando las claves de tokens:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.pool.end());
@@ -1,5 +1,6 @@
 // backend/src/middleware/checkTrialExpiration.js
 import { query } from '../config/database.js';
+import * as billingService from '../services/billingService.js';
 
 export const checkTrialExpiration = async (req, res, next) => {
   if (!req.user) {
@@ -8,7 +9,7 @@ export const checkTrialExpiration = async (req, res, next) => {
 
   try {
     const result = await query(
-      `SELECT plan, trial_ends_at, status 
+      `SELECT id, plan, trial_ends_at, status 
        FROM subscriptions 
        WHERE user_id = $1 
        AND status = 'trial'`,
@@ -25,16 +26,8 @@ export const checkTrialExpiration = async (req, res, next) => {
 
     // Si el trial expiró
     if (now > trialEnds) {
-      // Actualizar status a 'expired'
-      await query(
-        `UPDATE subscriptions 
-         SET status = 'expired', 
-             apps_allowed = 0,
-             token_limit = 0,
-             updated_at = NOW()
-         WHERE user_id = $1`,
-        [req.user.id]
-      );
+      // trial → suspended (la máquina de estados deja los límites en 0 y suspende las apps)
+      await billingService.transition(subscription.id, billingService.BILLING_EVENTS.TRIAL_EXPIRED, { source: 'checkTrialExpiration' });
 
       // Si es una petición a /api/generate o /api/deploy, bloquear
       if (req.path.includes('/generate') || req.path.includes('/deploy')) {
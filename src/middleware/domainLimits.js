@@ -3,6 +3,8 @@
  */
 
 import { query } from '../config/database.js';
+import { planHasFeature } from '../services/planService.js';
+import { ENTITLED_STATUSES } from '../services/billingService.js';
 
 export const checkDomainLimit = async (req, res, next) => {
   try {
@@ -11,9 +13,9 @@ export const checkDomainLimit = async (req, res, next) => {
     const subResult = await query(
       `SELECT plan, domains_allowed, domains_used 
        FROM subscriptions 
-       WHERE user_id = $1 AND status IN ('active', 'trialing')
+       WHERE user_id = $1 AND status = ANY($2)
        ORDER BY created_at DESC LIMIT 1`,
-      [userId]
+      [userId, ENTITLED_STATUSES]
     );
 
     if (subResult.rows.length === 0) {
@@ -26,8 +28,8 @@ export const checkDomainLimit = async (req, res, next) => {
 
     const subscription = subResult.rows[0];
 
-    // Plan basico no incluye dominios personalizados
-    if (subscription.plan === 'basico') {
+    // Solo los planes con custom_domains incluyen dominios personalizados
+    if (!planHasFeature(subscription.plan, 'custom_domains')) {
       return res.status(403).json({
         success: false,
         message: 'Los dominios personalizados requieren plan Premium o Pro',
@@ -59,6 +59,11 @@ export const errorHandler = (err, req, res, next) => {
     error = new AppError('Token expired', 401);
   }
 
+  // Error de subida (multer): archivo demasiado grande o campos inesperados
+  if (err.name === 'MulterError') {
+    error = new AppError(err.message, err.code === 'LIMIT_FILE_SIZE' ? 413 : 400);
+  }
+
   // Responder con el error
   res.status(error.statusCode || 500).json({
     success: false,
@@ -5,6 +5,8 @@
 
 import { query } from '../config/database.js';
 import { AppError } from './errorHandler.js';
+import { PLANS, getPlanLimits, getPlanFeatures as getCatalogFeatures } from '../services/planService.js';
+import { ENTITLED_STATUSES } from '../services/billingService.js';
 
 /**
  * Definición de permisos por rol
@@ -34,62 +36,11 @@ const PERMISSIONS = {
 };
 
 /**
- * Límites por plan - CORREGIDO según checklist
+ * Límites y características por plan (derivados del catálogo de planService)
  */
-const PLAN_LIMITS = {
-  free_trial: {
-    appsPerMonth: 1,
-    deploysPerMonth: 1,
-    apiCallsPerHour: 10,
-    storageGB: 0.5,
-    teamMembers: 1,
-    trialDays: 15,
-    tokensPerMonth: 10000,
-  },
-  basico: {
-    appsPerMonth: 3,
-    deploysPerMonth: 30,
-    apiCallsPerHour: 50,
-    storageGB: 5,
-    teamMembers: 1,
-    tokensPerMonth: 50000,
-  },
-  premium: {
-    appsPerMonth: 8,
-    deploysPerMonth: 80,
-    apiCallsPerHour: 150,
-    storageGB: 20,
-    teamMembers: 3,
-    tokensPerMonth: 150000,
-  },
-  pro: {
-    appsPerMonth: 25,
-    deploysPerMonth: 250,
-    apiCallsPerHour: 500,
-    storageGB: 100,
-    teamMembers: 10,
-    tokensPerMonth: 500000,
-  },
-  enterprise: {
-    appsPerMonth: Infinity,
-    deploysPerMonth: Infinity,
-    apiCallsPerHour: Infinity,
-    storageGB: 1000,
-    teamMembers: Infinity,
-    tokensPerMonth: Infinity,
-  },
-};
+const PLAN_LIMITS = Object.fromEntries(Object.keys(PLANS).map(plan => [plan, getPlanLimits(plan)]));
 
-/**
- * Características por plan - CORREGIDO
- */
-const PLAN_FEATURES = {
-  free_trial: ['basic_generation', 'deploy', 'domain_vercel', 'ssl'],
-  basico: ['basic_generation', 'deploy', 'domain_vercel', 'ssl', 'email_support'],
-  premium: ['basic_generation', 'deploy', 'domain_vercel', 'ssl', 'email_support', 'backups', 'priority_queue', 'custom_domains', 'maps'],
-  pro: ['basic_generation', 'deploy', 'domain_vercel', 'ssl', 'email_support', 'backups', 'priority_queue', 'custom_domains', 'maps', 'api_access', 'priority_support', 'analytics', 'team_members'],
-  enterprise: ['basic_generation', 'deploy', 'domain_vercel', 'ssl', 'backups', 'custom_domains', 'maps', 'api_access', 'priority_support', 'custom_integrations', 'sla'],
-};
+const PLAN_FEATURES = Object.fromEntries(Object.keys(PLANS).map(plan => [plan, getCatalogFeatures(plan)]));
 
 /**
  * Verificar si un usuario tiene un permiso específico
@@ -226,8 +177,9 @@ export const checkPlanLimit = (limitType) => {
       const subResult = await query(
         `SELECT plan, apps_created, tokens_used 
          FROM subscriptions 
-         WHERE user_id = $1 AND status IN ('trial', 'active')`,
-        [req.user.id]
+         WHERE user_id = $1 AND status = ANY($2)
+         ORDER BY created_at DESC LIMIT 1`,
+        [req.user.id, ENTITLED_STATUSES]
       );
 
       // Si no tiene suscripción activa, asignar free_trial
@@ -346,8 +298,8 @@ export const requireFeature = (feature) => {
 
     // Obtener plan de la suscripción
     const subResult = await query(
-      'SELECT plan FROM subscriptions WHERE user_id = $1 AND status IN ($2, $3)',
-      [req.user.id, 'trial', 'active']
+      'SELECT plan FROM subscriptions WHERE user_id = $1 AND status = ANY($2) ORDER BY created_at DESC LIMIT 1',
+      [req.user.id, ENTITLED_STATUSES]
     );
 
     const userPlan = subResult.rows[0]?.plan || 'free_trial';
@@ -373,8 +325,8 @@ export const requireFeature = (feature) => {
  */
 export const getUserLimits = async (userId) => {
   const subResult = await query(
-    'SELECT plan FROM subscriptions WHERE user_id = $1 AND status IN ($2, $3)',
-    [userId, 'trial', 'active']
+    'SELECT plan FROM subscriptions WHERE user_id = $1 AND status = ANY($2) ORDER BY created_at DESC LIMIT 1',
+    [userId, ENTITLED_STATUSES]
   );
 
   const userPlan = subResult.rows[0]?.plan || 'free_trial';
@@ -402,8 +354,9 @@ export const requirePlan = (requiredPlans) => {
       // Obtener suscripción del usuario
       const subResult = await query(
         `SELECT plan FROM subscriptions 
-         WHERE user_id = $1 AND status IN ('trial', 'active')`,
-        [req.user.id]
+         WHERE user_id = $1 AND status = ANY($2)
+         ORDER BY created_at DESC LIMIT 1`,
+        [req.user.id, ENTITLED_STATUSES]
       );
 
       const userPlan = subResult.rows[0]?.plan || 'free_trial';
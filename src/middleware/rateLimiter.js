@@ -95,6 +95,74 @@ export const generationRateLimiter = (req, res, next) => {
   next();
 };
 
+// Contador de una ventana fija para los limiters del runtime
+const hitWindow = (key, now, windowMs) => {
+  if (!rateLimitStore.has(key) || now > rateLimitStore.get(key).resetTime) {
+    rateLimitStore.set(key, { count: 0, resetTime: now + windowMs });
+  }
+  const record = rateLimitStore.get(key);
+  record.count++;
+  return record;
+};
+
+/**
+ * Rate limiter del checkout público de las apps generadas (/api/runtime/:appId/checkout)
+ * Límite por app (RUNTIME_CHECKOUT_LIMIT por minuto) y por visitante dentro de la app,
+ * para que un solo cliente no agote el cupo de la app
+ */
+export const runtimeCheckoutRateLimiter = (req, res, next) => {
+  const now = Date.now();
+  const windowMs = 60 * 1000; // 1 minuto
+  const appMax = parseInt(process.env.RUNTIME_CHECKOUT_LIMIT) || 30;
+  const visitorMax = Math.min(10, appMax);
+
+  const appRecord = hitWindow(`runtime-checkout:${req.params.appId}`, now, windowMs);
+  const visitorRecord = hitWindow(`runtime-checkout:${req.params.appId}:${req.ip}`, now, windowMs);
+
+  res.setHeader('X-RateLimit-Limit', appMax);
+  res.setHeader('X-RateLimit-Remaining', Math.max(0, appMax - appRecord.count));
+
+  const exceeded = [[appRecord, appMax], [visitorRecord, visitorMax]].find(([record, max]) => record.count > max);
+  if (exceeded) {
+    return res.status(429).json({
+      success: false,
+      message: 'Too many checkout attempts, please try again in a minute',
+      retryAfter: Math.ceil((exceeded[0].resetTime - now) / 1000)
+    });
+  }
+
+  next();
+};
+
+/**
+ * Rate limiter del proxy de Google de las apps generadas (/api/runtime/:appId/google/*)
+ * Cada llamada gasta cuota de Google del dueño: límite por app (RUNTIME_GOOGLE_LIMIT por minuto)
+ * y por visitante dentro de la app
+ */
+export const runtimeGoogleRateLimiter = (req, res, next) => {
+  const now = Date.now();
+  const windowMs = 60 * 1000; // 1 minuto
+  const appMax = parseInt(process.env.RUNTIME_GOOGLE_LIMIT) || 60;
+  const visitorMax = Math.min(20, appMax);
+
+  const appRecord = hitWindow(`runtime-google:${req.params.appId}`, now, windowMs);
+  const visitorRecord = hitWindow(`runtime-google:${req.params.appId}:${req.ip}`, now, windowMs);
+
+  res.setHeader('X-RateLimit-Limit', appMax);
+  res.setHeader('X-RateLimit-Remaining', Math.max(0, appMax - appRecord.count));
+
+  const exceeded = [[appRecord, appMax], [visitorRecord, visitorMax]].find(([record, max]) => record.count > max);
+  if (exceeded) {
+    return res.status(429).json({
+      success: false,
+      message: 'Too many requests, please try again in a minute',
+      retryAfter: Math.ceil((exceeded[0].resetTime - now) / 1000)
+    });
+  }
+
+  next();
+};
+
 /**
  * Limpiar registros antiguos periódicamente
  */
@@ -109,5 +177,7 @@ setInterval(() => {
 
 export default {
   rateLimiter,
-  generationRateLimiter
+  generationRateLimiter,
+  runtimeCheckoutRateLimiter,
+  runtimeGoogleRateLimiter
 };
@@ -0,0 +1,75 @@
+/**
+ * Middleware de límites de subida
+ * Aplica las reglas del plan (tipos, tamaño por archivo) y la cuota de almacenamiento
+ * antes de aceptar el cuerpo: multer recibe el archivo en memoria y corta al pasar el límite
+ * Es un corte temprano: la cuota se vuelve a comprobar bajo lock al registrar el archivo
+ * (storageQuotaService.insertWithinQuota), que es lo que frena las subidas en paralelo
+ */
+
+import { AppError } from './errorHandler.js';
+import { getUserSubscription } from '../services/planService.js';
+import { ENTITLED_STATUSES } from '../services/billingService.js';
+import { createUpload } from '../services/fileUploadService.js';
+import * as storageQuotaService from '../services/storageQuotaService.js';
+
+// Margen para los demás campos y cabeceras del multipart
+const MULTIPART_OVERHEAD = 64 * 1024;
+
+const toMB = (bytes) => Math.round((bytes / (1024 * 1024)) * 10) / 10;
+
+/**
+ * @param {string} field - Campo del multipart con el archivo
+ */
+export const checkUploadLimits = (field = 'file') => async (req, res, next) => {
+  try {
+    const sub = await getUserSubscription(req.user.id);
+
+    if (!ENTITLED_STATUSES.includes(sub.status)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes una suscripcion activa',
+        upgradeRequired: true
+      });
+    }
+
+    const { quota, used, remaining, rules } = await storageQuotaService.getQuota(req.user.id, sub.plan);
+    const declaredSize = parseInt(req.headers['content-length'], 10) || 0;
+
+    if (remaining <= 0 || declaredSize > remaining + MULTIPART_OVERHEAD) {
+      return res.status(413).json({
+        success: false,
+        message: `No queda espacio en tu plan ${sub.plan} (${toMB(used)} MB de ${toMB(quota)} MB usados)`,
+        storage: { quotaBytes: quota, usedBytes: used, remainingBytes: remaining },
+        upgradeRequired: true,
+        upgrade: { url: '/billing' }
+      });
+    }
+
+    if (declaredSize > rules.maxFileSize + MULTIPART_OVERHEAD) {
+      return res.status(413).json({
+        success: false,
+        message: `Tu plan ${sub.plan} permite archivos de hasta ${toMB(rules.maxFileSize)} MB`,
+        maxFileSize: rules.maxFileSize,
+        upgradeRequired: true,
+        upgrade: { url: '/billing' }
+      });
+    }
+
+    const maxFileSize = Math.min(rules.maxFileSize, remaining);
+    req.uploadLimits = { ...rules, remaining, plan: sub.plan };
+
+    createUpload(rules, maxFileSize).single(field)(req, res, (error) => {
+      if (!error) return next();
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return next(new AppError(`El archivo supera el límite de ${toMB(maxFileSize)} MB`, 413));
+      }
+      next(error.name === 'MulterError' ? error : new AppError(error.message, 415));
+    });
+  } catch (error) {
+    console.error('Error checking upload limits:', error);
+    next(error);
+  }
+};
+
+export default { checkUploadLimits };
@@ -9,11 +9,24 @@ import { query, transaction } from '../config/database.js';
 import { authenticate } from '../middleware/auth.js';
 import { generationRateLimiter } from '../middleware/rateLimiter.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
-import { getUserSubscription, canCreateApp, incrementAppCount, getUpgradeMessage } from '../services/planService.js';
-import { appGenerator } from '../services/appGenerator.js';
+import { getUserSubscription, canCreateApp, incrementAppCount, getUpgradeMessage, getUpgradeOptions, getPublicTokenPacks } from '../services/planService.js';
+import * as generationJobService from '../services/generationJobService.js';
+import * as tokenLedgerService from '../services/tokenLedgerService.js';
+import * as versionService from '../services/versionService.js';
+import { DATABASE_TARGETS } from '../services/databaseScaffold.js';
+import * as projectImportService from '../services/projectImportService.js';
+import * as projectExportService from '../services/projectExportService.js';
+import * as storageService from '../services/storageService.js';
+import { ENTITLED_STATUSES } from '../services/billingService.js';
 
 const router = express.Router();
 
+const GENERATION_MODES = ['single', 'planned'];
+
+// Exports más grandes que esto (sin comprimir) se sirven por URL firmada en lugar de descargarse
+const EXPORT_SIGNED_URL_THRESHOLD = (parseInt(process.env.EXPORT_SIGNED_URL_THRESHOLD_MB, 10) || 5) * 1024 * 1024;
+const EXPORT_URL_EXPIRES_IN = 15 * 60;
+
 /**
  * GET /api/apps
  * Listar apps del usuario autenticado
@@ -82,21 +95,173 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /api/apps/:id/versions/:a/diff/:b
+ * Unified diff por archivo entre dos versiones (frontend, backend y root)
+ * Query: context (líneas de contexto, default 3), format=patch para texto plano aplicable con git apply
+ */
+router.get('/:id/versions/:a/diff/:b', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const versionA = parseInt(req.params.a, 10);
+  const versionB = parseInt(req.params.b, 10);
+  const context = req.query.context !== undefined ? parseInt(req.query.context, 10) : 3;
+
+  if (Number.isNaN(versionA) || Number.isNaN(versionB)) {
+    throw new AppError('Versions must be numbers', 400);
+  }
+  if (Number.isNaN(context) || context < 0 || context > 50) {
+    throw new AppError('context must be between 0 and 50', 400);
+  }
+
+  const appResult = await query(
+    'SELECT id FROM apps WHERE id = $1 AND user_id = $2',
+    [id, req.user.id]
+  );
+
+  if (appResult.rows.length === 0) {
+    throw new AppError('App not found', 404);
+  }
+
+  const result = await versionService.diffVersions(id, versionA, versionB, { context });
+
+  if (!result.success) {
+    throw new AppError(result.error, result.status || 500);
+  }
+
+  if (req.query.format === 'patch') {
+    res.type('text/x-diff');
+    return res.send(result.files.map(f => f.diff).join('\n'));
+  }
+
+  res.json({
+    success: true,
+    from: result.from,
+    to: result.to,
+    stats: result.stats,
+    files: result.files
+  });
+}));
+
+/**
+ * GET /api/apps/:id/versions/:version/export
+ * Descargar el código de una versión (número o tag vX.Y.Z) como zip
+ * Query: layout=monorepo (default, backend/ dentro del frontend) o separate (frontend/ y backend/)
+ *        env=false para no incluir .env.example
+ *        mode=download | url (URL firmada de storage); por defecto url solo si el proyecto es grande
+ */
+router.get('/:id/versions/:version/export', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { layout = 'monorepo', env, mode } = req.query;
+
+  if (!projectExportService.EXPORT_LAYOUTS.includes(layout)) {
+    throw new AppError(`layout must be one of: ${projectExportService.EXPORT_LAYOUTS.join(', ')}`, 400);
+  }
+  if (mode !== undefined && !['download', 'url'].includes(mode)) {
+    throw new AppError('mode must be one of: download, url', 400);
+  }
+
+  const appResult = await query(
+    'SELECT id, name FROM apps WHERE id = $1 AND user_id = $2',
+    [id, req.user.id]
+  );
+
+  if (appResult.rows.length === 0) {
+    throw new AppError('App not found', 404);
+  }
+
+  const version = await versionService.resolveAppVersion(id, req.params.version);
+  if (!version) {
+    throw new AppError('Version not found', 404);
+  }
+
+  const app = appResult.rows[0];
+  const fileName = projectExportService.getExportFileName(app.name, version.version);
+  const exportOptions = { layout, includeEnv: env !== 'false' };
+
+  const useSignedUrl = mode === 'url' ||
+    (mode === undefined && projectExportService.estimateExportSize(version.code) > EXPORT_SIGNED_URL_THRESHOLD);
+
+  if (useSignedUrl) {
+    const storedName = `exports/${layout}/${fileName}`;
+    const saved = await storageService.saveAppAsZip(id, version.code, { fileName: storedName, ...exportOptions });
+    if (!saved.success) {
+      throw new AppError('Could not prepare the export', 502);
+    }
+
+    const signed = await storageService.getSignedUrl(id, storedName, EXPORT_URL_EXPIRES_IN);
+    if (!signed.success) {
+      throw new AppError('Could not prepare the export', 502);
+    }
+
+    console.log(`📦 [EXPORT] App ${id} v${version.version} (${layout}) por URL firmada`);
+
+    return res.json({
+      success: true,
+      fileName,
+      size: saved.size,
+      url: signed.url,
+      expiresAt: signed.expiresAt
+    });
+  }
+
+  console.log(`📦 [EXPORT] App ${id} v${version.version} (${layout})`);
+
+  res.attachment(fileName);
+  res.type('application/zip');
+
+  projectExportService.createProjectZip(version.code, exportOptions)
+    .generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+    .on('error', (error) => {
+      console.error('❌ Error generando el zip del export:', error.message);
+      res.destroy(error);
+    })
+    .pipe(res);
+}));
+
 /**
  * POST /api/apps/create
- * Generar nueva app con Claude (VERSIÓN MEJORADA CON VALIDACIÓN)
+ * Encolar generación de app con Claude
+ * La generación corre como job (GENERATE_APP); el progreso se consulta en
+ * GET /api/apps/:id/generation o por SSE en GET /api/apps/:id/generation/stream
+ * Body opcional: clientRequestId — reenviar el mismo ID devuelve el job existente sin volver a cobrar
+ * Body opcional: generationMode — 'single' (App.jsx + server.js) o 'planned' (manifest + un archivo por módulo)
+ * Body opcional: database — 'memory' (default), 'postgres' o 'sqlite'; con base de datos el backend
+ *   persiste en tablas derivadas de modules (los módulos confirmados en /api/chat/refine)
  */
 router.post('/create', 
   authenticate, 
   generationRateLimiter,
   asyncHandler(async (req, res) => {
-    const { name, description, style = 'modern', colors, googleApis = [], requiresPayments = false, stripePriceIds = null } = req.body;
+    const { name, description, style = 'modern', colors, googleApis = [], requiresPayments = false, stripePriceIds = null, clientRequestId = null, generationMode = 'single', database = 'memory', modules = [] } = req.body;
 
     // Validación básica
     if (!name || !description) {
       throw new AppError('Name and description are required', 400);
     }
 
+    if (!GENERATION_MODES.includes(generationMode)) {
+      throw new AppError(`generationMode must be one of: ${GENERATION_MODES.join(', ')}`, 400);
+    }
+
+    if (!DATABASE_TARGETS.includes(database)) {
+      throw new AppError(`database must be one of: ${DATABASE_TARGETS.join(', ')}`, 400);
+    }
+
+    if (!Array.isArray(modules) || modules.some(m => typeof m?.name !== 'string' || !m.name.trim())) {
+      throw new AppError('modules must be an array of { name, description }', 400);
+    }
+
+    // Reintento del mismo request (refresh, doble click): devolver el job existente
+    const existing = await generationJobService.findByClientRequestId(req.user.id, clientRequestId);
+    if (existing) {
+      return res.status(202).json({
+        success: true,
+        message: 'App generation already started',
+        app: { id: existing.app_id, name: existing.app_name, status: 'generating' },
+        generation: formatGenerationResponse(existing)
+      });
+    }
+
     // Verificar límite del plan
     const canCreate = await canCreateApp(req.user.id);
     if (!canCreate) {
@@ -113,110 +278,287 @@ router.post('/create',
         appsCreated: sub.apps_created || 0,
         upgradeRequired: true,
         upgradeUrl: '/billing',
-        plans: {
-          basico: { price: 29.99, apps: 3, label: 'Básico' },
-          premium: { price: 49.99, apps: 8, label: 'Premium' },
-          pro: { price: 99.99, apps: 25, label: 'Pro' }
-        }
+        plans: getUpgradeOptions()
+      });
+    }
+
+    // Reserva de tokens: se cobra el consumo real al terminar y se libera si falla
+    const reservation = await tokenLedgerService.reserve(req.user.id, {
+      operation: tokenLedgerService.TOKEN_OPERATIONS.GENERATION,
+      metadata: { name, generationMode }
+    });
+
+    if (!reservation.success) {
+      return res.status(403).json({
+        success: false,
+        message: reservation.error,
+        tokens: { available: reservation.available, required: reservation.required },
+        tokenPacks: getPublicTokenPacks(),
+        upgradeRequired: true,
+        upgradeUrl: '/billing'
       });
     }
 
-    console.log(`🚀 Iniciando generación de app para usuario ${req.user.id}: "${name}"`);
+    console.log(`🚀 Encolando generación de app para usuario ${req.user.id}: "${name}"`);
     console.log(`📋 Requiere pagos: ${requiresPayments ? 'Sí' : 'NO'}`);
 
+    let enqueued;
     try {
-      // Usar el nuevo generador con validaciones
-      const result = await appGenerator.generateApp(req.user.id, {
+      enqueued = await generationJobService.enqueueGeneration(req.user.id, {
         name,
         description,
         style,
         colors: colors || getDefaultColors(style),
         googleApis,
         requiresPayments,
-        stripePriceIds
+        stripePriceIds,
+        generationMode,
+        database,
+        modules: modules.map(m => ({ name: m.name.trim(), description: m.description || '' }))
+      }, { clientRequestId, reservationId: reservation.reservationId });
+    } catch (error) {
+      await tokenLedgerService.release(reservation.reservationId, error.message);
+      throw error;
+    }
+
+    const { app, generationJob } = enqueued;
+
+    // Otro reintento con el mismo clientRequestId se adelantó: su reserva es la que cuenta
+    if (enqueued.duplicate) {
+      await tokenLedgerService.release(reservation.reservationId, 'duplicate request');
+      return res.status(202).json({
+        success: true,
+        message: 'App generation already started',
+        app,
+        generation: formatGenerationResponse(generationJob)
       });
+    }
 
-      // Incrementar contador de apps creadas
-      await incrementAppCount(req.user.id);
+    res.status(202).json({
+      success: true,
+      message: 'App generation started',
+      app: {
+        id: app.id,
+        name: app.name,
+        status: app.status
+      },
+      generation: formatGenerationResponse(generationJob)
+    });
+  })
+);
 
-      // Si la generación fue exitosa pero con fallback
-      if (result.fallbackUsed) {
-        console.log(`⚠️ App ${result.app.id} generada con template de fallback`);
-
-        return res.status(202).json({
-          success: true,
-          message: 'Tu app está siendo preparada. Recibirás una notificación cuando esté lista.',
-          app: {
-            id: result.app.id,
-            name: result.app.name,
-            status: 'generating'
-          }
-        });
-      }
+/**
+ * Subida del zip a memoria; los errores del filtro (no es un zip) se devuelven como 400
+ */
+const importUpload = (req, res, next) => {
+  projectImportService.upload.single('file')(req, res, (error) => {
+    if (error && error.name !== 'MulterError') return next(new AppError(error.message, 400));
+    next(error);
+  });
+};
 
-      // Si hubo error completo
-      if (!result.success) {
-        console.error(`❌ Error en generación para usuario ${req.user.id}:`, result.error);
-        
-        return res.status(202).json({
-          success: true,
-          message: 'Tu app está siendo preparada. Nuestro equipo la revisará y estará lista pronto.',
-          app: {
-            id: result.app.id,
-            name: result.app.name,
-            status: 'review_needed'
-          }
-        });
-      }
+/**
+ * POST /api/apps/import
+ * Importar un proyecto React/Vite existente desde un zip (multipart, campo file)
+ * Se crea la app con la versión 1 lista para el chat de mejoras y el deploy
+ * Body opcional: name, description (por defecto los de package.json)
+ * No consume una app del plan salvo con IMPORT_COUNTS_AS_APP=true
+ */
+router.post('/import',
+  authenticate,
+  generationRateLimiter,
+  importUpload,
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new AppError('Sube el proyecto en el campo file (.zip)', 400);
+    }
 
-      // Éxito total
-      console.log(`✅ App ${result.app.id} generada exitosamente en ${result.quality?.attempts || 1} intentos`);
+    const countsAsApp = process.env.IMPORT_COUNTS_AS_APP === 'true';
+    const sub = await getUserSubscription(req.user.id);
 
-      res.status(202).json({
-        success: true,
-        message: 'App generation started',
-        app: {
-          id: result.app.id,
-          name: result.app.name,
-          status: result.app.status
-        },
-        quality: result.quality
-      });
+    if (!ENTITLED_STATUSES.includes(sub.status) || (countsAsApp && !(await canCreateApp(req.user.id)))) {
+      const appsAllowed = sub.apps_allowed || 1;
+      const currentPlan = sub.plan || 'free_trial';
 
-    } catch (error) {
-      console.error('❌ Error crítico en generación:', error);
-
-      // Crear app en estado de error para no perder el registro
-      const appResult = await query(
-        `INSERT INTO apps (user_id, name, description, prompt, tech_stack, status, error_details)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)
-         RETURNING id, name, status`,
-        [
-          req.user.id,
-          name,
-          description,
-          description,
-          JSON.stringify({ style, colors: colors || getDefaultColors(style) }),
-          'error',
-          JSON.stringify({ message: error.message })
-        ]
-      );
-
-      const app = appResult.rows[0];
-
-      res.status(202).json({
-        success: true,
-        message: 'Tu app está siendo procesada. Te notificaremos cuando esté lista.',
-        app: {
-          id: app.id,
-          name: app.name,
-          status: 'processing'
-        }
+      return res.status(403).json({
+        success: false,
+        message: getUpgradeMessage(currentPlan, appsAllowed),
+        currentPlan,
+        appsAllowed,
+        appsCreated: sub.apps_created || 0,
+        upgradeRequired: true,
+        upgradeUrl: '/billing',
+        plans: getUpgradeOptions()
       });
     }
+
+    const result = await projectImportService.importProject(req.user.id, req.file, {
+      name: req.body.name,
+      description: req.body.description
+    });
+
+    if (!result.success) {
+      throw new AppError(result.error, 422);
+    }
+
+    if (countsAsApp) {
+      await incrementAppCount(req.user.id);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Project imported',
+      app: {
+        id: result.app.id,
+        name: result.app.name,
+        status: result.app.status
+      },
+      isFullstack: result.isFullstack,
+      fileCount: result.fileCount,
+      skipped: result.skipped
+    });
   })
 );
 
+/**
+ * GET /api/apps/:id/generation
+ * Estado actual del job de generación de una app
+ */
+router.get('/:id/generation', authenticate, asyncHandler(async (req, res) => {
+  const generationJob = await generationJobService.getLatestForApp(req.params.id, req.user.id);
+
+  if (!generationJob) {
+    throw new AppError('Generation job not found', 404);
+  }
+
+  res.json({
+    success: true,
+    generation: formatGenerationResponse(generationJob)
+  });
+}));
+
+/**
+ * Autenticación del stream: EventSource no puede mandar Authorization, así que se acepta
+ * ?token= (el de streamUrl, firmado para esta app y de corta duración) o el header como siempre
+ */
+const authenticateStream = (req, res, next) => {
+  if (req.query.token == null) return authenticate(req, res, next);
+
+  const userId = generationJobService.verifyStreamToken(req.params.id, req.query.token);
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired stream token'
+    });
+  }
+
+  req.user = { id: userId };
+  next();
+};
+
+/**
+ * GET /api/apps/:id/generation/stream
+ * Server-Sent Events con el progreso de la generación
+ * Auth: ?token= de streamUrl (new EventSource(streamUrl)) o header Authorization
+ * Si el token expiró (401), GET /api/apps/:id/generation devuelve un streamUrl nuevo
+ * Eventos: snapshot (estado al conectar), status, progress, completed, failed
+ * Se puede reconectar en cualquier momento: el snapshot sale de generation_jobs
+ * El job puede correr en otra instancia: los eventos llegan por LISTEN/NOTIFY y cada heartbeat
+ * vuelve a leer generation_jobs por si se perdió el evento final
+ */
+router.get('/:id/generation/stream', authenticateStream, asyncHandler(async (req, res) => {
+  const latest = await generationJobService.getLatestForApp(req.params.id, req.user.id);
+
+  if (!latest) {
+    throw new AppError('Generation job not found', 404);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const { COMPLETED, FAILED } = generationJobService.GENERATION_STATUS;
+  const finished = [COMPLETED, FAILED];
+  let closed = false;
+  let heartbeat = null;
+  // Eventos recibidos antes de enviar el snapshot
+  let pending = [];
+
+  const send = (eventName, payload) => {
+    res.write(`event: ${eventName}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const forward = (eventName, payload) => {
+    if (closed) return;
+    send(eventName, payload);
+    if (eventName === 'completed' || eventName === 'failed') finish();
+  };
+
+  // Suscribirse antes de leer el estado: un evento entre la lectura y la suscripción no se pierde
+  const unsubscribe = await generationJobService.subscribe(latest.id, (eventName, payload) => {
+    if (pending) pending.push([eventName, payload]);
+    else forward(eventName, payload);
+  });
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  const generationJob = await generationJobService.getById(latest.id) || latest;
+
+  send('snapshot', formatGenerationResponse(generationJob));
+
+  if (finished.includes(generationJob.status)) {
+    return finish();
+  }
+
+  const buffered = pending;
+  pending = null;
+  buffered.forEach(([eventName, payload]) => forward(eventName, payload));
+
+  heartbeat = setInterval(async () => {
+    if (closed) return;
+    res.write(': ping\n\n');
+
+    try {
+      const current = await generationJobService.getById(latest.id);
+      if (current && finished.includes(current.status)) {
+        forward(current.status, formatGenerationResponse(current));
+      }
+    } catch (error) {
+      console.error('⚠️ Error consultando la generación:', error.message);
+    }
+  }, 15000);
+}));
+
+/**
+ * Formato de respuesta para un job de generación
+ * streamUrl lleva un token de stream: se puede abrir directamente con EventSource
+ */
+function formatGenerationResponse(generationJob) {
+  const appId = generationJob.app_id;
+  const streamToken = generationJobService.createStreamToken(appId, generationJob.user_id);
+  return {
+    ...generationJobService.formatGenerationJob(generationJob),
+    statusUrl: `/api/apps/${appId}/generation`,
+    streamUrl: `/api/apps/${appId}/generation/stream?token=${encodeURIComponent(streamToken)}`
+  };
+}
+
 /**
  * Función auxiliar para obtener colores por defecto según estilo
  */
@@ -8,6 +8,8 @@ import { createClient } from '@supabase/supabase-js';
 import { query } from '../config/database.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import dotenv from 'dotenv';
+import { PLANS } from '../services/planService.js';
+import { SUBSCRIPTION_STATUS, ENTITLED_STATUSES } from '../services/billingService.js';
 
 dotenv.config();
 
@@ -65,7 +67,7 @@ router.post('/register', asyncHandler(async (req, res) => {
       [authData.user.id, email, fullName || '', 'user', 'free_trial']
     );
 
-    // 2. ✅ FIX: Trial de 7 días con 1 app permitida
+    // 2. Trial con los límites del catálogo (free_trial)
     await query(
       `INSERT INTO subscriptions (
         user_id, plan, status, trial_ends_at,
@@ -73,13 +75,15 @@ router.post('/register', asyncHandler(async (req, res) => {
         apps_allowed, apps_created,
         domains_allowed, domains_used,
         created_at, updated_at
-      ) VALUES ($1, $2, $3, NOW() + INTERVAL '7 days', $4, 0, $5, 0, 0, 0, NOW(), NOW())`,
+      ) VALUES ($1, $2, $3, NOW() + $4::int * INTERVAL '1 day', $5, 0, $6, 0, $7, 0, NOW(), NOW())`,
       [
         authData.user.id,
         'free_trial',
-        'trial',
-        10000,  // token_limit
-        1       // apps_allowed — solo 1 app en trial
+        SUBSCRIPTION_STATUS.TRIAL,
+        PLANS.free_trial.trial_days,
+        PLANS.free_trial.token_limit,
+        PLANS.free_trial.apps_allowed,
+        PLANS.free_trial.domains_allowed
       ]
     );
 
@@ -157,9 +161,9 @@ router.post('/login', asyncHandler(async (req, res) => {
     `SELECT plan, status, trial_ends_at, apps_allowed, apps_created, 
             token_limit, tokens_used, domains_allowed, domains_used
      FROM subscriptions 
-     WHERE user_id = $1 AND status IN ('trial', 'active', 'past_due')
+     WHERE user_id = $1 AND status = ANY($2)
      ORDER BY created_at DESC LIMIT 1`,
-    [data.user.id]
+    [data.user.id, ENTITLED_STATUSES]
   );
 
   const subscription = subResult.rows[0] || null;
@@ -193,7 +197,7 @@ router.post('/login', asyncHandler(async (req, res) => {
       appsUsed: subscription?.apps_created || 0,
       appsAllowed: subscription?.apps_allowed || 1,
       tokensUsed: subscription?.tokens_used || 0,
-      tokensLimit: subscription?.token_limit || 10000,
+      tokensLimit: subscription?.token_limit || PLANS.free_trial.token_limit,
       domainsAllowed: subscription?.domains_allowed || 0,
       domainsUsed: subscription?.domains_used || 0
     },
@@ -4,12 +4,16 @@
  * ═══════════════════════════════════════════════════════════════════
  * 
  * ENDPOINTS:
- * POST   /api/deploy/:id              - Deploy inicial
- * POST   /api/deploy/:id/update       - Actualizar app (nueva versión)
+ * POST   /api/deploy/:id              - Deploy inicial (background: true → encola un job)
+ * POST   /api/deploy/:id/update       - Actualizar app (nueva versión, código completo o parche)
  * POST   /api/deploy/:id/rollback     - Rollback a versión anterior
  * POST   /api/deploy/:id/suspend      - Suspender app
  * POST   /api/deploy/:id/reactivate   - Reactivar app
+ * GET    /api/deploy/providers        - Providers de deploy disponibles
  * GET    /api/deploy/:id/status       - Estado del deployment
+ * GET    /api/deploy/:id/logs         - Logs del deployment activo
+ * PUT    /api/deploy/:id/provider     - Elegir provider de deploy (vercel | netlify | local | auto)
+ * PUT    /api/deploy/:id/database     - Base PostgreSQL de producción del backend (DATABASE_URL)
  * GET    /api/deploy/:id/versions     - Historial de versiones
  * 
  * ═══════════════════════════════════════════════════════════════════
@@ -20,10 +24,32 @@ import { authenticate } from '../middleware/auth.js';
 import { requireOwnership } from '../middleware/permissions.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import * as deploymentService from '../services/deploymentService.js';
+import * as versionService from '../services/versionService.js';
+import * as jobService from '../services/jobService.js';
+import { applyPatchText } from '../services/patchService.js';
+import { listProviders, AUTO_PROVIDER } from '../services/deployProviders/index.js';
 import { query } from '../config/database.js';
 
 const router = express.Router();
 
+// ═══════════════════════════════════════════════════════════════════
+// 0️⃣ PROVIDERS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * GET /api/deploy/providers
+ * Providers registrados y si tienen credenciales
+ */
+router.get('/providers',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: { providers: listProviders() }
+    });
+  })
+);
+
 // ═══════════════════════════════════════════════════════════════════
 // 1️⃣ DEPLOY INICIAL
 // ═══════════════════════════════════════════════════════════════════
@@ -31,6 +57,9 @@ const router = express.Router();
 /**
  * POST /api/deploy/:id
  * Desplegar app por primera vez
+ * Body: { background?: boolean }
+ *   background: encolar el deploy (sobrevive reinicios del backend) y responder 202;
+ *   el resultado se consulta en GET /api/deploy/:id/status. Acepta el header Idempotency-Key
  */
 router.post('/:id',
   authenticate,
@@ -38,6 +67,21 @@ router.post('/:id',
   asyncHandler(async (req, res) => {
     const { id } = req.params;
 
+    if (req.body?.background) {
+      const idempotencyKey = req.get('Idempotency-Key');
+      const job = await jobService.addJob(
+        jobService.JOB_TYPES.DEPLOY_APP,
+        { appId: id, userId: req.user.id },
+        { maxRetries: 2, priority: 5, idempotencyKey: idempotencyKey ? `deploy:${id}:${idempotencyKey}` : null }
+      );
+
+      return res.status(202).json({
+        success: true,
+        data: { jobId: job.id, status: job.status },
+        message: 'Deploy encolado'
+      });
+    }
+
     console.log(`\n🚀 [API] Iniciando deploy de app ${id}`);
 
     const result = await deploymentService.deployApp(id, req.user.id);
@@ -50,8 +94,10 @@ router.post('/:id',
       success: true,
       data: {
         deployUrl: result.deployUrl,
+        apiUrl: result.apiUrl,
         backupUrl: result.backupUrl,
         deploymentId: result.deploymentId,
+        provider: result.provider,
         version: result.version
       },
       message: result.message
@@ -67,16 +113,45 @@ router.post('/:id',
  * POST /api/deploy/:id/update
  * Actualizar app con nueva versión
  * Body: { updateDescription: string, code: object }
+ *    o: { updateDescription: string, patch: string, baseVersion?: number }
+ *       patch = unified diff o bloques SEARCH/REPLACE sobre la última versión;
+ *       si baseVersion no es la última se responde 409 para no pisar cambios
  */
 router.post('/:id/update',
   authenticate,
   requireOwnership('app', 'id'),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { updateDescription, code } = req.body;
+    const { updateDescription, code, patch, baseVersion } = req.body;
 
-    if (!code) {
-      throw new AppError('Code is required for update', 400);
+    if (!code && !patch) {
+      throw new AppError('Code or patch is required for update', 400);
+    }
+    if (code && patch) {
+      throw new AppError('Send either code or patch, not both', 400);
+    }
+
+    let newCode = code;
+    let changedFiles = null;
+
+    if (patch) {
+      const latest = await versionService.getLatestAppVersion(id);
+      if (!latest) {
+        throw new AppError('App has no versions to patch', 404);
+      }
+
+      if (baseVersion !== undefined && parseInt(baseVersion, 10) !== latest.version) {
+        throw new AppError(`Patch is based on version ${baseVersion} but the latest version is ${latest.version}`, 409);
+      }
+
+      const applied = applyPatchText(latest.code, patch);
+      if (!applied.success) {
+        throw new AppError(applied.error, 422);
+      }
+
+      newCode = applied.code;
+      changedFiles = applied.changedFiles;
+      console.log(`🩹 [API] Parche aplicado sobre v${latest.version}: ${changedFiles.join(', ')}`);
     }
 
     console.log(`\n🔄 [API] Actualizando app ${id}`);
@@ -84,7 +159,7 @@ router.post('/:id/update',
     const result = await deploymentService.updateApp(
       id,
       req.user.id,
-      code,
+      newCode,
       updateDescription || 'Update via API'
     );
 
@@ -97,7 +172,9 @@ router.post('/:id/update',
       data: {
         version: result.version,
         deployUrl: result.deployUrl,
-        deploymentId: result.deploymentId
+        apiUrl: result.apiUrl,
+        deploymentId: result.deploymentId,
+        ...(changedFiles ? { changedFiles } : {})
       },
       message: result.message
     });
@@ -111,16 +188,17 @@ router.post('/:id/update',
 /**
  * POST /api/deploy/:id/rollback
  * Hacer rollback a una versión específica
- * Body: { targetVersion: string }
+ * Body: { targetVersion: number | 'vX.Y.Z', promote?: boolean }
+ *   promote (default true): reutilizar el deployment de esa versión si sigue activo en el mismo provider
  */
 router.post('/:id/rollback',
   authenticate,
   requireOwnership('app', 'id'),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { targetVersion } = req.body;
+    const { targetVersion, promote = true } = req.body;
 
-    if (!targetVersion) {
+    if (targetVersion === undefined || targetVersion === null || targetVersion === '') {
       throw new AppError('targetVersion is required', 400);
     }
 
@@ -129,7 +207,8 @@ router.post('/:id/rollback',
     const result = await deploymentService.rollbackApp(
       id,
       req.user.id,
-      targetVersion
+      targetVersion,
+      { promote: promote !== false }
     );
 
     if (!result.success) {
@@ -140,7 +219,13 @@ router.post('/:id/rollback',
       success: true,
       data: {
         version: result.version,
-        deployUrl: result.deployUrl
+        versionNumber: result.versionNumber,
+        sourceVersion: result.sourceVersion,
+        deployUrl: result.deployUrl,
+        apiUrl: result.apiUrl,
+        deploymentId: result.deploymentId,
+        provider: result.provider,
+        promoted: result.promoted
       },
       message: result.message
     });
@@ -242,7 +327,11 @@ router.get('/:id/status',
       data: {
         deploymentStatus: result.deployment_status,
         deployUrl: result.deploy_url,
-        deploymentId: result.vercel_deployment_id,
+        apiUrl: result.api_url,
+        deploymentId: result.deployment_id,
+        provider: result.deployment_provider,
+        providerSetting: result.deploy_provider || AUTO_PROVIDER,
+        projectName: result.deploy_project_name,
         currentVersion: result.current_version,
         updatedAt: result.updated_at
       }
@@ -250,6 +339,104 @@ router.get('/:id/status',
   })
 );
 
+/**
+ * GET /api/deploy/:id/logs
+ * Logs del deployment activo (según su provider)
+ */
+router.get('/:id/logs',
+  authenticate,
+  requireOwnership('app', 'id'),
+  asyncHandler(async (req, res) => {
+    const result = await deploymentService.getDeploymentLogs(req.params.id);
+
+    if (!result.success) {
+      throw new AppError(result.error, 404);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        provider: result.provider,
+        deploymentId: result.deploymentId,
+        logs: result.logs
+      }
+    });
+  })
+);
+
+/**
+ * PUT /api/deploy/:id/provider
+ * Elegir provider para los próximos deploys
+ * Body: { provider: 'vercel' | 'netlify' | 'local' | 'auto' }
+ */
+router.put('/:id/provider',
+  authenticate,
+  requireOwnership('app', 'id'),
+  asyncHandler(async (req, res) => {
+    const { provider } = req.body;
+    const available = listProviders();
+    const selected = available.find(p => p.name === provider);
+
+    if (provider !== AUTO_PROVIDER && !selected) {
+      throw new AppError(`provider must be one of: ${[AUTO_PROVIDER, ...available.map(p => p.name)].join(', ')}`, 400);
+    }
+
+    if (selected && !selected.configured) {
+      throw new AppError(`Provider ${provider} is not configured on this server`, 400);
+    }
+
+    await query(
+      `UPDATE apps SET deploy_provider = $1, updated_at = NOW() WHERE id = $2`,
+      [provider === AUTO_PROVIDER ? null : provider, req.params.id]
+    );
+
+    res.json({
+      success: true,
+      data: { provider },
+      message: 'El provider se usará en el próximo deploy'
+    });
+  })
+);
+
+/**
+ * PUT /api/deploy/:id/database
+ * Base de producción del backend (apps generadas con database: 'postgres')
+ * Se guarda cifrada y se pasa al backend como DATABASE_URL en el próximo deploy
+ * Body: { databaseUrl: 'postgres://...' | null, ssl?: boolean (por defecto true) }
+ */
+router.put('/:id/database',
+  authenticate,
+  requireOwnership('app', 'id'),
+  asyncHandler(async (req, res) => {
+    const { databaseUrl, ssl = true } = req.body || {};
+
+    if (databaseUrl !== null) {
+      let protocol = null;
+      try {
+        protocol = typeof databaseUrl === 'string' && databaseUrl.length <= 2000 ? new URL(databaseUrl).protocol : null;
+      } catch {
+        // URL inválida
+      }
+
+      if (!['postgres:', 'postgresql:'].includes(protocol)) {
+        throw new AppError('databaseUrl must be a postgres:// or postgresql:// connection string (or null to remove it)', 400);
+      }
+    }
+
+    if (typeof ssl !== 'boolean') {
+      throw new AppError('ssl must be a boolean', 400);
+    }
+
+    await deploymentService.setBackendDatabase(req.params.id, { databaseUrl, ssl });
+
+    res.json({
+      success: true,
+      data: { configured: databaseUrl !== null, ssl },
+      message: 'La base se usará en el próximo deploy'
+    });
+  })
+);
+
 // ═══════════════════════════════════════════════════════════════════
 // 7️⃣ HISTORIAL DE VERSIONES
 // ═══════════════════════════════════════════════════════════════════
@@ -267,6 +454,10 @@ router.get('/:id/versions',
     const result = await query(
       `SELECT 
         av.version,
+        av.tag,
+        av.source_version,
+        av.deploy_url,
+        av.deployment_provider,
         av.generation_prompt as description,
         av.created_at,
         av.tokens_used,
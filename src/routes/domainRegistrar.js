@@ -7,6 +7,8 @@ import { authenticate } from '../middleware/auth.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { godaddyService } from '../services/godaddyService.js';
 import { query } from '../config/database.js';
+import { planHasFeature } from '../services/planService.js';
+import { ENTITLED_STATUSES } from '../services/billingService.js';
 
 const router = express.Router();
 
@@ -46,14 +48,14 @@ router.post('/register', authenticate, asyncHandler(async (req, res) => {
   // Verificar plan del usuario
   const subResult = await query(
     `SELECT plan, domains_allowed, domains_used 
-     FROM subscriptions WHERE user_id = $1 AND status IN ('active', 'trialing')
+     FROM subscriptions WHERE user_id = $1 AND status = ANY($2)
      ORDER BY created_at DESC LIMIT 1`,
-    [req.user.id]
+    [req.user.id, ENTITLED_STATUSES]
   );
 
   const sub = subResult.rows[0];
 
-  if (!sub || sub.plan === 'basico') {
+  if (!sub || !planHasFeature(sub.plan, 'custom_domains')) {
     return res.status(403).json({
       success: false,
       message: 'Los dominios personalizados requieren plan Premium o Pro',
@@ -72,7 +74,7 @@ router.post('/register', authenticate, asyncHandler(async (req, res) => {
 
   // Verificar que la app pertenece al usuario
   const appResult = await query(
-    'SELECT id, vercel_project_name FROM apps WHERE id = $1 AND user_id = $2',
+    'SELECT id, deploy_project_name, deployment_provider FROM apps WHERE id = $1 AND user_id = $2',
     [appId, req.user.id]
   );
 
@@ -99,9 +101,9 @@ router.post('/register', authenticate, asyncHandler(async (req, res) => {
   const registration = await godaddyService.registerDomain(domain, req.user.id, appId);
   if (!registration.success) throw new AppError(registration.error, 500);
 
-  // 2. Conectar a Vercel
-  if (app.vercel_project_name) {
-    const connection = await godaddyService.connectToVercel(domain, app.vercel_project_name);
+  // 2. Conectar a Vercel (el DNS de GoDaddy se configura con los registros de Vercel)
+  if (app.deployment_provider === 'vercel' && app.deploy_project_name) {
+    const connection = await godaddyService.connectToVercel(domain, app.deploy_project_name);
     if (!connection.success) {
       console.error('⚠️ Dominio registrado pero no conectado a Vercel:', connection.error);
     }
@@ -137,9 +139,9 @@ router.get('/my-domains', authenticate, asyncHandler(async (req, res) => {
 
   const subResult = await query(
     `SELECT plan, domains_allowed, domains_used FROM subscriptions 
-     WHERE user_id = $1 AND status IN ('active', 'trialing')
+     WHERE user_id = $1 AND status = ANY($2)
      ORDER BY created_at DESC LIMIT 1`,
-    [req.user.id]
+    [req.user.id, ENTITLED_STATUSES]
   );
 
   const sub = subResult.rows[0];
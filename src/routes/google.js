@@ -6,6 +6,7 @@ import express from 'express';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { googleService } from '../services/googleService.js';
+import * as googleProxyService from '../services/googleProxyService.js';
 import { query } from '../config/database.js';
 
 const router = express.Router();
@@ -85,6 +86,42 @@ router.post('/revoke/:apiName', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /api/google/apps/:appId
+ * APIs de Google que usa una app generada, si están conectadas y sus recursos
+ */
+router.get('/apps/:appId', authenticate, asyncHandler(async (req, res) => {
+  const status = await googleProxyService.getAppGoogleStatus(req.params.appId, req.user.id);
+
+  if (!status) {
+    throw new AppError('App no encontrada', 404);
+  }
+
+  res.json({
+    success: true,
+    ...status
+  });
+}));
+
+/**
+ * PUT /api/google/apps/:appId/resources
+ * Recursos a los que accede la app por el proxy del runtime
+ * Body: { calendar: { calendarId }, sheets: { spreadsheetId, range, publicRead }, drive: { folderId } }
+ *   sheets.publicRead: los visitantes pueden leer el rango (por defecto solo añaden filas)
+ */
+router.put('/apps/:appId/resources', authenticate, asyncHandler(async (req, res) => {
+  const result = await googleProxyService.updateAppResources(req.params.appId, req.user.id, req.body);
+
+  if (!result.success) {
+    throw new AppError(result.error, result.status || 400);
+  }
+
+  res.json({
+    success: true,
+    resources: result.resources
+  });
+}));
+
 /**
  * GET /api/google/files/:appId
  * Obtener archivos de Google Drive para una app
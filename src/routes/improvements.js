@@ -1,12 +1,15 @@
 /**
  * Rutas de mejoras de apps
- * Maneja el chat de mejoras y descuento de tokens
+ * Maneja el chat de mejoras y el cobro de tokens (tokenLedgerService)
  */
 
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { query, transaction } from '../config/database.js';
+import * as improvementService from '../services/improvementService.js';
+import * as tokenLedgerService from '../services/tokenLedgerService.js';
+import { getPublicTokenPacks } from '../services/planService.js';
 import Anthropic from '@anthropic-ai/sdk';
 
 const router = express.Router();
@@ -41,36 +44,42 @@ router.get('/:id/improvements', authenticate, asyncHandler(async (req, res) => {
     [id]
   );
 
-  // Tokens disponibles del usuario
-  const subResult = await query(
-    `SELECT plan, token_limit, tokens_used 
-     FROM subscriptions 
-     WHERE user_id = $1 AND status IN ('active', 'trialing')
-     ORDER BY created_at DESC LIMIT 1`,
-    [req.user.id]
-  );
-
-  const sub = subResult.rows[0];
-  const tokensAvailable = sub ? (sub.token_limit - sub.tokens_used) : 0;
+  const balance = await tokenLedgerService.getBalance(req.user.id);
 
   res.json({
     success: true,
     app: appResult.rows[0],
     improvements: improvements.rows,
     tokens: {
-      available: tokensAvailable,
+      available: balance.available,
+      purchased: balance.purchased,
       costs: IMPROVEMENT_COSTS
     }
   });
 }));
 
+/**
+ * GET /api/apps/:id/improvements/:improvementId
+ * Estado de una mejora (pending → in_progress → applied | failed)
+ */
+router.get('/:id/improvements/:improvementId', authenticate, asyncHandler(async (req, res) => {
+  const { id, improvementId } = req.params;
+
+  const improvement = await improvementService.getImprovement(improvementId, id, req.user.id);
+  if (!improvement) throw new AppError('Mejora no encontrada', 404);
+
+  res.json({ success: true, improvement });
+}));
+
 /**
  * POST /api/apps/:id/improvements/chat
  * Enviar mensaje al chat de mejoras
+ * Al confirmar, la mejora se encola y se aplica en background como nueva versión
+ * Body opcional: autoDeploy (default true) — redesplegar si la app ya está publicada
  */
 router.post('/:id/improvements/chat', authenticate, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { message, history = [] } = req.body;
+  const { message, history = [], autoDeploy = true } = req.body;
 
   if (!message) throw new AppError('Mensaje requerido', 400);
 
@@ -85,33 +94,41 @@ router.post('/:id/improvements/chat', authenticate, asyncHandler(async (req, res
   const app = appResult.rows[0];
 
   // Verificar tokens disponibles
-  const subResult = await query(
-    `SELECT plan, token_limit, tokens_used 
-     FROM subscriptions 
-     WHERE user_id = $1 AND status IN ('active', 'trialing')
-     ORDER BY created_at DESC LIMIT 1`,
-    [req.user.id]
-  );
+  const { TOKEN_OPERATIONS } = tokenLedgerService;
+  const balance = await tokenLedgerService.getBalance(req.user.id);
 
-  const sub = subResult.rows[0];
-  if (!sub) throw new AppError('No tienes una suscripción activa', 403);
+  if (!balance.status) throw new AppError('No tienes una suscripción activa', 403);
 
-  const tokensAvailable = sub.token_limit - sub.tokens_used;
+  const tokensAvailable = balance.available;
   if (tokensAvailable < IMPROVEMENT_COSTS.simple) {
-    throw new AppError(
-      `No tienes suficientes tokens. Disponibles: ${tokensAvailable}. Mínimo requerido: ${IMPROVEMENT_COSTS.simple}`,
-      403
-    );
+    // Además del upgrade de plan, se ofrece comprar un paquete de tokens
+    return res.status(403).json({
+      success: false,
+      message: `No tienes suficientes tokens. Disponibles: ${tokensAvailable}. Mínimo requerido: ${IMPROVEMENT_COSTS.simple}`,
+      tokens: { available: tokensAvailable, required: IMPROVEMENT_COSTS.simple },
+      tokenPacks: getPublicTokenPacks(),
+      upgradeRequired: true,
+      upgradeUrl: '/billing'
+    });
   }
 
+  // Reserva de la conversación: se cobra el consumo real de Claude
+  const chatReservation = await tokenLedgerService.reserve(req.user.id, {
+    operation: TOKEN_OPERATIONS.IMPROVEMENT_CHAT,
+    appId: id
+  });
+  if (!chatReservation.success) throw new AppError(chatReservation.error, 403);
+
   // Construir historial para Claude
   const messages = history.map(m => ({ role: m.role, content: m.content }));
   messages.push({ role: 'user', content: message });
 
-  const response = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 1024,
-    system: `Eres un asistente experto en mejoras de aplicaciones web para la plataforma AutoAppOrchestrator.
+  let response;
+  try {
+    response = await anthropic.messages.create({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 1024,
+      system: `Eres un asistente experto en mejoras de aplicaciones web para la plataforma AutoAppOrchestrator.
 
 El usuario quiere mejorar su app llamada "${app.name}": ${app.description}
 
@@ -136,15 +153,25 @@ REGLAS:
 - Explica el costo antes de confirmar
 - Si no tiene tokens suficientes, díselo claramente
 - Solo una mejora a la vez`,
-    messages
-  });
+      messages
+    });
+  } catch (error) {
+    await tokenLedgerService.release(chatReservation.reservationId, error.message);
+    throw error;
+  }
 
   const content = response.content[0].text;
   const tokensUsed = response.usage.input_tokens + response.usage.output_tokens;
 
+  await tokenLedgerService.settle(chatReservation.reservationId, tokensUsed, {
+    inputTokens: response.usage.input_tokens,
+    outputTokens: response.usage.output_tokens
+  });
+
   // Verificar si confirmó una mejora
   const isConfirmed = content.includes('[MEJORA_CONFIRMADA]');
   let improvement = null;
+  let tokensError = null;
 
   if (isConfirmed) {
     const jsonMatch = content.match(/\{[\s\S]*\}/);
@@ -152,44 +179,66 @@ REGLAS:
       try {
         improvement = JSON.parse(jsonMatch[0]);
 
-        // Descontar tokens del plan
-        await query(
-          `UPDATE subscriptions 
-           SET tokens_used = tokens_used + $1, updated_at = NOW()
-           WHERE user_id = $2`,
-          [improvement.tokensRequired, req.user.id]
-        );
-
-        // Guardar mejora en DB
-        await query(
-          `INSERT INTO app_improvements 
-           (app_id, user_id, description, type, tokens_cost, status)
-           VALUES ($1, $2, $3, $4, $5, 'pending')`,
-          [id, req.user.id, improvement.description, improvement.type, improvement.tokensRequired]
-        );
+        // El costo sale de la tabla, no del número que devuelva Claude: un tipo fuera de la tabla no se confirma
+        if (typeof improvement.type !== 'string' || !Object.hasOwn(IMPROVEMENT_COSTS, improvement.type)) {
+          throw Object.assign(new Error(`Tipo de mejora desconocido: ${improvement.type}`), { unknownType: true });
+        }
+        improvement.tokensRequired = IMPROVEMENT_COSTS[improvement.type];
+
+        // Guardar mejora y reservar su costo en la misma transacción
+        const saved = await transaction(async (client) => {
+          const inserted = await client.query(
+            `INSERT INTO app_improvements 
+             (app_id, user_id, description, type, tokens_cost, status, auto_deploy)
+             VALUES ($1, $2, $3, $4, $5, 'pending', $6)
+             RETURNING id, status`,
+            [id, req.user.id, improvement.description, improvement.type, improvement.tokensRequired, autoDeploy !== false]
+          );
+
+          const reservation = await tokenLedgerService.reserve(req.user.id, {
+            operation: TOKEN_OPERATIONS.IMPROVEMENT_APPLY,
+            amount: improvement.tokensRequired,
+            appId: id,
+            referenceId: inserted.rows[0].id,
+            metadata: { type: improvement.type }
+          }, client);
+
+          if (!reservation.success) {
+            throw Object.assign(new Error(reservation.error), { insufficientTokens: true });
+          }
+
+          return inserted.rows[0];
+        });
+
+        improvement.id = saved.id;
+        improvement.status = saved.status;
+
+        await improvementService.enqueueImprovement(improvement.id);
 
         console.log(`✅ Mejora confirmada para app ${id}: ${improvement.type} - ${improvement.tokensRequired} tokens`);
       } catch (e) {
-        console.error('Error parsing improvement JSON:', e);
+        if (e.insufficientTokens) {
+          tokensError = e.message;
+        } else if (e.unknownType) {
+          console.warn(`⚠️ Mejora no confirmada para app ${id}: ${e.message}`);
+        } else {
+          console.error('Error parsing improvement JSON:', e);
+        }
+        improvement = null;
       }
     }
   }
 
-  // Descontar tokens de la conversación (costo de Claude)
-  await query(
-    `UPDATE subscriptions 
-     SET tokens_used = tokens_used + $1, updated_at = NOW()
-     WHERE user_id = $2`,
-    [tokensUsed, req.user.id]
-  );
+  const remaining = await tokenLedgerService.getBalance(req.user.id);
 
   res.json({
     success: true,
     message: content.replace('[MEJORA_CONFIRMADA]', '').replace(/\{[\s\S]*\}/, '').trim(),
-    confirmed: isConfirmed,
+    confirmed: isConfirmed && !!improvement,
     improvement,
+    tokensError,
     tokensUsed,
-    tokensRemaining: tokensAvailable - tokensUsed - (improvement?.tokensRequired || 0)
+    tokensRemaining: remaining.available
   });
 }));
 
@@ -0,0 +1,235 @@
+/**
+ * Runtime público de las apps generadas
+ * Lo llaman las apps desplegadas desde su propio dominio (sin login, sin claves de Stripe ni de Google):
+ * los pagos se cobran en la cuenta Connect del dueño de la app (ver paymentsScaffold) y las
+ * llamadas a Google usan sus conexiones OAuth (ver googleScaffold)
+ */
+
+import express from 'express';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { rateLimiter, runtimeCheckoutRateLimiter, runtimeGoogleRateLimiter } from '../middleware/rateLimiter.js';
+import { stripeConnectService } from '../services/stripeConnectService.js';
+import * as appSubscriptionService from '../services/appSubscriptionService.js';
+import * as googleProxyService from '../services/googleProxyService.js';
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_QUANTITY = 99;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+router.use(express.json({ limit: '10kb' }));
+router.use(rateLimiter);
+
+/**
+ * App con sus productos; 404 si no existe
+ */
+const loadCatalog = async (appId) => {
+  if (!UUID_PATTERN.test(appId)) throw new AppError('App no encontrada', 404);
+
+  const catalog = await stripeConnectService.getAppCatalog(appId);
+  if (!catalog) throw new AppError('App no encontrada', 404);
+
+  return catalog;
+};
+
+/**
+ * Orígenes a los que el checkout puede volver: el deploy y el dominio propio de la app
+ */
+const allowedOrigins = (app) => {
+  const origins = [];
+
+  if (app.deploy_url) {
+    try {
+      origins.push(new URL(app.deploy_url).origin);
+    } catch {
+      // deploy_url inválida: se ignora
+    }
+  }
+  if (app.custom_domain && ['active', 'verified'].includes(app.domain_status)) {
+    origins.push(`https://${app.custom_domain}`, `https://www.${app.custom_domain.replace(/^www\./, '')}`);
+  }
+
+  return origins;
+};
+
+/**
+ * URL de retorno validada (o la de por defecto del deploy)
+ */
+const returnUrl = (app, requested, outcome) => {
+  const origins = allowedOrigins(app);
+
+  if (requested) {
+    let url;
+    try {
+      url = new URL(requested);
+    } catch {
+      throw new AppError('URL de retorno no válida', 400);
+    }
+    if (!origins.includes(url.origin)) {
+      throw new AppError('La URL de retorno no pertenece a esta app', 400);
+    }
+    return url.toString();
+  }
+
+  if (!origins.length) {
+    throw new AppError('La app no está desplegada: indica successUrl y cancelUrl', 400);
+  }
+
+  return outcome ? `${origins[0]}/?checkout=${outcome}` : `${origins[0]}/`;
+};
+
+/**
+ * GET /api/runtime/:appId/products
+ * Productos a la venta de la app
+ */
+router.get('/:appId/products', asyncHandler(async (req, res) => {
+  const { products, paymentsEnabled } = await loadCatalog(req.params.appId);
+
+  res.json({ success: true, paymentsEnabled, products: paymentsEnabled ? products : [] });
+}));
+
+/**
+ * POST /api/runtime/:appId/checkout
+ * Crear sesión de checkout en la cuenta Connect del dueño
+ * Un precio recurrente abre una suscripción; al volver, la app recibe ?session_id=... para confirmarla
+ * Body: { priceId, quantity?, successUrl?, cancelUrl?, customerRef?, email? }
+ *   customerRef: ID del usuario en la app (queda en la suscripción para el dueño)
+ */
+router.post('/:appId/checkout', runtimeCheckoutRateLimiter, asyncHandler(async (req, res) => {
+  const { priceId, quantity = 1, successUrl, cancelUrl, customerRef, email } = req.body || {};
+  const { app, products, paymentsEnabled } = await loadCatalog(req.params.appId);
+
+  if (!paymentsEnabled) {
+    throw new AppError('Los pagos no están disponibles para esta app', 409);
+  }
+
+  // Solo precios creados para esta app (stripe_products)
+  const product = typeof priceId === 'string' ? products.find(p => p.priceId === priceId) : null;
+  if (!product) {
+    throw new AppError('Producto no válido para esta app', 400);
+  }
+
+  const units = Number(quantity);
+  if (!Number.isInteger(units) || units < 1 || units > MAX_QUANTITY) {
+    throw new AppError(`Cantidad no válida (1-${MAX_QUANTITY})`, 400);
+  }
+
+  if (customerRef != null && (typeof customerRef !== 'string' || !customerRef.trim() || customerRef.length > 200)) {
+    throw new AppError('customerRef no válido', 400);
+  }
+  if (email != null && (typeof email !== 'string' || !EMAIL_PATTERN.test(email))) {
+    throw new AppError('Email no válido', 400);
+  }
+
+  const isSubscription = product.type === 'recurring';
+  const success = returnUrl(app, successUrl, 'success');
+
+  const result = await stripeConnectService.createCheckoutForUserApp(
+    app.stripe_account_id,
+    priceId,
+    // {CHECKOUT_SESSION_ID} lo reemplaza Stripe (no se puede pasar por new URL: codificaría las llaves)
+    isSubscription ? `${success}${success.includes('?') ? '&' : '?'}session_id={CHECKOUT_SESSION_ID}` : success,
+    returnUrl(app, cancelUrl, 'canceled'),
+    {
+      appId: app.id,
+      quantity: units,
+      trialDays: isSubscription ? product.trialDays : 0,
+      customerRef: customerRef?.trim() || null,
+      customerEmail: email || null
+    }
+  );
+
+  if (!result.success) {
+    throw new AppError('No se pudo iniciar el pago. Intenta de nuevo.', 502);
+  }
+
+  console.log(`🛒 [RUNTIME] Checkout ${result.sessionId} (${result.mode}) para app ${app.id} (${priceId} x${units})`);
+
+  res.json({ success: true, url: result.url, sessionId: result.sessionId, mode: result.mode });
+}));
+
+/**
+ * GET /api/runtime/:appId/subscription?session_id=cs_...
+ * Confirmar una suscripción al volver del checkout
+ * Devuelve el customerToken con el que el navegador consulta sus entitlements y abre el portal
+ */
+router.get('/:appId/subscription', runtimeCheckoutRateLimiter, asyncHandler(async (req, res) => {
+  const sessionId = req.query.session_id;
+  if (typeof sessionId !== 'string' || !sessionId.startsWith('cs_')) {
+    throw new AppError('session_id no válido', 400);
+  }
+
+  const { app } = await loadCatalog(req.params.appId);
+  if (!app.stripe_account_id) throw new AppError('Los pagos no están disponibles para esta app', 409);
+
+  const result = await appSubscriptionService.confirmCheckout(app, sessionId);
+  if (!result.success) throw new AppError(result.error, 400);
+
+  res.json({ success: true, customerToken: result.customerToken, subscription: result.subscription });
+}));
+
+/**
+ * GET /api/runtime/:appId/entitlements
+ * Suscripciones de un usuario final y si tiene acceso
+ * Query: token (customerToken firmado de GET /subscription); un customerRef lo elige el cliente y no identifica a nadie
+ */
+router.get('/:appId/entitlements', asyncHandler(async (req, res) => {
+  const { token } = req.query;
+  const { app } = await loadCatalog(req.params.appId);
+
+  const customerId = appSubscriptionService.verifyCustomerToken(app.id, token);
+  if (!customerId) throw new AppError('Token de cliente no válido', 401);
+
+  const entitlements = await appSubscriptionService.getEntitlements(app.id, customerId);
+
+  res.json({ success: true, ...entitlements });
+}));
+
+/**
+ * POST /api/runtime/:appId/portal
+ * Portal de cliente de Stripe para gestionar la suscripción (cancelar, cambiar tarjeta, facturas)
+ * Body: { token (customerToken), returnUrl? }
+ */
+router.post('/:appId/portal', runtimeCheckoutRateLimiter, asyncHandler(async (req, res) => {
+  const { token, returnUrl: requestedReturnUrl } = req.body || {};
+  const { app } = await loadCatalog(req.params.appId);
+
+  const customerId = appSubscriptionService.verifyCustomerToken(app.id, token);
+  if (!customerId) throw new AppError('Token de cliente no válido', 401);
+  if (!app.stripe_account_id) throw new AppError('Los pagos no están disponibles para esta app', 409);
+
+  const result = await appSubscriptionService.createPortalSession(
+    app,
+    customerId,
+    returnUrl(app, requestedReturnUrl, null)
+  );
+
+  if (!result.success) throw new AppError(result.error, 404);
+
+  res.json({ success: true, url: result.url });
+}));
+
+/**
+ * GET|POST /api/runtime/:appId/google/:api/:operation
+ * Proxy de Google con las conexiones del dueño de la app; solo las operaciones de
+ * googleProxyService.OPERATIONS (ej: GET calendar/availability, POST sheets/rows, POST gmail/send)
+ */
+const googleProxy = asyncHandler(async (req, res) => {
+  const { appId, api } = req.params;
+  if (!UUID_PATTERN.test(appId)) throw new AppError('App no encontrada', 404);
+
+  const result = await googleProxyService.runOperation(appId, api, req.method, req.params[0], {
+    query: req.query,
+    body: req.body
+  });
+
+  if (!result.success) throw new AppError(result.error, result.status);
+
+  res.json({ success: true, ...result.data });
+});
+
+router.get('/:appId/google/:api/*', runtimeGoogleRateLimiter, googleProxy);
+router.post('/:appId/google/:api/*', runtimeGoogleRateLimiter, googleProxy);
+
+export default router;
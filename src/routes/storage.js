@@ -0,0 +1,45 @@
+/**
+ * Descargas del driver de storage local
+ * Sirve las URLs firmadas de localDriver (/api/storage/local/<clave>?expires&signature);
+ * con Supabase las URLs firmadas las sirve Supabase y esta ruta responde 404
+ */
+
+import express from 'express';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { getActiveDriver } from '../services/storageDrivers/index.js';
+import { resolveKey, verifySignedUrl } from '../services/storageDrivers/localDriver.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/storage/local/*
+ * Descargar un archivo con URL firmada
+ */
+router.get('/local/*', asyncHandler(async (req, res) => {
+  if (getActiveDriver().name !== 'local') {
+    throw new AppError('Archivo no encontrado', 404);
+  }
+
+  const key = req.params[0];
+  const { expires, signature } = req.query;
+
+  if (!verifySignedUrl(key, expires, signature)) {
+    throw new AppError('URL de descarga inválida o caducada', 403);
+  }
+
+  let filePath;
+  try {
+    filePath = resolveKey(key);
+  } catch {
+    throw new AppError('Archivo no encontrado', 404);
+  }
+
+  res.set('Cache-Control', 'private, max-age=0');
+  res.sendFile(filePath, { dotfiles: 'allow' }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ success: false, message: 'Archivo no encontrado' });
+    }
+  });
+}));
+
+export default router;
@@ -7,6 +7,7 @@ import express from 'express';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { stripeConnectService } from '../services/stripeConnectService.js';
+import * as stripeWebhookService from '../services/stripeWebhookService.js';
 import { query } from '../config/database.js';
 
 const router = express.Router();
@@ -81,6 +82,8 @@ router.get('/onboarding', authenticate, asyncHandler(async (req, res) => {
  * POST /api/stripe-connect/create-products
  * Crear productos en la cuenta Stripe del usuario automáticamente
  * Lo llama el appGenerator después de generar la app
+ * Body: { appId, products: [{ name, price, currency, description, interval?, intervalCount?, trialDays?, tiers? }] }
+ *   (con interval el producto es una suscripción; ver stripeConnectService.createProductsForUser)
  */
 router.post('/create-products', authenticate, asyncHandler(async (req, res) => {
   const { appId, products } = req.body;
@@ -144,6 +147,54 @@ router.post('/create-products', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /api/stripe-connect/earnings
+ * Ventas de las apps del usuario: bruto, comisión de la plataforma, comisión de Stripe y neto por app
+ * Query opcional: from, to (fechas ISO)
+ */
+router.get('/earnings', authenticate, asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  for (const date of [from, to]) {
+    if (date && Number.isNaN(Date.parse(date))) {
+      throw new AppError('Fecha no válida (usa formato ISO, p. ej. 2025-01-31)', 400);
+    }
+  }
+
+  const earnings = await stripeConnectService.getEarnings(req.user.id, {
+    from: from ? new Date(from) : null,
+    to: to ? new Date(to) : null
+  });
+
+  res.json({ success: true, ...earnings });
+}));
+
+/**
+ * POST /api/stripe-connect/webhook
+ * Webhook de Connect (eventos de las cuentas conectadas: account.updated, charge.succeeded, charge.refunded, customer.subscription.*)
+ * Se registra en el mismo ledger que /api/stripe/webhook y se procesa como job
+ */
+router.post('/webhook',
+  express.raw({ type: 'application/json' }),
+  asyncHandler(async (req, res) => {
+    const sig = req.headers['stripe-signature'];
+
+    let event;
+    try {
+      event = stripeConnectService.constructConnectEvent(req.body, sig);
+    } catch (err) {
+      console.error('❌ Connect webhook signature verification failed:', err.message);
+      throw new AppError('Invalid Stripe signature', 400);
+    }
+
+    console.log(`📥 Webhook Connect recibido: ${event.type} (${event.id}) cuenta ${event.account || '-'}`);
+
+    const { duplicate, status } = await stripeWebhookService.recordEvent(event);
+
+    res.json({ received: true, duplicate, status });
+  })
+);
+
 /**
  * GET /api/stripe-connect/dashboard
  * Generar link al dashboard de Stripe del usuario
@@ -5,18 +5,38 @@
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
-import { upload, fileUploadService } from '../services/fileUploadService.js';
+import { checkUploadLimits } from '../middleware/uploadLimits.js';
+import { fileUploadService } from '../services/fileUploadService.js';
 import { query } from '../config/database.js';
 
 const router = express.Router();
 
+/**
+ * La app debe ser del usuario (antes de leer el archivo)
+ */
+const checkAppOwnership = asyncHandler(async (req, res, next) => {
+  const result = await query(
+    'SELECT id FROM apps WHERE id = $1 AND user_id = $2',
+    [req.params.appId, req.user.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('App no encontrada', 404);
+  }
+
+  next();
+});
+
 /**
  * POST /api/upload/:appId
  * Subir archivo para una app específica
+ * Tipos y tamaño según el plan; el contenido se verifica por magic bytes y las imágenes
+ * se guardan sin metadatos (EXIF/GPS)
  */
 router.post('/:appId', 
   authenticate,
-  upload.single('file'),
+  checkAppOwnership,
+  checkUploadLimits('file'),
   asyncHandler(async (req, res) => {
     const { appId } = req.params;
     const { fileSpec } = req.body;
@@ -25,45 +45,47 @@ router.post('/:appId',
       throw new AppError('No se subió ningún archivo', 400);
     }
 
-    // Verificar límites del plan
-    const planResult = await query(
-      'SELECT plan FROM users WHERE id = $1',
-      [req.user.id]
-    );
-    const plan = planResult.rows[0]?.plan || 'free';
-
-    const filesResult = await query(
-      'SELECT COUNT(*) as count FROM app_files WHERE app_id = $1',
-      [appId]
-    );
-    const fileCount = parseInt(filesResult.rows[0].count);
-
-    // Verificar límite según plan (esto lo implementaremos después)
+    let spec = null;
+    try {
+      spec = fileSpec ? JSON.parse(fileSpec) : null;
+    } catch {
+      throw new AppError('fileSpec debe ser JSON', 400);
+    }
 
     // Procesar archivo
-    const fileData = await fileUploadService.processFile(
-      req.file,
-      appId,
-      req.user.id,
-      fileSpec ? JSON.parse(fileSpec) : null
-    );
+    const result = await fileUploadService.processFile(req.file, appId, req.user.id, spec, req.uploadLimits);
+
+    if (!result.success) {
+      throw new AppError(result.error, result.status);
+    }
 
     res.json({
       success: true,
       message: 'Archivo subido correctamente',
-      file: fileData
+      file: result.file
     });
   })
 );
 
 /**
  * GET /api/upload/:appId
- * Obtener todos los archivos de una app
+ * Obtener todos los archivos de una app, cada uno con una URL de descarga firmada
+ * (url null en los archivos que aún no se migraron del disco del servidor)
  */
-router.get('/:appId', authenticate, asyncHandler(async (req, res) => {
+router.get('/:appId', authenticate, checkAppOwnership, asyncHandler(async (req, res) => {
   const { appId } = req.params;
   
-  const files = await fileUploadService.getAppFiles(appId);
+  const rows = await fileUploadService.getAppFiles(appId);
+
+  const files = await Promise.all(rows.map(async ({ path, ...file }) => {
+    try {
+      const { url, expiresAt } = await fileUploadService.getDownloadUrl(file);
+      return { ...file, url, urlExpiresAt: expiresAt };
+    } catch (error) {
+      console.error(`Error firmando la URL de ${file.id}:`, error.message);
+      return { ...file, url: null, urlExpiresAt: null };
+    }
+  }));
   
   res.json({
     success: true,
@@ -7,6 +7,9 @@ import express from 'express';
 import { query } from '../config/database.js';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import * as tokenLedgerService from '../services/tokenLedgerService.js';
+import * as storageQuotaService from '../services/storageQuotaService.js';
+import { getUserSubscription } from '../services/planService.js';
 
 const router = express.Router();
 
@@ -16,7 +19,7 @@ const router = express.Router();
  */
 router.get('/me', authenticate, asyncHandler(async (req, res) => {
   const result = await query(
-    'SELECT id, email, full_name, avatar_url, role, plan, created_at FROM users WHERE id = $1',
+    'SELECT id, email, full_name, avatar_url, phone, role, plan, created_at FROM users WHERE id = $1',
     [req.user.id]
   );
 
@@ -35,16 +38,22 @@ router.get('/me', authenticate, asyncHandler(async (req, res) => {
  * Actualizar perfil del usuario
  */
 router.put('/me', authenticate, asyncHandler(async (req, res) => {
-  const { fullName, avatarUrl } = req.body;
+  const { fullName, avatarUrl, phone } = req.body;
+
+  // WhatsApp para avisos de facturación (formato internacional, p. ej. +5491112345678)
+  if (phone !== undefined && phone !== null && !/^\+?[0-9\s-]{8,20}$/.test(phone)) {
+    throw new AppError('Invalid phone number', 400);
+  }
 
   const result = await query(
     `UPDATE users 
      SET full_name = COALESCE($1, full_name),
          avatar_url = COALESCE($2, avatar_url),
+         phone = COALESCE($3, phone),
          updated_at = NOW()
-     WHERE id = $3
-     RETURNING id, email, full_name, avatar_url, role, plan`,
-    [fullName, avatarUrl, req.user.id]
+     WHERE id = $4
+     RETURNING id, email, full_name, avatar_url, phone, role, plan`,
+    [fullName, avatarUrl, phone, req.user.id]
   );
 
   res.json({
@@ -224,6 +233,34 @@ router.get('/limits', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /api/users/usage
+ * Tokens del periodo de facturación actual, con desglose por operación y por app
+ */
+router.get('/usage', authenticate, asyncHandler(async (req, res) => {
+  const usage = await tokenLedgerService.getUsage(req.user.id);
+
+  res.json({
+    success: true,
+    usage
+  });
+}));
+
+/**
+ * GET /api/users/storage
+ * Almacenamiento usado contra la cuota del plan (subidas + archivos de las apps en Storage),
+ * con desglose por app y las reglas de subida del plan
+ */
+router.get('/storage', authenticate, asyncHandler(async (req, res) => {
+  const sub = await getUserSubscription(req.user.id);
+  const storage = await storageQuotaService.getStorageReport(req.user.id, sub.plan);
+
+  res.json({
+    success: true,
+    storage
+  });
+}));
+
 /**
  * DELETE /api/users/me
  * Eliminar cuenta de usuario
@@ -14,6 +14,9 @@ import * as sentry from './config/sentry.js';
 import * as storageService from './services/storageService.js';
 import * as analyticsService from './services/analyticsService.js';
 import * as jobService from './services/jobService.js';
+import * as improvementService from './services/improvementService.js';
+import * as uploadMigrationService from './services/uploadMigrationService.js';
+import { installConsoleRedaction, redactUrl } from './services/redactionService.js';
 
 // Importar rutas
 import authRoutes from './routes/auth.js';
@@ -28,6 +31,9 @@ import uploadRoutes from './routes/upload.js';
 import stripeConnectRouter from './routes/stripeConnect.js';
 import domainRegistrarRouter from './routes/domainRegistrar.js';
 import improvementsRouter from './routes/improvements.js';
+import runtimeRouter from './routes/runtime.js';
+import storageRouter from './routes/storage.js';
+import { localProvider, getLocalDeployDir } from './services/deployProviders/localProvider.js';
 
 // Importar middleware
 import { errorHandler } from './middleware/errorHandler.js';
@@ -43,10 +49,16 @@ const PORT = process.env.PORT || 4000;
 // INICIALIZACIÓN DE SERVICIOS
 // ============================================
 
+// Antes de nada: los logs no deben llevar tokens (OAuth de Google, Stripe, URLs firmadas)
+installConsoleRedaction();
 sentry.initSentry(app);
 analyticsService.initPostHog();
 storageService.initStorage();
 jobService.startJobProcessor();
+improvementService.enqueuePendingImprovements()
+  .catch(error => console.error('⚠️ Error encolando mejoras pendientes:', error.message));
+uploadMigrationService.enqueueUploadMigration()
+  .catch(error => console.error('⚠️ Error encolando la migración de subidas:', error.message));
 
 // ============================================
 // MIDDLEWARE
@@ -56,6 +68,10 @@ app.use(sentry.sentryRequestHandler());
 app.use(sentry.sentryTracingHandler());
 app.use(helmet());
 
+// Runtime de las apps generadas: se llama desde el dominio de cada app (cualquier origin, sin cookies)
+// Va antes del CORS global, que solo admite el frontend de la plataforma
+app.use('/api/runtime', cors({ origin: true, credentials: false, methods: ['GET', 'POST', 'OPTIONS'] }), runtimeRouter);
+
 // ✅ CORS corregido — maneja preflight OPTIONS correctamente
 const allowedOrigins = [
   'https://autoapporchestrator.com',
@@ -100,10 +116,14 @@ app.options('*', cors({
 
 // IMPORTANTE: Webhook de Stripe necesita RAW body
 app.use('/api/stripe/webhook', express.raw({ type: 'application/json' }));
+app.use('/api/stripe-connect/webhook', express.raw({ type: 'application/json' }));
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// El ?code= del callback OAuth y las firmas de descarga no van al log de peticiones
+morgan.token('url', (req) => redactUrl(req.originalUrl || req.url));
+
 if (process.env.NODE_ENV !== 'production') {
   app.use(morgan('dev'));
 } else {
@@ -152,6 +172,12 @@ app.use('/api/upload', uploadRoutes);
 app.use('/api/stripe-connect', stripeConnectRouter);
 app.use('/api/domain-registrar', domainRegistrarRouter);
 app.use('/api/apps', improvementsRouter);
+app.use('/api/storage', storageRouter);
+
+// Deploys del provider local (LOCAL_DEPLOY_DIR): solo con el provider activado (desarrollo)
+if (localProvider.isConfigured()) {
+  app.use('/local-deploys', express.static(getLocalDeployDir(), { dotfiles: 'ignore' }));
+}
 
 app.use('*', (req, res) => {
   res.status(404).json({ success: false, message: 'Endpoint not found' });
@@ -206,6 +232,7 @@ const server = app.listen(PORT, '0.0.0.0', () => {
 ║  ✅ /api/stripe-connect               ║
 ║  ✅ /api/domain-registrar             ║
 ║  ✅ /api/apps/:id/improvements        ║
+║  ✅ /api/runtime/:appId               ║
 ╚════════════════════════════════════════╝
   `);
 });
@@ -217,7 +244,7 @@ const server = app.listen(PORT, '0.0.0.0', () => {
 const gracefulShutdown = async (signal) => {
   console.log(`\n${signal} received. Starting graceful shutdown...`);
   server.close(() => { console.log('✅ HTTP server closed'); });
-  jobService.stopJobProcessor();
+  await jobService.stopJobProcessor();
   await analyticsService.shutdownPostHog();
   console.log('✅ Graceful shutdown complete');
   process.exit(0);
@@ -0,0 +1,93 @@
+import { describe, expect, jest, test } from '@jest/globals';
+
+// Solo se prueba la lógica pura: los servicios con providers externos no se cargan
+jest.unstable_mockModule('../deploymentService.js', () => ({}));
+jest.unstable_mockModule('../godaddyService.js', () => ({ godaddyService: {} }));
+jest.unstable_mockModule('../jobService.js', () => ({}));
+
+const {
+  SUBSCRIPTION_STATUS,
+  BILLING_EVENTS,
+  TRANSITIONS,
+  resolveTransition,
+  shouldApplyEffect,
+  eventForStripeStatus,
+} = await import('../billingService.js');
+
+const { TRIAL, ACTIVE, PAST_DUE, GRACE, SUSPENDED, CANCELED } = SUBSCRIPTION_STATUS;
+
+describe('TRANSITIONS', () => {
+  test('cada evento tiene definición con estados válidos', () => {
+    const statuses = Object.values(SUBSCRIPTION_STATUS);
+
+    for (const event of Object.values(BILLING_EVENTS)) {
+      const definition = TRANSITIONS[event];
+      expect(definition).toBeDefined();
+      expect(statuses).toContain(definition.to);
+      definition.from.forEach(from => expect(statuses).toContain(from));
+    }
+  });
+
+  test('un pago fallido pasa a past_due y encadena la gracia', () => {
+    expect(resolveTransition(ACTIVE, BILLING_EVENTS.PAYMENT_FAILED)).toEqual({ ignored: false, changed: true, to: PAST_DUE });
+    expect(TRANSITIONS[BILLING_EVENTS.PAYMENT_FAILED].then).toBe(BILLING_EVENTS.GRACE_STARTED);
+    expect(resolveTransition(PAST_DUE, BILLING_EVENTS.GRACE_STARTED)).toMatchObject({ changed: true, to: GRACE });
+  });
+
+  test('los reintentos de Stripe durante la gracia se ignoran', () => {
+    expect(resolveTransition(GRACE, BILLING_EVENTS.PAYMENT_FAILED)).toEqual({ ignored: true, changed: false, to: GRACE });
+  });
+
+  test('sin cambio de estado no hay transición', () => {
+    expect(resolveTransition(ACTIVE, BILLING_EVENTS.PAYMENT_SUCCEEDED)).toEqual({ ignored: false, changed: false, to: ACTIVE });
+  });
+
+  test('solo la gracia vencida suspende', () => {
+    expect(resolveTransition(GRACE, BILLING_EVENTS.GRACE_EXPIRED)).toMatchObject({ changed: true, to: SUSPENDED });
+    expect(resolveTransition(ACTIVE, BILLING_EVENTS.GRACE_EXPIRED).ignored).toBe(true);
+    expect(resolveTransition(TRIAL, BILLING_EVENTS.TRIAL_EXPIRED)).toMatchObject({ changed: true, to: SUSPENDED });
+  });
+
+  test('rechaza eventos desconocidos', () => {
+    expect(() => resolveTransition(ACTIVE, 'refunded')).toThrow('desconocido');
+  });
+});
+
+describe('shouldApplyEffect', () => {
+  const now = new Date('2026-01-10T00:00:00Z');
+
+  test('no suspende si la suscripción volvió a estar activa', () => {
+    expect(shouldApplyEffect('suspendApps', { status: ACTIVE }, now)).toBe(false);
+    expect(shouldApplyEffect('suspendDomains', { status: SUSPENDED }, now)).toBe(true);
+  });
+
+  test('no reactiva si la suscripción quedó suspendida', () => {
+    expect(shouldApplyEffect('reactivateApps', { status: SUSPENDED }, now)).toBe(false);
+    expect(shouldApplyEffect('reactivateDomains', { status: ACTIVE }, now)).toBe(true);
+  });
+
+  test('el aviso corresponde durante la gracia, también tras cancelar', () => {
+    const canceledInGrace = { status: CANCELED, grace_ends_at: '2026-01-15T00:00:00Z' };
+    const canceledExpired = { status: CANCELED, grace_ends_at: '2026-01-05T00:00:00Z' };
+
+    expect(shouldApplyEffect('showBillingNotice', { status: GRACE }, now)).toBe(true);
+    expect(shouldApplyEffect('showBillingNotice', canceledInGrace, now)).toBe(true);
+    expect(shouldApplyEffect('showBillingNotice', { status: ACTIVE }, now)).toBe(false);
+    expect(shouldApplyEffect('clearBillingNotice', canceledExpired, now)).toBe(true);
+    expect(shouldApplyEffect('clearBillingNotice', { status: GRACE }, now)).toBe(false);
+  });
+
+  test('los efectos sin condición siempre se aplican', () => {
+    expect(shouldApplyEffect('emailPaymentFailed', { status: ACTIVE }, now)).toBe(true);
+    expect(shouldApplyEffect('downgradeUser', { status: CANCELED }, now)).toBe(true);
+  });
+});
+
+describe('eventForStripeStatus', () => {
+  test('traduce los status de Stripe', () => {
+    expect(eventForStripeStatus('trialing')).toBe(BILLING_EVENTS.PAYMENT_SUCCEEDED);
+    expect(eventForStripeStatus('unpaid')).toBe(BILLING_EVENTS.PAYMENT_FAILED);
+    expect(eventForStripeStatus('incomplete_expired')).toBe(BILLING_EVENTS.CANCELED);
+    expect(eventForStripeStatus('incomplete')).toBeNull();
+  });
+});
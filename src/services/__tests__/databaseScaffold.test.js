@@ -0,0 +1,22 @@
+import { describe, expect, test } from '@jest/globals';
+import { databaseDialectOf, getDatabaseDependencies } from '../databaseScaffold.js';
+
+const withBackendPackage = (content) => ({
+  frontend: { files: [] },
+  backend: { files: [{ path: 'server.js', content: '' }, { path: 'package.json', content }] }
+});
+
+describe('databaseDialectOf', () => {
+  test('detecta la base por las dependencias del backend generado', () => {
+    for (const dialect of ['postgres', 'sqlite']) {
+      const pkg = JSON.stringify({ dependencies: { express: '^4.18.2', ...getDatabaseDependencies(dialect) } });
+      expect(databaseDialectOf(withBackendPackage(pkg))).toBe(dialect);
+    }
+  });
+
+  test('sin base persistente, sin backend o con package.json inválido devuelve null', () => {
+    expect(databaseDialectOf(withBackendPackage(JSON.stringify({ dependencies: { express: '^4.18.2' } })))).toBeNull();
+    expect(databaseDialectOf(withBackendPackage('{'))).toBeNull();
+    expect(databaseDialectOf({ frontend: { files: [] } })).toBeNull();
+  });
+});
@@ -0,0 +1,90 @@
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+
+const query = jest.fn();
+const valuesGet = jest.fn();
+
+jest.unstable_mockModule('../../config/database.js', () => ({ query }));
+jest.unstable_mockModule('../googleService.js', () => ({
+  googleService: { getSheetsService: async () => ({ spreadsheets: { values: { get: valuesGet } } }) }
+}));
+
+const { validateResources, runOperation, OPERATIONS } = await import('../googleProxyService.js');
+
+const APP_ID = '00000000-0000-0000-0000-000000000000';
+
+describe('validateResources', () => {
+  test('acepta los recursos válidos y descarta los que no se configuran', () => {
+    const result = validateResources({
+      calendar: { calendarId: 'primary' },
+      sheets: { spreadsheetId: '1AbCdEfGhIjKlMnOp', range: 'Pedidos!A1:F' },
+      drive: {},
+      other: { id: 'x' }
+    });
+
+    expect(result).toEqual({
+      success: true,
+      resources: {
+        calendar: { calendarId: 'primary' },
+        sheets: { spreadsheetId: '1AbCdEfGhIjKlMnOp', range: 'Pedidos!A1:F', publicRead: false }
+      }
+    });
+  });
+
+  test('la lectura pública de la hoja solo se activa explícitamente', () => {
+    const enabled = validateResources({ sheets: { spreadsheetId: '1AbCdEfGhIjKlMnOp', publicRead: true } });
+    const invalid = validateResources({ sheets: { spreadsheetId: '1AbCdEfGhIjKlMnOp', publicRead: 'yes' } });
+
+    expect(enabled.resources.sheets).toEqual({ spreadsheetId: '1AbCdEfGhIjKlMnOp', publicRead: true });
+    expect(invalid).toMatchObject({ success: false, error: expect.stringContaining('publicRead') });
+  });
+
+  test('rechaza IDs que podrían inyectarse en las queries de Google', () => {
+    expect(validateResources({ drive: { folderId: "abc' or '1'='1" } })).toMatchObject({ success: false });
+    expect(validateResources({ sheets: { spreadsheetId: 'corto' } })).toMatchObject({ success: false });
+    expect(validateResources({ sheets: { spreadsheetId: '1AbCdEfGhIjKlMnOp', range: "'Hoja'!A1" } })).toMatchObject({ success: false });
+    expect(validateResources({ calendar: { calendarId: 'con espacios' } })).toMatchObject({ success: false });
+  });
+
+  test('sin cuerpo no configura nada', () => {
+    expect(validateResources()).toEqual({ success: true, resources: {} });
+    expect(validateResources(null)).toEqual({ success: true, resources: {} });
+  });
+});
+
+describe('runOperation', () => {
+  test('solo expone las operaciones de OPERATIONS', async () => {
+    expect(Object.keys(OPERATIONS.sheets)).toEqual(['GET rows', 'POST rows']);
+
+    const result = await runOperation(APP_ID, 'sheets', 'DELETE', 'rows');
+    expect(result).toEqual({ success: false, status: 404, error: 'Operación de Google no disponible' });
+  });
+});
+
+describe('sheets GET rows', () => {
+  const withSheets = (sheets) => query.mockResolvedValue({
+    rows: [{ id: APP_ID, name: 'App', user_id: 'owner', google_apis: ['sheets'], google_resources: { sheets } }]
+  });
+
+  beforeEach(() => {
+    query.mockReset();
+    valuesGet.mockReset().mockResolvedValue({ data: { values: [['nombre'], ['Ana']] } });
+  });
+
+  test('sin publicRead la hoja no se puede leer', async () => {
+    withSheets({ spreadsheetId: '1AbCdEfGhIjKlMnOp', range: 'Pedidos!A1:F' });
+
+    const result = await runOperation(APP_ID, 'sheets', 'GET', 'rows');
+
+    expect(result).toMatchObject({ success: false, status: 403 });
+    expect(valuesGet).not.toHaveBeenCalled();
+  });
+
+  test('lee siempre el rango del dueño, no el que pide el visitante', async () => {
+    withSheets({ spreadsheetId: '1AbCdEfGhIjKlMnOp', range: 'Pedidos!A1:F', publicRead: true });
+
+    const result = await runOperation(APP_ID, 'sheets', 'GET', 'rows', { query: { range: 'Clientes!A1:Z' } });
+
+    expect(result).toEqual({ success: true, data: { values: [['nombre'], ['Ana']] } });
+    expect(valuesGet).toHaveBeenCalledWith({ spreadsheetId: '1AbCdEfGhIjKlMnOp', range: 'Pedidos!A1:F' });
+  });
+});
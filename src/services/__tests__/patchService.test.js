@@ -0,0 +1,107 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  sectionOf,
+  parseSearchReplace,
+  applySearchReplace,
+  applyUnifiedDiff,
+  applyPatchText,
+  diffProjects,
+} from '../patchService.js';
+
+const project = () => ({
+  frontend: { files: [{ path: 'src/App.jsx', content: 'const a = 1;\nexport default a;\n' }] },
+  backend: { files: [{ path: 'backend/server.js', content: 'app.listen(4000);\n' }] },
+  root: { files: [{ path: 'README.md', content: '# App\n\nInstrucciones\n' }] }
+});
+
+describe('sectionOf', () => {
+  test('asigna cada ruta a su sección', () => {
+    const code = project();
+    expect(sectionOf(code, 'backend/server.js')).toBe('backend');
+    expect(sectionOf(code, 'README.md')).toBe('root');
+    expect(sectionOf(code, 'src/App.jsx')).toBe('frontend');
+    expect(sectionOf(code, 'src/New.jsx')).toBe('frontend');
+  });
+});
+
+describe('applySearchReplace', () => {
+  test('reemplaza un bloque único sin mutar el original', () => {
+    const code = project();
+    const edits = parseSearchReplace('FILE: src/App.jsx\n<<<<<<< SEARCH\nconst a = 1;\n=======\nconst a = 2;\n>>>>>>> REPLACE');
+
+    const result = applySearchReplace(code, edits);
+
+    expect(result.success).toBe(true);
+    expect(result.changedFiles).toEqual(['src/App.jsx']);
+    expect(result.code.frontend.files[0].content).toBe('const a = 2;\nexport default a;\n');
+    expect(code.frontend.files[0].content).toBe('const a = 1;\nexport default a;\n');
+  });
+
+  test('rechaza bloques ambiguos o inexistentes', () => {
+    const code = project();
+    const missing = applySearchReplace(code, [{ path: 'src/App.jsx', search: 'nope', replace: 'x' }]);
+    const ambiguous = applySearchReplace(code, [{ path: 'src/App.jsx', search: 'a', replace: 'b' }]);
+
+    expect(missing).toMatchObject({ success: false, error: expect.stringContaining('no encontrado') });
+    expect(ambiguous).toMatchObject({ success: false, error: expect.stringContaining('ambiguo') });
+  });
+
+  test('edita archivos del root', () => {
+    const result = applySearchReplace(project(), [{ path: 'README.md', search: 'Instrucciones', replace: 'Uso' }]);
+
+    expect(result.success).toBe(true);
+    expect(result.code.root.files[0].content).toBe('# App\n\nUso\n');
+    expect(result.code.frontend.files).toHaveLength(1);
+  });
+
+  test('rechaza rutas con ..', () => {
+    const result = applySearchReplace(project(), [{ path: '../etc/passwd', search: '', replace: 'x' }]);
+    expect(result.success).toBe(false);
+  });
+});
+
+describe('applyUnifiedDiff', () => {
+  test('aplica un diff de diffProjects sobre el root y el backend', () => {
+    const before = project();
+    const after = project();
+    after.root.files[0].content = '# App\n\nUso\n';
+    after.backend.files[0].content = 'app.listen(process.env.PORT);\n';
+
+    const { files } = diffProjects(before, after);
+    const result = applyPatchText(before, files.map(f => f.diff).join('\n'));
+
+    expect(result.success).toBe(true);
+    expect(result.changedFiles.sort()).toEqual(['README.md', 'backend/server.js']);
+    expect(result.code.root.files[0].content).toBe('# App\n\nUso\n');
+    expect(result.code.backend.files[0].content).toBe('app.listen(process.env.PORT);\n');
+  });
+
+  test('crea y borra archivos', () => {
+    const before = project();
+    const after = project();
+    after.frontend.files.push({ path: 'src/New.jsx', content: 'export default 1;\n' });
+    after.root.files = [];
+
+    const { files, stats } = diffProjects(before, after);
+    const result = applyUnifiedDiff(before, files.map(f => f.diff).join('\n'));
+
+    expect(stats).toMatchObject({ added: 1, removed: 1, modified: 0 });
+    expect(result.success).toBe(true);
+    expect(result.code.frontend.files.map(f => f.path)).toEqual(['src/App.jsx', 'src/New.jsx']);
+    expect(result.code.root.files).toEqual([]);
+  });
+
+  test('rechaza un diff cuyo contexto no coincide', () => {
+    const patch = '--- a/src/App.jsx\n+++ b/src/App.jsx\n@@ -1,1 +1,1 @@\n-const b = 1;\n+const b = 2;\n';
+    const result = applyUnifiedDiff(project(), patch);
+
+    expect(result).toMatchObject({ success: false, error: expect.stringContaining('no aplica') });
+  });
+});
+
+describe('applyPatchText', () => {
+  test('rechaza formatos desconocidos', () => {
+    expect(applyPatchText(project(), '').success).toBe(false);
+    expect(applyPatchText(project(), 'cambia el título').success).toBe(false);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, expect, test } from '@jest/globals';
+import JSZip from 'jszip';
+import { IMPORT_LIMITS, readZip, buildProject } from '../projectImportService.js';
+
+const zipOf = (files) => {
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(files)) zip.file(name, content);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+// Reescribe el tamaño descomprimido declarado (cabecera local y directorio central) de una entrada
+const forgeSize = (buffer, name, size) => {
+  const out = Buffer.from(buffer);
+  const nameAt = (offset, lengthOffset) => out.toString('utf8', offset, offset + out.readUInt16LE(lengthOffset));
+
+  for (let i = 0; i < out.length - 4; i++) {
+    const signature = out.readUInt32LE(i);
+    if (signature === 0x04034b50 && nameAt(i + 30, i + 26) === name) out.writeUInt32LE(size, i + 22);
+    if (signature === 0x02014b50 && nameAt(i + 46, i + 28) === name) out.writeUInt32LE(size, i + 24);
+  }
+  return out;
+};
+
+const viteProject = {
+  'package.json': JSON.stringify({ dependencies: { react: '^18.0.0' }, devDependencies: { vite: '^5.0.0' } }),
+  'index.html': '<div id="root"></div>',
+  'src/main.jsx': 'import App from "./App";\n',
+  'README.md': '# App\n'
+};
+
+describe('readZip', () => {
+  test('quita la carpeta común y omite dependencias, secretos y binarios', async () => {
+    const buffer = await zipOf({
+      'mi-app/package.json': '{}',
+      'mi-app/src/App.jsx': 'export default 1;\n',
+      'mi-app/node_modules/react/index.js': 'x',
+      'mi-app/.env': 'SECRET=1',
+      'mi-app/public/logo.png': 'png'
+    });
+
+    const result = await readZip(buffer);
+
+    expect(result.success).toBe(true);
+    expect(result.files.map(f => f.path).sort()).toEqual(['package.json', 'src/App.jsx']);
+    expect(result.skipped).toEqual(expect.arrayContaining([
+      { path: '.env', reason: 'secret' },
+      { path: 'public/logo.png', reason: 'binary' }
+    ]));
+  });
+
+  test('rechaza lo que no es un zip', async () => {
+    const result = await readZip(Buffer.from('no es un zip'));
+    expect(result).toMatchObject({ success: false, error: expect.stringContaining('zip válido') });
+  });
+
+  test('omite archivos que superan el máximo al descomprimir', async () => {
+    const buffer = await zipOf({ 'package.json': '{}', 'src/big.js': 'a'.repeat(IMPORT_LIMITS.maxFileSize + 1) });
+
+    const result = await readZip(buffer);
+
+    expect(result.success).toBe(true);
+    expect(result.skipped).toEqual([{ path: 'src/big.js', reason: 'too_large' }]);
+  });
+
+  test('corta un zip bomba aunque la cabecera declare un tamaño pequeño', async () => {
+    const buffer = await zipOf({ 'package.json': '{}', 'src/big.js': 'a'.repeat(3 * IMPORT_LIMITS.maxFileSize) });
+
+    const result = await readZip(forgeSize(buffer, 'src/big.js', 10));
+
+    expect(result.success).toBe(true);
+    expect(result.files.map(f => f.path)).toEqual(['package.json']);
+    expect(result.skipped).toEqual([{ path: 'src/big.js', reason: 'too_large' }]);
+  });
+
+  test('devuelve un error si una entrada está dañada', async () => {
+    const buffer = await zipOf({ 'package.json': '{}', 'src/App.jsx': 'const a = 1;\n'.repeat(100) });
+
+    const result = await readZip(forgeSize(buffer, 'src/App.jsx', 5));
+
+    expect(result).toMatchObject({ success: false, error: expect.stringContaining('src/App.jsx') });
+  });
+});
+
+describe('buildProject', () => {
+  const filesOf = (project) => Object.entries(project).map(([path, content]) => ({ path, content }));
+
+  test('reparte frontend, backend y root', () => {
+    const result = buildProject(filesOf({ ...viteProject, 'backend/server.js': 'app.listen(4000);\n' }));
+
+    expect(result.success).toBe(true);
+    expect(result.code.isFullstack).toBe(true);
+    expect(result.code.backend.files.map(f => f.path)).toEqual(['backend/server.js']);
+    expect(result.code.root.files.map(f => f.path)).toEqual(['README.md']);
+    expect(result.code.frontend.files.map(f => f.path)).toEqual(['package.json', 'index.html', 'src/main.jsx']);
+  });
+
+  test('exige React con Vite', () => {
+    const files = filesOf({ ...viteProject, 'package.json': JSON.stringify({ dependencies: { react: '^18.0.0' } }) });
+    expect(buildProject(files)).toMatchObject({ success: false, error: expect.stringContaining('Vite') });
+  });
+
+  test('exige package.json, index.html y src/', () => {
+    const { 'index.html': _index, ...withoutIndex } = viteProject;
+    const { 'src/main.jsx': _main, ...withoutSrc } = viteProject;
+
+    expect(buildProject([]).error).toContain('package.json');
+    expect(buildProject(filesOf(withoutIndex)).error).toContain('index.html');
+    expect(buildProject(filesOf(withoutSrc)).error).toContain('src/');
+  });
+
+  test('exige server.js si hay backend', () => {
+    const result = buildProject(filesOf({ ...viteProject, 'backend/routes.js': 'export default 1;\n' }));
+    expect(result).toMatchObject({ success: false, error: expect.stringContaining('server.js') });
+  });
+});
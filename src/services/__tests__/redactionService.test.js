@@ -0,0 +1,79 @@
+import { describe, expect, test } from '@jest/globals';
+import { redactText, redactUrl, redact, redactEvent } from '../redactionService.js';
+
+describe('redactText', () => {
+  test('oculta tokens con formato conocido', () => {
+    expect(redactText('Authorization: Bearer abc.def-123')).toBe('Authorization: Bearer [REDACTED]');
+    expect(redactText('token ya29.a0AfH6SMB-xyz')).toBe('token [REDACTED]');
+    expect(redactText('refresh 1//0gAbCdEfGhIjKlMnOpQrStUv')).toBe('refresh [REDACTED]');
+    expect(redactText('clave sk_test_FAKE0000 y rk_live_FAKE0000')).toBe('clave [REDACTED] y [REDACTED]');
+  });
+
+  test('oculta campos de tokens dentro de JSON y de cuerpos form-urlencoded', () => {
+    expect(redactText('{"access_token": "abc", "expires_in": 3599}')).toBe('{"access_token": "[REDACTED]", "expires_in": 3599}');
+    expect(redactText('grant_type=refresh_token&refresh_token=abc&client_secret=xyz'))
+      .toBe('grant_type=refresh_token&refresh_token=[REDACTED]&client_secret=[REDACTED]');
+  });
+
+  test('deja igual lo que no es texto', () => {
+    expect(redactText(42)).toBe(42);
+    expect(redactText(null)).toBeNull();
+  });
+});
+
+describe('redactUrl', () => {
+  test('oculta los parámetros sensibles y conserva el resto', () => {
+    expect(redactUrl('/api/google/callback?code=4/0Abc&state=xyz'))
+      .toBe('/api/google/callback?code=[REDACTED]&state=xyz');
+    expect(redactUrl('https://app.test/entitlements?token=abc.def'))
+      .toBe('https://app.test/entitlements?token=[REDACTED]');
+  });
+});
+
+describe('redact', () => {
+  test('oculta claves sensibles en objetos anidados sin mutar el original', () => {
+    const value = { user: 'ana', tokens: { access_token: 'a', refreshToken: 'b', expiry: 1 }, headers: { Authorization: 'x' } };
+
+    const result = redact(value);
+
+    expect(result).toEqual({ user: 'ana', tokens: { access_token: '[REDACTED]', refreshToken: '[REDACTED]', expiry: 1 }, headers: { Authorization: '[REDACTED]' } });
+    expect(value.tokens.access_token).toBe('a');
+  });
+
+  test('los errores siguen siendo Error con mensaje y stack redactados', () => {
+    const error = new Error('invalid_grant for ya29.secreto');
+    error.config = { data: 'refresh_token=abc' };
+
+    const result = redact(error);
+
+    expect(result).toBeInstanceOf(Error);
+    expect(result.message).toBe('invalid_grant for [REDACTED]');
+    expect(result.stack).not.toContain('ya29.secreto');
+    expect(result.config.data).toBe('refresh_token=[REDACTED]');
+  });
+
+  test('soporta referencias circulares y limita la profundidad', () => {
+    const value = { name: 'a' };
+    value.self = value;
+    const deep = { a: { b: { c: { d: { e: { f: { g: 1 } } } } } } };
+
+    expect(redact(value)).toEqual({ name: 'a', self: '[Circular]' });
+    expect(redact(deep).a.b.c.d.e.f).toBe('[Object]');
+  });
+});
+
+describe('redactEvent', () => {
+  test('limpia request, excepciones y breadcrumbs de Sentry', () => {
+    const event = redactEvent({
+      request: { url: 'https://api.test/callback?code=abc', query_string: 'code=abc&state=1', headers: { cookie: 'sid=1' } },
+      exception: { values: [{ value: 'Bearer abc' }] },
+      breadcrumbs: [{ message: 'GET /x?token=abc', data: { url: '/x?token=abc', api_key: 'k' } }]
+    });
+
+    expect(event.request.url).toBe('https://api.test/callback?code=[REDACTED]');
+    expect(event.request.query_string).toBe('code=[REDACTED]&state=1');
+    expect(event.request.headers.cookie).toBe('[REDACTED]');
+    expect(event.exception.values[0].value).toBe('Bearer [REDACTED]');
+    expect(event.breadcrumbs[0]).toEqual({ message: 'GET /x?token=[REDACTED]', data: { url: '/x?token=[REDACTED]', api_key: '[REDACTED]' } });
+  });
+});
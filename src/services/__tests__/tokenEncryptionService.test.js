@@ -0,0 +1,85 @@
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import crypto from 'crypto';
+import {
+  tokenContext,
+  isEncrypted,
+  encryptToken,
+  decryptToken,
+  needsReencryption,
+} from '../tokenEncryptionService.js';
+
+const newKey = () => crypto.randomBytes(32).toString('base64');
+const context = tokenContext('google_tokens', ['user-1', 'calendar'], 'refresh_token');
+
+describe('tokenEncryptionService', () => {
+  const original = process.env.TOKEN_ENCRYPTION_KEYS;
+  const oldKey = newKey();
+
+  beforeEach(() => {
+    process.env.TOKEN_ENCRYPTION_KEYS = `k1:${oldKey}`;
+  });
+
+  afterEach(() => {
+    if (original === undefined) delete process.env.TOKEN_ENCRYPTION_KEYS;
+    else process.env.TOKEN_ENCRYPTION_KEYS = original;
+  });
+
+  test('cifra y descifra con la clave activa', () => {
+    const encrypted = encryptToken('1//refresh-token', context);
+
+    expect(isEncrypted(encrypted)).toBe(true);
+    expect(encrypted.startsWith('enc:v1:k1:')).toBe(true);
+    expect(encrypted).not.toContain('refresh-token');
+    expect(decryptToken(encrypted, context)).toBe('1//refresh-token');
+  });
+
+  test('cada cifrado usa una clave de datos distinta', () => {
+    expect(encryptToken('igual', context)).not.toBe(encryptToken('igual', context));
+  });
+
+  test('un valor copiado a otra fila o columna no se descifra', () => {
+    const encrypted = encryptToken('secreto', context);
+
+    expect(() => decryptToken(encrypted, tokenContext('google_tokens', ['user-2', 'calendar'], 'refresh_token'))).toThrow('No se pudo descifrar');
+    expect(() => decryptToken(encrypted, tokenContext('google_tokens', ['user-1', 'calendar'], 'access_token'))).toThrow('No se pudo descifrar');
+  });
+
+  test('null y valores en claro se devuelven tal cual', () => {
+    expect(encryptToken(null, context)).toBeNull();
+    expect(decryptToken('ya29.en-claro', context)).toBe('ya29.en-claro');
+    expect(decryptToken(null, context)).toBeNull();
+  });
+
+  test('sin claves configuradas no guarda tokens en claro', () => {
+    process.env.TOKEN_ENCRYPTION_KEYS = '';
+    expect(() => encryptToken('secreto', context)).toThrow('TOKEN_ENCRYPTION_KEYS');
+  });
+
+  test('rechaza claves mal formadas', () => {
+    process.env.TOKEN_ENCRYPTION_KEYS = 'k1:corta';
+    expect(() => encryptToken('secreto', context)).toThrow('32 bytes');
+
+    process.env.TOKEN_ENCRYPTION_KEYS = newKey();
+    expect(() => encryptToken('secreto', context)).toThrow('formato');
+  });
+
+  test('tras rotar descifra con la clave anterior y marca el valor para re-cifrar', () => {
+    const encrypted = encryptToken('secreto', context);
+    expect(needsReencryption(encrypted)).toBe(false);
+
+    process.env.TOKEN_ENCRYPTION_KEYS = `k2:${newKey()},k1:${oldKey}`;
+
+    expect(decryptToken(encrypted, context)).toBe('secreto');
+    expect(needsReencryption(encrypted)).toBe(true);
+    expect(needsReencryption('en-claro')).toBe(true);
+    expect(needsReencryption(null)).toBe(false);
+    expect(encryptToken('secreto', context).startsWith('enc:v1:k2:')).toBe(true);
+  });
+
+  test('falla si la clave del valor ya no está configurada', () => {
+    const encrypted = encryptToken('secreto', context);
+    process.env.TOKEN_ENCRYPTION_KEYS = `k2:${newKey()}`;
+
+    expect(() => decryptToken(encrypted, context)).toThrow('desconocida: k1');
+  });
+});
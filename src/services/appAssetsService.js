@@ -0,0 +1,201 @@
+/**
+ * Archivos subidos por el usuario (app_files) dentro de sus apps
+ * - Generación y mejoras: se listan en el prompt con su ruta pública y categoría;
+ *   los CSV/JSON se ofrecen como datos iniciales con una vista previa
+ * - Deploy: se copian a public/uploads/ (y los de datos también a backend/seed/ si hay backend)
+ * El código de las versiones no guarda los archivos: se inyectan al montar el proyecto que se despliega.
+ */
+
+import path from 'path';
+import { query } from '../config/database.js';
+import { fileUploadService } from './fileUploadService.js';
+
+export const ASSET_CATEGORIES = ['image', 'font', 'data'];
+
+const PUBLIC_DIR = 'public/';
+const ASSETS_DIR = 'uploads/';
+const SEED_DIR = 'backend/seed/';
+
+// Límites para no inflar el deploy ni el prompt
+const MAX_DEPLOY_BYTES = 20 * 1024 * 1024;
+const MAX_SEED_PREVIEWS = 5;
+const SEED_PREVIEW_BYTES = 2000;
+
+const TEXT_MIME_TYPES = ['text/csv', 'application/json', 'application/xml', 'image/svg+xml'];
+
+/**
+ * Nombre público estable: logo.png, o logo-1a2b3c4d.png si otro archivo de la app se llama igual
+ */
+const toPublicName = (originalName) => {
+  const extension = path.extname(originalName).toLowerCase().replace(/[^a-z0-9.]/g, '');
+  const base = path.basename(originalName, path.extname(originalName))
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+
+  return `${base || 'file'}${extension}`;
+};
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+/**
+ * Archivos de la app que se pueden usar en el código (imágenes, fuentes y datos)
+ * @returns {Promise<Array>} - [{ id, name, publicPath, url, category, mimeType, size, originalName, source, spec }]
+ *   source: storage_key/storage_driver (o path si el archivo aún está en disco) para leer el contenido
+ */
+export const getAppAssets = async (appId) => {
+  const result = await query(
+    'SELECT * FROM app_files WHERE app_id = $1 ORDER BY uploaded_at ASC',
+    [appId]
+  );
+
+  const used = new Set();
+
+  return result.rows
+    .map(row => ({ row, category: fileUploadService.getFileCategory(row.mime_type || '') }))
+    .filter(({ category }) => ASSET_CATEGORIES.includes(category))
+    .map(({ row, category }) => {
+      let name = toPublicName(row.original_name || row.file_name);
+      if (used.has(name)) {
+        const extension = path.extname(name);
+        name = `${path.basename(name, extension)}-${String(row.id).slice(0, 8)}${extension}`;
+      }
+      used.add(name);
+
+      return {
+        id: row.id,
+        name,
+        publicPath: `${PUBLIC_DIR}${ASSETS_DIR}${name}`,
+        url: `${ASSETS_DIR}${name}`,
+        category,
+        mimeType: row.mime_type,
+        size: Number(row.size) || 0,
+        originalName: row.original_name,
+        source: { storage_key: row.storage_key, storage_driver: row.storage_driver, path: row.path },
+        spec: typeof row.file_spec === 'string' ? JSON.parse(row.file_spec || 'null') : row.file_spec
+      };
+    });
+};
+
+const readAsset = async (asset) => {
+  try {
+    return await fileUploadService.readFileContent(asset.source);
+  } catch (error) {
+    console.warn(`⚠️ [ASSETS] No se pudo leer ${asset.name}: ${error.message}`);
+    return null;
+  }
+};
+
+// Solo el principio del archivo va al prompt (los CSV pueden ser grandes)
+const readPreview = async (asset) => {
+  const buffer = await readAsset(asset);
+  if (!buffer) return null;
+
+  const content = buffer.subarray(0, SEED_PREVIEW_BYTES).toString('utf8');
+  return buffer.length > SEED_PREVIEW_BYTES ? `${content}\n...` : content;
+};
+
+const SEED_INSTRUCTIONS = {
+  frontend: `Load them with fetch(import.meta.env.BASE_URL + 'uploads/<name>') in useEffect (parse CSV by lines and commas)`,
+  fullstack: 'The backend loads these files into its storage: read this data from the REST API, not from the files',
+  backend: `They are copied to seed/<name> next to server.js: read them at startup with fs.readFileSync(new URL('./seed/<name>', import.meta.url)) (no writes) and load them into storage`
+};
+
+/**
+ * Bloque del prompt con los archivos subidos (vacío si no hay)
+ * @param {Array} assets - getAppAssets
+ * @param {Object} options - { side: 'frontend'|'backend', fullstack: la app tiene backend }
+ */
+export const buildAssetsPrompt = async (assets, { side = 'frontend', fullstack = false } = {}) => {
+  if (!assets?.length) return '';
+
+  const blocks = [];
+
+  // El backend solo necesita los datos; las imágenes y fuentes las usa el frontend
+  if (side === 'frontend') {
+    const lines = assets.map(asset => {
+      const purpose = asset.spec?.description || asset.spec?.purpose;
+      return `  - ${asset.url} (${asset.category}, ${formatSize(asset.size)}, uploaded as "${asset.originalName}")${purpose ? ` — ${purpose}` : ''}`;
+    });
+
+    blocks.push(`- UPLOADED FILES: the user uploaded these files and they are served with the app. Use them instead of placeholders.
+  Reference them as import.meta.env.BASE_URL + 'uploads/<name>' (never a hardcoded domain):
+${lines.join('\n')}
+  - Images: use the logo in the navigation and the rest where they fit; fonts: load them with @font-face`);
+  }
+
+  const dataAssets = assets.filter(asset => asset.category === 'data').slice(0, MAX_SEED_PREVIEWS);
+  const previews = [];
+
+  for (const asset of dataAssets) {
+    const preview = await readPreview(asset);
+    if (preview) previews.push(`  ${asset.name}:\n\`\`\`\n${preview.trimEnd()}\n\`\`\``);
+  }
+
+  if (previews.length) {
+    const instructions = side === 'backend'
+      ? SEED_INSTRUCTIONS.backend
+      : fullstack ? SEED_INSTRUCTIONS.fullstack : SEED_INSTRUCTIONS.frontend;
+
+    blocks.push(`- SEED DATA: use the uploaded data files as the initial data of the app instead of inventing mock data.
+  ${instructions}
+${previews.join('\n')}`);
+  }
+
+  return blocks.join('\n');
+};
+
+/**
+ * Añadir los archivos subidos al proyecto que se despliega
+ * Binarios en base64 (encoding: 'base64'); CSV/JSON/SVG como texto
+ * @param {Object} code - Código normalizado
+ * @returns {Promise<Object>} - Copia del código con public/uploads/* (y backend/seed/*)
+ */
+export const injectAssets = async (code, assets) => {
+  if (!assets?.length) return code;
+
+  const frontendFiles = [...(code.frontend?.files || [])];
+  const backendFiles = code.backend ? [...code.backend.files] : null;
+  let total = 0;
+
+  for (const asset of assets) {
+    if (total + asset.size > MAX_DEPLOY_BYTES) {
+      console.warn(`⚠️ [ASSETS] ${asset.name} no se incluye: supera ${MAX_DEPLOY_BYTES / (1024 * 1024)} MB de archivos`);
+      continue;
+    }
+
+    const buffer = await readAsset(asset);
+    if (!buffer) continue;
+
+    total += buffer.length;
+
+    const isText = TEXT_MIME_TYPES.includes(asset.mimeType);
+    const file = isText
+      ? { path: asset.publicPath, content: buffer.toString('utf8') }
+      : { path: asset.publicPath, content: buffer.toString('base64'), encoding: 'base64' };
+
+    frontendFiles.push(file);
+
+    if (backendFiles && asset.category === 'data') {
+      backendFiles.push({ path: `${SEED_DIR}${asset.name}`, content: buffer.toString('utf8') });
+    }
+  }
+
+  console.log(`🖼️ [ASSETS] ${assets.length} archivos subidos añadidos al proyecto`);
+
+  return {
+    ...code,
+    frontend: { ...code.frontend, files: frontendFiles },
+    ...(backendFiles ? { backend: { ...code.backend, files: backendFiles } } : {})
+  };
+};
+
+export default {
+  ASSET_CATEGORIES,
+  getAppAssets,
+  buildAssetsPrompt,
+  injectAssets,
+};
@@ -4,30 +4,62 @@
  */
 
 import claudeService from './claudeService.js';
+import { validationService } from './validationService.js';
+import { compilationTester } from './compilationTester.js';
+import { buildMonitor } from './buildMonitor.js';
+import { usesDatabase, getDatabaseFiles, getDatabaseDependencies, getDatabaseEnv, getDatabaseReadme } from './databaseScaffold.js';
+import { getPaymentsScript } from './paymentsScaffold.js';
+import { getGoogleScript, normalizeGoogleApis } from './googleScaffold.js';
+import { getAppAssets } from './appAssetsService.js';
 import { query, transaction } from '../config/database.js';
 
 export class AppGenerator {
   constructor() {
-    this.maxAttempts = 1;
+    // Validaciones por generación: la inicial + (maxAttempts - 1) reparaciones
+    this.maxAttempts = parseInt(process.env.GENERATION_MAX_ATTEMPTS, 10) || 3;
+    // Build real con Vite (npm install por intento): opcional por costo
+    this.compileCheck = process.env.GENERATION_COMPILE_CHECK === 'true';
   }
 
-  async generateApp(userId, appData) {
+  /**
+   * Generar app completa
+   * @param {Object} options - { appId: fila de apps ya creada (jobs), onProgress: callback de streaming }
+   */
+  async generateApp(userId, appData, options = {}) {
+    const { appId = null, onProgress = null } = options;
+
     try {
       console.log(`🚀 Generando app para usuario ${userId}: ${appData.name}`);
 
-      const claudeResult = await claudeService.generateApp(appData.description, {
+      // 'planned' = manifest + un archivo por llamada; 'single' = App.jsx + server.js
+      const generate = appData.generationMode === 'planned'
+        ? claudeService.generatePlannedApp.bind(claudeService)
+        : claudeService.generateApp.bind(claudeService);
+
+      const claudeResult = await generate(appData.description, {
         style: appData.style,
         colors: appData.colors,
         googleApis: appData.googleApis,
         requiresPayments: appData.requiresPayments,
-        stripePriceIds: appData.stripePriceIds
+        stripePriceIds: appData.stripePriceIds,
+        databaseTarget: appData.database,
+        modules: appData.modules,
+        // Archivos subidos a la app antes de generar (solo en generación vía job, con appId)
+        assets: appId ? await getAppAssets(appId) : [],
+        onProgress
       });
 
       if (!claudeResult.success) {
         throw new Error(`Claude falló: ${claudeResult.error}`);
       }
 
-      const app = await this.saveApp(userId, appData, claudeResult);
+      const { result: finalResult, validation } = await this.validateAndRepair(claudeResult, {
+        appId,
+        description: appData.description,
+        onProgress
+      });
+
+      const app = await this.saveApp(userId, appData, finalResult, appId);
 
       // Si la app necesita pagos y el usuario tiene Stripe Connect
       if (appData.requiresPayments && appData.stripeProducts?.length > 0) {
@@ -58,39 +90,66 @@ export class AppGenerator {
         }
       }
 
-      console.log(`✅ App generada: ${app.id} — ${claudeResult.isFullstack ? 'FULLSTACK' : 'FRONTEND'}`);
-      return { success: true, app, isFullstack: claudeResult.isFullstack };
+      console.log(`✅ App generada: ${app.id} — ${finalResult.isFullstack ? 'FULLSTACK' : 'FRONTEND'}`);
+      return {
+        success: true,
+        app,
+        isFullstack: finalResult.isFullstack,
+        validation,
+        tokensUsed: finalResult.tokensUsed || claudeResult.tokensUsed || 0
+      };
 
     } catch (error) {
       console.error(`❌ Error en generación:`, error);
-      return await this.useFallbackTemplate(userId, appData, error.message);
+      return await this.useFallbackTemplate(userId, appData, error.message, appId);
     }
   }
 
-  async saveApp(userId, appData, claudeResult) {
+  /**
+   * Guardar app + versión 1
+   * Si se pasa appId (generación vía job) se actualiza esa fila en lugar de insertar
+   */
+  async saveApp(userId, appData, claudeResult, appId = null) {
     return await transaction(async (client) => {
-      const appResult = await client.query(
-        `INSERT INTO apps (
-          user_id, name, description, prompt, tech_stack, status,
-          google_apis, requires_payments, stripe_price_ids
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        RETURNING *`,
-        [
-          userId,
-          appData.name,
-          appData.description,
-          appData.description,
-          JSON.stringify({
-            style: appData.style,
-            colors: appData.colors,
-            isFullstack: claudeResult.isFullstack || false
-          }),
-          'ready',
-          appData.googleApis || [],
-          appData.requiresPayments || false,
-          appData.stripePriceIds || null
-        ]
-      );
+      const appValues = [
+        userId,
+        appData.name,
+        appData.description,
+        appData.description,
+        JSON.stringify({
+          style: appData.style,
+          colors: appData.colors,
+          isFullstack: claudeResult.isFullstack || false,
+          generationMode: claudeResult.mode || 'single',
+          database: claudeResult.database?.dialect || 'memory'
+        }),
+        'ready',
+        appData.googleApis || [],
+        appData.requiresPayments || false,
+        appData.stripePriceIds || null
+      ];
+
+      const appResult = appId
+        ? await client.query(
+          `UPDATE apps SET
+            name = $2, description = $3, prompt = $4, tech_stack = $5, status = $6,
+            google_apis = $7, requires_payments = $8, stripe_price_ids = $9, updated_at = NOW()
+          WHERE id = $10 AND user_id = $1
+          RETURNING *`,
+          [...appValues, appId]
+        )
+        : await client.query(
+          `INSERT INTO apps (
+            user_id, name, description, prompt, tech_stack, status,
+            google_apis, requires_payments, stripe_price_ids
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          RETURNING *`,
+          appValues
+        );
+
+      if (appResult.rows.length === 0) {
+        throw new Error(`App ${appId} no encontrada`);
+      }
 
       const app = appResult.rows[0];
 
@@ -100,7 +159,10 @@ export class AppGenerator {
         claudeResult.code,
         appData.googleApis || [],
         appData.requiresPayments || false,
-        claudeResult.backendCode || null
+        claudeResult.backendCode || null,
+        claudeResult.files || null,
+        claudeResult.database || null,
+        app.id
       );
 
       await client.query(
@@ -118,9 +180,19 @@ export class AppGenerator {
     });
   }
 
-  createProjectStructure(appName, frontendCode, googleApis = [], requiresPayments = false, backendCode = null) {
+  /**
+   * Construir proyecto { frontend, backend, root }
+   * @param {Object} generatedFiles - Modo 'planned': { frontend, backend, dependencies }
+   *   (rutas de backend relativas a backend/, se agregan sobre el scaffold)
+   * @param {Object} database - { dialect: 'postgres' | 'sqlite', schema } o null (memoria)
+   * @param {string} appId - Para window.AppPayments y window.AppGoogle (/api/runtime/:appId)
+   */
+  createProjectStructure(appName, frontendCode, googleApis = [], requiresPayments = false, backendCode = null, generatedFiles = null, database = null, appId = null) {
     const slug = appName.toLowerCase().replace(/\s+/g, '-');
     const isFullstack = !!backendCode;
+    const extraDeps = generatedFiles?.dependencies || {};
+    const dialect = isFullstack && usesDatabase(database?.dialect) ? database.dialect : null;
+    const runtimeGoogleApis = normalizeGoogleApis(googleApis);
 
     const frontendFiles = [
       {
@@ -136,7 +208,8 @@ export class AppGenerator {
           },
           dependencies: {
             react: '^18.2.0',
-            'react-dom': '^18.2.0'
+            'react-dom': '^18.2.0',
+            ...(extraDeps.frontend || {})
           },
           devDependencies: {
             vite: '^5.0.0',
@@ -192,8 +265,8 @@ export default {
     <link rel="preconnect" href="https://fonts.googleapis.com" />
     <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin />
     <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800&display=swap" rel="stylesheet" />
-    ${requiresPayments ? '<script src="https://js.stripe.com/v3/"></script>' : ''}
-    ${googleApis.includes('Maps') || googleApis.includes('maps') ? `<script src="https://maps.googleapis.com/maps/api/js?key=${process.env.GOOGLE_API_KEY}&libraries=places"></script>` : ''}
+    ${requiresPayments && appId ? getPaymentsScript(appId) : ''}
+    ${runtimeGoogleApis.length && appId ? getGoogleScript(appId, runtimeGoogleApis) : ''}
   </head>
   <body>
     <div id="root"></div>
@@ -252,20 +325,22 @@ html { scroll-behavior: smooth; }
           main: 'server.js',
           scripts: {
             start: 'node server.js',
-            dev: 'nodemon server.js'
+            dev: 'nodemon server.js',
+            ...(dialect ? { migrate: 'node migrate.js' } : {})
           },
           dependencies: {
             express: '^4.18.2',
             cors: '^2.8.5',
             jsonwebtoken: '^9.0.2',
             bcryptjs: '^2.4.3',
-            ...(requiresPayments ? { stripe: '^14.0.0' } : {}),
             dotenv: '^16.3.1',
             ...(googleApis?.some(a => a.toLowerCase().includes('mail') || a.toLowerCase().includes('email'))
               ? { nodemailer: '^6.9.7' }
               : {}),
             qrcode: '^1.5.3',
-            uuid: '^9.0.0'
+            uuid: '^9.0.0',
+            ...getDatabaseDependencies(dialect),
+            ...(extraDeps.backend || {})
           },
           devDependencies: {
             nodemon: '^3.0.2'
@@ -276,7 +351,7 @@ html { scroll-behavior: smooth; }
         path: 'backend/.env.example',
         content: `PORT=4000
 JWT_SECRET=your_jwt_secret_here_change_in_production
-${requiresPayments ? 'STRIPE_SECRET_KEY=sk_test_YOUR_KEY\nSTRIPE_PUBLISHABLE_KEY=pk_test_YOUR_KEY\nSTRIPE_WEBHOOK_SECRET=whsec_YOUR_SECRET\n' : ''}FRONTEND_URL=http://localhost:3000
+${getDatabaseEnv(dialect)}FRONTEND_URL=http://localhost:3000
 `
       },
       {
@@ -294,11 +369,12 @@ cd backend
 npm install
 cp .env.example .env
 # Edit .env with your values
-npm run dev
+${dialect ? 'npm run migrate\n' : ''}npm run dev
 \`\`\`
 
 ## API runs on http://localhost:4000
 
+${getDatabaseReadme(dialect)}
 ## Endpoints
 - POST /api/auth/register
 - POST /api/auth/login
@@ -308,6 +384,19 @@ npm run dev
       }
     ] : [];
 
+    // ─── BASE DE DATOS (db.js + migraciones) ────────────────
+    if (dialect) {
+      mergeFiles(backendFiles, getDatabaseFiles(dialect, database.schema));
+    }
+
+    // ─── ARCHIVOS DEL MODO PLANNED ───────────────────────────
+    if (generatedFiles) {
+      mergeFiles(frontendFiles, generatedFiles.frontend || []);
+      if (isFullstack) {
+        mergeFiles(backendFiles, (generatedFiles.backend || []).map(f => ({ ...f, path: `backend/${f.path}` })));
+      }
+    }
+
     // ─── README RAÍZ ───────────────────────────────────────
     const rootFiles = [
       {
@@ -325,8 +414,8 @@ ${isFullstack ? `## Arquitectura
 cd backend
 npm install
 cp .env.example .env
-# Edita .env con tus valores reales
-npm run dev
+# Edita .env con tus valores reales${dialect ? ' (DATABASE_URL incluida)' : ''}
+${dialect ? 'npm run migrate\n' : ''}npm run dev
 \`\`\`
 
 ### 2. Instalar y ejecutar el frontend
@@ -338,7 +427,10 @@ npm run dev
 ### 3. Abrir en el navegador
 - Frontend: http://localhost:3000
 - API: http://localhost:4000/api
-` : `## Instrucciones
+
+En producción el frontend llama a la API en \`VITE_API_URL\` (se define al desplegar).
+${dialect ? `
+${getDatabaseReadme(dialect)}` : ''}` : `## Instrucciones
 
 \`\`\`bash
 npm install
@@ -361,9 +453,132 @@ Abre http://localhost:3000
     };
   }
 
-  async useFallbackTemplate(userId, appData, errorMessage) {
+  // ─── VALIDACIÓN Y REPARACIÓN ─────────────────────────────
+
+  /**
+   * Validar el resultado de Claude y pedir correcciones puntuales hasta maxAttempts
+   * Cada intento se registra en build_logs con su score.
+   * Si ningún intento queda limpio se guarda el de mejor score (nunca el placeholder).
+   * @param {Object} options - { appId, description, onProgress }
+   * @returns {Object} - { result, validation: { isValid, score, attempts, errors } }
+   */
+  async validateAndRepair(claudeResult, options = {}) {
+    const { appId = null, description, onProgress = null } = options;
+
+    let result = claudeResult;
+    let best = null;
+    let attempt = 0;
+    let repairTokens = 0;
+
+    while (attempt < this.maxAttempts) {
+      attempt++;
+
+      const report = await this.validateResult(result);
+      const errors = report.failing.flatMap(f => f.errors.map(e => ({ path: f.path, type: e.type, message: e.message })));
+      const isLast = report.isValid || attempt === this.maxAttempts;
+
+      if (!best || report.score > best.report.score) {
+        best = { result, report, attempt };
+      }
+
+      if (appId) {
+        await buildMonitor.trackBuild(appId, report.isValid ? 'success' : (isLast ? 'failed' : 'repair'), {
+          stage: 'validation',
+          attempt,
+          mode: result.mode || 'single',
+          score: report.score,
+          errors: errors.slice(0, 20)
+        });
+      }
+
+      console.log(`🔎 Validación intento ${attempt}/${this.maxAttempts}: score ${report.score}, ${errors.length} error(es)`);
+
+      if (isLast) break;
+
+      try {
+        const repairs = await Promise.all(report.failing.map(file =>
+          claudeService.repairFile(file, file.errors, {
+            description,
+            onProgress: onProgress ? (data) => onProgress(`repair${attempt}:${file.side}:${file.path}`, data) : null
+          })
+        ));
+        repairTokens += repairs.reduce((sum, r) => sum + (r.tokens || 0), 0);
+        result = applyRepairs(result, repairs);
+      } catch (error) {
+        console.error('⚠️ Reparación falló, se conserva el mejor intento:', error.message);
+        break;
+      }
+    }
+
+    if (!best.report.isValid) {
+      console.warn(`⚠️ Sin versión limpia tras ${attempt} intento(s); se guarda el intento ${best.attempt} (score ${best.report.score})`);
+    }
+
+    return {
+      result: { ...best.result, tokensUsed: (claudeResult.tokensUsed || 0) + repairTokens },
+      validation: {
+        isValid: best.report.isValid,
+        score: best.report.score,
+        attempts: attempt,
+        errors: best.report.failing.flatMap(f => f.errors.map(e => ({ path: f.path, type: e.type, message: e.message })))
+      }
+    };
+  }
+
+  /**
+   * Validar todos los archivos de código del resultado
+   * @returns {Object} - { isValid, score (el del peor archivo), failing: [{ side, path, content, errors }] }
+   */
+  async validateResult(result) {
+    const files = [
+      { side: 'frontend', path: 'src/App.jsx', content: result.code },
+      ...(result.files?.frontend || [])
+        .filter(f => f.path.endsWith('.jsx'))
+        .map(f => ({ side: 'frontend', ...f })),
+      ...(result.backendCode ? [{ side: 'backend', path: 'server.js', content: result.backendCode }] : []),
+      ...(result.files?.backend || [])
+        .filter(f => f.path.endsWith('.js'))
+        .map(f => ({ side: 'backend', ...f }))
+    ];
+
+    const failing = [];
+    let score = 100;
+
+    for (const file of files) {
+      const validation = file.side === 'frontend'
+        ? validationService.validateGeneratedCode(file.content)
+        : validationService.validateBackendCode(file.content);
+
+      score = Math.min(score, validation.score);
+      if (!validation.isValid) {
+        failing.push({ ...file, errors: validation.errors });
+      }
+    }
+
+    // El build de prueba solo cubre App.jsx sin imports locales (modo single)
+    if (this.compileCheck && failing.length === 0 && !result.files) {
+      const compilation = await compilationTester.testCompilation(result.code);
+      score = Math.min(score, compilation.score);
+      if (!compilation.success) {
+        failing.push({
+          side: 'frontend',
+          path: 'src/App.jsx',
+          content: result.code,
+          errors: compilation.errors.map(message => ({ type: 'COMPILE_ERROR', message }))
+        });
+      }
+    }
+
+    return { isValid: failing.length === 0, score, failing };
+  }
+
+  async useFallbackTemplate(userId, appData, errorMessage, appId = null) {
     console.log(`📦 Usando fallback para usuario ${userId}: ${errorMessage}`);
 
+    if (appId) {
+      await buildMonitor.trackBuild(appId, 'fallback', { stage: 'generation', error: errorMessage });
+    }
+
     const fallbackCode = `import React from 'react';
 
 export default function App() {
@@ -415,9 +630,49 @@ export default function App() {
       tokensUsed: 0
     };
 
-    const app = await this.saveApp(userId, appData, fallbackResult);
+    const app = await this.saveApp(userId, appData, fallbackResult, appId);
     return { success: true, app, fallbackUsed: true };
   }
 }
 
+/**
+ * Reemplazar en el resultado de Claude los archivos corregidos
+ */
+function applyRepairs(result, repairs) {
+  const next = {
+    ...result,
+    files: result.files
+      ? { ...result.files, frontend: [...result.files.frontend], backend: [...result.files.backend] }
+      : result.files
+  };
+
+  for (const repair of repairs) {
+    if (!repair.content) continue;
+
+    if (repair.side === 'frontend' && repair.path === 'src/App.jsx') {
+      next.code = repair.content;
+    } else if (repair.side === 'backend' && repair.path === 'server.js') {
+      next.backendCode = repair.content;
+    } else if (next.files) {
+      const list = next.files[repair.side];
+      const index = list.findIndex(f => f.path === repair.path);
+      if (index !== -1) list[index] = { path: repair.path, content: repair.content };
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Agregar archivos generados al scaffold (reemplaza si la ruta ya existe)
+ */
+function mergeFiles(target, files) {
+  for (const file of files) {
+    const entry = { path: file.path, content: file.content };
+    const index = target.findIndex(f => f.path === file.path);
+    if (index === -1) target.push(entry);
+    else target[index] = entry;
+  }
+}
+
 export const appGenerator = new AppGenerator();
\ No newline at end of file
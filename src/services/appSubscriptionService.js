@@ -0,0 +1,241 @@
+/**
+ * Suscripciones de los usuarios finales de las apps generadas
+ * Se crean con un checkout en mode: 'subscription' en la cuenta Connect del dueño de la app
+ * y se guardan en app_customer_subscriptions (webhook customer.subscription.* y confirmación del checkout).
+ * El navegador del comprador recibe un customerToken (HMAC de app + customer) para ver su
+ * suscripción y abrir el portal de cliente sin tener cuenta en la plataforma.
+ */
+
+import crypto from 'crypto';
+import Stripe from 'stripe';
+import { query } from '../config/database.js';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// Estados de Stripe con acceso al contenido de la app (igual que ENTITLED_STATUSES de la plataforma)
+export const ENTITLED_SUBSCRIPTION_STATUSES = ['trialing', 'active', 'past_due'];
+
+const tokenSecret = () =>
+  process.env.RUNTIME_TOKEN_SECRET ||
+  crypto.createHash('sha256').update(`runtime:${process.env.STRIPE_SECRET_KEY}`).digest('hex');
+
+const signCustomer = (appId, customerId) =>
+  crypto.createHmac('sha256', tokenSecret()).update(`${appId}:${customerId}`).digest('base64url');
+
+/**
+ * Token del comprador para una app (no caduca: identifica al customer de Stripe, no a una sesión)
+ */
+export const createCustomerToken = (appId, customerId) =>
+  `${Buffer.from(customerId).toString('base64url')}.${signCustomer(appId, customerId)}`;
+
+/**
+ * @returns {string|null} - ID del customer de Stripe, o null si el token no es de esta app
+ */
+export const verifyCustomerToken = (appId, token) => {
+  const [encoded, signature] = String(token || '').split('.');
+  if (!encoded || !signature) return null;
+
+  const customerId = Buffer.from(encoded, 'base64url').toString();
+  const expected = Buffer.from(signCustomer(appId, customerId));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+  return customerId;
+};
+
+const toDate = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+const formatSubscription = (row) => ({
+  priceId: row.price_id,
+  status: row.status,
+  active: ENTITLED_SUBSCRIPTION_STATUSES.includes(row.status),
+  quantity: row.quantity,
+  currentPeriodEnd: row.current_period_end,
+  trialEnd: row.trial_end,
+  cancelAtPeriodEnd: row.cancel_at_period_end
+});
+
+/**
+ * Guardar una suscripción de la cuenta conectada (webhook customer.subscription.* o confirmación)
+ * Solo se guardan suscripciones de apps de esa misma cuenta
+ * @param {Object} subscription - Suscripción de Stripe
+ * @param {string} stripeAccountId - Cuenta conectada (event.account)
+ */
+export const syncSubscription = async (subscription, stripeAccountId) => {
+  let appId = subscription.metadata?.appId;
+
+  if (!appId) {
+    const existing = await query(
+      'SELECT app_id FROM app_customer_subscriptions WHERE stripe_subscription_id = $1',
+      [subscription.id]
+    );
+    appId = existing.rows[0]?.app_id;
+  }
+
+  const app = appId
+    ? await query('SELECT id FROM apps WHERE id = $1 AND stripe_account_id = $2', [appId, stripeAccountId])
+    : { rows: [] };
+
+  if (!app.rows[0]) {
+    return { success: true, skipped: true };
+  }
+
+  const customerId = typeof subscription.customer === 'string' ? subscription.customer : subscription.customer?.id;
+  let customerEmail = typeof subscription.customer === 'object' ? subscription.customer?.email : null;
+
+  if (!customerEmail && customerId) {
+    try {
+      const customer = await stripe.customers.retrieve(customerId, {}, { stripeAccount: stripeAccountId });
+      customerEmail = customer.email || null;
+    } catch (error) {
+      console.error(`⚠️ No se pudo leer el customer ${customerId}:`, error.message);
+    }
+  }
+
+  const item = subscription.items?.data?.[0];
+
+  const result = await query(
+    `INSERT INTO app_customer_subscriptions (
+      app_id, stripe_account_id, stripe_subscription_id, stripe_customer_id, customer_ref, customer_email,
+      price_id, status, quantity, current_period_end, trial_end, cancel_at_period_end, canceled_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    ON CONFLICT (stripe_subscription_id) DO UPDATE SET
+      customer_ref = COALESCE(EXCLUDED.customer_ref, app_customer_subscriptions.customer_ref),
+      customer_email = COALESCE(EXCLUDED.customer_email, app_customer_subscriptions.customer_email),
+      price_id = EXCLUDED.price_id,
+      status = EXCLUDED.status,
+      quantity = EXCLUDED.quantity,
+      current_period_end = EXCLUDED.current_period_end,
+      trial_end = EXCLUDED.trial_end,
+      cancel_at_period_end = EXCLUDED.cancel_at_period_end,
+      canceled_at = EXCLUDED.canceled_at,
+      updated_at = NOW()
+    RETURNING *`,
+    [
+      app.rows[0].id,
+      stripeAccountId,
+      subscription.id,
+      customerId,
+      subscription.metadata?.customerRef || null,
+      customerEmail,
+      item?.price?.id || null,
+      subscription.status,
+      item?.quantity || 1,
+      toDate(subscription.current_period_end),
+      toDate(subscription.trial_end),
+      !!subscription.cancel_at_period_end,
+      toDate(subscription.canceled_at)
+    ]
+  );
+
+  console.log(`🔁 [APP-SUBS] ${subscription.id} (${subscription.status}) app ${app.rows[0].id}`);
+
+  return { success: true, subscription: result.rows[0] };
+};
+
+/**
+ * Confirmar un checkout de suscripción al volver a la app (?session_id=...)
+ * @param {Object} app - Fila de apps (id, stripe_account_id)
+ * @returns {Promise<Object>} - { success, customerToken, subscription } o { success: false, error }
+ */
+export const confirmCheckout = async (app, sessionId) => {
+  const session = await stripe.checkout.sessions.retrieve(
+    sessionId,
+    { expand: ['subscription'] },
+    { stripeAccount: app.stripe_account_id }
+  );
+
+  if (session.metadata?.appId !== app.id || session.mode !== 'subscription' || !session.subscription) {
+    return { success: false, error: 'Checkout no válido para esta app' };
+  }
+
+  if (session.status !== 'complete') {
+    return { success: false, error: 'El checkout no se ha completado' };
+  }
+
+  const synced = await syncSubscription(session.subscription, app.stripe_account_id);
+  const customerId = synced.subscription?.stripe_customer_id;
+
+  if (!customerId) {
+    return { success: false, error: 'Suscripción no encontrada' };
+  }
+
+  return {
+    success: true,
+    customerToken: createCustomerToken(app.id, customerId),
+    subscription: formatSubscription(synced.subscription)
+  };
+};
+
+/**
+ * Entitlements de un usuario final por su customer de Stripe (el del customerToken verificado)
+ * @returns {Promise<Object>} - { active, priceIds, subscriptions }
+ */
+export const getEntitlements = async (appId, customerId) => {
+  const result = await query(
+    `SELECT * FROM app_customer_subscriptions
+     WHERE app_id = $1 AND stripe_customer_id = $2
+     ORDER BY created_at DESC`,
+    [appId, customerId]
+  );
+
+  const subscriptions = result.rows.map(formatSubscription);
+  const active = subscriptions.filter(subscription => subscription.active);
+
+  return {
+    active: active.length > 0,
+    priceIds: [...new Set(active.map(subscription => subscription.priceId))],
+    subscriptions
+  };
+};
+
+/**
+ * Portal de cliente de Stripe (en la cuenta conectada) para un comprador de la app
+ * Si la cuenta no tiene configuración del portal se crea una por defecto
+ * @returns {Promise<Object>} - { success, url } o { success: false, error }
+ */
+export const createPortalSession = async (app, customerId, returnUrl) => {
+  const owned = await query(
+    'SELECT 1 FROM app_customer_subscriptions WHERE app_id = $1 AND stripe_customer_id = $2 LIMIT 1',
+    [app.id, customerId]
+  );
+
+  if (owned.rows.length === 0) {
+    return { success: false, error: 'No hay suscripciones para este cliente' };
+  }
+
+  const options = { stripeAccount: app.stripe_account_id };
+  const create = () => stripe.billingPortal.sessions.create({ customer: customerId, return_url: returnUrl }, options);
+
+  try {
+    const session = await create();
+    return { success: true, url: session.url };
+  } catch (error) {
+    if (!/configuration/i.test(error.message)) throw error;
+
+    await stripe.billingPortal.configurations.create({
+      business_profile: { headline: app.name },
+      features: {
+        customer_update: { enabled: true, allowed_updates: ['email'] },
+        invoice_history: { enabled: true },
+        payment_method_update: { enabled: true },
+        subscription_cancel: { enabled: true, mode: 'at_period_end' }
+      }
+    }, options);
+
+    console.log(`🛠️ [APP-SUBS] Portal de cliente configurado para ${app.stripe_account_id}`);
+
+    const session = await create();
+    return { success: true, url: session.url };
+  }
+};
+
+export default {
+  ENTITLED_SUBSCRIPTION_STATUSES,
+  createCustomerToken,
+  verifyCustomerToken,
+  syncSubscription,
+  confirmCheckout,
+  getEntitlements,
+  createPortalSession,
+};
@@ -0,0 +1,552 @@
+/**
+ * Máquina de estados de suscripciones
+ * trial → active → past_due → grace → suspended → canceled
+ *
+ * Todo cambio de subscriptions.status pasa por transition(): valida que el evento sea válido
+ * desde el estado actual, guarda el cambio en subscription_transitions y, en la misma transacción,
+ * encola los efectos de la transición (suspender/reactivar apps y dominios, emails) como un job
+ * billing_effects con clave = transitionId. Si un efecto falla (Vercel, GoDaddy) el job se reintenta;
+ * cada efecto es idempotente y se salta si el estado actual ya no lo justifica (EFFECT_GUARDS).
+ * Si el estado no cambia (p. ej. una renovación normal) no se ejecuta ningún efecto.
+ *
+ * Dunning: un pago fallido no suspende nada. past_due pasa enseguida a grace, las apps
+ * muestran un aviso de pago pendiente y se programan recordatorios; recién cuando vence
+ * la gracia (job grace_expiry, ver dunningService) se suspenden apps y dominios.
+ */
+
+import { query, transaction } from '../config/database.js';
+import * as jobService from './jobService.js';
+import * as deploymentService from './deploymentService.js';
+import { godaddyService } from './godaddyService.js';
+import { PLANS } from './planService.js';
+
+export const SUBSCRIPTION_STATUS = {
+  TRIAL: 'trial',
+  ACTIVE: 'active',
+  PAST_DUE: 'past_due',
+  GRACE: 'grace',
+  SUSPENDED: 'suspended',
+  CANCELED: 'canceled',
+};
+
+const { TRIAL, ACTIVE, PAST_DUE, GRACE, SUSPENDED, CANCELED } = SUBSCRIPTION_STATUS;
+
+// Estados que conservan los límites del plan
+export const ENTITLED_STATUSES = [TRIAL, ACTIVE, PAST_DUE, GRACE];
+
+export const BILLING_EVENTS = {
+  SUBSCRIBED: 'subscribed',
+  PAYMENT_SUCCEEDED: 'payment_succeeded',
+  PAYMENT_FAILED: 'payment_failed',
+  GRACE_STARTED: 'grace_started',
+  GRACE_EXPIRED: 'grace_expired',
+  TRIAL_EXPIRED: 'trial_expired',
+  REPLACED: 'replaced',
+  CANCELED: 'canceled',
+};
+
+// Prefijo de apps.suspended_reason: al reactivar solo se tocan las suspendidas por facturación
+const BILLING_SUSPENSION = 'billing:';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Días de gracia antes de suspender y días (desde el inicio de la gracia) con recordatorio
+export const GRACE_DAYS = parseFloat(process.env.BILLING_GRACE_DAYS) || 7;
+export const REMINDER_DAYS = (process.env.BILLING_REMINDER_DAYS || '1,3,6')
+  .split(',')
+  .map(day => parseFloat(day))
+  .filter(day => day > 0 && day < GRACE_DAYS);
+
+// Texto del aviso que ven los visitantes de las apps durante la gracia
+export const BILLING_NOTICE = process.env.BILLING_NOTICE_TEXT
+  || 'Este sitio tiene un pago pendiente y podría dejar de estar disponible pronto.';
+
+const graceEndsAt = () => new Date(Date.now() + GRACE_DAYS * DAY);
+
+/**
+ * Transiciones válidas
+ *   from:    estados desde los que se acepta el evento
+ *   to:      estado resultante
+ *   set:     columnas extra de subscriptions a actualizar (objeto o función que lo devuelve)
+ *   effects: efectos a ejecutar cuando el estado cambia
+ *   then:    evento que se aplica a continuación, también si el estado ya era `to`
+ */
+export const TRANSITIONS = {
+  [BILLING_EVENTS.SUBSCRIBED]: {
+    from: [TRIAL, ACTIVE, PAST_DUE, GRACE, SUSPENDED, CANCELED],
+    to: ACTIVE,
+    set: { grace_ends_at: null },
+    effects: ['clearBillingNotice', 'reactivateApps', 'reactivateDomains'],
+  },
+  // También cuando Stripe informa la suscripción activa otra vez
+  [BILLING_EVENTS.PAYMENT_SUCCEEDED]: {
+    from: [ACTIVE, PAST_DUE, GRACE, SUSPENDED],
+    to: ACTIVE,
+    set: { grace_ends_at: null },
+    effects: ['clearBillingNotice', 'reactivateApps', 'reactivateDomains', 'emailPaymentSucceeded'],
+  },
+  // Los reintentos de Stripe durante la gracia se ignoran: no la reinician
+  [BILLING_EVENTS.PAYMENT_FAILED]: {
+    from: [ACTIVE, PAST_DUE],
+    to: PAST_DUE,
+    effects: ['emailPaymentFailed'],
+    then: BILLING_EVENTS.GRACE_STARTED,
+  },
+  [BILLING_EVENTS.GRACE_STARTED]: {
+    from: [PAST_DUE],
+    to: GRACE,
+    set: () => ({ grace_ends_at: graceEndsAt() }),
+    effects: ['showBillingNotice', 'scheduleDunning'],
+  },
+  // Job grace_expiry: la gracia terminó sin pago
+  [BILLING_EVENTS.GRACE_EXPIRED]: {
+    from: [GRACE],
+    to: SUSPENDED,
+    effects: ['suspendApps', 'suspendDomains', 'clearBillingNotice', 'emailSuspended'],
+  },
+  [BILLING_EVENTS.TRIAL_EXPIRED]: {
+    from: [TRIAL],
+    to: SUSPENDED,
+    set: { apps_allowed: 0, token_limit: 0 },
+    effects: ['suspendApps'],
+  },
+  // Reemplazada por otra suscripción del mismo usuario (upgrade): sin efectos
+  [BILLING_EVENTS.REPLACED]: {
+    from: [TRIAL, ACTIVE, PAST_DUE, GRACE, SUSPENDED],
+    to: CANCELED,
+    effects: [],
+  },
+  // Las apps siguen online (con aviso) hasta que vence la gracia: ver endCanceledAccess
+  [BILLING_EVENTS.CANCELED]: {
+    from: [TRIAL, ACTIVE, PAST_DUE, GRACE, SUSPENDED],
+    to: CANCELED,
+    set: () => ({ grace_ends_at: graceEndsAt() }),
+    effects: ['downgradeUser', 'showBillingNotice', 'scheduleDunning', 'emailCanceled'],
+  },
+};
+
+// Efectos al vencer la gracia de una suscripción cancelada
+const ACCESS_ENDED_EFFECTS = ['suspendApps', 'suspendDomains', 'clearBillingNotice', 'emailSuspended'];
+
+// El aviso de pago pendiente corresponde mientras dura la gracia (también tras cancelar)
+const noticeExpected = (subscription, now) =>
+  [PAST_DUE, GRACE].includes(subscription.status)
+  || (subscription.status === CANCELED && !!subscription.grace_ends_at && new Date(subscription.grace_ends_at) > now);
+
+/**
+ * Condición sobre el estado actual para ejecutar un efecto encolado
+ * Un reintento tardío no debe deshacer una transición posterior (p. ej. suspender tras un pago)
+ */
+const EFFECT_GUARDS = {
+  suspendApps: (subscription) => !ENTITLED_STATUSES.includes(subscription.status),
+  suspendDomains: (subscription) => !ENTITLED_STATUSES.includes(subscription.status),
+  reactivateApps: (subscription) => ENTITLED_STATUSES.includes(subscription.status),
+  reactivateDomains: (subscription) => ENTITLED_STATUSES.includes(subscription.status),
+  showBillingNotice: (subscription, now) => noticeExpected(subscription, now),
+  clearBillingNotice: (subscription, now) => !noticeExpected(subscription, now),
+  scheduleDunning: (subscription) => [GRACE, CANCELED].includes(subscription.status) && !!subscription.grace_ends_at,
+  emailSuspended: (subscription) => !ENTITLED_STATUSES.includes(subscription.status),
+};
+
+/**
+ * ¿Sigue correspondiendo un efecto con el estado actual de la suscripción?
+ */
+export const shouldApplyEffect = (effect, subscription, now = new Date()) =>
+  !EFFECT_GUARDS[effect] || EFFECT_GUARDS[effect](subscription, now);
+
+/**
+ * Resultado de aplicar un evento desde un estado (sin tocar la DB)
+ * @returns {Object} - { ignored, changed, to }
+ */
+export const resolveTransition = (from, event) => {
+  const definition = TRANSITIONS[event];
+  if (!definition) {
+    throw new Error(`Evento de facturación desconocido: ${event}`);
+  }
+
+  if (!definition.from.includes(from)) return { ignored: true, changed: false, to: from };
+  return { ignored: false, changed: from !== definition.to, to: definition.to };
+};
+
+/**
+ * Evento que corresponde a un status de suscripción de Stripe (customer.subscription.updated)
+ * @returns {string|null}
+ */
+export const eventForStripeStatus = (stripeStatus) => {
+  switch (stripeStatus) {
+    case 'active':
+    case 'trialing':
+      return BILLING_EVENTS.PAYMENT_SUCCEEDED;
+    // unpaid: Stripe agotó los reintentos; la suspensión la decide nuestra gracia
+    case 'past_due':
+    case 'unpaid':
+      return BILLING_EVENTS.PAYMENT_FAILED;
+    case 'canceled':
+    case 'incomplete_expired':
+      return BILLING_EVENTS.CANCELED;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Aplicar un evento a una suscripción
+ * @param {string} subscriptionId - subscriptions.id
+ * @param {string} event - BILLING_EVENTS.*
+ * @param {Object} context - Datos para los efectos (invoiceId, amount, reason, source...)
+ * @returns {Promise<Object>} - { changed, from, to, subscription, ignored? }
+ */
+export const transition = async (subscriptionId, event, context = {}) => {
+  const definition = TRANSITIONS[event];
+  if (!definition) {
+    throw new Error(`Evento de facturación desconocido: ${event}`);
+  }
+
+  const outcome = await transaction(async (client) => {
+    const current = await client.query('SELECT * FROM subscriptions WHERE id = $1 FOR UPDATE', [subscriptionId]);
+    const subscription = current.rows[0];
+
+    if (!subscription) {
+      throw new Error(`Suscripción ${subscriptionId} no encontrada`);
+    }
+
+    const from = subscription.status;
+    const resolved = resolveTransition(from, event);
+
+    if (resolved.ignored) {
+      return { changed: false, ignored: true, from, to: from, subscription };
+    }
+
+    if (!resolved.changed) {
+      return { changed: false, from, to: from, subscription };
+    }
+
+    const set = (typeof definition.set === 'function' ? definition.set(context) : definition.set) || {};
+    const columns = Object.keys(set);
+    const assignments = columns.map((column, i) => `, ${column} = $${i + 3}`).join('');
+
+    const updated = await client.query(
+      `UPDATE subscriptions
+       SET status = $1, status_changed_at = NOW(), updated_at = NOW()${assignments}
+       WHERE id = $2
+       RETURNING *`,
+      [definition.to, subscriptionId, ...columns.map(column => set[column])]
+    );
+
+    const logged = await client.query(
+      `INSERT INTO subscription_transitions (subscription_id, user_id, event, from_status, to_status, context)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [subscriptionId, subscription.user_id, event, from, definition.to, JSON.stringify(context)]
+    );
+
+    const transitionId = logged.rows[0].id;
+
+    // Efectos en un job de la misma transacción: llaman a providers externos y se reintentan
+    await queueEffects(client, updated.rows[0], definition.effects, { ...context, event, from, transitionId });
+
+    return { changed: true, from, to: definition.to, subscription: updated.rows[0], transitionId };
+  });
+
+  if (outcome.ignored) {
+    console.log(`⚠️ [BILLING] ${event} ignorado: la suscripción ${subscriptionId} está en ${outcome.from}`);
+    return outcome;
+  }
+
+  if (outcome.changed) {
+    console.log(`💳 [BILLING] ${outcome.subscription.user_id}: ${outcome.from} → ${outcome.to} (${event})`);
+  }
+
+  if (definition.then) {
+    return transition(subscriptionId, definition.then, context);
+  }
+
+  return outcome;
+};
+
+/**
+ * Encolar los efectos de una transición (job billing_effects, uno por transición)
+ */
+const queueEffects = async (client, subscription, effects, context) => {
+  if (!effects.length) return null;
+
+  return jobService.addJob(
+    jobService.JOB_TYPES.BILLING_EFFECTS,
+    { subscriptionId: subscription.id, effects, context },
+    { client, maxRetries: 5, priority: 6, idempotencyKey: `billing-effects:${context.transitionId}` }
+  );
+};
+
+/**
+ * Ejecutar los efectos de una transición (handler de JOB_TYPES.BILLING_EFFECTS)
+ * Con la suscripción actual: los efectos que ya no corresponden se saltan.
+ * Si alguno falla el job falla y se reintentan todos (son idempotentes).
+ * @param {Object} data - { subscriptionId, effects, context }
+ */
+export const runTransitionEffects = async ({ subscriptionId, effects, context }) => {
+  const result = await query('SELECT * FROM subscriptions WHERE id = $1', [subscriptionId]);
+  const subscription = result.rows[0];
+
+  if (!subscription) {
+    return { success: true, skipped: effects };
+  }
+
+  const failed = [];
+  const skipped = [];
+
+  for (const effect of effects) {
+    if (!shouldApplyEffect(effect, subscription)) {
+      console.log(`⏭️ [BILLING] Efecto ${effect} omitido: la suscripción está en ${subscription.status}`);
+      skipped.push(effect);
+      continue;
+    }
+
+    try {
+      await EFFECTS[effect](subscription, context);
+    } catch (error) {
+      console.error(`❌ [BILLING] Efecto ${effect} falló (${context.event}):`, error.message);
+      failed.push(`${effect}: ${error.message}`);
+    }
+  }
+
+  if (failed.length > 0) {
+    return { success: false, error: `Efectos fallidos: ${failed.join('; ')}` };
+  }
+
+  return { success: true, skipped };
+};
+
+/**
+ * Fin de la gracia de una suscripción cancelada
+ * El estado sigue en canceled; se registra el evento y se encola la suspensión de apps y dominios
+ */
+export const endCanceledAccess = async (subscription, context = {}) => {
+  const event = BILLING_EVENTS.GRACE_EXPIRED;
+
+  await transaction(async (client) => {
+    const logged = await client.query(
+      `INSERT INTO subscription_transitions (subscription_id, user_id, event, from_status, to_status, context)
+       VALUES ($1, $2, $3, $4, $4, $5)
+       RETURNING id`,
+      [subscription.id, subscription.user_id, event, CANCELED, JSON.stringify(context)]
+    );
+
+    await queueEffects(client, subscription, ACCESS_ENDED_EFFECTS, {
+      ...context,
+      event,
+      from: CANCELED,
+      transitionId: logged.rows[0].id
+    });
+  });
+
+  console.log(`💳 [BILLING] ${subscription.user_id}: fin de la gracia tras la cancelación`);
+};
+
+/**
+ * Buscar la suscripción local de una suscripción de Stripe
+ */
+export const findByStripeSubscriptionId = async (stripeSubscriptionId) => {
+  const result = await query(
+    'SELECT * FROM subscriptions WHERE stripe_subscription_id = $1 ORDER BY created_at DESC LIMIT 1',
+    [stripeSubscriptionId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// ─── EFECTOS ─────────────────────────────────────────────
+
+const suspendApps = async (subscription, { event }) => {
+  const apps = await query(
+    `SELECT id FROM apps WHERE user_id = $1 AND deployed = TRUE AND deployment_status <> 'suspended'`,
+    [subscription.user_id]
+  );
+
+  const failed = [];
+  for (const app of apps.rows) {
+    console.log(`  🚫 Suspendiendo app ${app.id}`);
+    const result = await deploymentService.suspendApp(app.id, subscription.user_id, `${BILLING_SUSPENSION}${event}`);
+    if (!result.success) {
+      console.error(`  ❌ Error suspendiendo app ${app.id}:`, result.error);
+      failed.push(app.id);
+    }
+  }
+
+  if (failed.length > 0) throw new Error(`No se pudieron suspender las apps ${failed.join(', ')}`);
+};
+
+const reactivateApps = async (subscription) => {
+  const apps = await query(
+    `SELECT id FROM apps
+     WHERE user_id = $1 AND deployment_status = 'suspended' AND suspended_reason LIKE $2`,
+    [subscription.user_id, `${BILLING_SUSPENSION}%`]
+  );
+
+  const failed = [];
+  for (const app of apps.rows) {
+    console.log(`  ✅ Reactivando app ${app.id}`);
+    const result = await deploymentService.reactivateApp(app.id, subscription.user_id);
+    if (!result.success) {
+      console.error(`  ❌ Error reactivando app ${app.id}:`, result.error);
+      failed.push(app.id);
+    }
+  }
+
+  if (failed.length > 0) throw new Error(`No se pudieron reactivar las apps ${failed.join(', ')}`);
+};
+
+const suspendDomains = async (subscription) => {
+  const domains = await query(
+    `SELECT domain FROM registered_domains WHERE user_id = $1 AND status NOT IN ('suspended', 'expired')`,
+    [subscription.user_id]
+  );
+
+  const failed = [];
+  for (const { domain } of domains.rows) {
+    const result = await godaddyService.suspendDomain(domain);
+    if (!result?.success) failed.push(domain);
+  }
+
+  if (failed.length > 0) throw new Error(`No se pudieron suspender los dominios ${failed.join(', ')}`);
+};
+
+const reactivateDomains = async (subscription) => {
+  const domains = await query(
+    `SELECT domain FROM registered_domains WHERE user_id = $1 AND status = 'suspended'`,
+    [subscription.user_id]
+  );
+
+  const failed = [];
+  for (const { domain } of domains.rows) {
+    const result = await godaddyService.reactivateDomain(domain);
+    if (!result?.success) failed.push(domain);
+  }
+
+  if (failed.length > 0) throw new Error(`No se pudieron reactivar los dominios ${failed.join(', ')}`);
+};
+
+// El aviso se guarda en apps.billing_notice y se aplica con un redeploy en background
+const showBillingNotice = async (subscription, { transitionId }) => {
+  const apps = await query(
+    `UPDATE apps SET billing_notice = $2, updated_at = NOW()
+     WHERE user_id = $1 AND deployed = TRUE AND deployment_status <> 'suspended'
+     RETURNING id`,
+    [subscription.user_id, BILLING_NOTICE]
+  );
+
+  for (const app of apps.rows) {
+    await queueRedeploy(subscription, app.id, transitionId);
+  }
+};
+
+const clearBillingNotice = async (subscription, { transitionId }) => {
+  const apps = await query(
+    `UPDATE apps SET billing_notice = NULL, updated_at = NOW()
+     WHERE user_id = $1 AND billing_notice IS NOT NULL
+     RETURNING id, deployment_status`,
+    [subscription.user_id]
+  );
+
+  // Las suspendidas se despliegan sin aviso al reactivarse
+  for (const app of apps.rows.filter(app => app.deployment_status !== 'suspended')) {
+    await queueRedeploy(subscription, app.id, transitionId);
+  }
+};
+
+const queueRedeploy = (subscription, appId, transitionId) =>
+  jobService.addJob(
+    jobService.JOB_TYPES.REDEPLOY_APP,
+    { appId, userId: subscription.user_id },
+    { maxRetries: 3, idempotencyKey: `billing-notice:${transitionId}:${appId}` }
+  );
+
+// Recordatorios (solo en grace: una cancelación ya avisa con su email) y vencimiento de la gracia
+const scheduleDunning = async (subscription, { transitionId, amount }) => {
+  const endsAt = new Date(subscription.grace_ends_at);
+  const startedAt = endsAt.getTime() - GRACE_DAYS * DAY;
+  const data = { subscriptionId: subscription.id, graceEndsAt: endsAt.toISOString() };
+
+  if (subscription.status === GRACE) {
+    for (const day of REMINDER_DAYS) {
+      await jobService.addJob(
+        jobService.JOB_TYPES.BILLING_REMINDER,
+        { ...data, day, amount: amount ?? null },
+        { delay: Math.max(0, startedAt + day * DAY - Date.now()), idempotencyKey: `dunning:${transitionId}:reminder:${day}` }
+      );
+    }
+  }
+
+  await jobService.addJob(
+    jobService.JOB_TYPES.GRACE_EXPIRY,
+    data,
+    { delay: Math.max(0, endsAt.getTime() - Date.now()), priority: 5, idempotencyKey: `dunning:${transitionId}:expiry` }
+  );
+
+  console.log(`⏳ [BILLING] Gracia hasta ${endsAt.toISOString()} (${subscription.status === GRACE ? REMINDER_DAYS.length : 0} recordatorios)`);
+};
+
+const downgradeUser = async (subscription) => {
+  await query(
+    `UPDATE users SET plan = 'free_trial', updated_at = NOW() WHERE id = $1`,
+    [subscription.user_id]
+  );
+};
+
+// Los emails van por la cola: se reintentan y no se duplican si la transición se reprocesa
+const queueBillingEmail = async (subscription, billingType, details, transitionId) => {
+  const user = await query('SELECT email FROM users WHERE id = $1', [subscription.user_id]);
+  if (!user.rows[0]?.email) return;
+
+  await jobService.addJob(
+    jobService.JOB_TYPES.SEND_EMAIL,
+    { type: 'billing', email: user.rows[0].email, billingType, details },
+    { idempotencyKey: `billing-email:${transitionId}` }
+  );
+};
+
+const planLabel = (subscription) => PLANS[subscription.plan]?.label || subscription.plan;
+
+const EFFECTS = {
+  suspendApps,
+  reactivateApps,
+  suspendDomains,
+  reactivateDomains,
+  showBillingNotice,
+  clearBillingNotice,
+  scheduleDunning,
+  downgradeUser,
+  emailPaymentSucceeded: (subscription, context) => queueBillingEmail(subscription, 'success', {
+    amount: context.amount,
+    plan: planLabel(subscription),
+    interval: 'month',
+    invoiceId: context.invoiceId
+  }, context.transitionId),
+  emailPaymentFailed: (subscription, context) => queueBillingEmail(subscription, 'failed', {
+    amount: context.amount,
+    reason: context.reason
+  }, context.transitionId),
+  // Las apps siguen online hasta el fin de la gracia
+  emailCanceled: (subscription, context) => queueBillingEmail(subscription, 'cancelled', {
+    periodEnd: new Date(subscription.grace_ends_at || context.periodEnd || Date.now()).toLocaleDateString('es-ES')
+  }, context.transitionId),
+  emailSuspended: (subscription, context) => queueBillingEmail(subscription, 'suspended', {
+    plan: planLabel(subscription)
+  }, context.transitionId),
+};
+
+export default {
+  SUBSCRIPTION_STATUS,
+  ENTITLED_STATUSES,
+  BILLING_EVENTS,
+  GRACE_DAYS,
+  REMINDER_DAYS,
+  BILLING_NOTICE,
+  TRANSITIONS,
+  eventForStripeStatus,
+  resolveTransition,
+  shouldApplyEffect,
+  transition,
+  runTransitionEffects,
+  endCanceledAccess,
+  findByStripeSubscriptionId,
+};
@@ -4,6 +4,10 @@
  */
 
 import Anthropic from '@anthropic-ai/sdk';
+import { usesDatabase } from './databaseScaffold.js';
+import { PAYMENTS_PROMPT } from './paymentsScaffold.js';
+import { buildGooglePrompt, GOOGLE_BACKEND_RULE } from './googleScaffold.js';
+import { buildAssetsPrompt } from './appAssetsService.js';
 
 const anthropic = new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY
@@ -25,6 +29,16 @@ const BACKEND_KEYWORDS = [
   'upload', 'archivos', 'files', 'imagenes', 'images'
 ];
 
+// Límites del modo multi-archivo (generatePlannedApp)
+const MAX_PLANNED_FILES = { frontend: 20, backend: 12 };
+const PLANNED_CONCURRENCY = 3;
+const PLANNED_RESERVED_PATHS = ['src/main.jsx', 'src/index.css'];
+// Los pone el scaffold de base de datos (databaseScaffold.js)
+const PLANNED_RESERVED_BACKEND_PATHS = ['db.js', 'migrate.js', 'db/migrations'];
+
+// URL de la API en apps fullstack: el deploy inyecta VITE_API_URL; en desarrollo el proxy de Vite sirve /api
+const API_URL_EXPRESSION = "import.meta.env.VITE_API_URL || '/api'";
+
 class ClaudeService {
 
   sanitizeCode(code) {
@@ -47,14 +61,19 @@ class ClaudeService {
     return BACKEND_KEYWORDS.some(keyword => desc.includes(keyword));
   }
 
-  async generateWithStreaming(systemPrompt, userMessage) {
+  /**
+   * Llamada streaming a Claude
+   * onProgress recibe { lines, tokens } con cada content_block_delta
+   * (los tokens de salida se estiman hasta que llega el message_delta final)
+   */
+  async generateWithStreaming(systemPrompt, userMessage, onProgress = null, maxTokens = 16000) {
     let fullText = '';
     let inputTokens = 0;
     let outputTokens = 0;
 
     const stream = anthropic.messages.stream({
       model: 'claude-sonnet-4-20250514',
-      max_tokens: 16000,
+      max_tokens: maxTokens,
       temperature: 0.2,
       system: systemPrompt,
       messages: [{ role: 'user', content: userMessage }]
@@ -63,6 +82,12 @@ class ClaudeService {
     for await (const event of stream) {
       if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
         fullText += event.delta.text;
+        if (onProgress) {
+          onProgress({
+            lines: fullText.split('\n').length,
+            tokens: inputTokens + Math.ceil(fullText.length / 4)
+          });
+        }
       }
       if (event.type === 'message_delta' && event.usage) {
         outputTokens = event.usage.output_tokens || 0;
@@ -72,13 +97,15 @@ class ClaudeService {
       }
     }
 
+    if (onProgress) {
+      onProgress({ lines: fullText.split('\n').length, tokens: inputTokens + outputTokens, done: true });
+    }
+
     return { text: fullText, tokens: inputTokens + outputTokens };
   }
 
-  async generateFrontend(description, options = {}) {
-    const { style, colors, googleApis, requiresPayments, isFullstack, apiBaseUrl } = options;
-
-    const colorBlock = colors ? `
+  buildColorBlock(colors) {
+    return colors ? `
 PRIMARY COLOR: ${colors.primary}
 SECONDARY COLOR: ${colors.secondary}
 ACCENT COLOR: ${colors.accent}
@@ -86,6 +113,12 @@ BACKGROUND: ${colors.background}
 SURFACE: ${colors.surface}
 TEXT COLOR: ${colors.text}
 Apply these colors using style={{}} inline throughout the entire app.` : '';
+  }
+
+  async generateFrontend(description, options = {}) {
+    const { style, colors, googleApis, requiresPayments, isFullstack, apiBaseUrl, assetsPrompt, onProgress } = options;
+
+    const colorBlock = this.buildColorBlock(colors);
 
     const systemPrompt = `You are a world-class React developer and UI/UX designer. Generate a stunning, modern, professional web application.
 
@@ -115,7 +148,7 @@ TECHNICAL RULES:
 - CRITICAL: NEVER put accented chars inside JS template literals or backtick strings
 - Accented chars ONLY inside JSX text nodes
 - All JSX tags must be properly closed
-${isFullstack ? `- This app connects to a REST API at ${apiBaseUrl || 'http://localhost:4000/api'}
+${isFullstack ? `- This app connects to a REST API. Declare it once: const API_URL = ${apiBaseUrl ? `'${apiBaseUrl}'` : API_URL_EXPRESSION} (never hardcode localhost)
 - Use fetch() for all data operations
 - Show loading states while fetching
 - Handle API errors gracefully
@@ -123,17 +156,18 @@ ${isFullstack ? `- This app connects to a REST API at ${apiBaseUrl || 'http://lo
 - Include JWT token in headers: Authorization: Bearer token
 - Show login/register forms that call the API
 - After login, store token in localStorage` : ''}
-${googleApis?.length ? `- Integrate Google APIs: ${googleApis.join(', ')}` : ''}
-${requiresPayments ? `- PAYMENTS: Stripe loaded via script tag. Use window.Stripe('${process.env.STRIPE_PUBLISHABLE_KEY || 'pk_test_YOUR_KEY'}')` : ''}
+${buildGooglePrompt(googleApis)}
+${requiresPayments ? PAYMENTS_PROMPT : ''}
+${assetsPrompt || ''}
 
 Respond with ONLY the React code. No markdown, no explanations. Start with: import React`;
 
-    const result = await this.generateWithStreaming(systemPrompt, description);
+    const result = await this.generateWithStreaming(systemPrompt, description, onProgress);
     return { text: result.text, tokens: result.tokens };
   }
 
   async generateBackend(description, options = {}) {
-    const { requiresPayments, googleApis } = options;
+    const { requiresPayments, googleApis, database, assetsPrompt, onProgress } = options;
 
     const systemPrompt = `You are an expert Node.js/Express backend developer. Generate a complete Express.js backend API.
 
@@ -142,57 +176,82 @@ REQUIREMENTS:
 - Include all necessary routes for the described app
 - Use JWT for authentication (jsonwebtoken package)
 - Include middleware: cors, express.json, authentication
-- Use in-memory storage (Map/Array) — no database setup needed
+${this.buildStorageRules(database)}
 - Include proper error handling
 - RESTful routes
 - CORS for frontend at http://localhost:3000
-${requiresPayments ? `- Include Stripe integration\n- Use process.env.STRIPE_SECRET_KEY` : ''}
+${requiresPayments ? '- Payments are handled by the platform (hosted checkout): do NOT add Stripe or payment routes' : ''}
+${googleApis?.length ? GOOGLE_BACKEND_RULE : ''}
+${assetsPrompt || ''}
 
 STRUCTURE — single server.js file:
 1. All imports at top
 2. Express app setup with CORS and JSON middleware
-3. In-memory data stores
+3. ${database ? 'Data access through query() from ./db.js' : 'In-memory data stores'}
 4. Auth routes: POST /api/auth/register, POST /api/auth/login
 5. All business logic routes
 6. JWT auth middleware
 7. Protected routes
-8. app.listen(4000)
+8. app.listen(process.env.PORT || 4000)
+9. export default app
 
 CRITICAL:
 - Single file: server.js
 - ES modules (import/export)
 - Start with: import express from 'express'
-- End with: app.listen(4000, ...)
-- Include sample seed data
+- Create the app as: const app = express()
+- End with: app.listen(process.env.PORT || 4000, ...) and then export default app
+- The same file also runs as a serverless function: no top-level await, no filesystem writes
+${database ? '' : '- Include sample seed data'}
 
 Respond with ONLY the server.js code. No markdown. Start with: import express`;
 
-    const result = await this.generateWithStreaming(systemPrompt, `Generate backend API for:\n\n${description}`);
+    const result = await this.generateWithStreaming(systemPrompt, `Generate backend API for:\n\n${description}`, onProgress);
     return { text: result.text, tokens: result.tokens };
   }
 
   async generateApp(description, options = {}) {
     try {
-      const { style, colors, googleApis, requiresPayments } = options;
+      const { style, colors, googleApis, requiresPayments, databaseTarget, modules, assets, onProgress } = options;
       const startTime = Date.now();
 
+      // Progreso por fase: onProgress('frontend' | 'backend', { lines, tokens })
+      const progressFor = (phase) => onProgress ? (data) => onProgress(phase, data) : null;
+
+      // Pedir una base de datos implica tener backend
+      const withDatabase = usesDatabase(databaseTarget);
+
       // ✅ FIX CRÍTICO: let en lugar de const para poder reasignar
-      let isFullstack = this.needsBackend(description);
+      let isFullstack = withDatabase || this.needsBackend(description);
+
+      console.log(`🔍 Tipo: ${isFullstack ? 'FULLSTACK' : 'FRONTEND'}${withDatabase ? ` + ${databaseTarget}` : ''}`);
 
-      console.log(`🔍 Tipo: ${isFullstack ? 'FULLSTACK' : 'FRONTEND'}`);
+      // Archivos subidos por el usuario (logo, fuentes, CSV/JSON como datos iniciales)
+      const assetsPrompt = {
+        frontend: await buildAssetsPrompt(assets, { side: 'frontend', fullstack: isFullstack }),
+        backend: await buildAssetsPrompt(assets, { side: 'backend' })
+      };
 
-      let frontendCode, backendCode, totalTokens = 0;
+      let frontendCode, backendCode, database = null, totalTokens = 0;
 
       if (isFullstack) {
         console.log('⚙️ Generando frontend + backend en paralelo...');
         const [frontendResult, backendResult] = await Promise.all([
-          this.generateFrontend(description, { style, colors, googleApis, requiresPayments, isFullstack: true }),
-          this.generateBackend(description, { requiresPayments, googleApis })
+          this.generateFrontend(description, { style, colors, googleApis, requiresPayments, isFullstack: true, assetsPrompt: assetsPrompt.frontend, onProgress: progressFor('frontend') }),
+          // El backend necesita el esquema antes de escribir las consultas
+          (async () => {
+            if (withDatabase) {
+              const schema = await this.generateDatabaseSchema(description, { dialect: databaseTarget, modules });
+              database = { dialect: databaseTarget, schema: schema.sql };
+              totalTokens += schema.tokens;
+            }
+            return this.generateBackend(description, { requiresPayments, googleApis, database, assetsPrompt: assetsPrompt.backend, onProgress: progressFor('backend') });
+          })()
         ]);
 
         frontendCode = this.extractCode(frontendResult.text);
         backendCode = this.extractCode(backendResult.text);
-        totalTokens = frontendResult.tokens + backendResult.tokens;
+        totalTokens += frontendResult.tokens + backendResult.tokens;
 
         console.log(`✅ Frontend: ${frontendCode.split('\n').length} líneas`);
         console.log(`✅ Backend: ${backendCode.split('\n').length} líneas`);
@@ -202,10 +261,11 @@ Respond with ONLY the server.js code. No markdown. Start with: import express`;
           console.warn('⚠️ Backend inválido, solo frontend');
           isFullstack = false;
           backendCode = null;
+          database = null;
         }
 
       } else {
-        const frontendResult = await this.generateFrontend(description, { style, colors, googleApis, requiresPayments, isFullstack: false });
+        const frontendResult = await this.generateFrontend(description, { style, colors, googleApis, requiresPayments, isFullstack: false, assetsPrompt: assetsPrompt.frontend, onProgress: progressFor('frontend') });
         frontendCode = this.extractCode(frontendResult.text);
         totalTokens = frontendResult.tokens;
         console.log(`✅ Frontend: ${frontendCode.split('\n').length} líneas`);
@@ -214,8 +274,8 @@ Respond with ONLY the server.js code. No markdown. Start with: import express`;
       const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
       console.log(`✅ Listo en ${elapsed}s — ${totalTokens} tokens`);
 
-      // Validar frontend
-      if (!frontendCode || !frontendCode.includes('export default') || frontendCode.length < 200) {
+      // Solo se descarta lo que no tiene arreglo; el resto lo corrige AppGenerator.validateAndRepair
+      if (!frontendCode || frontendCode.length < 200) {
         console.error('❌ Frontend inválido, longitud:', frontendCode?.length);
         console.error('❌ Preview:', frontendCode?.substring(0, 300));
         return { success: false, error: 'Codigo frontend invalido' };
@@ -226,6 +286,7 @@ Respond with ONLY the server.js code. No markdown. Start with: import express`;
         code: frontendCode,
         backendCode: isFullstack ? backendCode : null,
         isFullstack,
+        database,
         tokensUsed: totalTokens,
         duration: Date.now() - startTime
       };
@@ -236,6 +297,389 @@ Respond with ONLY the server.js code. No markdown. Start with: import express`;
     }
   }
 
+  // ─── GENERACIÓN MULTI-ARCHIVO ────────────────────────────
+  // 1. Un manifest con la lista de archivos (componentes, páginas, hooks, rutas, modelos)
+  // 2. Una llamada por archivo con el manifest como contexto
+
+  async generateManifest(description, options = {}) {
+    const { isFullstack, googleApis, requiresPayments, database, assetsPrompt } = options;
+
+    const systemPrompt = `You are a senior software architect. Plan the file structure of a React (Vite + Tailwind) application${isFullstack ? ' with an Express.js backend' : ''}.
+
+Respond with ONLY a JSON object, no markdown, with this exact shape:
+{
+  "frontend": [{ "path": "src/components/Navbar.jsx", "type": "component|page|hook|context|util|style", "description": "what it does", "exports": ["default Navbar"], "imports": ["src/hooks/useAuth.js"] }],
+  ${isFullstack ? `"backend": [{ "path": "routes/products.js", "type": "entry|route|model|middleware|util", "description": "what it does", "exports": ["default router"], "imports": ["models/product.js"] }],
+  ` : ''}"dependencies": { "frontend": { "react-router-dom": "^6.22.0" }${isFullstack ? ', "backend": {}' : ''} }
+}
+
+RULES:
+- Frontend paths start with src/ and use .jsx for components/pages, .js for hooks/utils
+- "src/App.jsx" is MANDATORY: the root component that composes pages and layout (default export App)
+- Do NOT include src/main.jsx, src/index.css, index.html or config files — they already exist
+- Split by responsibility: layout components, one file per page, shared hooks, mock data in src/data/
+- Maximum ${MAX_PLANNED_FILES.frontend} frontend files
+${isFullstack ? `- Backend paths are relative to the backend folder: server.js, routes/*.js, models/*.js, middleware/*.js
+- "server.js" is MANDATORY: the entry point that mounts all routes and calls app.listen(process.env.PORT || 4000)
+${database
+    ? `- Backend uses ES modules and ${database.dialect} through db.js — do NOT include db.js, migrate.js or migrations, they already exist`
+    : '- Backend uses ES modules and in-memory storage'}
+- Maximum ${MAX_PLANNED_FILES.backend} backend files
+` : ''}- "imports" lists only project files (same paths as in this manifest)
+- "dependencies" lists only extra npm packages beyond react, react-dom${isFullstack ? ', express, cors, jsonwebtoken, bcryptjs, dotenv, uuid' : ''}
+${googleApis?.length ? `- The app integrates Google APIs (${googleApis.join(', ')}) from the frontend through the platform's window.AppGoogle: no Google API files or packages` : ''}
+${requiresPayments ? '- The app accepts payments with Stripe' : ''}
+${assetsPrompt || ''}`;
+
+    const response = await anthropic.messages.create({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 4096,
+      temperature: 0.2,
+      system: systemPrompt,
+      messages: [{ role: 'user', content: description }]
+    });
+
+    const text = response.content[0].text;
+    const tokens = (response.usage?.input_tokens || 0) + (response.usage?.output_tokens || 0);
+
+    const firstBrace = text.indexOf('{');
+    const lastBrace = text.lastIndexOf('}');
+    if (firstBrace === -1 || lastBrace === -1) {
+      throw new Error('Manifest sin JSON');
+    }
+
+    const manifest = JSON.parse(text.substring(firstBrace, lastBrace + 1));
+    return { manifest: this.normalizeManifest(manifest, isFullstack), tokens };
+  }
+
+  normalizeManifest(manifest, isFullstack) {
+    const clean = (files, max) => (Array.isArray(files) ? files : [])
+      .filter(f => typeof f?.path === 'string' && f.path.trim())
+      .map(f => ({ ...f, path: f.path.trim().replace(/^\.?\//, '') }))
+      .filter(f => !f.path.includes('..'))
+      .slice(0, max);
+
+    const frontend = clean(manifest.frontend, MAX_PLANNED_FILES.frontend)
+      .filter(f => f.path.startsWith('src/') && !PLANNED_RESERVED_PATHS.includes(f.path));
+    const backend = isFullstack
+      ? clean(manifest.backend, MAX_PLANNED_FILES.backend)
+        .map(f => ({ ...f, path: f.path.replace(/^backend\//, '') }))
+        .filter(f => !PLANNED_RESERVED_BACKEND_PATHS.some(reserved => f.path === reserved || f.path.startsWith(`${reserved}/`)))
+      : [];
+
+    if (!frontend.some(f => f.path === 'src/App.jsx')) {
+      throw new Error('Manifest sin src/App.jsx');
+    }
+    if (isFullstack && !backend.some(f => f.path === 'server.js')) {
+      throw new Error('Manifest sin server.js');
+    }
+
+    return {
+      frontend,
+      backend,
+      dependencies: {
+        frontend: manifest.dependencies?.frontend || {},
+        backend: isFullstack ? (manifest.dependencies?.backend || {}) : {}
+      }
+    };
+  }
+
+  async generateProjectFile(side, file, manifest, description, options = {}) {
+    const { style, colors, googleApis, requiresPayments, apiBaseUrl, database, assetsPrompt, onProgress } = options;
+
+    const manifestSummary = [...manifest.frontend.map(f => ({ ...f, side: 'frontend' })), ...manifest.backend.map(f => ({ ...f, side: 'backend' }))]
+      .map(f => `- [${f.side}] ${f.path} (${f.type}): ${f.description}${f.exports?.length ? ` — exports: ${f.exports.join(', ')}` : ''}`)
+      .join('\n');
+
+    const systemPrompt = side === 'frontend'
+      ? `You are a world-class React developer and UI/UX designer writing ONE file of a multi-file React + Vite + Tailwind project.
+
+STYLE THEME: ${style || 'modern'}
+${this.buildColorBlock(colors)}
+
+PROJECT FILES:
+${manifestSummary}
+
+RULES:
+- Write ONLY the file ${file.path}
+- Import other project files with relative paths (e.g. '../hooks/useAuth') exactly as listed above
+- Export exactly what the manifest says this file exports
+- Premium SaaS look: gradients, cards with shadows, rounded corners, hover transitions
+- Use Tailwind for layout and style={{}} for the theme colors
+- CRITICAL: NEVER put accented chars inside JS template literals or backtick strings
+- All JSX tags must be properly closed
+${manifest.backend.length ? `- Data comes from the REST API at const API_URL = ${apiBaseUrl ? `'${apiBaseUrl}'` : API_URL_EXPRESSION} (never hardcode localhost) using fetch() with a JWT Bearer token from localStorage` : ''}
+${buildGooglePrompt(googleApis)}
+${requiresPayments ? PAYMENTS_PROMPT : ''}
+${assetsPrompt?.frontend || ''}
+
+Respond with ONLY the code of ${file.path}. No markdown, no explanations.`
+      : `You are an expert Node.js/Express developer writing ONE file of a multi-file Express.js backend (ES modules).
+
+PROJECT FILES:
+${manifestSummary}
+
+RULES:
+- Write ONLY the file ${file.path} (paths are relative to the backend folder)
+- Import other backend files with relative paths and the .js extension
+- Export exactly what the manifest says this file exports
+${database ? this.buildStorageRules(database) : '- In-memory storage (Map/Array) with sample seed data — no database'}
+- JWT authentication with jsonwebtoken, CORS for http://localhost:3000
+${file.path === 'server.js' ? '- This is the entry point: const app = express(), mount every route file, end with app.listen(process.env.PORT || 4000, ...) and then export default app' : ''}
+${requiresPayments ? '- Payments are handled by the platform (hosted checkout): do NOT add Stripe or payment routes' : ''}
+${googleApis?.length ? GOOGLE_BACKEND_RULE : ''}
+${assetsPrompt?.backend || ''}
+
+Respond with ONLY the code of ${file.path}. No markdown, no explanations.`;
+
+    const userMessage = `App description:\n${description}\n\nFile to write: ${file.path}\nPurpose: ${file.description}`;
+
+    const result = await this.generateWithStreaming(systemPrompt, userMessage, onProgress, 8000);
+    return { path: file.path, content: this.extractCode(result.text), tokens: result.tokens };
+  }
+
+  async generatePlannedApp(description, options = {}) {
+    try {
+      const { style, colors, googleApis, requiresPayments, databaseTarget, modules, assets, onProgress } = options;
+      const startTime = Date.now();
+      const isFullstack = usesDatabase(databaseTarget) || this.needsBackend(description);
+
+      console.log(`🗂️ Planificando proyecto multi-archivo (${isFullstack ? 'FULLSTACK' : 'FRONTEND'})...`);
+
+      let totalTokens = 0;
+      let database = null;
+
+      if (isFullstack && usesDatabase(databaseTarget)) {
+        const schema = await this.generateDatabaseSchema(description, { dialect: databaseTarget, modules });
+        database = { dialect: databaseTarget, schema: schema.sql };
+        totalTokens += schema.tokens;
+      }
+
+      const assetsPrompt = {
+        frontend: await buildAssetsPrompt(assets, { side: 'frontend', fullstack: isFullstack }),
+        backend: await buildAssetsPrompt(assets, { side: 'backend' })
+      };
+
+      const { manifest, tokens: manifestTokens } = await this.generateManifest(description, { isFullstack, googleApis, requiresPayments, database, assetsPrompt: assetsPrompt.frontend });
+      totalTokens += manifestTokens;
+
+      if (onProgress) {
+        onProgress('manifest', { lines: 0, tokens: manifestTokens, done: true });
+      }
+
+      console.log(`📋 Manifest: ${manifest.frontend.length} frontend, ${manifest.backend.length} backend`);
+
+      const tasks = [
+        ...manifest.frontend.map(file => ({ side: 'frontend', file })),
+        ...manifest.backend.map(file => ({ side: 'backend', file }))
+      ];
+
+      const generated = { frontend: [], backend: [] };
+
+      // Llamadas en lotes para no saturar la API
+      for (let i = 0; i < tasks.length; i += PLANNED_CONCURRENCY) {
+        const batch = tasks.slice(i, i + PLANNED_CONCURRENCY);
+        const results = await Promise.all(batch.map(({ side, file }) =>
+          this.generateProjectFile(side, file, manifest, description, {
+            style, colors, googleApis, requiresPayments, database, assetsPrompt,
+            onProgress: onProgress ? (data) => onProgress(`${side}:${file.path}`, data) : null
+          }).then(result => ({ side, ...result }))
+        ));
+
+        for (const { side, path, content, tokens } of results) {
+          if (!content || content.length < 20) {
+            throw new Error(`Archivo vacío: ${side}/${path}`);
+          }
+          generated[side].push({ path, content });
+          totalTokens += tokens;
+          console.log(`  ✅ ${side}/${path}: ${content.split('\n').length} líneas`);
+        }
+      }
+
+      const appFile = generated.frontend.find(f => f.path === 'src/App.jsx');
+      const serverFile = generated.backend.find(f => f.path === 'server.js');
+
+      const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+      console.log(`✅ Proyecto multi-archivo listo en ${elapsed}s — ${totalTokens} tokens`);
+
+      return {
+        success: true,
+        mode: 'planned',
+        code: appFile.content,
+        backendCode: serverFile?.content || null,
+        isFullstack: !!serverFile,
+        database: serverFile ? database : null,
+        files: {
+          frontend: generated.frontend.filter(f => f.path !== 'src/App.jsx'),
+          backend: generated.backend.filter(f => f.path !== 'server.js'),
+          dependencies: manifest.dependencies
+        },
+        manifest,
+        tokensUsed: totalTokens,
+        duration: Date.now() - startTime
+      };
+
+    } catch (error) {
+      console.error('❌ Error en ClaudeService.generatePlannedApp:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ─── BASE DE DATOS ───────────────────────────────────────
+
+  /**
+   * Migración inicial a partir de los módulos confirmados en /api/chat/refine
+   * @param {Object} options - { dialect: 'postgres' | 'sqlite', modules: [{ name, description }] }
+   * @returns {Object} - { sql, tokens }
+   */
+  async generateDatabaseSchema(description, options = {}) {
+    const { dialect, modules = [] } = options;
+
+    const moduleList = modules.length
+      ? modules.map(m => `- ${m.name}${m.description ? `: ${m.description}` : ''}`).join('\n')
+      : '- (no confirmed modules: infer the entities from the description)';
+
+    const systemPrompt = `You are a senior database engineer. Write the initial ${dialect === 'postgres' ? 'PostgreSQL' : 'SQLite'} migration for the Express.js backend of this app.
+
+APP MODULES:
+${moduleList}
+
+RULES:
+- One table per entity the modules need, plus "users" (id, email UNIQUE, password_hash, name, created_at) for JWT auth
+- ${dialect === 'postgres'
+    ? 'SERIAL primary keys, TIMESTAMPTZ NOT NULL DEFAULT NOW() for dates, JSONB for flexible fields, BOOLEAN for flags'
+    : 'INTEGER PRIMARY KEY AUTOINCREMENT, TEXT DEFAULT CURRENT_TIMESTAMP for dates, TEXT for JSON fields, INTEGER 0/1 for flags'}
+- Foreign keys with ON DELETE CASCADE when a row belongs to another
+- Indexes on foreign keys and on columns used for lookups
+- CREATE TABLE IF NOT EXISTS / CREATE INDEX IF NOT EXISTS
+- No seed data, no DROP statements, no BEGIN/COMMIT (the runner wraps the file in a transaction)
+
+Respond with ONLY the SQL. No markdown, no explanations.`;
+
+    const response = await anthropic.messages.create({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 4096,
+      temperature: 0.2,
+      system: systemPrompt,
+      messages: [{ role: 'user', content: description }]
+    });
+
+    const sql = response.content[0].text.replace(/^```\w*\n?/, '').replace(/```\s*$/, '').trim();
+    const tokens = (response.usage?.input_tokens || 0) + (response.usage?.output_tokens || 0);
+
+    if (!/create table/i.test(sql)) {
+      throw new Error('Esquema sin CREATE TABLE');
+    }
+
+    console.log(`🗄️ Esquema ${dialect}: ${(sql.match(/create table/gi) || []).length} tablas`);
+    return { sql, tokens };
+  }
+
+  /**
+   * Reglas de persistencia para los prompts de backend
+   * @param {Object|null} database - { dialect, schema } o null (memoria)
+   */
+  buildStorageRules(database) {
+    if (!database) {
+      return '- Use in-memory storage (Map/Array) — no database setup needed';
+    }
+
+    return `- Persist ALL data in ${database.dialect === 'postgres' ? 'PostgreSQL' : 'SQLite'} through db.js, which already exists (do not write it):
+  import { query } from './db.js' from server.js, '../db.js' from subfolders
+- query(sql, params) is async and returns an array of rows; INSERT/UPDATE ... RETURNING * returns the affected rows
+- ALWAYS pass values as placeholders $1, $2... — never concatenate or interpolate input into SQL
+- No in-memory arrays for app data
+- Use exactly the tables and columns of this schema:
+${database.schema}`;
+  }
+
+  // ─── REPARACIÓN ──────────────────────────────────────────
+
+  /**
+   * Corregir un archivo que no pasó la validación
+   * Se envía la lista exacta de errores y el código; se pide el archivo completo corregido
+   * @param {Object} file - { side: 'frontend' | 'backend', path, content }
+   * @param {Array} errors - Errores de validationService / compilationTester
+   */
+  async repairFile(file, errors, options = {}) {
+    const { description, onProgress } = options;
+
+    const systemPrompt = `You are a senior ${file.side === 'backend' ? 'Node.js/Express' : 'React'} developer fixing ONE file of a generated project that failed automated validation.
+
+RULES:
+- Fix ONLY the reported problems; keep features, structure, styling and texts identical
+- Return the COMPLETE corrected file, not a diff or a fragment
+- All JSX tags, braces, parentheses, brackets and strings must be balanced and closed
+- CRITICAL: NEVER put accented chars inside JS template literals or backtick strings
+
+Respond with ONLY the code of ${file.path}. No markdown, no explanations.`;
+
+    const errorList = errors
+      .map((e, i) => `${i + 1}. [${e.type}] ${e.message}${e.location?.line ? ` (line ${e.location.line})` : ''}${e.suggestion ? ` — ${e.suggestion}` : ''}`)
+      .join('\n');
+
+    const userMessage = `${description ? `App description:\n${description}\n\n` : ''}File: ${file.path}
+
+Validation errors:
+${errorList}
+
+Current code:
+\`\`\`
+${file.content}
+\`\`\``;
+
+    const result = await this.generateWithStreaming(systemPrompt, userMessage, onProgress);
+    return { side: file.side, path: file.path, content: this.extractCode(result.text), tokens: result.tokens };
+  }
+
+  // ─── MEJORAS ─────────────────────────────────────────────
+
+  /**
+   * Pedir un parche SEARCH/REPLACE para una mejora confirmada (no una reescritura)
+   * @param {Array} files - Archivos actuales [{ path, content }] (backend con prefijo backend/)
+   * @param {Object} improvement - { description, type }
+   * @returns {Object} - { text, tokens }
+   */
+  async generateImprovementPatch(files, improvement, options = {}) {
+    const { appName, appDescription, assetsPrompt, onProgress } = options;
+
+    const systemPrompt = `You are a senior React + Express developer applying ONE requested change to an existing generated app.
+
+RULES:
+- Change ONLY what the request needs; do not refactor, reformat or rewrite unrelated code
+- Answer with SEARCH/REPLACE blocks, one per change, in this exact format:
+
+FILE: src/App.jsx
+<<<<<<< SEARCH
+exact lines copied from the current file
+=======
+new lines
+>>>>>>> REPLACE
+
+- SEARCH must match the current file character by character and appear only once (include enough surrounding lines)
+- To create a new file use an empty SEARCH section
+- Backend files keep their backend/ prefix
+- All JSX tags, braces, parentheses and strings must stay balanced
+- CRITICAL: NEVER put accented chars inside JS template literals or backtick strings
+
+Respond with ONLY the blocks. No explanations.`;
+
+    const fileList = files
+      .map(f => `FILE: ${f.path}\n\`\`\`\n${f.content}\n\`\`\``)
+      .join('\n\n');
+
+    const userMessage = `App: ${appName || ''}
+${appDescription ? `Description: ${appDescription}\n` : ''}
+Requested change (${improvement.type}):
+${improvement.description}
+${assetsPrompt ? `\nAvailable files:\n${assetsPrompt}\n` : ''}
+Current files:
+
+${fileList}`;
+
+    return await this.generateWithStreaming(systemPrompt, userMessage, onProgress);
+  }
+
   async conversationRefinement(message, history = []) {
     try {
       const messages = history.map(m => ({ role: m.role, content: m.content }));
@@ -0,0 +1,144 @@
+/**
+ * Backend de apps fullstack (backend/server.js generado)
+ * - serverless: el server.js se importa desde api/index.js en el mismo deployment (Vercel)
+ * - container: carpeta backend/ con Dockerfile para ejecutarse aparte (local)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const BACKEND_PREFIX = 'backend/';
+const ENTRY = 'server.js';
+
+// Carpeta del backend dentro del deployment serverless (fuera de api/ para no crear una función por archivo)
+const SERVERLESS_DIR = 'server';
+
+// Las apps generadas antes de VITE_API_URL tienen la URL de desarrollo en el código
+const LEGACY_API_URL = /(['"`])http:\/\/localhost:4000\/api\1/g;
+
+const CONTAINER_DOCKERFILE = `FROM node:20-alpine
+WORKDIR /app
+COPY package*.json ./
+RUN npm install --omit=dev
+COPY . .
+ENV PORT=4000
+EXPOSE 4000
+CMD ["node", "server.js"]
+`;
+
+const contentOf = (file) => typeof file.content === 'string' ? file.content : JSON.stringify(file.content, null, 2);
+
+/**
+ * Archivos del backend con rutas relativas a backend/
+ */
+export const getBackendFiles = (code) =>
+  (code.backend?.files || [])
+    .filter(f => f.path.startsWith(BACKEND_PREFIX) && !f.path.includes('..'))
+    .map(f => ({ path: f.path.slice(BACKEND_PREFIX.length), content: contentOf(f) }));
+
+export const hasBackend = (code) => getBackendFiles(code).some(f => f.path === ENTRY);
+
+/**
+ * Adaptar server.js para usarse como handler: exporta la app y no abre puerto en Vercel
+ * @returns {string|null} - null si no hay una app de Express reconocible
+ */
+export const prepareServerEntry = (content) => {
+  if (!/\b(const|let|var)\s+app\s*=\s*express\(\)/.test(content)) return null;
+
+  let entry = content.replace(/(^|\n)([ \t]*)app\.listen\(/, '$1$2if (!process.env.VERCEL) app.listen(');
+
+  if (!/export\s+default\b/.test(entry)) {
+    entry = `${entry.trimEnd()}\n\nexport default app;\n`;
+  }
+
+  return entry;
+};
+
+/**
+ * Reemplazar la URL de desarrollo por VITE_API_URL en el frontend
+ */
+export const rewriteApiBaseUrl = (code) => ({
+  ...code,
+  frontend: {
+    ...code.frontend,
+    files: (code.frontend?.files || []).map(file =>
+      typeof file.content === 'string' && /\.(jsx?|tsx?)$/.test(file.path)
+        ? { ...file, content: file.content.replace(LEGACY_API_URL, "(import.meta.env.VITE_API_URL || '/api')") }
+        : file
+    )
+  }
+});
+
+/**
+ * Proyecto con el backend como funciones serverless en api/
+ * El frontend llama a /api en el mismo dominio; las dependencias del backend van al package.json raíz
+ * @returns {Object|null} - Código normalizado listo para subir, o null si el backend no se puede adaptar
+ */
+export const toServerlessProject = (code) => {
+  const backendFiles = getBackendFiles(code);
+  const entryFile = backendFiles.find(f => f.path === ENTRY);
+  const entry = entryFile && prepareServerEntry(entryFile.content);
+  if (!entry) return null;
+
+  const backendPkg = backendFiles.find(f => f.path === 'package.json');
+  const backendDeps = backendPkg ? (JSON.parse(backendPkg.content).dependencies || {}) : {};
+
+  const frontendFiles = (code.frontend?.files || []).map(file => {
+    if (file.path !== 'package.json') return file;
+
+    const pkg = JSON.parse(contentOf(file));
+    return {
+      ...file,
+      content: JSON.stringify({ ...pkg, dependencies: { ...backendDeps, ...pkg.dependencies } }, null, 2)
+    };
+  });
+
+  const serverFiles = backendFiles
+    .filter(f => !['package.json', '.env.example', 'README.md'].includes(f.path))
+    .map(f => ({ path: `${SERVERLESS_DIR}/${f.path}`, content: f.path === ENTRY ? entry : f.content }));
+
+  return {
+    ...code,
+    frontend: {
+      files: [
+        ...frontendFiles.filter(f => f.path !== 'vercel.json' && !f.path.startsWith('api/')),
+        ...serverFiles,
+        {
+          path: 'api/index.js',
+          content: `import app from '../${SERVERLESS_DIR}/${ENTRY}';\n\nexport default app;\n`
+        },
+        {
+          path: 'vercel.json',
+          content: JSON.stringify({
+            rewrites: [{ source: '/api/(.*)', destination: '/api' }],
+            // Archivos que el backend lee en runtime (migraciones SQL)
+            functions: { 'api/index.js': { includeFiles: `${SERVERLESS_DIR}/**` } }
+          }, null, 2)
+        }
+      ]
+    }
+  };
+};
+
+/**
+ * Escribir el backend como imagen Docker independiente
+ * @param {string} dir - Directorio destino (se crea)
+ */
+export const writeContainerBackend = async (dir, code) => {
+  for (const file of getBackendFiles(code)) {
+    const target = path.join(dir, file.path);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, file.content);
+  }
+
+  await fs.writeFile(path.join(dir, 'Dockerfile'), CONTAINER_DOCKERFILE);
+};
+
+export default {
+  getBackendFiles,
+  hasBackend,
+  prepareServerEntry,
+  rewriteApiBaseUrl,
+  toServerlessProject,
+  writeContainerBackend,
+};
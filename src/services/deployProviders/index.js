@@ -0,0 +1,93 @@
+/**
+ * Registro de providers de deploy
+ *
+ * Todos los providers exponen la misma interfaz:
+ *   name                                  - identificador guardado en apps.deployment_provider
+ *   backendTarget                         - 'serverless' | 'container' | null (no despliega backends)
+ *   isConfigured()                        - hay credenciales para usarlo
+ *   deploy({ appId, code, envVars, runtimeEnv, project }) → { success, provider, deploymentId, projectId, projectName, url, apiUrl }
+ *                                         (runtimeEnv: secretos del backend en runtime, p. ej. JWT_SECRET)
+ *   status(deploymentId, project)         → { success, state: building|ready|error|deleted, url }
+ *   delete(deploymentId, project)         → { success }
+ *   promote(deploymentId, project)        → { success } (opcional) vuelve a servir un deployment anterior del proyecto
+ *   logs(deploymentId, project)           → { success, logs: [{ timestamp, level, message }] }
+ *   addDomain(project, domain)            → { success, projectId, verification, dnsInstructions }
+ *   verifyDomain(project, domain)         → { success, projectId, verified, dnsInstructions }
+ *   removeDomain(project, domain)         → { success }
+ *
+ * project = { projectId, projectName } tal como se guardó en apps.deploy_project_*
+ */
+
+import { vercelProvider } from './vercelProvider.js';
+import { netlifyProvider } from './netlifyProvider.js';
+import { localProvider } from './localProvider.js';
+
+export const AUTO_PROVIDER = 'auto';
+
+const providers = new Map();
+
+export const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+registerProvider(vercelProvider);
+registerProvider(netlifyProvider);
+registerProvider(localProvider);
+
+/**
+ * Obtener un provider por nombre
+ * @throws {Error} si no está registrado
+ */
+export const getProvider = (name) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Provider de deploy desconocido: ${name}`);
+  }
+  return provider;
+};
+
+/**
+ * Nombre del provider a usar para un deploy nuevo
+ * @param {string|null} setting - apps.deploy_provider (null/'auto' = el primero configurado)
+ * @param {Object} options - { backend: la app tiene backend que desplegar }
+ * @throws {Error} si el provider elegido no está configurado o no hay ninguno
+ */
+export const resolveProviderName = (setting, options = {}) => {
+  if (setting && setting !== AUTO_PROVIDER) {
+    const provider = getProvider(setting);
+    if (!provider.isConfigured()) {
+      throw new Error(`Provider de deploy no configurado: ${provider.name}`);
+    }
+    return provider.name;
+  }
+
+  // En auto se saltan los providers que no pueden desplegar el backend
+  const usable = (provider) => provider.isConfigured() && (!options.backend || provider.backendTarget);
+
+  const fromEnv = providers.get(process.env.DEPLOY_PROVIDER);
+  if (fromEnv && usable(fromEnv)) {
+    return fromEnv.name;
+  }
+
+  // local solo entra si está activado (LOCAL_DEPLOY_ENABLED, fuera de producción)
+  const candidate = [vercelProvider, netlifyProvider, localProvider].find(usable);
+  if (!candidate) {
+    throw new Error('No hay ningún provider de deploy configurado (VERCEL_TOKEN o NETLIFY_TOKEN)');
+  }
+  return candidate.name;
+};
+
+export const listProviders = () =>
+  [...providers.values()].map(provider => ({
+    name: provider.name,
+    configured: provider.isConfigured(),
+    backend: provider.backendTarget || null
+  }));
+
+export default {
+  AUTO_PROVIDER,
+  registerProvider,
+  getProvider,
+  resolveProviderName,
+  listProviders,
+};
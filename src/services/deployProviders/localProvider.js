@@ -0,0 +1,184 @@
+/**
+ * Provider de deploy: directorio local (solo desarrollo/tests)
+ * Publica cada deployment en LOCAL_DEPLOY_DIR/<deploymentId> (servido en /local-deploys)
+ * Se activa con LOCAL_DEPLOY_ENABLED=true y nunca en producción: serviría HTML/JS del usuario
+ * desde el mismo origen que la API
+ * Sin LOCAL_DEPLOY_BUILD=true copia el código fuente con un Dockerfile para construirlo aparte
+ * El backend de las apps fullstack se deja como imagen Docker en .backends/<deploymentId>
+ * (las carpetas con punto no se sirven en /local-deploys)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { buildFrontend, writeFrontendFiles, cleanupBuild } from './staticBuild.js';
+import { hasBackend, writeContainerBackend } from './backendBundle.js';
+
+// Dist ya construido: nginx sirve el directorio tal cual
+const STATIC_DOCKERFILE = `FROM nginx:alpine
+COPY . /usr/share/nginx/html
+EXPOSE 80
+`;
+
+// Código fuente: build de Vite dentro de la imagen
+const SOURCE_DOCKERFILE = `FROM node:20-alpine AS build
+WORKDIR /app
+COPY . .
+RUN npm install && npm run build
+
+FROM nginx:alpine
+COPY --from=build /app/dist /usr/share/nginx/html
+EXPOSE 80
+`;
+
+export const getLocalDeployDir = () =>
+  path.resolve(process.env.LOCAL_DEPLOY_DIR || path.join(process.cwd(), 'deployments'));
+
+// Los IDs los genera este provider; nunca aceptar rutas
+const safeId = (deploymentId) => {
+  if (!/^[a-z0-9-]+$/.test(deploymentId || '')) {
+    throw new Error('Deployment ID inválido');
+  }
+  return deploymentId;
+};
+
+const deploymentDir = (deploymentId) => path.join(getLocalDeployDir(), safeId(deploymentId));
+
+const logFile = (deploymentId) => path.join(getLocalDeployDir(), '.logs', `${safeId(deploymentId)}.log`);
+
+const backendDir = (deploymentId) => path.join(getLocalDeployDir(), '.backends', safeId(deploymentId));
+
+// URL donde el operador publica el contenedor del backend (docker run -p 4001:4000)
+const backendApiUrl = () => process.env.LOCAL_BACKEND_URL || 'http://localhost:4001/api';
+
+export class LocalProvider {
+  constructor() {
+    this.name = 'local';
+    this.backendTarget = 'container';
+  }
+
+  // No necesita credenciales, pero hay que activarlo explícitamente fuera de producción
+  isConfigured() {
+    return process.env.LOCAL_DEPLOY_ENABLED === 'true' && process.env.NODE_ENV !== 'production';
+  }
+
+  /**
+   * Publicar en un directorio nuevo por deployment
+   * @param {Object} params - { appId, code (normalizado), envVars }
+   */
+  async deploy({ appId, code, envVars = {} }) {
+    const deploymentId = `${appId.substring(0, 8)}-${crypto.randomBytes(6).toString('hex')}`.toLowerCase();
+    const targetDir = deploymentDir(deploymentId);
+    const buildEnabled = process.env.LOCAL_DEPLOY_BUILD === 'true';
+    const withBackend = hasBackend(code);
+    let build = null;
+
+    try {
+      console.log(`📁 [LOCAL] Deploy ${deploymentId} (${buildEnabled ? 'build' : 'fuente'})`);
+      await fs.mkdir(targetDir, { recursive: true });
+      await fs.mkdir(path.dirname(logFile(deploymentId)), { recursive: true });
+
+      const notes = [];
+      if (withBackend) {
+        envVars = { ...envVars, VITE_API_URL: backendApiUrl() };
+        await writeContainerBackend(backendDir(deploymentId), code);
+        notes.push(`Backend: docker build -t ${deploymentId}-api ${backendDir(deploymentId)} && docker run -p 4001:4000 ${deploymentId}-api`);
+      }
+
+      let output = '';
+      if (buildEnabled) {
+        build = await buildFrontend(code, envVars);
+        // Sin enlaces simbólicos: /local-deploys los seguiría fuera del directorio
+        await fs.cp(build.distDir, targetDir, {
+          recursive: true,
+          filter: async (source) => !(await fs.lstat(source)).isSymbolicLink()
+        });
+        await fs.writeFile(path.join(targetDir, 'Dockerfile'), STATIC_DOCKERFILE);
+        output = build.output;
+      } else {
+        await writeFrontendFiles(targetDir, code);
+        await fs.writeFile(path.join(targetDir, 'Dockerfile'), SOURCE_DOCKERFILE);
+        // Vite lee VITE_* de .env.production al construir la imagen
+        const viteEnv = Object.entries(envVars).filter(([key, value]) => key.startsWith('VITE_') && value);
+        await fs.writeFile(path.join(targetDir, '.env.production'), viteEnv.map(([key, value]) => `${key}=${value}`).join('\n'));
+        output = `Código fuente copiado (${code.frontend?.files?.length || 0} archivos). Construir con: docker build ${targetDir}`;
+      }
+
+      await fs.writeFile(logFile(deploymentId), [output, ...notes].join('\n'));
+
+      const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 4000}`;
+
+      return {
+        success: true,
+        provider: this.name,
+        deploymentId,
+        projectId: null,
+        projectName: deploymentId,
+        url: `${baseUrl}/local-deploys/${deploymentId}/`,
+        apiUrl: withBackend ? backendApiUrl() : null
+      };
+
+    } catch (error) {
+      console.error('❌ [LOCAL] Error:', error);
+      await fs.rm(targetDir, { recursive: true, force: true }).catch(() => {});
+      await fs.rm(backendDir(deploymentId), { recursive: true, force: true }).catch(() => {});
+      await fs.writeFile(logFile(deploymentId), error.stderr || error.message).catch(() => {});
+      return { success: false, provider: this.name, error: error.message };
+    } finally {
+      await cleanupBuild(build?.workDir);
+    }
+  }
+
+  async status(deploymentId) {
+    try {
+      await fs.access(deploymentDir(deploymentId));
+      return { success: true, state: 'ready', url: null };
+    } catch (error) {
+      return { success: true, state: 'deleted' };
+    }
+  }
+
+  async delete(deploymentId) {
+    try {
+      await fs.rm(deploymentDir(deploymentId), { recursive: true, force: true });
+      await fs.rm(backendDir(deploymentId), { recursive: true, force: true });
+      await fs.rm(logFile(deploymentId), { force: true });
+      console.log(`🗑️ [LOCAL] Deployment eliminado: ${deploymentId}`);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async logs(deploymentId) {
+    try {
+      const content = await fs.readFile(logFile(deploymentId), 'utf8');
+      const { mtime } = await fs.stat(logFile(deploymentId));
+
+      return {
+        success: true,
+        logs: content.split('\n').filter(Boolean).map(line => ({
+          timestamp: mtime.toISOString(),
+          level: 'info',
+          message: line
+        }))
+      };
+    } catch (error) {
+      return { success: false, error: 'No hay logs para este deployment' };
+    }
+  }
+
+  async addDomain() {
+    return { success: false, error: 'El provider local no soporta dominios personalizados' };
+  }
+
+  async verifyDomain() {
+    return { success: false, error: 'El provider local no soporta dominios personalizados' };
+  }
+
+  async removeDomain() {
+    return { success: true };
+  }
+}
+
+export const localProvider = new LocalProvider();
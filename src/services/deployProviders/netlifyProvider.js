@@ -0,0 +1,306 @@
+/**
+ * Provider de deploy: Netlify
+ * El build se hace aquí (Vite) y se sube el dist como zip a un site por app
+ */
+
+import fetch from 'node-fetch';
+import { buildFrontend, zipDirectory, cleanupBuild } from './staticBuild.js';
+
+const NETLIFY_API = 'https://api.netlify.com/api/v1';
+
+const authHeaders = () => ({ 'Authorization': `Bearer ${process.env.NETLIFY_TOKEN}` });
+
+// state de Netlify → estado común de los providers
+const STATE_MAP = {
+  new: 'building',
+  uploading: 'building',
+  uploaded: 'building',
+  preparing: 'building',
+  prepared: 'building',
+  processing: 'building',
+  processed: 'building',
+  building: 'building',
+  enqueued: 'building',
+  ready: 'ready',
+  error: 'error',
+  rejected: 'error'
+};
+
+export class NetlifyProvider {
+  constructor() {
+    this.name = 'netlify';
+    // Solo frontend estático: las apps fullstack necesitan vercel o local
+    this.backendTarget = null;
+  }
+
+  isConfigured() {
+    return !!process.env.NETLIFY_TOKEN;
+  }
+
+  /**
+   * Construir y publicar en el site de la app (se crea en el primer deploy)
+   * @param {Object} params - { appId, code (normalizado), envVars, project: { projectId, projectName } }
+   */
+  async deploy({ appId, code, envVars = {}, project = {} }) {
+    let build = null;
+
+    try {
+      console.log(`🏗️ [NETLIFY] Build local de ${appId}...`);
+      build = await buildFrontend(code, envVars);
+      const zip = await zipDirectory(build.distDir);
+
+      let site = project.projectId ? { id: project.projectId, name: project.projectName } : null;
+
+      if (!site) {
+        const siteName = `app-${appId.substring(0, 8)}-${Date.now().toString().slice(-6)}`.toLowerCase();
+        const siteResponse = await fetch(`${NETLIFY_API}/sites`, {
+          method: 'POST',
+          headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name: siteName })
+        });
+
+        const siteData = await siteResponse.json();
+        if (!siteResponse.ok) {
+          throw new Error(siteData.message || 'Failed to create Netlify site');
+        }
+
+        site = { id: siteData.id, name: siteData.name };
+        console.log(`✅ [NETLIFY] Site creado: ${site.name}`);
+      }
+
+      const deployResponse = await fetch(`${NETLIFY_API}/sites/${site.id}/deploys`, {
+        method: 'POST',
+        headers: { ...authHeaders(), 'Content-Type': 'application/zip' },
+        body: zip
+      });
+
+      const deployData = await deployResponse.json();
+      if (!deployResponse.ok) {
+        throw new Error(deployData.message || 'Netlify deployment failed');
+      }
+
+      console.log(`✅ [NETLIFY] Deploy creado: ${deployData.id}`);
+      const ready = await this.waitForDeployment(deployData.id);
+
+      return {
+        success: true,
+        provider: this.name,
+        deploymentId: deployData.id,
+        projectId: site.id,
+        projectName: site.name,
+        url: ready?.ssl_url || `https://${site.name}.netlify.app`
+      };
+
+    } catch (error) {
+      console.error('❌ [NETLIFY] Error:', error);
+      return { success: false, provider: this.name, error: error.message };
+    } finally {
+      await cleanupBuild(build?.workDir);
+    }
+  }
+
+  async waitForDeployment(deploymentId, maxAttempts = 24) {
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const response = await fetch(`${NETLIFY_API}/deploys/${deploymentId}`, { headers: authHeaders() });
+      const data = await response.json();
+
+      if (data.state === 'ready') return data;
+      if (data.state === 'error' || data.state === 'rejected') {
+        throw new Error(data.error_message || `Deployment failed: ${data.state}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+
+    return null;
+  }
+
+  async status(deploymentId) {
+    try {
+      const response = await fetch(`${NETLIFY_API}/deploys/${deploymentId}`, { headers: authHeaders() });
+      if (response.status === 404) {
+        return { success: true, state: 'deleted' };
+      }
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Status failed');
+
+      return {
+        success: true,
+        state: STATE_MAP[data.state] || 'building',
+        url: data.ssl_url || null,
+        raw: { state: data.state, createdAt: data.created_at }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Volver a publicar un deploy anterior del site de la app (rollback sin rebuild)
+   */
+  async promote(deploymentId, project = {}) {
+    try {
+      if (!project.projectId) throw new Error('La app no tiene site en Netlify');
+
+      console.log(`⚡ [NETLIFY] Restaurando deploy ${deploymentId}`);
+      const response = await fetch(`${NETLIFY_API}/sites/${project.projectId}/deploys/${deploymentId}/restore`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Restore failed');
+
+      return { success: true, projectId: project.projectId };
+    } catch (error) {
+      console.error(`⚠️ [NETLIFY] No se pudo restaurar ${deploymentId}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Netlify no permite borrar el deploy publicado: se borra el site de la app
+   */
+  async delete(deploymentId, project = {}) {
+    try {
+      if (!project.projectId) {
+        throw new Error('Site de Netlify desconocido');
+      }
+
+      console.log(`🗑️ [NETLIFY] Eliminando site: ${project.projectId}`);
+      const response = await fetch(`${NETLIFY_API}/sites/${project.projectId}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+
+      if (!response.ok && response.status !== 404) {
+        const data = await response.json();
+        throw new Error(data.message || 'Delete failed');
+      }
+
+      return { success: true, projectDeleted: true };
+    } catch (error) {
+      console.error('❌ [NETLIFY] Error eliminando:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Los deploys por zip no tienen log de build en Netlify; se devuelve el resumen del deploy
+   */
+  async logs(deploymentId) {
+    try {
+      const response = await fetch(`${NETLIFY_API}/deploys/${deploymentId}`, { headers: authHeaders() });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Logs failed');
+
+      const messages = (data.summary?.messages || []).map(m => ({
+        timestamp: data.updated_at,
+        level: m.type === 'error' ? 'error' : 'info',
+        message: `${m.title}${m.description ? `: ${m.description}` : ''}`
+      }));
+
+      if (data.error_message) {
+        messages.push({ timestamp: data.updated_at, level: 'error', message: data.error_message });
+      }
+
+      return { success: true, logs: messages };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ─── DOMINIOS ────────────────────────────────────────────
+
+  async setCustomDomain(project, domain) {
+    if (!project.projectId) {
+      throw new Error('No se encontró el site en Netlify. Asegúrate de que la app esté desplegada.');
+    }
+
+    const response = await fetch(`${NETLIFY_API}/sites/${project.projectId}`, {
+      method: 'PATCH',
+      headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify({ custom_domain: domain })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || 'Error al configurar dominio en Netlify');
+    }
+
+    return data;
+  }
+
+  async addDomain(project, domain) {
+    try {
+      await this.setCustomDomain(project, domain);
+      return {
+        success: true,
+        projectId: project.projectId,
+        verification: null,
+        dnsInstructions: this.buildDnsInstructions(project, domain)
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async verifyDomain(project, domain) {
+    try {
+      const response = await fetch(`${NETLIFY_API}/sites/${project.projectId}`, { headers: authHeaders() });
+      const site = await response.json();
+      if (!response.ok) throw new Error(site.message || 'Error consultando site');
+
+      // Netlify emite el certificado cuando el DNS ya apunta al site
+      const verified = site.custom_domain === domain && (site.ssl_url || '').includes(domain);
+
+      return {
+        success: true,
+        projectId: project.projectId,
+        verified,
+        dnsInstructions: verified ? null : this.buildDnsInstructions(project, domain)
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async removeDomain(project, domain) {
+    try {
+      await this.setCustomDomain(project, null);
+      return { success: true, projectId: project.projectId };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  buildDnsInstructions(project, domain) {
+    const target = `${project.projectName}.netlify.app`;
+    const isSubdomain = domain.split('.').length > 2;
+
+    if (isSubdomain) {
+      return {
+        type: 'CNAME',
+        name: domain.split('.')[0],
+        value: target,
+        instructions: `En tu proveedor DNS, agrega un registro CNAME: "${domain.split('.')[0]}" → "${target}"`
+      };
+    }
+
+    return {
+      type: 'A',
+      name: '@',
+      value: '75.2.60.5',
+      instructions: `En tu proveedor DNS, agrega un registro A: "@" → "75.2.60.5"`,
+      alternative: {
+        type: 'CNAME',
+        name: 'www',
+        value: target,
+        instructions: `Y también un CNAME: "www" → "${target}"`
+      }
+    };
+  }
+}
+
+export const netlifyProvider = new NetlifyProvider();
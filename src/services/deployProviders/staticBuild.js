@@ -0,0 +1,179 @@
+/**
+ * Build estático de un proyecto generado (Vite)
+ * Lo usan los providers que no construyen desde el código fuente (Netlify por zip, local)
+ * El proyecto es código del usuario (vite.config, dependencias): se construye aislado
+ * - STATIC_BUILD_SANDBOX=docker (default en producción): contenedor efímero sin privilegios
+ * - STATIC_BUILD_SANDBOX=process (solo fuera de producción): proceso local
+ * En ambos casos sin las variables de la plataforma (solo VITE_*), sin scripts de npm
+ * (--ignore-scripts) y con vite directamente en lugar del script "build" del package.json
+ */
+
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { promisify } from 'util';
+import JSZip from 'jszip';
+
+const execFileAsync = promisify(execFile);
+
+// npm install + vite build de una app generada
+const BUILD_TIMEOUT_MS = 5 * 60 * 1000;
+
+const BUILD_SCRIPT = 'npm install --ignore-scripts --no-audit --no-fund && npx --no-install vite build --base ./';
+
+const VITE_VAR = /^VITE_[A-Z0-9_]+$/;
+
+/**
+ * Modo de aislamiento del build
+ * @throws {Error} si se pide el modo process en producción
+ */
+export const getBuildSandbox = () => {
+  const production = process.env.NODE_ENV === 'production';
+  const sandbox = process.env.STATIC_BUILD_SANDBOX || (production ? 'docker' : 'process');
+
+  if (!['docker', 'process'].includes(sandbox)) {
+    throw new Error(`STATIC_BUILD_SANDBOX inválido: ${sandbox} (docker | process)`);
+  }
+  if (sandbox === 'process' && production) {
+    throw new Error('STATIC_BUILD_SANDBOX=process no está permitido en producción');
+  }
+
+  return sandbox;
+};
+
+/**
+ * Solo las variables VITE_* de la app (lo único que el build necesita)
+ */
+export const pickViteEnv = (envVars = {}) =>
+  Object.fromEntries(
+    Object.entries(envVars)
+      .filter(([key, value]) => VITE_VAR.test(key) && value != null && value !== '')
+      .map(([key, value]) => [key, String(value)])
+  );
+
+/**
+ * Escribir los archivos de frontend en un directorio
+ * @param {string} dir - Directorio destino
+ * @param {Object} code - Código normalizado { frontend: { files } }
+ */
+export const writeFrontendFiles = async (dir, code) => {
+  for (const file of code.frontend?.files || []) {
+    if (file.path.includes('..')) continue;
+
+    const target = path.join(dir, file.path);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    // Archivos subidos por el usuario (imágenes, fuentes) llegan en base64
+    const content = file.encoding === 'base64'
+      ? Buffer.from(file.content, 'base64')
+      : typeof file.content === 'string' ? file.content : JSON.stringify(file.content, null, 2);
+    await fs.writeFile(target, content);
+  }
+};
+
+/**
+ * Construir el frontend y devolver la carpeta dist
+ * Las rutas de assets quedan relativas (--base ./) para servirse desde cualquier subruta
+ * @param {Object} code - Código normalizado
+ * @param {Object} envVars - Variables de la app (solo pasan las VITE_*)
+ * @returns {Object} - { workDir, distDir, output }
+ */
+export const buildFrontend = async (code, envVars = {}) => {
+  const sandbox = getBuildSandbox();
+  const viteEnv = pickViteEnv(envVars);
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'app-build-'));
+  await writeFrontendFiles(workDir, code);
+
+  const options = { timeout: BUILD_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 };
+  let result;
+
+  try {
+    result = await runBuild(sandbox, workDir, viteEnv, options);
+  } catch (error) {
+    await cleanupBuild(workDir);
+    throw error;
+  }
+
+  return {
+    workDir,
+    distDir: path.join(workDir, 'dist'),
+    output: [result.stdout, result.stderr].filter(Boolean).join('\n')
+  };
+};
+
+// npm install + vite build en el sandbox elegido
+// (sin NODE_ENV=production: vite suele estar en devDependencies)
+const runBuild = async (sandbox, workDir, viteEnv, options) => {
+  if (sandbox === 'docker') {
+    const args = [
+      'run', '--rm',
+      '--user', `${process.getuid()}:${process.getgid()}`,
+      '--cap-drop', 'ALL',
+      '--security-opt', 'no-new-privileges',
+      '--memory', process.env.STATIC_BUILD_MEMORY || '2g',
+      '--cpus', process.env.STATIC_BUILD_CPUS || '1',
+      '--pids-limit', '512',
+      '-v', `${workDir}:/app`,
+      '-w', '/app',
+      '-e', 'HOME=/tmp',
+      ...Object.entries(viteEnv).flatMap(([key, value]) => ['-e', `${key}=${value}`]),
+      process.env.STATIC_BUILD_IMAGE || 'node:20-alpine',
+      'sh', '-c', BUILD_SCRIPT
+    ];
+    return execFileAsync('docker', args, options);
+  }
+
+  // Entorno mínimo: ni secretos de la plataforma ni el ~/.npmrc del servidor
+  const env = {
+    PATH: process.env.PATH,
+    HOME: workDir,
+    npm_config_cache: path.join(workDir, '.npm-cache'),
+    ...viteEnv
+  };
+  return execFileAsync('sh', ['-c', BUILD_SCRIPT], { ...options, cwd: workDir, env });
+};
+
+/**
+ * Listar archivos de un directorio (rutas relativas con /)
+ * Los enlaces simbólicos se ignoran: el build podría apuntarlos a archivos del servidor
+ */
+export const listFiles = async (dir, base = dir) => {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(fullPath, base));
+    } else if (entry.isFile()) {
+      files.push(path.relative(base, fullPath).split(path.sep).join('/'));
+    }
+  }
+
+  return files;
+};
+
+/**
+ * Comprimir un directorio en un zip (Buffer)
+ */
+export const zipDirectory = async (dir) => {
+  const zip = new JSZip();
+
+  for (const file of await listFiles(dir)) {
+    zip.file(file, await fs.readFile(path.join(dir, file)));
+  }
+
+  return await zip.generateAsync({ type: 'nodebuffer' });
+};
+
+/**
+ * Borrar un directorio temporal de build
+ */
+export const cleanupBuild = async (workDir) => {
+  if (workDir) {
+    await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+};
+
+export default { getBuildSandbox, pickViteEnv, writeFrontendFiles, buildFrontend, listFiles, zipDirectory, cleanupBuild };
@@ -0,0 +1,394 @@
+/**
+ * Provider de deploy: Vercel
+ * Sube los archivos fuente y Vercel hace el build (framework vite)
+ * Todos los deploys de una app van al mismo proyecto: sus dominios sirven siempre el último (o el promovido)
+ * El backend de las apps fullstack va en el mismo deployment como funciones serverless (api/)
+ */
+
+import fetch from 'node-fetch';
+import { hasBackend, toServerlessProject } from './backendBundle.js';
+
+const VERCEL_API = 'https://api.vercel.com';
+
+const authHeaders = () => ({ 'Authorization': `Bearer ${process.env.VERCEL_TOKEN}` });
+
+// readyState de Vercel → estado común de los providers
+const STATE_MAP = {
+  QUEUED: 'building',
+  INITIALIZING: 'building',
+  BUILDING: 'building',
+  READY: 'ready',
+  ERROR: 'error',
+  CANCELED: 'error'
+};
+
+// Placeholder si App.jsx quedó con el JSON del proyecto (formato viejo en DB)
+const APP_JSON_FALLBACK = `import React from 'react';\nexport default function App() {\n  return (\n    <div style={{padding:'2rem',textAlign:'center',fontFamily:'Inter,sans-serif'}}>\n      <h1 style={{fontSize:'2rem',color:'#1e293b'}}>App generada</h1>\n      <p style={{color:'#64748b'}}>El contenido se está procesando...</p>\n    </div>\n  );\n}`;
+
+export class VercelProvider {
+  constructor() {
+    this.name = 'vercel';
+    this.backendTarget = 'serverless';
+  }
+
+  isConfigured() {
+    return !!process.env.VERCEL_TOKEN;
+  }
+
+  /**
+   * Crear un deployment de producción
+   * @param {Object} params - { appId, code (normalizado), envVars, runtimeEnv (JWT_SECRET del backend), project }
+   */
+  async deploy({ appId, code, envVars = {}, runtimeEnv = {}, project = {} }) {
+    try {
+      const projectName = project.projectName
+        || `app-${appId.substring(0, 8)}-${Date.now().toString().slice(-6)}`.toLowerCase();
+      console.log(`🚀 [VERCEL] Deploy: ${projectName}`);
+      console.log(`📋 [VERCEL] Archivos frontend: ${code.frontend?.files?.length || 0}`);
+
+      // Fullstack: API en /api del mismo dominio
+      const withBackend = hasBackend(code);
+      if (withBackend) {
+        code = toServerlessProject(code);
+        if (!code) throw new Error('El backend no exporta una app de Express adaptable a serverless');
+
+        envVars = { ...envVars, VITE_API_URL: '/api' };
+        console.log(`🧩 [VERCEL] Backend como funciones serverless en /api`);
+      }
+
+      const files = [];
+      for (const file of code.frontend?.files || []) {
+        let content = file.content;
+
+        // Si el contenido es un objeto/array, convertir a string
+        if (typeof content !== 'string') {
+          content = JSON.stringify(content, null, 2);
+        }
+
+        // ✅ CRÍTICO: Verificar que App.jsx no sea JSON del proyecto
+        if (file.path === 'src/App.jsx' && content.trim().startsWith('{')) {
+          try {
+            const parsed = JSON.parse(content);
+            if (parsed?.frontend || parsed?.files) {
+              console.error('❌ [VERCEL] App.jsx contiene JSON de proyecto, usando fallback');
+              content = APP_JSON_FALLBACK;
+            }
+          } catch (e) {
+            // No era JSON, usar como está
+          }
+        }
+
+        files.push(file.encoding === 'base64'
+          ? { file: file.path, data: content, encoding: 'base64' }
+          : { file: file.path, data: content });
+
+        if (file.path === 'src/App.jsx') {
+          console.log(`📝 [VERCEL] App.jsx preview: ${content.substring(0, 80)}...`);
+        }
+      }
+
+      if (files.length === 0) {
+        throw new Error('No files to deploy');
+      }
+
+      const env = Object.entries(envVars)
+        .filter(([_, value]) => value)
+        .reduce((acc, [key, value]) => {
+          acc[key] = value.toString();
+          return acc;
+        }, {});
+
+      const deployPayload = {
+        name: projectName,
+        files,
+        projectSettings: {
+          framework: 'vite',
+          buildCommand: 'npm run build',
+          outputDirectory: 'dist',
+          installCommand: 'npm install',
+          nodeVersion: '20.x'
+        },
+        target: 'production',
+        // VITE_* se leen en el build; el resto (JWT_SECRET del backend) en runtime
+        env: { ...env, ...(withBackend ? runtimeEnv : {}) },
+        build: { env }
+      };
+
+      console.log(`📤 [VERCEL] Enviando ${files.length} archivos...`);
+
+      const deployResponse = await fetch(`${VERCEL_API}/v13/deployments`, {
+        method: 'POST',
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify(deployPayload)
+      });
+
+      const deployment = await deployResponse.json();
+
+      if (!deployResponse.ok) {
+        console.error('❌ [VERCEL] Error:', deployment);
+        throw new Error(deployment.error?.message || 'Deployment failed');
+      }
+
+      console.log(`✅ [VERCEL] Deployment creado: ${deployment.id}`);
+      const url = await this.waitForDeployment(deployment.id, deployment.url);
+
+      return {
+        success: true,
+        provider: this.name,
+        deploymentId: deployment.id,
+        projectId: deployment.projectId || null,
+        projectName,
+        url,
+        apiUrl: withBackend ? `${url}/api` : null
+      };
+
+    } catch (error) {
+      console.error('❌ [VERCEL] Error:', error);
+      return { success: false, provider: this.name, error: error.message };
+    }
+  }
+
+  async waitForDeployment(deploymentId, deploymentUrl, maxAttempts = 24) {
+    console.log(`⏳ [VERCEL] Esperando deployment...`);
+    let attempts = 0;
+
+    while (attempts < maxAttempts) {
+      try {
+        const statusResponse = await fetch(`${VERCEL_API}/v13/deployments/${deploymentId}`, { headers: authHeaders() });
+        const status = await statusResponse.json();
+        console.log(`📊 [VERCEL] Estado: ${status.readyState} (${attempts + 1}/${maxAttempts})`);
+
+        if (status.readyState === 'READY') {
+          const finalUrl = (status.alias && status.alias.length > 0)
+            ? `https://${status.alias[0]}`
+            : `https://${status.url || deploymentUrl}`;
+          console.log(`✅ [VERCEL] URL final: ${finalUrl}`);
+          return finalUrl;
+        }
+
+        if (status.readyState === 'ERROR' || status.readyState === 'CANCELED') {
+          throw new Error(`Deployment failed: ${status.readyState}`);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 5000));
+        attempts++;
+
+      } catch (error) {
+        console.error(`⚠️ [VERCEL] Error checking:`, error.message);
+        attempts++;
+        await new Promise(resolve => setTimeout(resolve, 5000));
+      }
+    }
+
+    return `https://${deploymentUrl}`;
+  }
+
+  async status(deploymentId) {
+    try {
+      const response = await fetch(`${VERCEL_API}/v13/deployments/${deploymentId}`, { headers: authHeaders() });
+      if (response.status === 404) {
+        return { success: true, state: 'deleted' };
+      }
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error?.message || 'Status failed');
+
+      return {
+        success: true,
+        state: STATE_MAP[data.readyState] || 'building',
+        url: data.url ? `https://${data.url}` : null,
+        raw: { readyState: data.readyState, createdAt: data.createdAt }
+      };
+    } catch (error) {
+      console.error(`⚠️ [VERCEL] No se pudo consultar ${deploymentId}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Volver a servir en producción un deployment anterior del proyecto (rollback sin rebuild)
+   * Los dominios del proyecto pasan a apuntar a él; deployments de otro proyecto no se promueven
+   */
+  async promote(deploymentId, project) {
+    try {
+      const projectId = await this.resolveProjectId(project);
+
+      const deploymentResponse = await fetch(`${VERCEL_API}/v13/deployments/${deploymentId}`, { headers: authHeaders() });
+      const deployment = await deploymentResponse.json();
+      if (!deploymentResponse.ok) throw new Error(deployment.error?.message || 'Deployment not found');
+      if (deployment.projectId !== projectId) {
+        throw new Error('El deployment pertenece a otro proyecto');
+      }
+
+      console.log(`⚡ [VERCEL] Promoviendo ${deploymentId} en ${projectId}`);
+      const response = await fetch(`${VERCEL_API}/v10/projects/${projectId}/promote/${deploymentId}`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error?.message || 'Promote failed');
+      }
+
+      return { success: true, projectId };
+    } catch (error) {
+      console.error(`⚠️ [VERCEL] No se pudo promover ${deploymentId}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async delete(deploymentId) {
+    try {
+      console.log(`🗑️ [VERCEL] Eliminando deployment: ${deploymentId}`);
+
+      const deleteResponse = await fetch(`${VERCEL_API}/v13/deployments/${deploymentId}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+
+      if (!deleteResponse.ok) {
+        const error = await deleteResponse.json();
+        throw new Error(error.error?.message || 'Delete failed');
+      }
+
+      console.log(`✅ [VERCEL] Deployment eliminado`);
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ [VERCEL] Error eliminando:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async logs(deploymentId) {
+    try {
+      const response = await fetch(`${VERCEL_API}/v2/deployments/${deploymentId}/events`, { headers: authHeaders() });
+      const events = await response.json();
+      if (!response.ok) throw new Error(events.error?.message || 'Logs failed');
+
+      return {
+        success: true,
+        logs: (Array.isArray(events) ? events : []).map(event => ({
+          timestamp: event.created ? new Date(event.created).toISOString() : null,
+          level: event.type === 'stderr' ? 'error' : 'info',
+          message: event.payload?.text || event.text || ''
+        }))
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ─── DOMINIOS ────────────────────────────────────────────
+
+  /**
+   * ID real del proyecto (el deploy guarda el nombre; el ID se busca una vez)
+   * @param {Object} project - { projectId, projectName }
+   */
+  async resolveProjectId({ projectId, projectName }) {
+    if (projectId) return projectId;
+
+    if (projectName) {
+      const response = await fetch(`${VERCEL_API}/v9/projects/${projectName}`, { headers: authHeaders() });
+      const data = await response.json();
+      if (data.id) return data.id;
+    }
+
+    throw new Error('No se encontró el proyecto en Vercel. Asegúrate de que la app esté desplegada.');
+  }
+
+  async addDomain(project, domain) {
+    try {
+      const projectId = await this.resolveProjectId(project);
+
+      const response = await fetch(`${VERCEL_API}/v10/projects/${projectId}/domains`, {
+        method: 'POST',
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: domain })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (data.error?.code === 'domain_already_in_use') {
+          throw new Error('Este dominio ya está configurado en otro proyecto de Vercel');
+        }
+        throw new Error(data.error?.message || 'Error al agregar dominio en Vercel');
+      }
+
+      return {
+        success: true,
+        projectId,
+        verification: data.verification || null,
+        dnsInstructions: this.buildDnsInstructions(domain)
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async verifyDomain(project, domain) {
+    try {
+      const projectId = await this.resolveProjectId(project);
+      const response = await fetch(`${VERCEL_API}/v10/projects/${projectId}/domains/${domain}`, { headers: authHeaders() });
+      const data = await response.json();
+
+      return {
+        success: true,
+        projectId,
+        verified: data.verified || false,
+        dnsInstructions: data.verified ? null : this.buildDnsInstructions(domain)
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async removeDomain(project, domain) {
+    try {
+      const projectId = await this.resolveProjectId(project);
+      const response = await fetch(`${VERCEL_API}/v10/projects/${projectId}/domains/${domain}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+
+      if (!response.ok && response.status !== 404) {
+        const data = await response.json();
+        throw new Error(data.error?.message || 'Error al eliminar dominio en Vercel');
+      }
+
+      return { success: true, projectId };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  buildDnsInstructions(domain) {
+    const isSubdomain = domain.split('.').length > 2;
+
+    if (isSubdomain) {
+      return {
+        type: 'CNAME',
+        name: domain.split('.')[0],
+        value: 'cname.vercel-dns.com',
+        instructions: `En tu proveedor DNS, agrega un registro CNAME: "${domain.split('.')[0]}" → "cname.vercel-dns.com"`
+      };
+    }
+
+    return {
+      type: 'A',
+      name: '@',
+      value: '76.76.21.21',
+      instructions: `En tu proveedor DNS, agrega un registro A: "@" → "76.76.21.21"`,
+      alternative: {
+        type: 'CNAME',
+        name: 'www',
+        value: 'cname.vercel-dns.com',
+        instructions: 'Y también un CNAME: "www" → "cname.vercel-dns.com"'
+      }
+    };
+  }
+}
+
+export const vercelProvider = new VercelProvider();
@@ -4,9 +4,14 @@
  * ═══════════════════════════════════════════════════════════════════
  */
 
+import crypto from 'crypto';
 import { query, transaction } from '../config/database.js';
 import { Octokit } from '@octokit/rest';
-import fetch from 'node-fetch';
+import { getProvider, resolveProviderName } from './deployProviders/index.js';
+import { hasBackend, rewriteApiBaseUrl } from './deployProviders/backendBundle.js';
+import { getAppAssets, injectAssets } from './appAssetsService.js';
+import { encryptToken, decryptToken, tokenContext } from './tokenEncryptionService.js';
+import { databaseDialectOf } from './databaseScaffold.js';
 
 const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
 
@@ -18,7 +23,7 @@ const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
 //   3. El JSON completo guardado como string en App.jsx (BUG)
 // ═══════════════════════════════════════════════════════════════════
 
-function normalizeCode(rawCode) {
+export function normalizeCode(rawCode) {
   // Si es string, intentar parsear
   if (typeof rawCode === 'string') {
     try {
@@ -165,6 +170,25 @@ export const createGitHubBackup = async (appId, appName, code, version = 1) => {
       }
     }
 
+    // Tag de la versión inicial (fuente secundaria de rollback)
+    try {
+      const { data: commit } = await octokit.repos.getCommit({
+        owner: process.env.GITHUB_USERNAME,
+        repo: repoName,
+        ref: defaultBranch
+      });
+
+      await octokit.git.createRef({
+        owner: process.env.GITHUB_USERNAME,
+        repo: repoName,
+        ref: `refs/tags/${version}`,
+        sha: commit.sha
+      });
+      console.log(`🏷️ [TAG] ${version} creado`);
+    } catch (tagError) {
+      console.log(`⚠️ [TAG] No se pudo crear tag: ${tagError.message}`);
+    }
+
     return {
       success: true,
       repoName,
@@ -251,11 +275,26 @@ export const getVersionCode = async (repoName, version) => {
     console.log(`📥 [ROLLBACK] Obteniendo código de ${version}`);
     const files = await getFilesFromRepo(repoName, version);
 
+    // El backup guarda frontend/<ruta>, backend/<ruta> y root/<ruta> (ver prepareFilesForBackup);
+    // los tags anteriores no tienen root/
+    const fromSection = (prefix) => files
+      .filter(f => f.path.startsWith(prefix))
+      .map(f => ({ path: f.path.slice(prefix.length), content: f.content }));
+
+    const frontendFiles = fromSection('frontend/');
+    const backendFiles = fromSection('backend/');
+    const rootFiles = fromSection('root/');
+
+    if (frontendFiles.length === 0) {
+      throw new Error(`El tag ${version} no contiene archivos de frontend`);
+    }
+
     return {
       success: true,
       code: {
-        frontend: { files: files.filter(f => f.path.startsWith('frontend/')) },
-        backend: { files: files.filter(f => f.path.startsWith('backend/')) }
+        frontend: { files: frontendFiles },
+        ...(backendFiles.length > 0 ? { backend: { files: backendFiles } } : {}),
+        ...(rootFiles.length > 0 ? { root: { files: rootFiles } } : {})
       }
     };
 
@@ -266,174 +305,150 @@ export const getVersionCode = async (repoName, version) => {
 };
 
 // ═══════════════════════════════════════════════════════════════════
-// 2️⃣ VERCEL DEPLOYMENT
+// 2️⃣ DEPLOY VÍA PROVIDER (vercel | netlify | local)
 // ═══════════════════════════════════════════════════════════════════
 
-export const deployDirectToVercel = async (appId, appName, code, envVars = {}) => {
-  try {
-    const projectName = `app-${appId.substring(0, 8)}-${Date.now().toString().slice(-6)}`.toLowerCase();
-    console.log(`🚀 [VERCEL] Deploy: ${projectName}`);
-
-    // ✅ CRÍTICO: Normalizar código antes de construir archivos
-    const normalizedCode = normalizeCode(code);
-    console.log(`📋 [VERCEL] Archivos frontend: ${normalizedCode.frontend?.files?.length || 0}`);
-
-    const files = [];
-    if (normalizedCode.frontend?.files) {
-      normalizedCode.frontend.files.forEach(file => {
-        let content = file.content;
+const buildEnvVars = () => ({
+  VITE_SUPABASE_URL: process.env.SUPABASE_URL,
+  VITE_SUPABASE_ANON_KEY: process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_KEY,
+  NODE_ENV: 'production',
+});
 
-        // Si el contenido es un objeto/array, convertir a string
-        if (typeof content !== 'string') {
-          content = JSON.stringify(content, null, 2);
-        }
+// Proyecto/site guardado del deployment activo (solo vale para el mismo provider)
+const projectOf = (app, providerName) =>
+  app.deployment_provider === providerName
+    ? { projectId: app.deploy_project_id, projectName: app.deploy_project_name }
+    : {};
 
-        // ✅ CRÍTICO: Verificar que App.jsx no sea JSON del proyecto
-        if (file.path === 'src/App.jsx' && content.trim().startsWith('{')) {
-          try {
-            const parsed = JSON.parse(content);
-            if (parsed?.frontend || parsed?.files || parsed?.frontend?.files) {
-              console.error('❌ [VERCEL] App.jsx contiene JSON de proyecto, usando fallback');
-              content = `import React from 'react';\nexport default function App() {\n  return (\n    <div style={{padding:'2rem',textAlign:'center',fontFamily:'Inter,sans-serif'}}>\n      <h1 style={{fontSize:'2rem',color:'#1e293b'}}>App generada</h1>\n      <p style={{color:'#64748b'}}>El contenido se está procesando...</p>\n    </div>\n  );\n}`;
-            }
-          } catch (e) {
-            // No era JSON, usar como está
-          }
-        }
-
-        files.push({
-          file: file.path,
-          data: content
-        });
-
-        // Log preview de App.jsx para debug
-        if (file.path === 'src/App.jsx') {
-          console.log(`📝 [VERCEL] App.jsx preview: ${content.substring(0, 80)}...`);
-        }
-      });
-    }
-
-    if (files.length === 0) {
-      throw new Error('No files to deploy');
+/**
+ * Variables de runtime del backend de la app (no van al build del frontend)
+ * El JWT_SECRET se genera una vez por app y se guarda cifrado: los redeploys lo reutilizan.
+ * DATABASE_URL/DATABASE_SSL salen de la base que configuró el dueño (setBackendDatabase)
+ */
+async function getBackendRuntimeEnv(app) {
+  const context = tokenContext('apps', [app.id], 'backend_jwt_secret');
+  const current = await query(
+    'SELECT backend_jwt_secret, backend_database_url, backend_database_ssl FROM apps WHERE id = $1',
+    [app.id]
+  );
+  const row = current.rows[0] || {};
+
+  const databaseEnv = row.backend_database_url
+    ? {
+      DATABASE_URL: decryptToken(row.backend_database_url, tokenContext('apps', [app.id], 'backend_database_url')),
+      DATABASE_SSL: row.backend_database_ssl ? 'true' : 'false'
     }
+    : {};
 
-    const deployPayload = {
-      name: projectName,
-      files,
-      projectSettings: {
-        framework: 'vite',
-        buildCommand: 'npm run build',
-        outputDirectory: 'dist',
-        installCommand: 'npm install',
-        nodeVersion: '20.x'
-      },
-      target: 'production',
-      env: Object.entries(envVars)
-        .filter(([_, value]) => value)
-        .reduce((acc, [key, value]) => {
-          acc[key] = value.toString();
-          return acc;
-        }, {})
-    };
-
-    console.log(`📤 [VERCEL] Enviando ${files.length} archivos...`);
+  if (row.backend_jwt_secret) {
+    return { JWT_SECRET: decryptToken(row.backend_jwt_secret, context), ...databaseEnv };
+  }
 
-    const deployResponse = await fetch('https://api.vercel.com/v13/deployments', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.VERCEL_TOKEN}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(deployPayload)
-    });
+  const secret = crypto.randomBytes(32).toString('hex');
+  const saved = await query(
+    `UPDATE apps SET backend_jwt_secret = $1 WHERE id = $2 AND backend_jwt_secret IS NULL RETURNING id`,
+    [encryptToken(secret, context), app.id]
+  );
 
-    const deployment = await deployResponse.json();
+  // Otro deploy simultáneo lo guardó antes: usar el suyo
+  if (saved.rows.length === 0) return getBackendRuntimeEnv(app);
 
-    if (!deployResponse.ok) {
-      console.error('❌ [VERCEL] Error:', deployment);
-      throw new Error(deployment.error?.message || 'Deployment failed');
-    }
+  return { JWT_SECRET: secret, ...databaseEnv };
+}
 
-    console.log(`✅ [VERCEL] Deployment creado: ${deployment.id}`);
-    const deploymentUrl = await waitForDeployment(deployment.id, deployment.url);
+/**
+ * Comprobar que el backend puede correr con su base en el provider elegido
+ * En serverless el disco es de solo lectura (SQLite no sirve) y Postgres necesita la URL del dueño;
+ * el provider local no ejecuta el backend (usa LOCAL_BACKEND_URL), así que no se exige nada
+ * @throws {Error} con el motivo y cómo resolverlo
+ */
+async function assertBackendDatabase(app, code, provider) {
+  if (provider.backendTarget !== 'serverless') return;
 
-    return {
-      success: true,
-      deploymentId: deployment.id,
-      projectName,
-      url: deploymentUrl,
-      readyState: 'READY'
-    };
+  const dialect = databaseDialectOf(code);
 
-  } catch (error) {
-    console.error('❌ [VERCEL] Error:', error);
-    return { success: false, error: error.message };
+  if (dialect === 'sqlite') {
+    throw new Error(`El backend usa SQLite y ${provider.name} es serverless (el archivo no persiste): cambia la base a PostgreSQL o despliega con el provider local`);
   }
-};
 
-export const deleteVercelDeployment = async (deploymentId) => {
-  try {
-    console.log(`🗑️ [VERCEL] Eliminando deployment: ${deploymentId}`);
-
-    const deleteResponse = await fetch(
-      `https://api.vercel.com/v13/deployments/${deploymentId}`,
-      {
-        method: 'DELETE',
-        headers: { 'Authorization': `Bearer ${process.env.VERCEL_TOKEN}` },
-      }
-    );
-
-    if (!deleteResponse.ok) {
-      const error = await deleteResponse.json();
-      throw new Error(error.error?.message || 'Delete failed');
+  if (dialect === 'postgres') {
+    const configured = await query('SELECT backend_database_url IS NOT NULL AS configured FROM apps WHERE id = $1', [app.id]);
+    if (!configured.rows[0]?.configured) {
+      throw new Error('El backend usa PostgreSQL: configura la base de producción con PUT /api/deploy/:id/database antes de desplegar');
     }
-
-    console.log(`✅ [VERCEL] Deployment eliminado`);
-    return { success: true };
-
-  } catch (error) {
-    console.error('❌ [VERCEL] Error eliminando:', error);
-    return { success: false, error: error.message };
   }
-};
-
-async function waitForDeployment(deploymentId, deploymentUrl, maxAttempts = 24) {
-  console.log(`⏳ [VERCEL] Esperando deployment...`);
-  let attempts = 0;
-
-  while (attempts < maxAttempts) {
-    try {
-      const statusResponse = await fetch(
-        `https://api.vercel.com/v13/deployments/${deploymentId}`,
-        { headers: { 'Authorization': `Bearer ${process.env.VERCEL_TOKEN}` } }
-      );
+}
 
-      const status = await statusResponse.json();
-      console.log(`📊 [VERCEL] Estado: ${status.readyState} (${attempts + 1}/${maxAttempts})`);
+/**
+ * Guardar (o quitar con databaseUrl = null) la base de producción del backend de una app
+ * Se aplica en el próximo deploy
+ * @param {Object} options - { databaseUrl: postgres://..., ssl }
+ */
+export const setBackendDatabase = async (appId, { databaseUrl, ssl = true }) => {
+  const encrypted = databaseUrl == null
+    ? null
+    : encryptToken(databaseUrl, tokenContext('apps', [appId], 'backend_database_url'));
+
+  await query(
+    `UPDATE apps SET backend_database_url = $1, backend_database_ssl = $2, updated_at = NOW() WHERE id = $3`,
+    [encrypted, ssl !== false, appId]
+  );
+};
 
-      if (status.readyState === 'READY') {
-        const finalUrl = (status.alias && status.alias.length > 0)
-          ? `https://${status.alias[0]}`
-          : `https://${status.url || deploymentUrl}`;
-        console.log(`✅ [VERCEL] URL final: ${finalUrl}`);
-        return finalUrl;
-      }
+/**
+ * Desplegar con el provider configurado en la app (apps.deploy_provider, NULL = auto)
+ * Si la app tiene backend, el provider lo despliega y pasa su URL al build como VITE_API_URL
+ * Si la app tiene un aviso de facturación (apps.billing_notice) se inyecta en el index.html
+ */
+async function deployWithProvider(app, code) {
+  // Los archivos subidos por el usuario no están en la versión: se añaden a public/uploads al desplegar
+  const normalized = await injectAssets(
+    injectBillingNotice(rewriteApiBaseUrl(normalizeCode(code)), app.billing_notice),
+    await getAppAssets(app.id)
+  );
+  const withBackend = hasBackend(normalized);
+
+  const providerName = resolveProviderName(app.deploy_provider, { backend: withBackend });
+  const provider = getProvider(providerName);
+
+  if (withBackend && !provider.backendTarget) {
+    throw new Error(`${providerName} no puede desplegar el backend de esta app; usa vercel o local`);
+  }
 
-      if (status.readyState === 'ERROR' || status.readyState === 'CANCELED') {
-        throw new Error(`Deployment failed: ${status.readyState}`);
-      }
+  if (withBackend) await assertBackendDatabase(app, normalized, provider);
 
-      await new Promise(resolve => setTimeout(resolve, 5000));
-      attempts++;
+  console.log(`🚀 [DEPLOY] Provider: ${providerName}${withBackend ? ` + backend (${provider.backendTarget})` : ''}`);
+  const deploy = await provider.deploy({
+    appId: app.id,
+    code: normalized,
+    envVars: buildEnvVars(),
+    runtimeEnv: withBackend ? await getBackendRuntimeEnv(app) : {},
+    project: projectOf(app, providerName)
+  });
 
-    } catch (error) {
-      console.error(`⚠️ [VERCEL] Error checking:`, error.message);
-      attempts++;
-      await new Promise(resolve => setTimeout(resolve, 5000));
-    }
-  }
+  if (!deploy.success) throw new Error(`${providerName} deployment failed: ${deploy.error}`);
+  return deploy;
+}
 
-  return `https://${deploymentUrl}`;
+/**
+ * Guardar el deployment activo en las columnas comunes de apps
+ * El proyecto se conserva mientras no cambie el provider (los dominios cuelgan de él)
+ */
+async function saveActiveDeployment(appId, deploy, versionTag = null) {
+  await query(
+    `UPDATE apps
+     SET deploy_url = $1,
+         api_url = $8,
+         deployment_id = $2,
+         deploy_project_id = CASE WHEN deployment_provider = $3 THEN COALESCE(deploy_project_id, $4) ELSE $4 END,
+         deploy_project_name = CASE WHEN deployment_provider = $3 THEN COALESCE(deploy_project_name, $5) ELSE $5 END,
+         deployment_provider = $3,
+         current_version = COALESCE($6, current_version),
+         deployment_status = 'deployed',
+         updated_at = NOW()
+     WHERE id = $7`,
+    [deploy.url, deploy.deploymentId, deploy.provider, deploy.projectId || null, deploy.projectName || null, versionTag, appId, deploy.apiUrl || null]
+  );
 }
 
 // ═══════════════════════════════════════════════════════════════════
@@ -456,6 +471,7 @@ export const deployApp = async (appId, userId) => {
     if (appResult.rows.length === 0) throw new Error('App not found');
 
     const app = appResult.rows[0];
+    const versionTag = 'v1.0.0';
 
     let code = app.code;
     if (typeof code === 'string') {
@@ -478,38 +494,26 @@ export const deployApp = async (appId, userId) => {
     );
 
     console.log(`\n📦 PASO 1/2: Backup en GitHub...\n`);
-    const backup = await createGitHubBackup(appId, app.name, code, 1);
+    const backup = await createGitHubBackup(appId, app.name, code, versionTag);
     if (!backup.success) throw new Error(`GitHub backup failed: ${backup.error}`);
 
-    console.log(`\n🚀 PASO 2/2: Deploy a Vercel...\n`);
-    const envVars = {
-      VITE_SUPABASE_URL: process.env.SUPABASE_URL,
-      VITE_SUPABASE_ANON_KEY: process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_KEY,
-      NODE_ENV: 'production',
-    };
-
-    const deploy = await deployDirectToVercel(appId, app.name, code, envVars);
-    if (!deploy.success) throw new Error(`Vercel deployment failed: ${deploy.error}`);
-
     await query(
-      `UPDATE apps
-       SET deployed = TRUE,
-           deploy_url = $1,
-           deployment_status = 'deployed',
-           github_repo_url = $2,
-           vercel_deployment_id = $3,
-           vercel_project_name = $4,
-           github_repo_name = $5,
-           current_version = 1,
-           updated_at = NOW()
-       WHERE id = $6`,
-      [deploy.url, backup.repoUrl, deploy.deploymentId, deploy.projectName, backup.repoName, appId]
+      `UPDATE apps SET github_repo_url = $1, github_repo_name = $2, updated_at = NOW() WHERE id = $3`,
+      [backup.repoUrl, backup.repoName, appId]
     );
 
+    console.log(`\n🚀 PASO 2/2: Deploy...\n`);
+    const deploy = await deployWithProvider(app, code);
+
+    await saveActiveDeployment(appId, deploy, versionTag);
+    await query(`UPDATE apps SET deployed = TRUE WHERE id = $1`, [appId]);
+
+    await recordVersionDeployment(appId, app.version, versionTag, deploy);
+
     await query(
       `INSERT INTO logs (user_id, app_id, log_type, message, metadata) VALUES ($1, $2, $3, $4, $5)`,
       [userId, appId, 'success', 'App desplegada - v1.0.0', JSON.stringify({
-        backupUrl: backup.repoUrl, deployUrl: deploy.url, deploymentId: deploy.deploymentId, version: 'v1.0.0'
+        backupUrl: backup.repoUrl, deployUrl: deploy.url, deploymentId: deploy.deploymentId, provider: deploy.provider, version: 'v1.0.0'
       })]
     );
 
@@ -521,7 +525,9 @@ export const deployApp = async (appId, userId) => {
       success: true,
       backupUrl: backup.repoUrl,
       deployUrl: deploy.url,
+      apiUrl: deploy.apiUrl || null,
       deploymentId: deploy.deploymentId,
+      provider: deploy.provider,
       version: 'v1.0.0',
       message: 'App desplegada exitosamente'
     };
@@ -542,7 +548,8 @@ export const deployApp = async (appId, userId) => {
 // 4️⃣ ACTUALIZAR APP
 // ═══════════════════════════════════════════════════════════════════
 
-export const updateApp = async (appId, userId, newCode, updateDescription = '') => {
+// options.versionSaved: la versión ya existe en app_versions (p. ej. mejoras aplicadas)
+export const updateApp = async (appId, userId, newCode, updateDescription = '', options = {}) => {
   try {
     console.log(`\n🔄 ===== ACTUALIZANDO APP: ${appId} =====\n`);
 
@@ -551,9 +558,7 @@ export const updateApp = async (appId, userId, newCode, updateDescription = '')
 
     const app = appResult.rows[0];
     const currentVersion = app.current_version || 'v1.0.0';
-    const versionParts = currentVersion.replace('v', '').split('.');
-    versionParts[1] = parseInt(versionParts[1]) + 1;
-    const newVersion = `v${versionParts.join('.')}`;
+    const newVersion = nextVersionTag(currentVersion);
 
     newCode = normalizeCode(newCode);
 
@@ -564,36 +569,45 @@ export const updateApp = async (appId, userId, newCode, updateDescription = '')
     const backup = await updateGitHubBackup(app.github_repo_name, newCode, newVersion);
     if (!backup.success) throw new Error(`GitHub update failed: ${backup.error}`);
 
-    console.log(`\n💾 PASO 2/3: Guardando versión en DB...\n`);
-    await query(
-      `INSERT INTO app_versions (app_id, version, code, generation_prompt, generation_time_ms, tokens_used) VALUES ($1, $2, $3, $4, $5, $6)`,
-      [appId, parseInt(versionParts[1]), JSON.stringify(newCode), updateDescription, 0, 0]
-    );
+    let versionNumber;
+    if (!options.versionSaved) {
+      console.log(`\n💾 PASO 2/3: Guardando versión en DB...\n`);
+      const inserted = await query(
+        `INSERT INTO app_versions (app_id, version, code, generation_prompt, generation_time_ms, tokens_used, tag)
+         VALUES ($1, (SELECT COALESCE(MAX(version), 0) + 1 FROM app_versions WHERE app_id = $1), $2, $3, $4, $5, $6)
+         RETURNING version`,
+        [appId, JSON.stringify(newCode), updateDescription, 0, 0, newVersion]
+      );
+      versionNumber = inserted.rows[0].version;
+    } else {
+      const latest = await query(`SELECT MAX(version) AS version FROM app_versions WHERE app_id = $1`, [appId]);
+      versionNumber = latest.rows[0].version;
+    }
 
-    console.log(`\n🚀 PASO 3/3: Nuevo deploy a Vercel...\n`);
-    const envVars = {
-      VITE_SUPABASE_URL: process.env.SUPABASE_URL,
-      VITE_SUPABASE_ANON_KEY: process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_KEY,
-      NODE_ENV: 'production',
-    };
+    console.log(`\n🚀 PASO 3/3: Nuevo deploy...\n`);
+    const deploy = await deployWithProvider(app, newCode);
 
-    const deploy = await deployDirectToVercel(appId, app.name, newCode, envVars);
-    if (!deploy.success) throw new Error(`Vercel deployment failed: ${deploy.error}`);
+    await saveActiveDeployment(appId, deploy, newVersion);
 
-    await query(
-      `UPDATE apps SET deploy_url = $1, vercel_deployment_id = $2, current_version = $3, deployment_status = 'deployed', updated_at = NOW() WHERE id = $4`,
-      [deploy.url, deploy.deploymentId, newVersion, appId]
-    );
+    await recordVersionDeployment(appId, versionNumber, newVersion, deploy);
 
     await query(
       `INSERT INTO logs (user_id, app_id, log_type, message, metadata) VALUES ($1, $2, $3, $4, $5)`,
       [userId, appId, 'success', `App actualizada a ${newVersion}`, JSON.stringify({
-        version: newVersion, deployUrl: deploy.url, deploymentId: deploy.deploymentId, description: updateDescription
+        version: newVersion, deployUrl: deploy.url, deploymentId: deploy.deploymentId, provider: deploy.provider, description: updateDescription
       })]
     );
 
     console.log(`\n✅ ===== ACTUALIZACIÓN COMPLETADA =====`);
-    return { success: true, version: newVersion, deployUrl: deploy.url, deploymentId: deploy.deploymentId };
+    return {
+      success: true,
+      version: newVersion,
+      versionNumber,
+      deployUrl: deploy.url,
+      apiUrl: deploy.apiUrl || null,
+      deploymentId: deploy.deploymentId,
+      provider: deploy.provider
+    };
 
   } catch (error) {
     console.error(`\n❌ ===== ERROR EN ACTUALIZACIÓN =====`);
@@ -611,7 +625,16 @@ export const updateApp = async (appId, userId, newCode, updateDescription = '')
 // 5️⃣ ROLLBACK
 // ═══════════════════════════════════════════════════════════════════
 
-export const rollbackApp = async (appId, userId, targetVersion) => {
+/**
+ * Rollback a una versión guardada
+ * targetVersion: número de app_versions (3) o tag (v1.2.0); si el tag no está en DB se lee de GitHub
+ * options.promote (default true): si el deployment de esa versión sigue listo en el proyecto
+ * actual de la app, el provider lo vuelve a poner en producción (promote) en lugar de reconstruir
+ * El rollback se registra como una versión nueva con source_version = versión de origen
+ */
+export const rollbackApp = async (appId, userId, targetVersion, options = {}) => {
+  const { promote = true } = options;
+
   try {
     console.log(`\n↩️ ===== ROLLBACK: ${appId} → ${targetVersion} =====\n`);
 
@@ -619,31 +642,116 @@ export const rollbackApp = async (appId, userId, targetVersion) => {
     if (appResult.rows.length === 0) throw new Error('App not found');
 
     const app = appResult.rows[0];
-    await query(`UPDATE apps SET deployment_status = 'rolling_back', updated_at = NOW() WHERE id = $1`, [appId]);
 
-    const versionCode = await getVersionCode(app.github_repo_name, targetVersion);
-    if (!versionCode.success) throw new Error(`Failed to get version code: ${versionCode.error}`);
+    // 1. Resolver la versión de origen: app_versions primero, tag de GitHub como respaldo
+    const { resolveAppVersion } = await import('./versionService.js');
+    const source = await resolveAppVersion(appId, targetVersion);
 
-    const envVars = {
-      VITE_SUPABASE_URL: process.env.SUPABASE_URL,
-      VITE_SUPABASE_ANON_KEY: process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_KEY,
-      NODE_ENV: 'production',
-    };
+    let sourceCode = source?.code || null;
+    let sourceLabel = source ? (source.tag || `#${source.version}`) : String(targetVersion);
+
+    if (!sourceCode) {
+      if (!app.github_repo_name || !/^v\d+\.\d+\.\d+$/.test(String(targetVersion))) {
+        throw new Error(`Version ${targetVersion} not found`);
+      }
 
-    const deploy = await deployDirectToVercel(appId, app.name, versionCode.code, envVars);
-    if (!deploy.success) throw new Error(`Vercel deployment failed: ${deploy.error}`);
+      console.log(`📥 [ROLLBACK] ${targetVersion} no está en DB, leyendo tag de GitHub...`);
+      const versionCode = await getVersionCode(app.github_repo_name, targetVersion);
+      if (!versionCode.success) throw new Error(`Failed to get version code: ${versionCode.error}`);
+      sourceCode = versionCode.code;
+    }
 
-    await query(
-      `UPDATE apps SET deploy_url = $1, vercel_deployment_id = $2, current_version = $3, deployment_status = 'deployed', updated_at = NOW() WHERE id = $4`,
-      [deploy.url, deploy.deploymentId, targetVersion, appId]
+    await query(`UPDATE apps SET deployment_status = 'rolling_back', updated_at = NOW() WHERE id = $1`, [appId]);
+
+    // 2. Ruta rápida: volver a servir el deployment que ya sirvió esa versión
+    let deploy = null;
+    let promoted = false;
+
+    const sourceHasBackend = hasBackend(normalizeCode(sourceCode));
+    const providerName = resolveProviderName(app.deploy_provider, { backend: sourceHasBackend });
+    const provider = getProvider(providerName);
+
+    // Con aviso de facturación activo hay que reconstruir: el deployment viejo no lo tiene
+    // Solo providers con promote y en el mismo proyecto: los dominios de la app pasan a servirlo
+    if (promote && provider.promote && !app.billing_notice && source?.deployment_id && source.deployment_id !== app.deployment_id
+        && source.deployment_provider === providerName && app.deployment_provider === providerName) {
+      const project = projectOf(app, providerName);
+      const existing = await provider.status(source.deployment_id, project);
+      const result = existing.success && existing.state === 'ready'
+        ? await provider.promote(source.deployment_id, project)
+        : { success: false };
+
+      if (result.success) {
+        // La URL de producción del proyecto no cambia: ahora sirve el deployment promovido
+        const url = app.deploy_url || source.deploy_url || existing.url;
+        deploy = {
+          success: true,
+          provider: providerName,
+          deploymentId: source.deployment_id,
+          url,
+          // Serverless: la API vive en el mismo deployment que se promueve
+          apiUrl: !sourceHasBackend ? null
+            : provider.backendTarget === 'serverless' ? `${url}/api` : app.api_url
+        };
+        promoted = true;
+        console.log(`⚡ [ROLLBACK] Deployment ${source.deployment_id} promovido (${providerName})`);
+      }
+    }
+
+    if (!deploy) {
+      deploy = await deployWithProvider(app, sourceCode);
+    }
+
+    // 3. Nueva versión que apunta a la de origen
+    const newTag = nextVersionTag(app.current_version);
+    const inserted = await query(
+      `INSERT INTO app_versions
+         (app_id, version, code, generation_prompt, generation_time_ms, tokens_used, tag, source_version, deployment_id, deployment_provider, deploy_url)
+       VALUES ($1, (SELECT COALESCE(MAX(version), 0) + 1 FROM app_versions WHERE app_id = $1), $2, $3, 0, 0, $4, $5, $6, $7, $8)
+       RETURNING version`,
+      [
+        appId,
+        JSON.stringify(sourceCode),
+        `Rollback a ${sourceLabel}`,
+        newTag,
+        source?.version || null,
+        deploy.deploymentId,
+        deploy.provider,
+        deploy.url
+      ]
     );
+    const versionNumber = inserted.rows[0].version;
+
+    await saveActiveDeployment(appId, deploy, newTag);
+
+    // El backup de GitHub no bloquea el rollback
+    if (app.github_repo_name) {
+      const backup = await updateGitHubBackup(app.github_repo_name, sourceCode, newTag);
+      if (!backup.success) console.error(`⚠️ [ROLLBACK] Backup de GitHub falló: ${backup.error}`);
+    }
 
     await query(
       `INSERT INTO logs (user_id, app_id, log_type, message, metadata) VALUES ($1, $2, $3, $4, $5)`,
-      [userId, appId, 'success', `Rollback a ${targetVersion}`, JSON.stringify({ version: targetVersion, deployUrl: deploy.url })]
+      [userId, appId, 'success', `Rollback a ${sourceLabel} (${newTag})`, JSON.stringify({
+        version: newTag, versionNumber, sourceVersion: source?.version || null, sourceTag: sourceLabel,
+        deployUrl: deploy.url, deploymentId: deploy.deploymentId, provider: deploy.provider, promoted
+      })]
     );
 
-    return { success: true, version: targetVersion, deployUrl: deploy.url };
+    console.log(`\n✅ ===== ROLLBACK COMPLETADO: ${sourceLabel} → ${newTag}${promoted ? ' (promote)' : ''} =====`);
+
+    return {
+      success: true,
+      version: newTag,
+      versionNumber,
+      sourceVersion: source?.version || null,
+      deployUrl: deploy.url,
+      apiUrl: deploy.apiUrl || null,
+      deploymentId: deploy.deploymentId,
+      provider: deploy.provider,
+      promoted,
+      message: promoted ? 'Deployment anterior promovido' : 'Versión redesplegada'
+    };
 
   } catch (error) {
     console.error(`\n❌ ===== ERROR EN ROLLBACK =====`);
@@ -663,13 +771,22 @@ export const suspendApp = async (appId, userId, reason = 'Subscription inactive'
     if (appResult.rows.length === 0) throw new Error('App not found');
 
     const app = appResult.rows[0];
-    if (app.vercel_deployment_id) {
-      await deleteVercelDeployment(app.vercel_deployment_id);
+    if (app.deployment_id) {
+      const provider = getProvider(app.deployment_provider || 'vercel');
+      const removed = await provider.delete(app.deployment_id, projectOf(app, provider.name));
+
+      // Sin proyecto (p. ej. site de Netlify borrado) la reactivación crea uno nuevo
+      if (removed.projectDeleted) {
+        await query(
+          `UPDATE apps SET deploy_project_id = NULL, deploy_project_name = NULL WHERE id = $1`,
+          [appId]
+        );
+      }
     }
 
     await query(
-      `UPDATE apps SET deployment_status = 'suspended', suspended_at = NOW(), updated_at = NOW() WHERE id = $1`,
-      [appId]
+      `UPDATE apps SET deployment_status = 'suspended', suspended_at = NOW(), suspended_reason = $2, updated_at = NOW() WHERE id = $1`,
+      [appId, reason]
     );
 
     await query(
@@ -691,50 +808,58 @@ export const suspendApp = async (appId, userId, reason = 'Subscription inactive'
 
 export const reactivateApp = async (appId, userId) => {
   try {
-    const appResult = await query(
-      `SELECT a.*, av.code FROM apps a
-       LEFT JOIN app_versions av ON a.id = av.app_id
-       WHERE a.id = $1 AND a.user_id = $2
-       ORDER BY av.version DESC LIMIT 1`,
-      [appId, userId]
-    );
+    const code = await loadLatestCode(appId, userId);
+    if (!code) throw new Error('No code found for reactivation');
 
-    if (appResult.rows.length === 0) throw new Error('App not found');
+    // Tras la suspensión el proyecto puede no existir: se vuelve a leer la app
+    const current = await query(`SELECT * FROM apps WHERE id = $1`, [appId]);
+    const deploy = await deployWithProvider(current.rows[0], code);
 
-    const app = appResult.rows[0];
-    let code = app.code;
+    await saveActiveDeployment(appId, deploy);
+    await query(`UPDATE apps SET suspended_at = NULL, suspended_reason = NULL WHERE id = $1`, [appId]);
 
-    if (typeof code === 'string') {
-      try { code = JSON.parse(code); } catch (e) { throw new Error('Invalid code format'); }
-    }
+    await query(
+      `INSERT INTO logs (user_id, app_id, log_type, message, metadata) VALUES ($1, $2, $3, $4, $5)`,
+      [userId, appId, 'success', 'App reactivada', JSON.stringify({ deployUrl: deploy.url })]
+    );
 
-    if (!code) throw new Error('No code found for reactivation');
+    return { success: true, deployUrl: deploy.url };
 
-    code = normalizeCode(code);
+  } catch (error) {
+    console.error('❌ Error en reactivación:', error);
+    return { success: false, error: error.message };
+  }
+};
 
-    const envVars = {
-      VITE_SUPABASE_URL: process.env.SUPABASE_URL,
-      VITE_SUPABASE_ANON_KEY: process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_KEY,
-      NODE_ENV: 'production',
-    };
+/**
+ * Volver a desplegar la versión actual sin cambios de código
+ * Aplica (o quita) el aviso de facturación; las apps suspendidas o sin deploy se saltan
+ */
+export const redeployApp = async (appId, userId) => {
+  try {
+    const current = await query(`SELECT * FROM apps WHERE id = $1 AND user_id = $2`, [appId, userId]);
+    if (current.rows.length === 0) throw new Error('App not found');
 
-    const deploy = await deployDirectToVercel(appId, app.name, code, envVars);
-    if (!deploy.success) throw new Error(`Vercel deployment failed: ${deploy.error}`);
+    const app = current.rows[0];
+    if (!app.deployed || app.deployment_status === 'suspended') {
+      return { success: true, skipped: true };
+    }
 
-    await query(
-      `UPDATE apps SET deploy_url = $1, vercel_deployment_id = $2, deployment_status = 'deployed', suspended_at = NULL, updated_at = NOW() WHERE id = $3`,
-      [deploy.url, deploy.deploymentId, appId]
-    );
+    const code = await loadLatestCode(appId, userId);
+    if (!code) throw new Error('No code found for redeploy');
+
+    const deploy = await deployWithProvider(app, code);
+    await saveActiveDeployment(appId, deploy);
 
     await query(
       `INSERT INTO logs (user_id, app_id, log_type, message, metadata) VALUES ($1, $2, $3, $4, $5)`,
-      [userId, appId, 'success', 'App reactivada', JSON.stringify({ deployUrl: deploy.url })]
+      [userId, appId, 'info', 'App redesplegada', JSON.stringify({ deployUrl: deploy.url, billingNotice: !!app.billing_notice })]
     );
 
     return { success: true, deployUrl: deploy.url };
 
   } catch (error) {
-    console.error('❌ Error en reactivación:', error);
+    console.error('❌ Error en redeploy:', error);
     return { success: false, error: error.message };
   }
 };
@@ -743,30 +868,65 @@ export const reactivateApp = async (appId, userId) => {
 // 8️⃣ UTILIDADES INTERNAS
 // ═══════════════════════════════════════════════════════════════════
 
-function prepareFilesForBackup(code, appId, appName, version) {
-  const files = [];
+// Código de la última versión guardada (null si no hay)
+async function loadLatestCode(appId, userId) {
+  const result = await query(
+    `SELECT av.code FROM apps a
+     LEFT JOIN app_versions av ON a.id = av.app_id
+     WHERE a.id = $1 AND a.user_id = $2
+     ORDER BY av.version DESC LIMIT 1`,
+    [appId, userId]
+  );
+
+  if (result.rows.length === 0) throw new Error('App not found');
+
+  let code = result.rows[0].code;
+  if (typeof code === 'string') {
+    try { code = JSON.parse(code); } catch (e) { throw new Error('Invalid code format'); }
+  }
 
-  if (code.frontend?.files) {
-    code.frontend.files.forEach(file => {
-      const contentStr = typeof file.content === 'string'
-        ? file.content
-        : JSON.stringify(file.content);
+  return code ? normalizeCode(code) : null;
+}
 
-      files.push({
-        path: `frontend/${file.path}`,
-        content: Buffer.from(contentStr, 'utf8').toString('base64')
-      });
-    });
-  }
+// Banner fijo arriba de la página con el aviso de facturación
+function injectBillingNotice(code, notice) {
+  if (!notice) return code;
+
+  const text = notice.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+  const banner = `<div id="billing-notice" role="alert" style="position:fixed;top:0;left:0;right:0;z-index:2147483647;padding:10px 16px;background:#f59e0b;color:#111827;font:500 14px/1.4 system-ui,sans-serif;text-align:center">${text}</div>`;
+
+  return {
+    ...code,
+    frontend: {
+      ...code.frontend,
+      files: (code.frontend?.files || []).map(file =>
+        file.path === 'index.html' && typeof file.content === 'string'
+          ? {
+            ...file,
+            content: /<body[^>]*>/i.test(file.content)
+              ? file.content.replace(/<body[^>]*>/i, match => `${match}${banner}`)
+              : `${banner}${file.content}`
+          }
+          : file
+      )
+    }
+  };
+}
+
+// Cada sección del código va bajo su propia carpeta del repo (getVersionCode las reconstruye)
+const BACKUP_SECTIONS = ['frontend', 'backend', 'root'];
+
+function prepareFilesForBackup(code, appId, appName, version) {
+  const files = [];
 
-  if (code.backend?.files) {
-    code.backend.files.forEach(file => {
+  for (const section of BACKUP_SECTIONS) {
+    (code[section]?.files || []).forEach(file => {
       const contentStr = typeof file.content === 'string'
         ? file.content
         : JSON.stringify(file.content);
 
       files.push({
-        path: `backend/${file.path}`,
+        path: `${section}/${file.path}`,
         content: Buffer.from(contentStr, 'utf8').toString('base64')
       });
     });
@@ -787,13 +947,53 @@ function prepareFilesForBackup(code, appId, appName, version) {
 }
 
 async function getFilesFromRepo(repoName, version) {
-  return [];
+  const owner = process.env.GITHUB_USERNAME;
+
+  const { data: commit } = await octokit.repos.getCommit({ owner, repo: repoName, ref: version });
+  const { data: tree } = await octokit.git.getTree({
+    owner,
+    repo: repoName,
+    tree_sha: commit.commit.tree.sha,
+    recursive: 'true'
+  });
+
+  const files = [];
+  for (const item of tree.tree.filter(i => i.type === 'blob')) {
+    const { data: blob } = await octokit.git.getBlob({ owner, repo: repoName, file_sha: item.sha });
+    files.push({ path: item.path, content: Buffer.from(blob.content, blob.encoding).toString('utf8') });
+  }
+
+  console.log(`📥 [ROLLBACK] ${files.length} archivos leídos de ${repoName}@${version}`);
+  return files;
+}
+
+// Tags de versión: v1.0.0 en el deploy inicial, +1 minor por cada actualización o rollback
+function parseVersionTag(tag) {
+  const match = /^v?(\d+)\.(\d+)\.(\d+)$/.exec(String(tag || ''));
+  return match ? match.slice(1).map(n => parseInt(n, 10)) : [1, 0, 0];
+}
+
+function nextVersionTag(currentTag) {
+  const [major, minor] = parseVersionTag(currentTag);
+  return `v${major}.${minor + 1}.0`;
+}
+
+// Guardar qué deployment sirvió cada versión (ruta rápida de rollback)
+async function recordVersionDeployment(appId, version, tag, deploy) {
+  await query(
+    `UPDATE app_versions
+     SET tag = $1, deployment_id = $2, deployment_provider = $3, deploy_url = $4
+     WHERE app_id = $5 AND version = $6`,
+    [tag, deploy.deploymentId, deploy.provider, deploy.url, appId, version]
+  );
 }
 
 export const getDeploymentStatus = async (appId) => {
   try {
     const result = await query(
-      `SELECT deployment_status, deploy_url, vercel_deployment_id, current_version, updated_at FROM apps WHERE id = $1`,
+      `SELECT deployment_status, deploy_url, api_url, deployment_id, deployment_provider, deploy_provider,
+              deploy_project_name, current_version, updated_at
+       FROM apps WHERE id = $1`,
       [appId]
     );
     if (result.rows.length === 0) throw new Error('App not found');
@@ -804,10 +1004,31 @@ export const getDeploymentStatus = async (appId) => {
   }
 };
 
+export const getDeploymentLogs = async (appId) => {
+  try {
+    const result = await query(
+      `SELECT deployment_id, deployment_provider, deploy_project_id, deploy_project_name FROM apps WHERE id = $1`,
+      [appId]
+    );
+    if (result.rows.length === 0) throw new Error('App not found');
+
+    const app = result.rows[0];
+    if (!app.deployment_id) throw new Error('App not deployed');
+
+    const provider = getProvider(app.deployment_provider || 'vercel');
+    const logs = await provider.logs(app.deployment_id, projectOf(app, provider.name));
+    if (!logs.success) throw new Error(logs.error);
+
+    return { success: true, provider: provider.name, deploymentId: app.deployment_id, logs: logs.logs };
+  } catch (error) {
+    console.error('❌ Error obteniendo logs:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 export default {
-  deployApp, updateApp, rollbackApp,
-  suspendApp, reactivateApp,
-  getDeploymentStatus,
-  createGitHubBackup, updateGitHubBackup,
-  deployDirectToVercel, deleteVercelDeployment
+  deployApp, updateApp, rollbackApp, setBackendDatabase,
+  suspendApp, reactivateApp, redeployApp,
+  getDeploymentStatus, getDeploymentLogs,
+  createGitHubBackup, updateGitHubBackup
 };
\ No newline at end of file
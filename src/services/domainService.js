@@ -1,48 +1,38 @@
 /**
  * Servicio de dominios personalizados
- * Maneja conexión de dominios con Vercel
+ * Conecta dominios a través del provider de deploy de la app (Vercel, Netlify)
  */
 
 import { query } from '../config/database.js';
-import fetch from 'node-fetch';
-
-const VERCEL_API = 'https://api.vercel.com';
+import { getProvider } from './deployProviders/index.js';
 
 /**
- * Obtener el project ID real de Vercel desde el project name
+ * Provider y proyecto del deployment activo de la app
  */
-const getVercelProjectId = async (appId, userId) => {
+const getAppDeployTarget = async (appId, userId) => {
   const appResult = await query(
-    'SELECT vercel_project_id, vercel_project_name FROM apps WHERE id = $1 AND user_id = $2',
+    'SELECT deployment_provider, deploy_project_id, deploy_project_name FROM apps WHERE id = $1 AND user_id = $2',
     [appId, userId]
   );
 
   if (appResult.rows.length === 0) throw new Error('App not found');
 
-  const { vercel_project_id, vercel_project_name } = appResult.rows[0];
-
-  // Si ya tiene project_id guardado, usarlo
-  if (vercel_project_id) return vercel_project_id;
+  const app = appResult.rows[0];
+  if (!app.deployment_provider) {
+    throw new Error('La app no está desplegada. Despliégala antes de conectar un dominio.');
+  }
 
-  // Si solo tiene project_name, buscar el ID en Vercel
-  if (vercel_project_name) {
-    const response = await fetch(
-      `${VERCEL_API}/v9/projects/${vercel_project_name}`,
-      { headers: { 'Authorization': `Bearer ${process.env.VERCEL_TOKEN}` } }
-    );
-    const data = await response.json();
+  return {
+    provider: getProvider(app.deployment_provider),
+    project: { projectId: app.deploy_project_id, projectName: app.deploy_project_name }
+  };
+};
 
-    if (data.id) {
-      // Guardar para no volver a buscarlo
-      await query(
-        'UPDATE apps SET vercel_project_id = $1 WHERE id = $2',
-        [data.id, appId]
-      );
-      return data.id;
-    }
+// Guardar el project ID resuelto para no volver a buscarlo
+const rememberProjectId = async (appId, project, result) => {
+  if (result.projectId && result.projectId !== project.projectId) {
+    await query('UPDATE apps SET deploy_project_id = $1 WHERE id = $2', [result.projectId, appId]);
   }
-
-  throw new Error('No se encontró el proyecto en Vercel. Asegúrate de que la app esté desplegada.');
 };
 
 /**
@@ -50,27 +40,13 @@ const getVercelProjectId = async (appId, userId) => {
  */
 export const addCustomDomain = async (appId, domain, userId) => {
   try {
-    const projectId = await getVercelProjectId(appId, userId);
+    const { provider, project } = await getAppDeployTarget(appId, userId);
     const cleanDomain = domain.toLowerCase().trim();
 
-    // Agregar dominio en Vercel
-    const response = await fetch(`${VERCEL_API}/v10/projects/${projectId}/domains`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.VERCEL_TOKEN}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ name: cleanDomain }),
-    });
-
-    const data = await response.json();
-
-    if (!response.ok) {
-      if (data.error?.code === 'domain_already_in_use') {
-        throw new Error('Este dominio ya está configurado en otro proyecto de Vercel');
-      }
-      throw new Error(data.error?.message || 'Error al agregar dominio en Vercel');
-    }
+    const data = await provider.addDomain(project, cleanDomain);
+    if (!data.success) throw new Error(data.error);
+
+    await rememberProjectId(appId, project, data);
 
     // Guardar en DB
     await query(
@@ -99,14 +75,12 @@ export const addCustomDomain = async (appId, domain, userId) => {
       );
     }
 
-    // Construir instrucciones DNS claras para el usuario
-    const dnsInstructions = buildDnsInstructions(cleanDomain, data);
-
     return {
       success: true,
       domain: cleanDomain,
+      provider: provider.name,
       verification: data.verification || null,
-      dnsInstructions,
+      dnsInstructions: data.dnsInstructions,
       message: 'Dominio agregado. Configura los registros DNS para activarlo.'
     };
 
@@ -116,56 +90,22 @@ export const addCustomDomain = async (appId, domain, userId) => {
   }
 };
 
-/**
- * Construir instrucciones DNS claras
- */
-function buildDnsInstructions(domain, vercelData) {
-  const isSubdomain = domain.split('.').length > 2;
-
-  if (isSubdomain) {
-    return {
-      type: 'CNAME',
-      name: domain.split('.')[0],
-      value: 'cname.vercel-dns.com',
-      instructions: `En tu proveedor DNS, agrega un registro CNAME: "${domain.split('.')[0]}" → "cname.vercel-dns.com"`
-    };
-  } else {
-    return {
-      type: 'A',
-      name: '@',
-      value: '76.76.21.21',
-      instructions: `En tu proveedor DNS, agrega un registro A: "@" → "76.76.21.21"`,
-      alternative: {
-        type: 'CNAME',
-        name: 'www',
-        value: 'cname.vercel-dns.com',
-        instructions: 'Y también un CNAME: "www" → "cname.vercel-dns.com"'
-      }
-    };
-  }
-}
-
 /**
  * Verificar estado del dominio
  */
 export const verifyDomainStatus = async (appId, domain) => {
   try {
-    const appResult = await query(
-      'SELECT vercel_project_id, vercel_project_name, user_id FROM apps WHERE id = $1',
-      [appId]
-    );
+    const appResult = await query('SELECT user_id FROM apps WHERE id = $1', [appId]);
 
     if (appResult.rows.length === 0) throw new Error('App not found');
 
-    const projectId = await getVercelProjectId(appId, appResult.rows[0].user_id);
+    const { provider, project } = await getAppDeployTarget(appId, appResult.rows[0].user_id);
     const cleanDomain = domain.toLowerCase().trim();
 
-    const response = await fetch(
-      `${VERCEL_API}/v10/projects/${projectId}/domains/${cleanDomain}`,
-      { headers: { 'Authorization': `Bearer ${process.env.VERCEL_TOKEN}` } }
-    );
+    const data = await provider.verifyDomain(project, cleanDomain);
+    if (!data.success) throw new Error(data.error);
 
-    const data = await response.json();
+    await rememberProjectId(appId, project, data);
 
     if (data.verified) {
       await query(
@@ -182,7 +122,7 @@ export const verifyDomainStatus = async (appId, domain) => {
       success: true,
       verified: data.verified || false,
       status: data.verified ? 'active' : 'pending',
-      dnsInstructions: data.verified ? null : buildDnsInstructions(cleanDomain, data)
+      dnsInstructions: data.dnsInstructions
     };
 
   } catch (error) {
@@ -196,22 +136,12 @@ export const verifyDomainStatus = async (appId, domain) => {
  */
 export const removeCustomDomain = async (appId, domain, userId) => {
   try {
-    const projectId = await getVercelProjectId(appId, userId);
+    const { provider, project } = await getAppDeployTarget(appId, userId);
     const cleanDomain = domain.toLowerCase().trim();
 
-    // Eliminar de Vercel
-    const response = await fetch(
-      `${VERCEL_API}/v10/projects/${projectId}/domains/${cleanDomain}`,
-      {
-        method: 'DELETE',
-        headers: { 'Authorization': `Bearer ${process.env.VERCEL_TOKEN}` },
-      }
-    );
-
-    if (!response.ok && response.status !== 404) {
-      const data = await response.json();
-      throw new Error(data.error?.message || 'Error al eliminar dominio en Vercel');
-    }
+    // Eliminar del provider
+    const removed = await provider.removeDomain(project, cleanDomain);
+    if (!removed.success) throw new Error(removed.error);
 
     // Eliminar de DB
     await query('DELETE FROM app_domains WHERE app_id = $1 AND domain = $2', [appId, cleanDomain]);
@@ -0,0 +1,98 @@
+/**
+ * Dunning: jobs programados durante el periodo de gracia
+ * billingService los encola al pasar a grace (o al cancelar); cada job comprueba que la
+ * gracia que lo programó sigue vigente, así un pago o una nueva suscripción los anula.
+ */
+
+import { query } from '../config/database.js';
+import * as jobService from './jobService.js';
+import * as whatsappService from './whatsappService.js';
+import * as billingService from './billingService.js';
+
+const { GRACE, CANCELED } = billingService.SUBSCRIPTION_STATUS;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Suscripción cuya gracia (grace_ends_at) sigue pendiente, o null
+ * Una cancelación deja de contar si el usuario ya tiene una suscripción posterior
+ */
+const pendingGrace = async (subscriptionId, graceEndsAt) => {
+  const result = await query(
+    `SELECT s.* FROM subscriptions s
+     WHERE s.id = $1
+       AND date_trunc('milliseconds', s.grace_ends_at) = $2::timestamptz
+       AND s.status = ANY($3)
+       AND NOT EXISTS (
+         SELECT 1 FROM subscriptions n
+         WHERE n.user_id = s.user_id AND n.created_at > s.created_at AND n.status <> $4
+       )`,
+    [subscriptionId, graceEndsAt, [GRACE, CANCELED], CANCELED]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Recordatorio de pago pendiente (handler de JOB_TYPES.BILLING_REMINDER)
+ * @param {Object} data - { subscriptionId, graceEndsAt, day, amount }
+ */
+export const sendReminder = async ({ subscriptionId, graceEndsAt, day, amount }) => {
+  const subscription = await pendingGrace(subscriptionId, graceEndsAt);
+
+  if (subscription?.status !== GRACE) {
+    return { success: true, skipped: true };
+  }
+
+  const user = await query('SELECT email, phone FROM users WHERE id = $1', [subscription.user_id]);
+  const { email, phone } = user.rows[0] || {};
+
+  const suspendOn = new Date(graceEndsAt).toLocaleDateString('es-ES');
+  const daysLeft = Math.max(1, Math.ceil((new Date(graceEndsAt).getTime() - Date.now()) / DAY));
+  const key = `dunning:${subscriptionId}:${graceEndsAt}:${day}`;
+
+  if (email) {
+    await jobService.addJob(
+      jobService.JOB_TYPES.SEND_EMAIL,
+      { type: 'billing', email, billingType: 'reminder', details: { amount, suspendOn, daysLeft } },
+      { idempotencyKey: `${key}:email` }
+    );
+  }
+
+  if (phone && whatsappService.isWhatsAppEnabled()) {
+    await jobService.addJob(
+      jobService.JOB_TYPES.SEND_WHATSAPP,
+      { type: 'payment_failed', phone, amount: amount ?? '-', reason: `Your apps will be suspended on ${suspendOn}` },
+      { idempotencyKey: `${key}:whatsapp` }
+    );
+  }
+
+  console.log(`📨 [DUNNING] Recordatorio día ${day} para ${subscription.user_id} (quedan ${daysLeft} días)`);
+
+  return { success: true, daysLeft };
+};
+
+/**
+ * Fin del periodo de gracia (handler de JOB_TYPES.GRACE_EXPIRY)
+ * @param {Object} data - { subscriptionId, graceEndsAt }
+ */
+export const expireGrace = async ({ subscriptionId, graceEndsAt }) => {
+  const subscription = await pendingGrace(subscriptionId, graceEndsAt);
+
+  if (!subscription) {
+    return { success: true, skipped: true };
+  }
+
+  if (subscription.status === GRACE) {
+    await billingService.transition(subscription.id, billingService.BILLING_EVENTS.GRACE_EXPIRED, { graceEndsAt });
+  } else {
+    await billingService.endCanceledAccess(subscription, { graceEndsAt });
+  }
+
+  return { success: true, status: subscription.status };
+};
+
+export default {
+  sendReminder,
+  expireGrace,
+};
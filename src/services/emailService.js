@@ -255,12 +255,16 @@ export const sendBillingEmail = async (email, type, details) => {
     success: 'Payment Confirmed - Thank You! 💳',
     failed: 'Payment Failed - Action Required',
     cancelled: 'Subscription Cancelled',
+    reminder: `Payment Pending - ${details.daysLeft} day(s) before your apps are suspended`,
+    suspended: 'Your Apps Have Been Suspended',
   };
 
   const colors = {
     success: '#10b981',
     failed: '#ef4444',
     cancelled: '#f59e0b',
+    reminder: '#f59e0b',
+    suspended: '#ef4444',
   };
 
   try {
@@ -312,6 +316,24 @@ export const sendBillingEmail = async (email, type, details) => {
                 <div style="text-align: center;">
                   <a href="${process.env.CORS_ORIGIN}/settings/billing" class="button">Update Payment Method</a>
                 </div>
+              ` : type === 'reminder' ? `
+                <p>We still haven't been able to collect your last payment.</p>
+                <div class="billing-box">
+                  ${details.amount ? `<div class="amount">$${details.amount}</div>` : ''}
+                  <p style="margin: 10px 0 0 0; color: #6b7280;">
+                    Your apps are online with a "payment pending" notice until ${details.suspendOn}.
+                  </p>
+                </div>
+                <p>Update your payment method before then to keep them running.</p>
+                <div style="text-align: center;">
+                  <a href="${process.env.CORS_ORIGIN}/settings/billing" class="button">Update Payment Method</a>
+                </div>
+              ` : type === 'suspended' ? `
+                <p>The grace period ended without a successful payment, so your deployed apps and domains have been suspended.</p>
+                <p>Your code and versions are safe. As soon as you pay or choose a plan, your apps will be deployed again automatically.</p>
+                <div style="text-align: center;">
+                  <a href="${process.env.CORS_ORIGIN}/settings/billing" class="button">Reactivate My Apps</a>
+                </div>
               ` : `
                 <p>Your subscription has been cancelled.</p>
                 <p>You'll continue to have access until ${details.periodEnd}.</p>
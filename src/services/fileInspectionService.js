@@ -0,0 +1,257 @@
+/**
+ * Inspección del contenido de archivos subidos
+ * - Tipo real por magic bytes (no se confía en el mimetype que manda el navegador)
+ * - SVG sin scripts ni handlers (se sirven desde el dominio de la app)
+ * - Metadatos de imágenes (EXIF/GPS, XMP, textos) eliminados reescribiendo el contenedor
+ *   JPEG/PNG/WebP sin recomprimir; en JPEG se conserva solo la orientación
+ */
+
+const ascii = (buffer, offset, text) =>
+  buffer.length >= offset + text.length && buffer.toString('latin1', offset, offset + text.length) === text;
+
+const bytes = (buffer, offset, signature) =>
+  buffer.length >= offset + signature.length && signature.every((byte, i) => buffer[offset + i] === byte);
+
+// Primer match gana: los contenedores genéricos (RIFF, zip) van con su subtipo
+const SIGNATURES = [
+  { mime: 'image/jpeg', test: b => bytes(b, 0, [0xFF, 0xD8, 0xFF]) },
+  { mime: 'image/png', test: b => bytes(b, 0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+  { mime: 'image/gif', test: b => ascii(b, 0, 'GIF87a') || ascii(b, 0, 'GIF89a') },
+  { mime: 'image/webp', test: b => ascii(b, 0, 'RIFF') && ascii(b, 8, 'WEBP') },
+  { mime: 'audio/wav', test: b => ascii(b, 0, 'RIFF') && ascii(b, 8, 'WAVE') },
+  { mime: 'application/pdf', test: b => ascii(b, 0, '%PDF-') },
+  { mime: 'application/msword', test: b => bytes(b, 0, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]) },
+  {
+    mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    test: b => bytes(b, 0, [0x50, 0x4B, 0x03, 0x04]) && b.includes('word/')
+  },
+  { mime: 'audio/ogg', test: b => ascii(b, 0, 'OggS') },
+  { mime: 'audio/mpeg', test: b => ascii(b, 0, 'ID3') || (b[0] === 0xFF && (b[1] & 0xE0) === 0xE0) },
+  { mime: 'video/mp4', test: b => ascii(b, 4, 'ftyp') },
+  { mime: 'video/webm', test: b => bytes(b, 0, [0x1A, 0x45, 0xDF, 0xA3]) },
+  { mime: 'font/woff', test: b => ascii(b, 0, 'wOFF') },
+  { mime: 'font/woff2', test: b => ascii(b, 0, 'wOF2') },
+  { mime: 'font/otf', test: b => ascii(b, 0, 'OTTO') },
+  { mime: 'font/ttf', test: b => bytes(b, 0, [0x00, 0x01, 0x00, 0x00]) || ascii(b, 0, 'true') }
+];
+
+// Nombres alternativos que mandan algunos navegadores
+const MIME_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'application/font-woff': 'font/woff',
+  'application/x-font-ttf': 'font/ttf',
+  'text/xml': 'application/xml'
+};
+
+const UNSAFE_SVG = /<script\b|<foreignObject\b|\son[a-z]+\s*=|javascript:/i;
+
+// Texto: sin bytes nulos ni de control en el inicio (acepta UTF-8 y CSV exportados en Latin-1)
+const isText = (buffer) => !buffer.subarray(0, 8192).some(byte => byte < 0x09 || (byte > 0x0D && byte < 0x20));
+
+const detectTextType = (buffer) => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '').trim();
+
+  try {
+    JSON.parse(text);
+    return 'application/json';
+  } catch {
+    // No es JSON
+  }
+
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(text)) return 'image/svg+xml';
+  if (text.startsWith('<')) return 'application/xml';
+  return 'text/csv';
+};
+
+/**
+ * Tipo MIME según el contenido
+ * @returns {string|null} - null si no se reconoce
+ */
+export const detectMimeType = (buffer) => {
+  if (!buffer?.length) return null;
+
+  const match = SIGNATURES.find(signature => signature.test(buffer));
+  if (match) return match.mime;
+
+  return isText(buffer) ? detectTextType(buffer) : null;
+};
+
+/**
+ * Verificar que el contenido coincide con el tipo declarado y con los permitidos
+ * @param {Buffer} buffer
+ * @param {string} declaredMime - file.mimetype
+ * @param {Array} allowedTypes - Tipos MIME permitidos en el plan
+ * @returns {Object} - { success, mimeType } o { success: false, error }
+ */
+export const verifyFile = (buffer, declaredMime, allowedTypes) => {
+  const detected = detectMimeType(buffer);
+  const declared = MIME_ALIASES[declaredMime] || declaredMime;
+  const allowed = allowedTypes.map(type => MIME_ALIASES[type] || type);
+
+  if (!detected) {
+    return { success: false, error: 'No se reconoce el contenido del archivo' };
+  }
+
+  if (detected !== declared) {
+    return { success: false, error: `El contenido del archivo (${detected}) no coincide con su tipo (${declaredMime})` };
+  }
+
+  if (!allowed.includes(detected)) {
+    return { success: false, error: 'Tipo de archivo no permitido en tu plan' };
+  }
+
+  if (detected === 'image/svg+xml' && UNSAFE_SVG.test(buffer.toString('utf8'))) {
+    return { success: false, error: 'El SVG contiene scripts o eventos y no se puede publicar' };
+  }
+
+  return { success: true, mimeType: detected };
+};
+
+// ─── METADATOS DE IMÁGENES ───────────────────────────────
+
+// Orientación EXIF (tag 0x0112) del segmento APP1, o null
+const readExifOrientation = (segment) => {
+  if (!ascii(segment, 0, 'Exif\0\0')) return null;
+
+  const tiff = segment.subarray(6);
+  const little = ascii(tiff, 0, 'II');
+  if (!little && !ascii(tiff, 0, 'MM')) return null;
+
+  const u16 = (offset) => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const u32 = (offset) => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  try {
+    const ifd = u32(4);
+    const count = u16(ifd);
+    for (let i = 0; i < count; i++) {
+      const entry = ifd + 2 + i * 12;
+      if (u16(entry) === 0x0112) return u16(entry + 8);
+    }
+  } catch {
+    // EXIF truncado
+  }
+
+  return null;
+};
+
+// APP1 con solo la orientación (big endian, un IFD de una entrada)
+const orientationSegment = (orientation) => {
+  const payload = Buffer.from([
+    ...Buffer.from('Exif\0\0', 'latin1'),
+    0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08,
+    0x00, 0x01,
+    0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, (orientation >> 8) & 0xFF, orientation & 0xFF, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00
+  ]);
+  const header = Buffer.from([0xFF, 0xE1, ((payload.length + 2) >> 8) & 0xFF, (payload.length + 2) & 0xFF]);
+  return Buffer.concat([header, payload]);
+};
+
+// JPEG: fuera APP1 (EXIF/XMP), APP13 (IPTC) y comentarios; se mantienen JFIF, ICC y Adobe
+const stripJpeg = (buffer) => {
+  const parts = [buffer.subarray(0, 2)];
+  let orientation = null;
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+    const marker = buffer[offset + 1];
+
+    // Start of scan: el resto son los datos de la imagen
+    if (marker === 0xDA) break;
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const segment = buffer.subarray(offset, offset + 2 + length);
+
+    if (marker === 0xE1) {
+      orientation = orientation || readExifOrientation(segment.subarray(4));
+    } else if (marker !== 0xED && marker !== 0xFE) {
+      parts.push(segment);
+    }
+
+    offset += 2 + length;
+  }
+
+  if (orientation && orientation !== 1) {
+    // Después de APP0 (JFIF) si existe
+    parts.splice(parts.length > 1 && parts[1][1] === 0xE0 ? 2 : 1, 0, orientationSegment(orientation));
+  }
+
+  parts.push(buffer.subarray(offset));
+  return Buffer.concat(parts);
+};
+
+// PNG: fuera eXIf, textos y fecha
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'iTXt', 'zTXt', 'tIME'];
+
+const stripPng = (buffer) => {
+  const parts = [buffer.subarray(0, 8)];
+  let offset = 8;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+
+    if (!PNG_METADATA_CHUNKS.includes(type)) parts.push(buffer.subarray(offset, end));
+
+    offset = end;
+    if (type === 'IEND') break;
+  }
+
+  return Buffer.concat(parts);
+};
+
+// WebP: fuera EXIF y XMP, y se limpian sus flags en VP8X
+const stripWebp = (buffer) => {
+  const parts = [];
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString('latin1', offset, offset + 4);
+    const length = buffer.readUInt32LE(offset + 4);
+    const end = Math.min(offset + 8 + length + (length % 2), buffer.length);
+
+    if (type === 'VP8X') {
+      const chunk = Buffer.from(buffer.subarray(offset, end));
+      chunk[8] &= ~(0x08 | 0x04);
+      parts.push(chunk);
+    } else if (type !== 'EXIF' && type !== 'XMP ') {
+      parts.push(buffer.subarray(offset, end));
+    }
+
+    offset = end;
+  }
+
+  const body = Buffer.concat(parts);
+  const header = Buffer.from(buffer.subarray(0, 12));
+  header.writeUInt32LE(body.length + 4, 4);
+  return Buffer.concat([header, body]);
+};
+
+const STRIPPERS = {
+  'image/jpeg': stripJpeg,
+  'image/png': stripPng,
+  'image/webp': stripWebp
+};
+
+/**
+ * Quitar metadatos de una imagen (los demás tipos se devuelven igual)
+ * @returns {Buffer|null} - null si la imagen está corrupta y no se puede limpiar
+ */
+export const stripMetadata = (buffer, mimeType) => {
+  const strip = STRIPPERS[mimeType];
+  if (!strip) return buffer;
+
+  try {
+    return strip(buffer);
+  } catch (error) {
+    console.warn(`⚠️ [UPLOAD] No se pudieron quitar los metadatos (${mimeType}): ${error.message}`);
+    return null;
+  }
+};
+
+export default {
+  detectMimeType,
+  verifyFile,
+  stripMetadata,
+};
@@ -1,52 +1,49 @@
 /**
  * Servicio de subida de archivos con naming inteligente
+ * Los archivos van al object storage (storageDrivers) con clave uploads/<userId>/<appId>/<uuid>-<nombre>;
+ * app_files.storage_key / storage_driver los referencian. Las filas antiguas solo tienen path
+ * (disco del servidor) hasta que las pasa a storage el job MIGRATE_UPLOADS
  */
 
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs/promises';
+import { Readable } from 'stream';
 import { randomUUID } from 'crypto';
 import { query } from '../config/database.js';
-import { googleConfig } from '../config/google.config.js';
 import { googleService } from './googleService.js';
+import * as fileInspectionService from './fileInspectionService.js';
+import * as storageQuotaService from './storageQuotaService.js';
+import { getActiveDriver, getDriver } from './storageDrivers/index.js';
 
-// Configuración de Multer
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    const uploadDir = path.join(process.cwd(), 'uploads', req.user.id);
-    await fs.mkdir(uploadDir, { recursive: true });
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueId = randomUUID();
-    cb(null, `${uniqueId}-${file.originalname}`);
-  }
-});
+// Validez de las URLs de descarga de GET /api/upload/:appId
+const DOWNLOAD_URL_EXPIRES_IN = parseInt(process.env.UPLOAD_URL_EXPIRES_IN) || 3600;
 
-const fileFilter = (req, file, cb) => {
-  const allAllowedTypes = [
-    ...googleConfig.fileUpload.allowedTypes.images,
-    ...googleConfig.fileUpload.allowedTypes.documents,
-    ...googleConfig.fileUpload.allowedTypes.data,
-    ...googleConfig.fileUpload.allowedTypes.audio,
-    ...googleConfig.fileUpload.allowedTypes.video
-  ];
-
-  if (allAllowedTypes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error('Tipo de archivo no permitido'), false);
-  }
-};
-
-export const upload = multer({
-  storage,
-  fileFilter,
+/**
+ * Multer en memoria con las reglas del plan: nada se guarda hasta que processFile
+ * verifica el contenido y la cuota
+ * @param {Object} rules - { allowedTypes, maxFileSize } (planService.getUploadRules)
+ * @param {number} maxFileSize - Límite efectivo (el del plan o lo que queda de cuota)
+ */
+export const createUpload = (rules, maxFileSize = rules.maxFileSize) => multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (rules.allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Tipo de archivo no permitido en tu plan'), false);
+    }
+  },
   limits: {
-    fileSize: googleConfig.fileUpload.maxSize
+    fileSize: maxFileSize,
+    files: 1
   }
 });
 
+// Nombre en storage sin rutas ni caracteres raros (el original se guarda en original_name)
+export const safeFileName = (originalName) =>
+  path.basename(originalName).replace(/[^a-zA-Z0-9._-]+/g, '_').slice(-100) || 'file';
+
 export const fileUploadService = {
   /**
    * Validar nombre de archivo según especificaciones de Claude
@@ -65,60 +62,91 @@ export const fileUploadService = {
   },
 
   /**
-   * Procesar archivo subido
+   * Procesar archivo subido (en memoria)
+   * Verifica el tipo real por magic bytes, quita metadatos de imágenes y comprueba la cuota
+   * antes de subirlo al storage; la fila de app_files se inserta con la cuota comprobada otra vez
+   * bajo lock (insertWithinQuota) y si ya no cabe se borra lo subido
+   * @param {Object} options - { allowedTypes, storageQuota, remaining: bytes libres de la cuota }
+   * @returns {Promise<Object>} - { success, file } o { success: false, error, status }
    */
-  async processFile(file, appId, userId, fileSpec) {
+  async processFile(file, appId, userId, fileSpec, { allowedTypes, storageQuota, remaining }) {
+    // Validar nombre según especificación
+    if (fileSpec?.expectedPattern && !this.validateFilename(file.originalname, fileSpec.expectedPattern)) {
+      return { success: false, status: 400, error: `El nombre del archivo debe seguir el patrón: ${fileSpec.expectedPattern}` };
+    }
+
+    const verified = fileInspectionService.verifyFile(file.buffer, file.mimetype, allowedTypes);
+    if (!verified.success) {
+      return { success: false, status: 415, error: verified.error };
+    }
+
+    const content = fileInspectionService.stripMetadata(file.buffer, verified.mimeType);
+    if (!content) {
+      return { success: false, status: 415, error: 'La imagen está dañada' };
+    }
+
+    if (content.length > remaining) {
+      return { success: false, status: 413, error: 'No queda espacio suficiente en tu plan para este archivo' };
+    }
+
+    const id = randomUUID();
+    const fileName = `${id}-${safeFileName(file.originalname)}`;
+    const storageKey = `uploads/${userId}/${appId}/${fileName}`;
+    const driver = getActiveDriver();
+
+    await driver.put(storageKey, content, verified.mimeType);
+
     const fileData = {
-      id: randomUUID(),
+      id,
       appId,
       userId,
       originalName: file.originalname,
-      fileName: file.filename,
-      path: file.path,
-      size: file.size,
-      mimeType: file.mimetype,
-      category: this.getFileCategory(file.mimetype),
+      fileName,
+      storageKey,
+      storageDriver: driver.name,
+      size: content.length,
+      mimeType: verified.mimeType,
+      category: this.getFileCategory(verified.mimeType),
       uploadedAt: new Date(),
       spec: fileSpec
     };
 
-    // Validar nombre según especificación
-    if (fileSpec?.expectedPattern) {
-      const isValid = this.validateFilename(
-        file.originalname, 
-        fileSpec.expectedPattern
-      );
-      
-      if (!isValid) {
-        await fs.unlink(file.path);
-        throw new Error(`El nombre del archivo debe seguir el patrón: ${fileSpec.expectedPattern}`);
-      }
+    // Guardar en base de datos (solo si sigue cabiendo: otra subida pudo terminar mientras tanto)
+    let inserted;
+    try {
+      inserted = await storageQuotaService.insertWithinQuota(userId, storageQuota, content.length, (client) => client.query(
+        `INSERT INTO app_files (id, app_id, user_id, file_name, original_name, storage_key, storage_driver, size, mime_type, category, file_spec)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [
+          fileData.id,
+          appId,
+          userId,
+          fileData.fileName,
+          fileData.originalName,
+          fileData.storageKey,
+          fileData.storageDriver,
+          fileData.size,
+          fileData.mimeType,
+          fileData.category,
+          JSON.stringify(fileSpec)
+        ]
+      ));
+    } catch (error) {
+      await driver.remove([storageKey]).catch(() => {});
+      throw error;
     }
 
-    // Guardar en base de datos
-    await query(
-      `INSERT INTO app_files (id, app_id, user_id, file_name, original_name, path, size, mime_type, category, file_spec)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
-      [
-        fileData.id,
-        appId,
-        userId,
-        fileData.fileName,
-        fileData.originalName,
-        fileData.path,
-        fileData.size,
-        fileData.mimeType,
-        fileData.category,
-        JSON.stringify(fileSpec)
-      ]
-    );
+    if (!inserted) {
+      await driver.remove([storageKey]).catch(() => {});
+      return { success: false, status: 413, error: 'No queda espacio suficiente en tu plan para este archivo' };
+    }
 
     // Si es imagen y se requiere, subir a Google Drive
     if (fileSpec?.uploadToDrive) {
-      await this.uploadToGoogleDrive(fileData, userId);
+      await this.uploadToGoogleDrive(fileData, userId, content);
     }
 
-    return fileData;
+    return { success: true, file: fileData };
   },
 
   /**
@@ -128,6 +156,7 @@ export const fileUploadService = {
     if (mimeType.startsWith('image/')) return 'image';
     if (mimeType.startsWith('video/')) return 'video';
     if (mimeType.startsWith('audio/')) return 'audio';
+    if (mimeType.startsWith('font/') || mimeType.includes('font')) return 'font';
     if (mimeType.includes('pdf')) return 'pdf';
     if (mimeType.includes('document')) return 'document';
     if (mimeType.includes('sheet')) return 'spreadsheet';
@@ -137,8 +166,9 @@ export const fileUploadService = {
 
   /**
    * Subir archivo a Google Drive
+   * @param {Buffer} content - Contenido ya verificado (el mismo que se guardó en storage)
    */
-  async uploadToGoogleDrive(fileData, userId) {
+  async uploadToGoogleDrive(fileData, userId, content) {
     try {
       const drive = await googleService.getDriveService(userId);
       
@@ -150,7 +180,7 @@ export const fileUploadService = {
         },
         media: {
           mimeType: fileData.mimeType,
-          body: fs.createReadStream(fileData.path)
+          body: Readable.from(content)
         }
       });
 
@@ -178,6 +208,31 @@ export const fileUploadService = {
     return result.rows;
   },
 
+  /**
+   * Contenido de un archivo subido (fila de app_files)
+   * Desde el storage, o del disco del servidor si aún no se migró
+   * @returns {Promise<Buffer>}
+   */
+  async readFileContent(row) {
+    if (row.storage_key) {
+      return await getDriver(row.storage_driver).get(row.storage_key);
+    }
+    return await fs.readFile(row.path);
+  },
+
+  /**
+   * URL temporal de descarga de un archivo subido
+   * @returns {Promise<Object>} - { url, expiresAt } (url null si el archivo sigue en el disco del servidor)
+   */
+  async getDownloadUrl(row, expiresIn = DOWNLOAD_URL_EXPIRES_IN) {
+    if (!row.storage_key) {
+      return { url: null, expiresAt: null };
+    }
+
+    const url = await getDriver(row.storage_driver).signedUrl(row.storage_key, expiresIn);
+    return { url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+  },
+
   /**
    * Eliminar archivo
    */
@@ -191,8 +246,12 @@ export const fileUploadService = {
       throw new Error('Archivo no encontrado');
     }
 
-    // Eliminar archivo físico
-    await fs.unlink(file.rows[0].path);
+    // Eliminar del storage (o del disco si no se migró)
+    if (file.rows[0].storage_key) {
+      await getDriver(file.rows[0].storage_driver).remove([file.rows[0].storage_key]);
+    } else if (file.rows[0].path) {
+      await fs.rm(file.rows[0].path, { force: true });
+    }
 
     // Eliminar de Google Drive si existe
     if (file.rows[0].google_drive_id) {
@@ -0,0 +1,429 @@
+/**
+ * Jobs de generación de apps
+ * Persiste el progreso en generation_jobs y lo retransmite a los clientes SSE
+ * Los eventos van por LISTEN/NOTIFY de Postgres: el worker que corre el job y el cliente SSE
+ * pueden estar en instancias distintas
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import db, { query, transaction } from '../config/database.js';
+import * as jobService from './jobService.js';
+import { appGenerator } from './appGenerator.js';
+import * as tokenLedgerService from './tokenLedgerService.js';
+import { incrementAppCount, decrementAppCount } from './planService.js';
+
+// Eventos en vivo por job (un listener por cliente SSE conectado de esta instancia)
+const generationEvents = new EventEmitter();
+generationEvents.setMaxListeners(0);
+
+const NOTIFY_CHANNEL = 'generation_events';
+// Límite de payload de NOTIFY (8000 bytes): los eventos más grandes van sin detalle
+const MAX_NOTIFY_PAYLOAD = 7500;
+
+// Cada cuánto se persiste el progreso en DB (los eventos en vivo no esperan)
+const PROGRESS_FLUSH_MS = 2000;
+
+// Validez del token de streamUrl (EventSource no puede mandar el header Authorization)
+const STREAM_TOKEN_TTL_MS = (parseInt(process.env.STREAM_TOKEN_TTL_MINUTES, 10) || 15) * 60 * 1000;
+
+// Compartido entre instancias: el stream puede abrirse en otra instancia que la que creó el token
+const streamTokenSecret = () =>
+  process.env.STREAM_TOKEN_SECRET ||
+  crypto.createHash('sha256').update(`generation-stream:${process.env.SUPABASE_SERVICE_ROLE_KEY}`).digest('hex');
+
+const signStream = (appId, userId, expires) =>
+  crypto.createHmac('sha256', streamTokenSecret()).update(`${appId}:${userId}:${expires}`).digest('base64url');
+
+/**
+ * Token corto para abrir el stream SSE de una app: <userId base64url>.<expira>.<firma>
+ */
+export const createStreamToken = (appId, userId) => {
+  const expires = Date.now() + STREAM_TOKEN_TTL_MS;
+  return `${Buffer.from(userId).toString('base64url')}.${expires}.${signStream(appId, userId, expires)}`;
+};
+
+/**
+ * Verificar un token de stream
+ * @returns {string|null} - userId o null si no es válido o expiró
+ */
+export const verifyStreamToken = (appId, token) => {
+  const [encoded, expires, signature] = String(token || '').split('.');
+  if (!encoded || !expires || !signature || !(Number(expires) > Date.now())) return null;
+
+  const userId = Buffer.from(encoded, 'base64url').toString();
+  const expected = Buffer.from(signStream(appId, userId, expires));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+  return userId;
+};
+
+export const GENERATION_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+/**
+ * Formato público de una fila de generation_jobs
+ */
+export const formatGenerationJob = (row) => ({
+  id: row.id,
+  appId: row.app_id,
+  status: row.status,
+  phase: row.phase,
+  linesGenerated: row.lines_generated,
+  tokensUsed: row.tokens_used,
+  progress: row.progress || {},
+  error: row.error,
+  createdAt: row.created_at,
+  startedAt: row.started_at,
+  completedAt: row.completed_at,
+});
+
+/**
+ * Buscar un job previo con el mismo clientRequestId (reintento del frontend)
+ * @param {string} userId - ID del usuario
+ * @param {string} clientRequestId - ID generado por el cliente
+ * @param {Object} client - Cliente de una transacción (opcional)
+ */
+export const findByClientRequestId = async (userId, clientRequestId, client = null) => {
+  if (!clientRequestId) return null;
+
+  const result = await (client || { query }).query(
+    `SELECT gj.*, a.name AS app_name
+     FROM generation_jobs gj
+     JOIN apps a ON a.id = gj.app_id
+     WHERE gj.user_id = $1 AND gj.client_request_id = $2`,
+    [userId, clientRequestId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Crear app en estado 'generating' y encolar su generación
+ * App, generation_job, reserva, app del plan y job de la cola se crean en una transacción (nunca
+ * queda una generación sin job que la ejecute); con clientRequestId, dos reintentos simultáneos
+ * se serializan con un advisory lock y el segundo recibe el job del primero (duplicate: true)
+ * @param {string} userId - ID del usuario
+ * @param {Object} appData - Datos validados de POST /api/apps/create
+ * @param {Object} options - { clientRequestId, reservationId (reserva de tokens de la generación) }
+ * @returns {Promise<Object>} - { app, generationJob, duplicate }
+ */
+export const enqueueGeneration = async (userId, appData, options = {}) => {
+  const clientRequestId = options.clientRequestId || null;
+
+  const created = await transaction(async (client) => {
+    if (clientRequestId) {
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`generation:${userId}:${clientRequestId}`]);
+
+      const existing = await findByClientRequestId(userId, clientRequestId, client);
+      if (existing) return { existing };
+    }
+
+    const appResult = await client.query(
+      `INSERT INTO apps (user_id, name, description, prompt, tech_stack, status, google_apis, requires_payments, stripe_price_ids)
+       VALUES ($1, $2, $3, $4, $5, 'generating', $6, $7, $8)
+       RETURNING id, name, status`,
+      [
+        userId,
+        appData.name,
+        appData.description,
+        appData.description,
+        JSON.stringify({ style: appData.style, colors: appData.colors }),
+        appData.googleApis || [],
+        appData.requiresPayments || false,
+        appData.stripePriceIds || null
+      ]
+    );
+
+    const app = appResult.rows[0];
+
+    const genResult = await client.query(
+      `INSERT INTO generation_jobs (app_id, user_id, client_request_id, status)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [app.id, userId, clientRequestId, GENERATION_STATUS.QUEUED]
+    );
+
+    const generationJob = genResult.rows[0];
+
+    // La app cuenta para el límite del plan desde que se encola; failGeneration la devuelve
+    await incrementAppCount(userId, client);
+
+    // La reserva queda atada a la generación: se cobra o libera por su ID
+    if (options.reservationId) {
+      await tokenLedgerService.attachReservation(options.reservationId, { appId: app.id, referenceId: generationJob.id }, client);
+    }
+
+    // Un solo intento: cada intento consume tokens de Claude
+    const job = await jobService.addJob(
+      jobService.JOB_TYPES.GENERATE_APP,
+      { generationJobId: generationJob.id, appId: app.id, userId, appData },
+      { client, maxRetries: 1, priority: 10, idempotencyKey: `generation:${generationJob.id}` }
+    );
+
+    await client.query(
+      'UPDATE generation_jobs SET job_id = $1 WHERE id = $2',
+      [job.id, generationJob.id]
+    );
+
+    return { app, generationJob: { ...generationJob, job_id: job.id } };
+  });
+
+  if (created.existing) {
+    const { existing } = created;
+    return {
+      app: { id: existing.app_id, name: existing.app_name, status: 'generating' },
+      generationJob: existing,
+      duplicate: true
+    };
+  }
+
+  return { app: created.app, generationJob: created.generationJob, duplicate: false };
+};
+
+/**
+ * Obtener un job de generación por ID
+ * @param {string} generationJobId - ID en generation_jobs
+ */
+export const getById = async (generationJobId) => {
+  const result = await query('SELECT * FROM generation_jobs WHERE id = $1', [generationJobId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Obtener el último job de generación de una app
+ * @param {string} appId - ID de la app
+ * @param {string} userId - ID del usuario
+ */
+export const getLatestForApp = async (appId, userId) => {
+  const result = await query(
+    `SELECT * FROM generation_jobs
+     WHERE app_id = $1 AND user_id = $2
+     ORDER BY created_at DESC LIMIT 1`,
+    [appId, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Conexión dedicada con LISTEN (una por instancia, se abre con el primer suscriptor)
+let listenerReady = null;
+
+const startListener = () => {
+  if (listenerReady) return listenerReady;
+
+  listenerReady = (async () => {
+    const client = await db.pool.connect();
+
+    client.on('notification', ({ channel, payload }) => {
+      if (channel !== NOTIFY_CHANNEL) return;
+      try {
+        const { generationJobId, eventName, data } = JSON.parse(payload);
+        generationEvents.emit(generationJobId, eventName, data);
+      } catch (error) {
+        console.error('⚠️ Evento de generación inválido:', error.message);
+      }
+    });
+
+    // Si se cae la conexión, el próximo suscriptor abre otra (las rutas SSE además consultan la DB)
+    client.on('error', (error) => {
+      console.error('⚠️ Conexión LISTEN de generaciones perdida:', error.message);
+      listenerReady = null;
+      client.release(error);
+    });
+
+    await client.query(`LISTEN ${NOTIFY_CHANNEL}`);
+    return client;
+  })().catch((error) => {
+    listenerReady = null;
+    throw error;
+  });
+
+  return listenerReady;
+};
+
+/**
+ * Suscribirse a los eventos de un job (de cualquier instancia)
+ * Resuelve cuando el LISTEN está activo: leer el estado después de suscribirse no pierde eventos
+ * @param {string} generationJobId - ID en generation_jobs
+ * @param {Function} listener - (eventName, payload) => void
+ * @returns {Promise<Function>} - Función para cancelar la suscripción
+ */
+export const subscribe = async (generationJobId, listener) => {
+  generationEvents.on(generationJobId, listener);
+
+  try {
+    await startListener();
+  } catch (error) {
+    console.error('⚠️ No se pudo escuchar eventos de generación:', error.message);
+  }
+
+  return () => generationEvents.off(generationJobId, listener);
+};
+
+// Los NOTIFY se envían en orden (progress nunca llega después de completed)
+let notifyQueue = Promise.resolve();
+
+const emit = (generationJobId, eventName, payload) => {
+  let message = JSON.stringify({ generationJobId, eventName, data: payload });
+  if (Buffer.byteLength(message) > MAX_NOTIFY_PAYLOAD) {
+    message = JSON.stringify({ generationJobId, eventName, data: { status: payload.status, truncated: true } });
+  }
+
+  notifyQueue = notifyQueue
+    .then(() => query('SELECT pg_notify($1, $2)', [NOTIFY_CHANNEL, message]))
+    .catch(error => console.error('⚠️ Error notificando evento de generación:', error.message));
+
+  return notifyQueue;
+};
+
+/**
+ * Ejecutar la generación (handler de JOB_TYPES.GENERATE_APP)
+ * @param {Object} data - { generationJobId, appId, userId, appData }
+ */
+export const runGenerationJob = async ({ generationJobId, appId, userId, appData }) => {
+  await query(
+    `UPDATE generation_jobs
+     SET status = $1, started_at = NOW(), updated_at = NOW()
+     WHERE id = $2`,
+    [GENERATION_STATUS.RUNNING, generationJobId]
+  );
+
+  emit(generationJobId, 'status', { status: GENERATION_STATUS.RUNNING });
+
+  // Progreso agregado: frontend y backend pueden correr en paralelo
+  const phases = {};
+  let lastFlush = 0;
+  let flushing = null;
+
+  const totals = () => Object.values(phases).reduce(
+    (acc, p) => ({ lines: acc.lines + p.lines, tokens: acc.tokens + p.tokens }),
+    { lines: 0, tokens: 0 }
+  );
+
+  const flush = (phase) => {
+    const { lines, tokens } = totals();
+    flushing = query(
+      `UPDATE generation_jobs
+       SET phase = $1, lines_generated = $2, tokens_used = $3, progress = $4, updated_at = NOW()
+       WHERE id = $5`,
+      [phase, lines, tokens, JSON.stringify({ phases }), generationJobId]
+    ).catch(error => console.error('⚠️ Error guardando progreso de generación:', error.message));
+  };
+
+  const onProgress = (phase, { lines, tokens, done = false }) => {
+    phases[phase] = { lines, tokens, done };
+    const { lines: totalLines, tokens: totalTokens } = totals();
+
+    emit(generationJobId, 'progress', { phase, lines: totalLines, tokens: totalTokens, phases });
+
+    const now = Date.now();
+    if (done || now - lastFlush >= PROGRESS_FLUSH_MS) {
+      lastFlush = now;
+      flush(phase);
+    }
+  };
+
+  try {
+    const result = await appGenerator.generateApp(userId, appData, { appId, onProgress });
+    await flushing;
+
+    const status = result.fallbackUsed ? 'fallback' : 'completed';
+    const { lines, tokens } = totals();
+
+    await query(
+      `UPDATE generation_jobs
+       SET status = $1, phase = 'done', lines_generated = $2, tokens_used = $3,
+           progress = $4, completed_at = NOW(), updated_at = NOW()
+       WHERE id = $5`,
+      [GENERATION_STATUS.COMPLETED, lines, tokens, JSON.stringify({ phases, result: status, validation: result.validation || null }), generationJobId]
+    );
+
+    emit(generationJobId, 'completed', {
+      status: GENERATION_STATUS.COMPLETED,
+      fallbackUsed: !!result.fallbackUsed,
+      isFullstack: !!result.isFullstack,
+      validation: result.validation || null,
+      app: { id: result.app.id, name: result.app.name, status: result.app.status }
+    });
+
+    await chargeGeneration(generationJobId, result, tokens);
+
+    console.log(`✅ Generación ${generationJobId} completada (${status})`);
+
+    return { success: true, appId, fallbackUsed: !!result.fallbackUsed };
+
+  } catch (error) {
+    console.error(`❌ Generación ${generationJobId} falló:`, error);
+    await failGeneration(generationJobId, appId, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Cobrar la generación con el consumo real; con la plantilla de respaldo no se cobra
+ */
+const chargeGeneration = async (generationJobId, result, streamedTokens) => {
+  const reservation = await tokenLedgerService.findByReference(tokenLedgerService.TOKEN_OPERATIONS.GENERATION, generationJobId);
+  if (!reservation) return;
+
+  if (result.fallbackUsed) {
+    await tokenLedgerService.release(reservation.id, 'fallback');
+    return;
+  }
+
+  // Las reparaciones no siempre emiten progreso: se toma el mayor de ambos conteos
+  const tokens = Math.max(streamedTokens, result.tokensUsed || 0);
+  await tokenLedgerService.settle(reservation.id, tokens, { generationJobId });
+};
+
+/**
+ * Marcar la generación y su app como fallidas; devuelve los tokens reservados y la app del plan
+ * También se usa cuando el job queda en dead-letter sin que el handler lo registrara
+ */
+export const failGeneration = async (generationJobId, appId, errorMessage) => {
+  const failed = await transaction(async (client) => {
+    const updated = await client.query(
+      `UPDATE generation_jobs
+       SET status = $1, error = $2, completed_at = NOW(), updated_at = NOW()
+       WHERE id = $3 AND status IN ($4, $5)
+       RETURNING user_id`,
+      [GENERATION_STATUS.FAILED, errorMessage, generationJobId, GENERATION_STATUS.QUEUED, GENERATION_STATUS.RUNNING]
+    );
+
+    if (updated.rows.length === 0) return false;
+
+    await decrementAppCount(updated.rows[0].user_id, client);
+    return true;
+  });
+
+  if (!failed) return;
+
+  await tokenLedgerService.releaseByReference(tokenLedgerService.TOKEN_OPERATIONS.GENERATION, generationJobId, errorMessage);
+
+  await query(
+    `UPDATE apps SET status = 'error', error_details = $1, updated_at = NOW() WHERE id = $2`,
+    [JSON.stringify({ message: errorMessage }), appId]
+  );
+
+  emit(generationJobId, 'failed', { status: GENERATION_STATUS.FAILED, error: errorMessage });
+};
+
+export default {
+  GENERATION_STATUS,
+  formatGenerationJob,
+  createStreamToken,
+  verifyStreamToken,
+  findByClientRequestId,
+  enqueueGeneration,
+  getById,
+  getLatestForApp,
+  subscribe,
+  runGenerationJob,
+  failGeneration,
+};
@@ -213,7 +213,7 @@ class GoDaddyService {
       );
 
       await query(
-        `UPDATE apps SET custom_domain = $1, domain_status = 'active' WHERE vercel_project_name = $2`,
+        `UPDATE apps SET custom_domain = $1, domain_status = 'active' WHERE deploy_project_name = $2 AND deployment_provider = 'vercel'`,
         [domain, vercelProjectName]
       );
 
@@ -235,7 +235,7 @@ class GoDaddyService {
 
       // Buscar el proyecto Vercel del dominio
       const domainResult = await query(
-        `SELECT rd.*, a.vercel_project_name 
+        `SELECT rd.*, a.deploy_project_name, a.deployment_provider
          FROM registered_domains rd
          JOIN apps a ON a.id = rd.app_id
          WHERE rd.domain = $1`,
@@ -244,7 +244,8 @@ class GoDaddyService {
 
       if (domainResult.rows.length === 0) return { success: false, error: 'Dominio no encontrado' };
 
-      const { vercel_project_name } = domainResult.rows[0];
+      const { deploy_project_name, deployment_provider } = domainResult.rows[0];
+      const vercel_project_name = deployment_provider === 'vercel' ? deploy_project_name : null;
 
       if (vercel_project_name) {
         // Obtener project ID
@@ -289,7 +290,7 @@ class GoDaddyService {
       console.log(`✅ Reactivando dominio: ${domain}`);
 
       const domainResult = await query(
-        `SELECT rd.*, a.vercel_project_name 
+        `SELECT rd.*, a.deploy_project_name, a.deployment_provider
          FROM registered_domains rd
          JOIN apps a ON a.id = rd.app_id
          WHERE rd.domain = $1`,
@@ -298,7 +299,8 @@ class GoDaddyService {
 
       if (domainResult.rows.length === 0) return { success: false, error: 'Dominio no encontrado' };
 
-      const { vercel_project_name } = domainResult.rows[0];
+      const { deploy_project_name, deployment_provider } = domainResult.rows[0];
+      const vercel_project_name = deployment_provider === 'vercel' ? deploy_project_name : null;
 
       // Reconectar DNS a Vercel
       await this.configureDnsForVercel(domain);
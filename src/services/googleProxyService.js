@@ -0,0 +1,470 @@
+/**
+ * Proxy de Google APIs para las apps generadas (/api/runtime/:appId/google/:api/*)
+ * Los visitantes de la app no tienen cuenta: cada operación usa la conexión OAuth del dueño
+ * (google_tokens) y solo toca los recursos que el dueño configuró en apps.google_resources.
+ * Solo existen las operaciones de OPERATIONS; Maps usa la clave de la plataforma desde el servidor.
+ */
+
+import { query } from '../config/database.js';
+import { googleService } from './googleService.js';
+import { normalizeGoogleApis } from './googleScaffold.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const RESOURCE_ID_PATTERN = /^[A-Za-z0-9_-]{10,200}$/;
+const CALENDAR_ID_PATTERN = /^[^\s'"]{1,200}$/;
+const SHEET_RANGE_PATTERN = /^[^'"\\]{1,100}$/;
+
+const MAX_EVENT_HOURS = 24;
+const MAX_AVAILABILITY_DAYS = 62;
+const MAX_ROW_CELLS = 50;
+const MAX_CELL_LENGTH = 1000;
+
+const API_LABELS = {
+  maps: 'Google Maps',
+  calendar: 'Google Calendar',
+  sheets: 'Google Sheets',
+  drive: 'Google Drive',
+  gmail: 'Gmail'
+};
+
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+const text = (value, field, max, { required = false } = {}) => {
+  if (value == null || value === '') {
+    if (required) throw fail(400, `Falta ${field}`);
+    return null;
+  }
+  if (typeof value !== 'string' || value.length > max) {
+    throw fail(400, `${field} no válido (máximo ${max} caracteres)`);
+  }
+  return value.trim();
+};
+
+const date = (value, field) => {
+  const parsed = typeof value === 'string' ? new Date(value) : null;
+  if (!parsed || Number.isNaN(parsed.getTime())) throw fail(400, `${field} debe ser una fecha ISO`);
+  return parsed;
+};
+
+// Cabeceras de email sin saltos de línea (evita inyectar cabeceras)
+const header = (value) => String(value).replace(/[\r\n]+/g, ' ');
+const encodedHeader = (value) => `=?UTF-8?B?${Buffer.from(header(value)).toString('base64')}?=`;
+
+const resourceOf = (app, api, field) => {
+  const value = app.resources[api]?.[field];
+  if (!value) {
+    throw fail(409, `El dueño de la app aún no configuró ${API_LABELS[api]} (${field})`);
+  }
+  return value;
+};
+
+// ─── MAPS (clave de la plataforma, sin OAuth) ───────────
+
+const mapsRequest = async (endpoint, params) => {
+  if (!process.env.GOOGLE_API_KEY) throw fail(503, 'Google Maps no está disponible');
+
+  const url = new URL(`https://maps.googleapis.com/maps/api/${endpoint}/json`);
+  Object.entries({ ...params, key: process.env.GOOGLE_API_KEY }).forEach(([key, value]) => url.searchParams.set(key, value));
+
+  const response = await fetch(url);
+  const data = await response.json();
+
+  if (!['OK', 'ZERO_RESULTS'].includes(data.status)) {
+    console.error(`❌ [GOOGLE] Maps ${endpoint}: ${data.status} ${data.error_message || ''}`);
+    throw fail(502, 'Google Maps no respondió');
+  }
+  return data.results || [];
+};
+
+const geocode = async ({ query: params }) => {
+  const address = text(params.address, 'address', 300, { required: true });
+  const results = await mapsRequest('geocode', { address });
+
+  return {
+    results: results.slice(0, 5).map(result => ({
+      address: result.formatted_address,
+      lat: result.geometry.location.lat,
+      lng: result.geometry.location.lng
+    }))
+  };
+};
+
+const searchPlaces = async ({ query: params }) => {
+  const search = text(params.query, 'query', 300, { required: true });
+  const results = await mapsRequest('place/textsearch', { query: search });
+
+  return {
+    places: results.slice(0, 20).map(place => ({
+      name: place.name,
+      address: place.formatted_address,
+      lat: place.geometry?.location.lat,
+      lng: place.geometry?.location.lng,
+      rating: place.rating ?? null
+    }))
+  };
+};
+
+// ─── CALENDAR ────────────────────────────────────────────
+
+const calendarIdOf = (app) => app.resources.calendar?.calendarId || 'primary';
+
+// Solo huecos ocupados: nunca títulos ni asistentes del calendario del dueño
+const getBusySlots = async (calendar, calendarId, from, to) => {
+  const response = await calendar.freebusy.query({
+    requestBody: { timeMin: from.toISOString(), timeMax: to.toISOString(), items: [{ id: calendarId }] }
+  });
+  return (response.data.calendars?.[calendarId]?.busy || []).map(({ start, end }) => ({ start, end }));
+};
+
+const getAvailability = async ({ app, query: params }) => {
+  const from = params.from ? date(params.from, 'from') : new Date();
+  const to = params.to ? date(params.to, 'to') : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+  if (to <= from || to - from > MAX_AVAILABILITY_DAYS * 24 * 60 * 60 * 1000) {
+    throw fail(400, `El rango debe ser de hasta ${MAX_AVAILABILITY_DAYS} días`);
+  }
+
+  const calendar = await googleService.getCalendarService(app.user_id);
+  return { busy: await getBusySlots(calendar, calendarIdOf(app), from, to) };
+};
+
+// Lista de eventos solo de un calendario que el dueño configuró para publicar (nunca el principal)
+const listEvents = async ({ app, query: params }) => {
+  const calendarId = resourceOf(app, 'calendar', 'calendarId');
+  if (calendarId === 'primary') {
+    throw fail(403, 'El calendario principal del dueño no es público');
+  }
+
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || 20, 1), 50);
+  const calendar = await googleService.getCalendarService(app.user_id);
+  const response = await calendar.events.list({
+    calendarId,
+    timeMin: new Date().toISOString(),
+    maxResults: limit,
+    singleEvents: true,
+    orderBy: 'startTime'
+  });
+
+  return {
+    events: (response.data.items || []).map(event => ({
+      id: event.id,
+      summary: event.summary || '',
+      description: event.description || '',
+      location: event.location || '',
+      start: event.start?.dateTime || event.start?.date,
+      end: event.end?.dateTime || event.end?.date
+    }))
+  };
+};
+
+const createEvent = async ({ app, body }) => {
+  const summary = text(body.summary, 'summary', 200, { required: true });
+  const description = text(body.description, 'description', 2000);
+  const name = text(body.name, 'name', 200);
+  const email = text(body.email, 'email', 254);
+  const start = date(body.start, 'start');
+  const end = date(body.end, 'end');
+
+  if (email && !EMAIL_PATTERN.test(email)) throw fail(400, 'email no válido');
+  if (start <= new Date()) throw fail(400, 'El evento debe ser en el futuro');
+  if (end <= start || end - start > MAX_EVENT_HOURS * 60 * 60 * 1000) {
+    throw fail(400, `La duración debe ser de hasta ${MAX_EVENT_HOURS} horas`);
+  }
+
+  const calendarId = calendarIdOf(app);
+  const calendar = await googleService.getCalendarService(app.user_id);
+
+  if ((await getBusySlots(calendar, calendarId, start, end)).length > 0) {
+    throw fail(409, 'Ese horario ya no está disponible');
+  }
+
+  const bookedBy = [name, email && `<${email}>`].filter(Boolean).join(' ');
+
+  // Sin invitaciones: el proxy no envía correos del dueño a direcciones arbitrarias
+  const response = await calendar.events.insert({
+    calendarId,
+    sendUpdates: 'none',
+    requestBody: {
+      summary,
+      description: [description, bookedBy && `Reservado por: ${bookedBy}`].filter(Boolean).join('\n\n'),
+      start: { dateTime: start.toISOString() },
+      end: { dateTime: end.toISOString() }
+    }
+  });
+
+  return {
+    event: {
+      id: response.data.id,
+      summary: response.data.summary,
+      start: response.data.start?.dateTime,
+      end: response.data.end?.dateTime
+    }
+  };
+};
+
+// ─── SHEETS ──────────────────────────────────────────────
+
+// Leer la hoja es opcional y aparte de añadir filas: un formulario no debe publicar lo que recibe.
+// Solo el rango del dueño: un range del visitante podría apuntar a otra pestaña (Otra!A1:Z)
+const getRows = async ({ app }) => {
+  const spreadsheetId = resourceOf(app, 'sheets', 'spreadsheetId');
+  if (!app.resources.sheets.publicRead) {
+    throw fail(403, `El dueño de la app no habilitó la lectura pública de ${API_LABELS.sheets}`);
+  }
+
+  const range = app.resources.sheets.range || 'A1:Z1000';
+  const sheets = await googleService.getSheetsService(app.user_id);
+  const response = await sheets.spreadsheets.values.get({ spreadsheetId, range });
+
+  return { values: response.data.values || [] };
+};
+
+const appendRow = async ({ app, body }) => {
+  const spreadsheetId = resourceOf(app, 'sheets', 'spreadsheetId');
+  const { values } = body;
+
+  if (!Array.isArray(values) || !values.length || values.length > MAX_ROW_CELLS) {
+    throw fail(400, `values debe ser una lista de 1 a ${MAX_ROW_CELLS} celdas`);
+  }
+  if (values.some(value => value != null && !['string', 'number', 'boolean'].includes(typeof value))) {
+    throw fail(400, 'Las celdas deben ser texto, números o booleanos');
+  }
+
+  const row = values.map(value => (typeof value === 'string' ? value.slice(0, MAX_CELL_LENGTH) : value ?? ''));
+  const sheets = await googleService.getSheetsService(app.user_id);
+
+  // RAW: lo que mandan los visitantes nunca se evalúa como fórmula
+  const response = await sheets.spreadsheets.values.append({
+    spreadsheetId,
+    range: app.resources.sheets.range || 'A1',
+    valueInputOption: 'RAW',
+    insertDataOption: 'INSERT_ROWS',
+    requestBody: { values: [row] }
+  });
+
+  return { updatedRange: response.data.updates?.updatedRange || null };
+};
+
+// ─── DRIVE ───────────────────────────────────────────────
+
+const listFiles = async ({ app }) => {
+  const folderId = resourceOf(app, 'drive', 'folderId');
+  const drive = await googleService.getDriveService(app.user_id);
+
+  const response = await drive.files.list({
+    q: `'${folderId}' in parents and trashed = false`,
+    fields: 'files(id, name, mimeType, size, thumbnailLink, webViewLink)',
+    orderBy: 'name',
+    pageSize: 100
+  });
+
+  return { files: response.data.files || [] };
+};
+
+// ─── GMAIL ───────────────────────────────────────────────
+
+// Solo al dueño de la app (formularios de contacto): el proxy no es un relay de correo
+const sendMessage = async ({ app, body }) => {
+  const name = text(body.name, 'name', 200);
+  const email = text(body.email, 'email', 254, { required: true });
+  const subject = text(body.subject, 'subject', 200) || `Mensaje desde ${app.name}`;
+  const message = text(body.message, 'message', 5000, { required: true });
+
+  if (!EMAIL_PATTERN.test(email)) throw fail(400, 'email no válido');
+
+  const raw = [
+    `To: ${header(app.owner_email)}`,
+    `Reply-To: ${name ? `${encodedHeader(name)} <${header(email)}>` : header(email)}`,
+    `Subject: ${encodedHeader(`[${app.name}] ${subject}`)}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from(`${message}\n\n—\n${name ? `${name} ` : ''}<${email}>`).toString('base64')
+  ].join('\r\n');
+
+  const gmail = await googleService.getGmailService(app.user_id);
+  await gmail.users.messages.send({
+    userId: 'me',
+    requestBody: { raw: Buffer.from(raw).toString('base64url') }
+  });
+
+  return { sent: true };
+};
+
+/**
+ * Operaciones permitidas: '<MÉTODO> <ruta>' por API
+ */
+export const OPERATIONS = {
+  maps: {
+    'GET geocode': geocode,
+    'GET places': searchPlaces
+  },
+  calendar: {
+    'GET availability': getAvailability,
+    'GET events': listEvents,
+    'POST events': createEvent
+  },
+  sheets: {
+    'GET rows': getRows,
+    'POST rows': appendRow
+  },
+  drive: {
+    'GET files': listFiles
+  },
+  gmail: {
+    'POST send': sendMessage
+  }
+};
+
+// APIs que usan la conexión OAuth del dueño
+const OAUTH_APIS = ['calendar', 'sheets', 'drive', 'gmail'];
+
+const parseJson = (value, fallback) => (typeof value === 'string' ? JSON.parse(value || 'null') : value) ?? fallback;
+
+const loadApp = async (appId) => {
+  const result = await query(
+    `SELECT a.id, a.name, a.user_id, a.google_apis, a.google_resources, u.email AS owner_email
+     FROM apps a
+     JOIN users u ON u.id = a.user_id
+     WHERE a.id = $1`,
+    [appId]
+  );
+
+  const app = result.rows[0];
+  if (!app) return null;
+
+  return {
+    ...app,
+    apis: normalizeGoogleApis(parseJson(app.google_apis, [])),
+    resources: parseJson(app.google_resources, {})
+  };
+};
+
+/**
+ * Ejecutar una operación del proxy
+ * @param {string} appId
+ * @param {string} api - maps | calendar | sheets | drive | gmail
+ * @param {string} method - GET | POST
+ * @param {string} operation - Ruta tras /google/:api/
+ * @param {Object} request - { query, body }
+ * @returns {Promise<Object>} - { success, data } o { success: false, status, error }
+ */
+export const runOperation = async (appId, api, method, operation, { query: params = {}, body = {} } = {}) => {
+  const handler = OPERATIONS[api]?.[`${method} ${operation}`];
+  if (!handler) {
+    return { success: false, status: 404, error: 'Operación de Google no disponible' };
+  }
+
+  const app = await loadApp(appId);
+  if (!app) {
+    return { success: false, status: 404, error: 'App no encontrada' };
+  }
+  if (!app.apis.includes(api)) {
+    return { success: false, status: 403, error: `La app no tiene habilitado ${API_LABELS[api]}` };
+  }
+
+  try {
+    const data = await handler({ app, query: params, body: body || {} });
+    return { success: true, data };
+  } catch (error) {
+    if (error.status) {
+      return { success: false, status: error.status, error: error.message };
+    }
+
+    // googleService.getAuthenticatedClient: el dueño no conectó la API
+    if (OAUTH_APIS.includes(api) && error.message?.startsWith('No autorizado')) {
+      return { success: false, status: 409, error: `El dueño de la app no ha conectado ${API_LABELS[api]}` };
+    }
+
+    const googleStatus = error.response?.status || error.code;
+    console.error(`❌ [GOOGLE] ${api} ${method} ${operation} (app ${appId}):`, error.message);
+
+    if (googleStatus === 401 || googleStatus === 403) {
+      return { success: false, status: 409, error: `El dueño de la app debe volver a conectar ${API_LABELS[api]}` };
+    }
+    if (googleStatus === 404) {
+      return { success: false, status: 404, error: `No se encontró el recurso de ${API_LABELS[api]} configurado` };
+    }
+    return { success: false, status: 502, error: `${API_LABELS[api]} no respondió` };
+  }
+};
+
+/**
+ * Validar la configuración de recursos del dueño (PUT /api/google/apps/:appId/resources)
+ * @returns {Object} - { success, resources } o { success: false, error }
+ */
+export const validateResources = (input = {}) => {
+  const resources = {};
+  const { calendar, sheets, drive } = input || {};
+
+  if (calendar?.calendarId) {
+    if (!CALENDAR_ID_PATTERN.test(calendar.calendarId)) return { success: false, error: 'calendarId no válido' };
+    resources.calendar = { calendarId: calendar.calendarId };
+  }
+
+  if (sheets?.spreadsheetId) {
+    if (!RESOURCE_ID_PATTERN.test(sheets.spreadsheetId)) return { success: false, error: 'spreadsheetId no válido' };
+    if (sheets.range && !SHEET_RANGE_PATTERN.test(sheets.range)) return { success: false, error: 'range no válido' };
+    if (sheets.publicRead != null && typeof sheets.publicRead !== 'boolean') return { success: false, error: 'publicRead debe ser true o false' };
+    resources.sheets = {
+      spreadsheetId: sheets.spreadsheetId,
+      ...(sheets.range ? { range: sheets.range } : {}),
+      publicRead: sheets.publicRead === true
+    };
+  }
+
+  // Va dentro de la query de Drive: solo caracteres de ID
+  if (drive?.folderId) {
+    if (!RESOURCE_ID_PATTERN.test(drive.folderId)) return { success: false, error: 'folderId no válido' };
+    resources.drive = { folderId: drive.folderId };
+  }
+
+  return { success: true, resources };
+};
+
+/**
+ * Estado de Google de una app para su dueño: APIs que usa, si están conectadas y recursos
+ */
+export const getAppGoogleStatus = async (appId, userId) => {
+  const app = await loadApp(appId);
+  if (!app || app.user_id !== userId) return null;
+
+  const authorized = await googleService.getUserAuthorizedApis(userId);
+
+  return {
+    apis: app.apis.map(api => ({
+      id: api,
+      name: API_LABELS[api],
+      connected: OAUTH_APIS.includes(api) ? authorized.includes(api) : Boolean(process.env.GOOGLE_API_KEY)
+    })),
+    resources: app.resources
+  };
+};
+
+/**
+ * Guardar los recursos de Google de una app
+ */
+export const updateAppResources = async (appId, userId, input) => {
+  const validation = validateResources(input);
+  if (!validation.success) return validation;
+
+  const result = await query(
+    'UPDATE apps SET google_resources = $1, updated_at = NOW() WHERE id = $2 AND user_id = $3 RETURNING id',
+    [JSON.stringify(validation.resources), appId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    return { success: false, status: 404, error: 'App no encontrada' };
+  }
+
+  return { success: true, resources: validation.resources };
+};
+
+export default {
+  OPERATIONS,
+  runOperation,
+  validateResources,
+  getAppGoogleStatus,
+  updateAppResources,
+};
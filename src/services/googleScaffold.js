@@ -0,0 +1,145 @@
+/**
+ * Google APIs en apps generadas
+ * Las apps no llevan claves ni tokens de Google: index.html define window.AppGoogle, que llama al
+ * proxy del runtime (/api/runtime/:appId/google/:api/...) y este usa las conexiones OAuth del dueño
+ * (google_tokens) con un conjunto cerrado de operaciones (ver googleProxyService)
+ */
+
+import { getRuntimeUrl } from './paymentsScaffold.js';
+
+// APIs con operaciones en el proxy
+export const RUNTIME_GOOGLE_APIS = ['maps', 'calendar', 'sheets', 'drive', 'gmail'];
+
+// El análisis devuelve nombres libres ("Google Maps", "Calendar", "Spreadsheets"...)
+const API_PATTERNS = [
+  ['maps', /maps|places|geocod/i],
+  ['calendar', /calendar/i],
+  ['sheets', /sheet/i],
+  ['drive', /drive/i],
+  ['gmail', /mail/i]
+];
+
+/**
+ * APIs del proxy que pidió la app (sin duplicados, en el orden de RUNTIME_GOOGLE_APIS)
+ * @param {Array} googleApis - apps.google_apis
+ */
+export const normalizeGoogleApis = (googleApis = []) => {
+  const names = (Array.isArray(googleApis) ? googleApis : []).map(String);
+  return API_PATTERNS
+    .filter(([, pattern]) => names.some(name => pattern.test(name)))
+    .map(([api]) => api);
+};
+
+// Métodos de window.AppGoogle por API (ES5: el script va inline en index.html)
+const CLIENT_METHODS = {
+  maps: `maps: {
+            geocode: function (address) {
+              return request('/maps/geocode?address=' + encodeURIComponent(address)).then(function (data) { return data.results; });
+            },
+            searchPlaces: function (query) {
+              return request('/maps/places?query=' + encodeURIComponent(query)).then(function (data) { return data.places; });
+            },
+            embedUrl: function (location, zoom) {
+              var q = typeof location === 'string' ? location : location.lat + ',' + location.lng;
+              return 'https://www.google.com/maps?q=' + encodeURIComponent(q) + '&z=' + (zoom || 14) + '&output=embed';
+            }
+          }`,
+  calendar: `calendar: {
+            getAvailability: function (from, to) {
+              return request('/calendar/availability?from=' + encodeURIComponent(from) + '&to=' + encodeURIComponent(to)).then(function (data) { return data.busy; });
+            },
+            getEvents: function (limit) {
+              return request('/calendar/events?limit=' + (limit || 20)).then(function (data) { return data.events; });
+            },
+            createEvent: function (event) {
+              return post('/calendar/events', event).then(function (data) { return data.event; });
+            }
+          }`,
+  sheets: `sheets: {
+            getRows: function () {
+              return request('/sheets/rows').then(function (data) { return data.values; });
+            },
+            appendRow: function (values) {
+              return post('/sheets/rows', { values: values });
+            }
+          }`,
+  drive: `drive: {
+            listFiles: function () {
+              return request('/drive/files').then(function (data) { return data.files; });
+            }
+          }`,
+  gmail: `gmail: {
+            sendMessage: function (message) {
+              return post('/gmail/send', message);
+            }
+          }`
+};
+
+/**
+ * <script> inline para index.html con los métodos de las APIs de la app
+ * @param {string} appId
+ * @param {Array} apis - normalizeGoogleApis
+ */
+export const getGoogleScript = (appId, apis) => `<script>
+      window.AppGoogle = (function () {
+        var GOOGLE_URL = ${JSON.stringify(`${getRuntimeUrl(appId)}/google`)};
+
+        function request(path, options) {
+          return fetch(GOOGLE_URL + path, options).then(function (res) {
+            return res.json().then(function (data) {
+              if (!res.ok || !data.success) throw new Error(data.message || 'Google service unavailable');
+              return data;
+            });
+          });
+        }
+
+        function post(path, body) {
+          return request(path, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+        }
+
+        return {
+          ${apis.map(api => CLIENT_METHODS[api]).join(',\n          ')}
+        };
+      })();
+    </script>`;
+
+const API_PROMPTS = {
+  maps: `  - window.AppGoogle.maps.geocode(address) → Promise of [{ address, lat, lng }]; window.AppGoogle.maps.searchPlaces(query) → Promise of [{ name, address, lat, lng, rating }]
+  - Show maps with an <iframe src={window.AppGoogle.maps.embedUrl({ lat, lng })} /> (or embedUrl('address')): no Maps JavaScript API, no API key`,
+  calendar: `  - window.AppGoogle.calendar.getAvailability(fromISO, toISO) → Promise of busy slots [{ start, end }] (booking: offer only free slots)
+  - window.AppGoogle.calendar.createEvent({ summary, description, start, end, name, email }) books a slot (ISO dates, max 24h, in the future); show a confirmation
+  - window.AppGoogle.calendar.getEvents(limit) → Promise of upcoming public events [{ id, summary, description, location, start, end }]`,
+  sheets: `  - window.AppGoogle.sheets.getRows() → Promise of rows (array of arrays; the first row is the header) from the range the owner configured; it fails unless the owner enabled public read, so catch errors and hide that section
+  - window.AppGoogle.sheets.appendRow([value1, value2, ...]) adds a row (forms, sign-ups, orders)`,
+  drive: '  - window.AppGoogle.drive.listFiles() → Promise of [{ id, name, mimeType, size, thumbnailLink, webViewLink }] from the owner\'s shared folder',
+  gmail: '  - window.AppGoogle.gmail.sendMessage({ name, email, subject, message }) emails the app owner (contact forms); the visitor email goes in Reply-To'
+};
+
+/**
+ * Instrucciones para el prompt del frontend
+ * @param {Array} googleApis - apps.google_apis (nombres libres)
+ */
+export const buildGooglePrompt = (googleApis = []) => {
+  if (!googleApis?.length) return '';
+
+  const lines = normalizeGoogleApis(googleApis).map(api => API_PROMPTS[api]);
+  const unsupported = googleApis.map(String).filter(name => !API_PATTERNS.some(([, pattern]) => pattern.test(name)));
+
+  return `- GOOGLE APIS: the platform connects Google with the app owner's account. NEVER use Google API keys, OAuth client IDs, gapi or the googleapis package.
+${lines.length ? `  Use window.AppGoogle (promises; catch errors and show a friendly message, load data in useEffect):
+${lines.join('\n')}` : ''}
+${unsupported.length ? `  - ${unsupported.join(', ')}: not available in generated apps, use realistic mock data instead` : ''}`;
+};
+
+/**
+ * Regla para el backend: Google solo desde el frontend
+ */
+export const GOOGLE_BACKEND_RULE = '- Google APIs are called from the frontend through the platform (window.AppGoogle): do NOT add googleapis, Google OAuth or API keys to the backend';
+
+export default {
+  RUNTIME_GOOGLE_APIS,
+  normalizeGoogleApis,
+  getGoogleScript,
+  buildGooglePrompt,
+  GOOGLE_BACKEND_RULE,
+};
@@ -1,10 +1,14 @@
 /**
  * Servicio de integración con Google APIs
+ * Los tokens OAuth se guardan cifrados en google_tokens (tokenEncryptionService)
  */
 
 import { google } from 'googleapis';
 import { query } from '../config/database.js';
 import { googleConfig } from '../config/google.config.js';
+import { encryptToken, decryptToken, tokenContext } from './tokenEncryptionService.js';
+
+const contextOf = (userId, apiName, column) => tokenContext('google_tokens', [userId, apiName], column);
 
 // Clientes OAuth por API
 const oauth2Clients = new Map();
@@ -48,13 +52,19 @@ class GoogleService {
     
     const { tokens } = await client.getToken(code);
     
-    // Guardar tokens en base de datos
+    // Guardar tokens cifrados en base de datos
     await query(
       `INSERT INTO google_tokens (user_id, api_name, access_token, refresh_token, expiry_date)
        VALUES ($1, $2, $3, $4, $5)
        ON CONFLICT (user_id, api_name) 
        DO UPDATE SET access_token = $3, refresh_token = $4, expiry_date = $5`,
-      [userId, apiName, tokens.access_token, tokens.refresh_token, tokens.expiry_date]
+      [
+        userId,
+        apiName,
+        encryptToken(tokens.access_token, contextOf(userId, apiName, 'access_token')),
+        encryptToken(tokens.refresh_token, contextOf(userId, apiName, 'refresh_token')),
+        tokens.expiry_date
+      ]
     );
 
     client.setCredentials(tokens);
@@ -81,8 +91,8 @@ class GoogleService {
     );
 
     client.setCredentials({
-      access_token: tokens.access_token,
-      refresh_token: tokens.refresh_token,
+      access_token: decryptToken(tokens.access_token, contextOf(userId, apiName, 'access_token')),
+      refresh_token: decryptToken(tokens.refresh_token, contextOf(userId, apiName, 'refresh_token')),
       expiry_date: tokens.expiry_date
     });
 
@@ -93,7 +103,12 @@ class GoogleService {
         `UPDATE google_tokens 
          SET access_token = $1, expiry_date = $2 
          WHERE user_id = $3 AND api_name = $4`,
-        [credentials.access_token, credentials.expiry_date, userId, apiName]
+        [
+          encryptToken(credentials.access_token, contextOf(userId, apiName, 'access_token')),
+          credentials.expiry_date,
+          userId,
+          apiName
+        ]
       );
       client.setCredentials(credentials);
     }
@@ -0,0 +1,319 @@
+/**
+ * Ejecución de mejoras confirmadas (app_improvements)
+ * pending → in_progress → applied | failed
+ * Claude devuelve un parche sobre la última versión; el costo se reserva al confirmar,
+ * se cobra al aplicar y se libera si algo falla
+ */
+
+import { query, transaction } from '../config/database.js';
+import * as jobService from './jobService.js';
+import * as tokenLedgerService from './tokenLedgerService.js';
+import claudeService from './claudeService.js';
+import { validationService } from './validationService.js';
+import { normalizeCode, updateApp } from './deploymentService.js';
+import { flattenProject, parseSearchReplace, applySearchReplace, replaceFiles } from './patchService.js';
+import { getAppAssets, buildAssetsPrompt } from './appAssetsService.js';
+import { hasBackend } from './deployProviders/backendBundle.js';
+
+export const IMPROVEMENT_STATUS = {
+  PENDING: 'pending',
+  IN_PROGRESS: 'in_progress',
+  APPLIED: 'applied',
+  FAILED: 'failed',
+};
+
+// Archivos que se envían a Claude como contexto del parche
+const EDITABLE_FILE = /\.(jsx?|css|html)$|(^|\/)package\.json$/;
+
+/**
+ * Encolar la ejecución de una mejora
+ * @param {string} improvementId - ID en app_improvements
+ */
+export const enqueueImprovement = async (improvementId) => {
+  const job = await jobService.addJob(
+    jobService.JOB_TYPES.APPLY_IMPROVEMENT,
+    { improvementId },
+    { maxRetries: 1, priority: 5, idempotencyKey: `improvement:${improvementId}` }
+  );
+
+  await query('UPDATE app_improvements SET job_id = $1 WHERE id = $2', [job.id, improvementId]);
+
+  return job;
+};
+
+/**
+ * Encolar mejoras pendientes que nunca tuvieron job (creadas antes del worker)
+ */
+export const enqueuePendingImprovements = async () => {
+  const result = await query(
+    `SELECT id FROM app_improvements
+     WHERE status = $1 AND job_id IS NULL
+     ORDER BY created_at ASC`,
+    [IMPROVEMENT_STATUS.PENDING]
+  );
+
+  for (const row of result.rows) {
+    await enqueueImprovement(row.id);
+  }
+
+  if (result.rows.length > 0) {
+    console.log(`🛠️ ${result.rows.length} mejora(s) pendiente(s) encoladas`);
+  }
+
+  return result.rows.length;
+};
+
+/**
+ * Obtener una mejora del usuario
+ */
+export const getImprovement = async (improvementId, appId, userId) => {
+  const result = await query(
+    'SELECT * FROM app_improvements WHERE id = $1 AND app_id = $2 AND user_id = $3',
+    [improvementId, appId, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Validar los archivos modificados por el parche
+ * @returns {Array} - [{ side, path, content, errors }] de los que no pasan
+ */
+const validateChangedFiles = (code, changedFiles) => {
+  const files = flattenProject(code);
+  const failing = [];
+
+  for (const path of changedFiles) {
+    const file = files.find(f => f.path === path);
+    if (!file) continue;
+
+    let validation = null;
+    if (path.endsWith('.jsx')) {
+      validation = validationService.validateGeneratedCode(file.content);
+    } else if (file.section === 'backend' && path.endsWith('.js')) {
+      validation = validationService.validateBackendCode(file.content);
+    }
+
+    if (validation && !validation.isValid) {
+      failing.push({ side: file.section, path, content: file.content, errors: validation.errors });
+    }
+  }
+
+  return failing;
+};
+
+/**
+ * Marcar como fallida y devolver los tokens del costo de la mejora
+ * tokens_refunded evita devolverlos dos veces si el job se reintenta;
+ * una mejora ya aplicada (versión guardada) nunca pasa a fallida
+ */
+const failImprovement = async (improvement, errorMessage) => {
+  const updated = await query(
+    `UPDATE app_improvements
+     SET status = $1, error = $2, tokens_refunded = TRUE, completed_at = NOW()
+     WHERE id = $3 AND tokens_refunded = FALSE AND status <> $4
+     RETURNING tokens_cost`,
+    [IMPROVEMENT_STATUS.FAILED, errorMessage, improvement.id, IMPROVEMENT_STATUS.APPLIED]
+  );
+
+  if (updated.rows.length === 0) return;
+
+  const { TOKEN_OPERATIONS } = tokenLedgerService;
+  const reservation = await tokenLedgerService.findByReference(TOKEN_OPERATIONS.IMPROVEMENT_APPLY, improvement.id);
+
+  if (reservation) {
+    await tokenLedgerService.release(reservation.id, errorMessage);
+  } else {
+    // Mejoras confirmadas antes del ledger: el costo se cobró al confirmar
+    await tokenLedgerService.credit(improvement.user_id, {
+      operation: TOKEN_OPERATIONS.REFUND,
+      amount: updated.rows[0].tokens_cost || 0,
+      appId: improvement.app_id,
+      referenceId: improvement.id,
+      metadata: { reason: errorMessage }
+    });
+  }
+
+  console.log(`↩️ Mejora ${improvement.id} fallida, ${improvement.tokens_cost} tokens devueltos`);
+};
+
+/**
+ * Fallar una mejora que no llegó a aplicarse (job en dead-letter)
+ */
+export const failImprovementById = async (improvementId, errorMessage) => {
+  const result = await query(
+    'SELECT * FROM app_improvements WHERE id = $1 AND status IN ($2, $3)',
+    [improvementId, IMPROVEMENT_STATUS.PENDING, IMPROVEMENT_STATUS.IN_PROGRESS]
+  );
+
+  if (result.rows[0]) {
+    await failImprovement(result.rows[0], errorMessage);
+  }
+};
+
+/**
+ * Ejecutar una mejora (handler de JOB_TYPES.APPLY_IMPROVEMENT)
+ * @param {Object} data - { improvementId }
+ */
+export const runImprovement = async ({ improvementId }) => {
+  // Reclamar: el lease del job garantiza una sola ejecución a la vez;
+  // in_progress se acepta para retomar una ejecución interrumpida por un reinicio
+  const claimed = await query(
+    `UPDATE app_improvements
+     SET status = $1, started_at = NOW(), error = NULL
+     WHERE id = $2 AND status IN ($3, $1)
+     RETURNING *`,
+    [IMPROVEMENT_STATUS.IN_PROGRESS, improvementId, IMPROVEMENT_STATUS.PENDING]
+  );
+
+  if (claimed.rows.length === 0) {
+    console.log(`⚠️ Mejora ${improvementId} ya no está pendiente`);
+    return { success: true, skipped: true };
+  }
+
+  const improvement = claimed.rows[0];
+  console.log(`🛠️ Aplicando mejora ${improvement.id} (${improvement.type}) a app ${improvement.app_id}`);
+
+  let result;
+  try {
+    const appResult = await query(
+      `SELECT a.name, a.description, a.deployment_status, a.github_repo_name, av.code, av.version
+       FROM apps a
+       JOIN app_versions av ON a.id = av.app_id
+       WHERE a.id = $1 AND a.user_id = $2
+       ORDER BY av.version DESC LIMIT 1`,
+      [improvement.app_id, improvement.user_id]
+    );
+
+    if (appResult.rows.length === 0) {
+      throw new Error('App sin versiones de código');
+    }
+
+    const app = appResult.rows[0];
+    const code = normalizeCode(app.code);
+    const files = flattenProject(code).filter(f => EDITABLE_FILE.test(f.path));
+
+    // Archivos subidos desde la última versión (p. ej. "usa el logo que subí")
+    const assets = await getAppAssets(improvement.app_id);
+    const fullstack = hasBackend(code);
+    const assetsPrompt = [
+      await buildAssetsPrompt(assets, { side: 'frontend', fullstack }),
+      fullstack ? await buildAssetsPrompt(assets, { side: 'backend' }) : ''
+    ].filter(Boolean).join('\n');
+
+    // 1. Parche de Claude
+    const patch = await claudeService.generateImprovementPatch(files, improvement, {
+      appName: app.name,
+      appDescription: app.description,
+      assetsPrompt
+    });
+    let tokensUsed = patch.tokens;
+
+    const applied = applySearchReplace(code, parseSearchReplace(patch.text));
+    if (!applied.success) {
+      throw new Error(`Parche inválido: ${applied.error}`);
+    }
+
+    // 2. Validación de los archivos tocados (una ronda de reparación)
+    let newCode = applied.code;
+    let failing = validateChangedFiles(newCode, applied.changedFiles);
+
+    if (failing.length > 0) {
+      console.log(`🔧 Reparando ${failing.length} archivo(s) de la mejora ${improvement.id}`);
+      const repairs = await Promise.all(failing.map(file =>
+        claudeService.repairFile(file, file.errors, { description: improvement.description })
+      ));
+      tokensUsed += repairs.reduce((sum, r) => sum + (r.tokens || 0), 0);
+      newCode = replaceFiles(newCode, repairs.filter(r => r.content));
+      failing = validateChangedFiles(newCode, applied.changedFiles);
+    }
+
+    if (failing.length > 0) {
+      const summary = failing.map(f => `${f.path}: ${f.errors.map(e => e.type).join(', ')}`).join('; ');
+      throw new Error(`El código modificado no pasó la validación (${summary})`);
+    }
+
+    // 3. Nueva versión + mejora aplicada
+    const version = await transaction(async (client) => {
+      const versionResult = await client.query(
+        `INSERT INTO app_versions (app_id, version, code, generation_prompt, generation_time_ms, tokens_used)
+         VALUES ($1, (SELECT COALESCE(MAX(version), 0) + 1 FROM app_versions WHERE app_id = $1), $2, $3, $4, $5)
+         RETURNING version`,
+        [
+          improvement.app_id,
+          JSON.stringify(newCode),
+          improvement.description,
+          Date.now() - new Date(improvement.started_at).getTime(),
+          tokensUsed
+        ]
+      );
+
+      const newVersion = versionResult.rows[0].version;
+
+      await client.query(
+        `UPDATE app_improvements
+         SET status = $1, version = $2, changed_files = $3, tokens_used = $4, completed_at = NOW()
+         WHERE id = $5`,
+        [IMPROVEMENT_STATUS.APPLIED, newVersion, JSON.stringify(applied.changedFiles), tokensUsed, improvement.id]
+      );
+
+      return newVersion;
+    });
+
+    result = { app, code: newCode, version, tokensUsed };
+    console.log(`✅ Mejora ${improvement.id} aplicada → versión ${version} (${applied.changedFiles.join(', ')})`);
+
+  } catch (error) {
+    console.error(`❌ Error aplicando mejora ${improvement.id}:`, error.message);
+    await failImprovement(improvement, error.message);
+    return { success: false, error: error.message };
+  }
+
+  // La versión ya está guardada: lo que sigue solo se loguea si falla, nunca falla la mejora
+  await settleImprovement(improvement, result);
+  await redeployImproved(improvement, result);
+
+  return { success: true, improvementId: improvement.id, version: result.version };
+};
+
+/**
+ * Cobrar el costo de la tabla; el consumo real de Claude queda en la metadata
+ * Si falla, la reserva sigue retenida hasta que expira (no se devuelve: la mejora se aplicó)
+ */
+const settleImprovement = async (improvement, { version, tokensUsed }) => {
+  try {
+    const reservation = await tokenLedgerService.findByReference(tokenLedgerService.TOKEN_OPERATIONS.IMPROVEMENT_APPLY, improvement.id);
+    if (reservation) {
+      await tokenLedgerService.settle(reservation.id, improvement.tokens_cost || 0, { claudeTokens: tokensUsed, version });
+    }
+  } catch (error) {
+    console.error(`❌ Error cobrando la mejora ${improvement.id} (versión ${version}):`, error.message);
+  }
+};
+
+/**
+ * Redeploy opcional (un fallo aquí no revierte la mejora: el código ya está guardado)
+ */
+const redeployImproved = async (improvement, { app, code }) => {
+  if (!improvement.auto_deploy || app.deployment_status !== 'deployed' || !app.github_repo_name) return;
+
+  try {
+    const deploy = await updateApp(improvement.app_id, improvement.user_id, code, improvement.description, { versionSaved: true });
+
+    await query(
+      'UPDATE app_improvements SET deploy_result = $1 WHERE id = $2',
+      [JSON.stringify(deploy), improvement.id]
+    );
+  } catch (error) {
+    console.error(`❌ Error redesplegando la mejora ${improvement.id}:`, error.message);
+  }
+};
+
+export default {
+  IMPROVEMENT_STATUS,
+  enqueueImprovement,
+  enqueuePendingImprovements,
+  getImprovement,
+  runImprovement,
+  failImprovementById,
+};
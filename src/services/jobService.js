@@ -1,18 +1,35 @@
 /**
  * Sistema de Jobs y Tareas Programadas
- * Maneja trabajos en background y reintentos automáticos
+ * Cola persistente en la tabla jobs, compartida por todas las instancias del backend:
+ * - Cada worker reclama jobs con SELECT ... FOR UPDATE SKIP LOCKED y un lease (locked_until)
+ * - Mientras el handler corre, el lease se renueva; si el worker muere, vence y otro lo retoma
+ * - Los fallos se reintentan con backoff exponencial; al agotar intentos el job queda en 'dead'
  */
 
+import os from 'os';
+import crypto from 'crypto';
 import { query } from '../config/database.js';
 import * as emailService from './emailService.js';
 import * as whatsappService from './whatsappService.js';
 import * as analyticsService from './analyticsService.js';
 
-// Cola de jobs en memoria (en producción usar Redis + Bull)
-const jobQueue = [];
-const processingJobs = new Set();
 const MAX_RETRIES = 3;
-const RETRY_DELAY = 5000; // 5 segundos
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const HEARTBEAT_INTERVAL = 30000;
+const DEFAULT_VISIBILITY_TIMEOUT = 2 * 60 * 1000;
+const BACKOFF_BASE = parseInt(process.env.JOB_BACKOFF_BASE_MS) || 5000;
+const BACKOFF_MAX = 15 * 60 * 1000;
+const SHUTDOWN_TIMEOUT = parseInt(process.env.JOB_SHUTDOWN_TIMEOUT_MS) || 20000;
+
+// Identifica los leases de este proceso
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  DEAD: 'dead',
+};
 
 /**
  * Tipos de jobs disponibles
@@ -24,144 +41,180 @@ export const JOB_TYPES = {
   CLEANUP_OLD_DATA: 'cleanup_old_data',
   GENERATE_REPORT: 'generate_report',
   BACKUP_DATABASE: 'backup_database',
+  GENERATE_APP: 'generate_app',
+  APPLY_IMPROVEMENT: 'apply_improvement',
+  DEPLOY_APP: 'deploy_app',
+  PROCESS_STRIPE_EVENT: 'process_stripe_event',
+  REDEPLOY_APP: 'redeploy_app',
+  BILLING_REMINDER: 'billing_reminder',
+  GRACE_EXPIRY: 'grace_expiry',
+  MIGRATE_UPLOADS: 'migrate_uploads',
+  BILLING_EFFECTS: 'billing_effects',
 };
 
+// Jobs en ejecución en este proceso: id → { type, promise }
+const inFlight = new Map();
+
 /**
  * Añadir job a la cola
  * @param {string} type - Tipo de job
  * @param {Object} data - Datos del job
- * @param {Object} options - Opciones (delay, priority, maxRetries)
+ * @param {Object} options - Opciones (delay, priority, maxRetries, idempotencyKey, client)
+ *   idempotencyKey: si ya existe un job con esa clave se devuelve ese en vez de crear otro
+ *   client: cliente de una transacción (el job se crea solo si la transacción se confirma)
  */
 export const addJob = async (type, data, options = {}) => {
-  const job = {
-    id: `${type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-    type,
-    data,
-    status: 'pending',
-    attempts: 0,
-    maxRetries: options.maxRetries || MAX_RETRIES,
-    priority: options.priority || 0,
-    delay: options.delay || 0,
-    createdAt: new Date(),
-    scheduledFor: options.delay ? new Date(Date.now() + options.delay) : new Date(),
-  };
-
-  // Guardar en base de datos para persistencia
-  await query(
-    `INSERT INTO jobs (id, type, data, status, max_retries, priority, scheduled_for)
-     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+  const id = `${type}_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`;
+  const scheduledFor = options.delay ? new Date(Date.now() + options.delay) : new Date();
+  const db = options.client || { query };
+
+  const result = await db.query(
+    `INSERT INTO jobs (id, type, data, status, max_retries, priority, scheduled_for, idempotency_key)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (idempotency_key) WHERE idempotency_key IS NOT NULL DO NOTHING
+     RETURNING *`,
     [
-      job.id,
-      job.type,
-      JSON.stringify(job.data),
-      job.status,
-      job.maxRetries,
-      job.priority,
-      job.scheduledFor,
+      id,
+      type,
+      JSON.stringify(data),
+      JOB_STATUS.PENDING,
+      options.maxRetries || MAX_RETRIES,
+      options.priority || 0,
+      scheduledFor,
+      options.idempotencyKey || null,
     ]
   );
 
-  jobQueue.push(job);
-  jobQueue.sort((a, b) => b.priority - a.priority);
+  if (result.rows.length === 0) {
+    const existing = await db.query('SELECT * FROM jobs WHERE idempotency_key = $1', [options.idempotencyKey]);
+    console.log(`📋 Job duplicado ignorado (${options.idempotencyKey}): ${existing.rows[0].id}`);
+    return { ...formatJob(existing.rows[0]), duplicate: true };
+  }
 
-  console.log(`📋 Job added to queue: ${job.id} (${type})`);
+  console.log(`📋 Job added to queue: ${id} (${type})`);
 
-  return job;
+  return formatJob(result.rows[0]);
 };
 
+const formatJob = (row) => ({
+  id: row.id,
+  type: row.type,
+  data: row.data,
+  status: row.status,
+  attempts: row.attempts,
+  maxRetries: row.max_retries,
+  priority: row.priority,
+  scheduledFor: row.scheduled_for,
+  idempotencyKey: row.idempotency_key,
+  error: row.error,
+  createdAt: row.created_at,
+});
+
 /**
- * Procesar job
- * @param {Object} job - Job a procesar
+ * Obtener un job por ID
  */
-const processJob = async (job) => {
-  if (processingJobs.has(job.id)) {
-    return;
-  }
-
-  processingJobs.add(job.id);
-
-  try {
-    console.log(`⚙️ Processing job: ${job.id} (${job.type})`);
+export const getJob = async (jobId) => {
+  const result = await query('SELECT * FROM jobs WHERE id = $1', [jobId]);
+  return result.rows[0] ? formatJob(result.rows[0]) : null;
+};
 
-    // Actualizar estado
-    await query(
-      `UPDATE jobs SET status = $1, started_at = NOW() WHERE id = $2`,
-      ['processing', job.id]
-    );
+// Espera antes del siguiente intento: 5s, 10s, 20s... (±20%) hasta 15 min
+const backoffDelay = (attempts) => {
+  const delay = Math.min(BACKOFF_BASE * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
 
-    // Ejecutar según tipo
-    let result;
-    switch (job.type) {
-      case JOB_TYPES.SEND_EMAIL:
-        result = await handleEmailJob(job.data);
-        break;
+/**
+ * Concurrencia por tipo: JOB_CONCURRENCY="generate_app=2,send_email=5" sobrescribe los valores por defecto
+ */
+const concurrencyOverrides = () => Object.fromEntries(
+  (process.env.JOB_CONCURRENCY || '')
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([type, value]) => type && parseInt(value) > 0)
+    .map(([type, value]) => [type, parseInt(value)])
+);
 
-      case JOB_TYPES.SEND_WHATSAPP:
-        result = await handleWhatsAppJob(job.data);
-        break;
+/**
+ * Procesar job reclamado por este worker
+ * @param {Object} job - Fila de jobs con el lease de este worker
+ */
+const processJob = async (job) => {
+  const definition = JOB_DEFINITIONS[job.type];
 
-      case JOB_TYPES.TRACK_EVENT:
-        result = await handleTrackEventJob(job.data);
-        break;
+  try {
+    console.log(`⚙️ Processing job: ${job.id} (${job.type}, intento ${job.attempts}/${job.max_retries})`);
 
-      case JOB_TYPES.CLEANUP_OLD_DATA:
-        result = await handleCleanupJob(job.data);
-        break;
+    if (!definition) {
+      throw new Error(`Unknown job type: ${job.type}`);
+    }
 
-      case JOB_TYPES.GENERATE_REPORT:
-        result = await handleReportJob(job.data);
-        break;
+    const result = await definition.handler(job.data);
 
-      default:
-        throw new Error(`Unknown job type: ${job.type}`);
+    if (!result.success) {
+      throw new Error(result.error || 'Job failed');
     }
 
-    if (result.success) {
-      // Marcar como completado
-      await query(
-        `UPDATE jobs 
-         SET status = $1, completed_at = NOW(), result = $2
-         WHERE id = $3`,
-        ['completed', JSON.stringify(result), job.id]
-      );
+    const completed = await query(
+      `UPDATE jobs
+       SET status = $1, completed_at = NOW(), result = $2, error = NULL,
+           locked_by = NULL, locked_until = NULL, updated_at = NOW()
+       WHERE id = $3 AND locked_by = $4
+       RETURNING id`,
+      [JOB_STATUS.COMPLETED, JSON.stringify(result), job.id, WORKER_ID]
+    );
 
-      console.log(`✅ Job completed: ${job.id}`);
-    } else {
-      throw new Error(result.error || 'Job failed');
+    if (completed.rows.length === 0) {
+      console.warn(`⚠️ Job ${job.id} terminó después de perder su lease`);
+      return;
     }
+
+    console.log(`✅ Job completed: ${job.id}`);
   } catch (error) {
     console.error(`❌ Job failed: ${job.id}`, error);
 
-    job.attempts++;
-
-    if (job.attempts >= job.maxRetries) {
-      // Marcar como fallido permanentemente
-      await query(
-        `UPDATE jobs 
-         SET status = $1, failed_at = NOW(), error = $2
-         WHERE id = $3`,
-        ['failed', error.message, job.id]
+    if (job.attempts >= job.max_retries) {
+      const dead = await query(
+        `UPDATE jobs
+         SET status = $1, failed_at = NOW(), error = $2,
+             locked_by = NULL, locked_until = NULL, updated_at = NOW()
+         WHERE id = $3 AND locked_by = $4
+         RETURNING *`,
+        [JOB_STATUS.DEAD, error.message, job.id, WORKER_ID]
       );
 
-      console.error(`❌ Job permanently failed after ${job.attempts} attempts: ${job.id}`);
+      if (dead.rows.length > 0) {
+        console.error(`💀 Job permanently failed after ${job.attempts} attempts: ${job.id}`);
+        await runDeadLetterHook(dead.rows[0]);
+      }
     } else {
-      // Reintentar
+      const delay = backoffDelay(job.attempts);
+
       await query(
-        `UPDATE jobs 
-         SET status = $1, attempts = $2, scheduled_for = NOW() + INTERVAL '${RETRY_DELAY} milliseconds'
-         WHERE id = $3`,
-        ['pending', job.attempts, job.id]
+        `UPDATE jobs
+         SET status = $1, error = $2, scheduled_for = NOW() + $3::int * INTERVAL '1 millisecond',
+             locked_by = NULL, locked_until = NULL, updated_at = NOW()
+         WHERE id = $4 AND locked_by = $5`,
+        [JOB_STATUS.PENDING, error.message, delay, job.id, WORKER_ID]
       );
 
-      console.log(`🔄 Job will be retried (attempt ${job.attempts}/${job.maxRetries}): ${job.id}`);
-
-      // Re-añadir a la cola con delay
-      setTimeout(() => {
-        jobQueue.push(job);
-      }, RETRY_DELAY);
+      console.log(`🔄 Job will be retried in ${Math.round(delay / 1000)}s (attempt ${job.attempts}/${job.max_retries}): ${job.id}`);
     }
-  } finally {
-    processingJobs.delete(job.id);
+  }
+};
+
+/**
+ * Limpieza al pasar a dead-letter (p. ej. marcar la generación como fallida)
+ * Necesario cuando el worker murió y el handler no llegó a registrar el error
+ */
+const runDeadLetterHook = async (job) => {
+  const onDeadLetter = JOB_DEFINITIONS[job.type]?.onDeadLetter;
+  if (!onDeadLetter) return;
+
+  try {
+    await onDeadLetter(job.data, job.error);
+  } catch (error) {
+    console.error(`⚠️ Error en dead-letter de ${job.id}:`, error.message);
   }
 };
 
@@ -287,47 +340,198 @@ async function handleReportJob(data) {
   return { success: true, reportUrl: 'https://example.com/report.pdf' };
 }
 
+async function handleGenerateAppJob(data) {
+  // Import dinámico: generationJobService importa este módulo para encolar
+  const { runGenerationJob } = await import('./generationJobService.js');
+  return await runGenerationJob(data);
+}
+
+async function handleApplyImprovementJob(data) {
+  const { runImprovement } = await import('./improvementService.js');
+  return await runImprovement(data);
+}
+
+async function handleDeployAppJob(data) {
+  const { deployApp } = await import('./deploymentService.js');
+  return await deployApp(data.appId, data.userId);
+}
+
+async function handleStripeEventJob(data) {
+  const { processStripeEvent } = await import('./stripeWebhookService.js');
+  return await processStripeEvent(data);
+}
+
+async function handleRedeployAppJob(data) {
+  const { redeployApp } = await import('./deploymentService.js');
+  return await redeployApp(data.appId, data.userId);
+}
+
+async function handleBillingReminderJob(data) {
+  const { sendReminder } = await import('./dunningService.js');
+  return await sendReminder(data);
+}
+
+async function handleGraceExpiryJob(data) {
+  const { expireGrace } = await import('./dunningService.js');
+  return await expireGrace(data);
+}
+
+async function handleMigrateUploadsJob(data) {
+  const { migrateUploadsBatch } = await import('./uploadMigrationService.js');
+  return await migrateUploadsBatch(data);
+}
+
+async function handleBillingEffectsJob(data) {
+  const { runTransitionEffects } = await import('./billingService.js');
+  return await runTransitionEffects(data);
+}
+
+async function failGenerationJob(data, errorMessage) {
+  const { failGeneration } = await import('./generationJobService.js');
+  await failGeneration(data.generationJobId, data.appId, errorMessage || 'La generación se interrumpió');
+}
+
+async function failImprovementJob(data, errorMessage) {
+  const { failImprovementById } = await import('./improvementService.js');
+  await failImprovementById(data.improvementId, errorMessage || 'La mejora se interrumpió');
+}
+
 /**
- * Procesar cola de jobs
+ * Handler y límites de cada tipo
+ *   concurrency: jobs simultáneos por instancia
+ *   visibilityTimeout: duración del lease (se renueva mientras el handler corre)
+ *   onDeadLetter: limpieza cuando el job se da por perdido
  */
-const processQueue = async () => {
-  const now = new Date();
+const JOB_DEFINITIONS = {
+  [JOB_TYPES.SEND_EMAIL]: { handler: handleEmailJob, concurrency: 5 },
+  [JOB_TYPES.SEND_WHATSAPP]: { handler: handleWhatsAppJob, concurrency: 2 },
+  [JOB_TYPES.TRACK_EVENT]: { handler: handleTrackEventJob, concurrency: 5 },
+  [JOB_TYPES.CLEANUP_OLD_DATA]: { handler: handleCleanupJob, concurrency: 1 },
+  [JOB_TYPES.GENERATE_REPORT]: { handler: handleReportJob, concurrency: 1 },
+  [JOB_TYPES.GENERATE_APP]: {
+    handler: handleGenerateAppJob,
+    concurrency: 2,
+    visibilityTimeout: 5 * 60 * 1000,
+    onDeadLetter: failGenerationJob,
+  },
+  [JOB_TYPES.APPLY_IMPROVEMENT]: {
+    handler: handleApplyImprovementJob,
+    concurrency: 2,
+    visibilityTimeout: 5 * 60 * 1000,
+    onDeadLetter: failImprovementJob,
+  },
+  [JOB_TYPES.DEPLOY_APP]: { handler: handleDeployAppJob, concurrency: 2, visibilityTimeout: 5 * 60 * 1000 },
+  // De a uno: los eventos de una misma suscripción se aplican en el orden en que llegaron
+  [JOB_TYPES.PROCESS_STRIPE_EVENT]: { handler: handleStripeEventJob, concurrency: 1 },
+  [JOB_TYPES.REDEPLOY_APP]: { handler: handleRedeployAppJob, concurrency: 2, visibilityTimeout: 5 * 60 * 1000 },
+  [JOB_TYPES.BILLING_REMINDER]: { handler: handleBillingReminderJob, concurrency: 2 },
+  [JOB_TYPES.GRACE_EXPIRY]: { handler: handleGraceExpiryJob, concurrency: 1, visibilityTimeout: 5 * 60 * 1000 },
+  // Un lote a la vez: cada uno encola el siguiente
+  [JOB_TYPES.MIGRATE_UPLOADS]: { handler: handleMigrateUploadsJob, concurrency: 1, visibilityTimeout: 5 * 60 * 1000 },
+  // De a uno; un reintento tardío no deshace una transición posterior (ver EFFECT_GUARDS en billingService)
+  [JOB_TYPES.BILLING_EFFECTS]: { handler: handleBillingEffectsJob, concurrency: 1, visibilityTimeout: 5 * 60 * 1000 },
+};
+
+const visibilityTimeoutOf = (type) => JOB_DEFINITIONS[type]?.visibilityTimeout || DEFAULT_VISIBILITY_TIMEOUT;
 
-  // Obtener jobs pendientes de la base de datos
+/**
+ * Reclamar hasta `limit` jobs listos de un tipo
+ * Incluye los de leases vencidos: el worker que los tenía ya no está
+ */
+const claimJobs = async (type, limit) => {
   const result = await query(
-    `SELECT * FROM jobs 
-     WHERE status = 'pending' 
-     AND scheduled_for <= $1
-     ORDER BY priority DESC, created_at ASC
-     LIMIT 10`,
-    [now]
+    `UPDATE jobs
+     SET status = $1, attempts = attempts + 1, locked_by = $2,
+         locked_until = NOW() + $3::int * INTERVAL '1 millisecond',
+         started_at = NOW(), updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM jobs
+       WHERE type = $4
+         AND attempts < max_retries
+         AND ((status = 'pending' AND scheduled_for <= NOW())
+           OR (status = 'processing' AND locked_until < NOW()))
+       ORDER BY priority DESC, scheduled_for ASC
+       LIMIT $5
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [JOB_STATUS.PROCESSING, WORKER_ID, visibilityTimeoutOf(type), type, limit]
   );
 
-  for (const dbJob of result.rows) {
-    const job = {
-      id: dbJob.id,
-      type: dbJob.type,
-      data: dbJob.data,
-      status: dbJob.status,
-      attempts: dbJob.attempts || 0,
-      maxRetries: dbJob.max_retries,
-      priority: dbJob.priority,
-      scheduledFor: dbJob.scheduled_for,
-    };
-
-    await processJob(job);
+  return result.rows;
+};
+
+/**
+ * Jobs cuyo lease venció sin intentos restantes → dead-letter
+ */
+const reapExpiredLeases = async () => {
+  const result = await query(
+    `UPDATE jobs
+     SET status = $1, failed_at = NOW(), locked_by = NULL, locked_until = NULL, updated_at = NOW(),
+         error = COALESCE(error, 'Lease vencido: el worker se detuvo durante la ejecución')
+     WHERE id IN (
+       SELECT id FROM jobs
+       WHERE status = 'processing' AND locked_until < NOW() AND attempts >= max_retries
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [JOB_STATUS.DEAD]
+  );
+
+  for (const job of result.rows) {
+    console.error(`💀 Job ${job.id} perdido (lease vencido tras ${job.attempts} intentos)`);
+    await runDeadLetterHook(job);
   }
+};
 
-  // Procesar jobs en memoria
-  while (jobQueue.length > 0) {
-    const job = jobQueue.shift();
+/**
+ * Procesar cola de jobs: reclama según los huecos libres de cada tipo
+ */
+let polling = false;
+let accepting = false;
 
-    if (new Date(job.scheduledFor) > now) {
-      jobQueue.unshift(job);
-      break;
+const processQueue = async () => {
+  if (polling || !accepting) return;
+  polling = true;
+
+  try {
+    await reapExpiredLeases();
+
+    const overrides = concurrencyOverrides();
+
+    for (const [type, definition] of Object.entries(JOB_DEFINITIONS)) {
+      const running = [...inFlight.values()].filter(entry => entry.type === type).length;
+      const free = (overrides[type] || definition.concurrency) - running;
+      if (free <= 0 || !accepting) continue;
+
+      for (const job of await claimJobs(type, free)) {
+        const promise = processJob(job)
+          .catch(error => console.error(`❌ Error procesando job ${job.id}:`, error.message))
+          .finally(() => {
+            inFlight.delete(job.id);
+            setImmediate(processQueue);
+          });
+
+        inFlight.set(job.id, { type, promise });
+      }
     }
+  } catch (error) {
+    console.error('⚠️ Error leyendo la cola de jobs:', error.message);
+  } finally {
+    polling = false;
+  }
+};
 
-    await processJob(job);
+/**
+ * Renovar los leases de los jobs que siguen corriendo en este proceso
+ */
+const renewLeases = async () => {
+  for (const [jobId, { type }] of inFlight) {
+    await query(
+      `UPDATE jobs SET locked_until = NOW() + $1::int * INTERVAL '1 millisecond', updated_at = NOW()
+       WHERE id = $2 AND locked_by = $3`,
+      [visibilityTimeoutOf(type), jobId, WORKER_ID]
+    ).catch(error => console.error(`⚠️ Error renovando lease de ${jobId}:`, error.message));
   }
 };
 
@@ -335,16 +539,18 @@ const processQueue = async () => {
  * Iniciar procesamiento de jobs
  */
 let jobInterval;
+let heartbeatInterval;
 export const startJobProcessor = () => {
   if (jobInterval) {
     console.log('⚠️ Job processor already running');
     return;
   }
 
-  console.log('✅ Starting job processor...');
+  console.log(`✅ Starting job processor (${WORKER_ID})...`);
 
-  // Procesar cada 5 segundos
-  jobInterval = setInterval(processQueue, 5000);
+  accepting = true;
+  jobInterval = setInterval(processQueue, POLL_INTERVAL);
+  heartbeatInterval = setInterval(renewLeases, HEARTBEAT_INTERVAL);
 
   // Procesar inmediatamente
   processQueue();
@@ -352,13 +558,44 @@ export const startJobProcessor = () => {
 
 /**
  * Detener procesamiento de jobs
+ * Deja de reclamar, espera a los jobs en curso y devuelve a la cola los que no terminaron
+ * (sin contar el intento) para que otra instancia los retome
  */
-export const stopJobProcessor = () => {
-  if (jobInterval) {
-    clearInterval(jobInterval);
-    jobInterval = null;
-    console.log('✅ Job processor stopped');
+export const stopJobProcessor = async (timeout = SHUTDOWN_TIMEOUT) => {
+  if (!jobInterval) return;
+
+  accepting = false;
+  clearInterval(jobInterval);
+  jobInterval = null;
+
+  if (inFlight.size > 0) {
+    console.log(`⏳ Esperando ${inFlight.size} job(s) en curso...`);
+    await Promise.race([
+      Promise.allSettled([...inFlight.values()].map(entry => entry.promise)),
+      new Promise(resolve => setTimeout(resolve, timeout)),
+    ]);
   }
+
+  clearInterval(heartbeatInterval);
+  heartbeatInterval = null;
+
+  if (inFlight.size > 0) {
+    const released = await query(
+      `UPDATE jobs
+       SET status = $1, attempts = GREATEST(attempts - 1, 0), scheduled_for = NOW(),
+           locked_by = NULL, locked_until = NULL, updated_at = NOW()
+       WHERE id = ANY($2) AND locked_by = $3
+       RETURNING id`,
+      [JOB_STATUS.PENDING, [...inFlight.keys()], WORKER_ID]
+    ).catch(error => {
+      console.error('⚠️ Error liberando jobs en curso:', error.message);
+      return { rows: [] };
+    });
+
+    console.log(`↩️ ${released.rows.length} job(s) devueltos a la cola`);
+  }
+
+  console.log('✅ Job processor stopped');
 };
 
 /**
@@ -366,30 +603,55 @@ export const stopJobProcessor = () => {
  */
 export const getJobStats = async () => {
   const stats = await query(
-    `SELECT 
+    `SELECT
+       type,
        status,
        COUNT(*) as count
      FROM jobs
-     GROUP BY status`
+     GROUP BY type, status`
   );
 
+  const overrides = concurrencyOverrides();
+
   return {
-    queueLength: jobQueue.length,
-    processing: processingJobs.size,
+    workerId: WORKER_ID,
+    processing: inFlight.size,
+    concurrency: Object.fromEntries(
+      Object.entries(JOB_DEFINITIONS).map(([type, definition]) => [type, overrides[type] || definition.concurrency])
+    ),
     stats: stats.rows.reduce((acc, row) => {
-      acc[row.status] = parseInt(row.count);
+      acc[row.status] = (acc[row.status] || 0) + parseInt(row.count);
+      return acc;
+    }, {}),
+    byType: stats.rows.reduce((acc, row) => {
+      acc[row.type] = { ...acc[row.type], [row.status]: parseInt(row.count) };
       return acc;
     }, {}),
   };
 };
 
+/**
+ * Volver a encolar un job en dead-letter (intentos desde cero)
+ */
+export const retryDeadJob = async (jobId) => {
+  const result = await query(
+    `UPDATE jobs
+     SET status = $1, attempts = 0, scheduled_for = NOW(), error = NULL, failed_at = NULL, updated_at = NOW()
+     WHERE id = $2 AND status = $3
+     RETURNING *`,
+    [JOB_STATUS.PENDING, jobId, JOB_STATUS.DEAD]
+  );
+
+  return result.rows[0] ? formatJob(result.rows[0]) : null;
+};
+
 /**
  * Limpiar jobs completados antiguos
  */
 export const cleanupCompletedJobs = async (daysOld = 7) => {
   const result = await query(
-    `DELETE FROM jobs 
-     WHERE status = 'completed' 
+    `DELETE FROM jobs
+     WHERE status = 'completed'
      AND completed_at < NOW() - INTERVAL '${daysOld} days'
      RETURNING id`
   );
@@ -401,9 +663,12 @@ export const cleanupCompletedJobs = async (daysOld = 7) => {
 
 export default {
   addJob,
+  getJob,
   startJobProcessor,
   stopJobProcessor,
   getJobStats,
+  retryDeadJob,
   cleanupCompletedJobs,
   JOB_TYPES,
+  JOB_STATUS,
 };
@@ -0,0 +1,299 @@
+/**
+ * Parches y diffs sobre el código de una versión
+ * Trabaja con rutas planas: frontend tal cual (src/App.jsx), backend con prefijo backend/ y los
+ * archivos del root (README.md) tal cual
+ * Formatos de parche: bloques SEARCH/REPLACE o unified diff (git diff / diff -u)
+ */
+
+import { createTwoFilesPatch, parsePatch, applyPatch } from 'diff';
+
+const SECTIONS = ['frontend', 'backend', 'root'];
+
+/**
+ * Archivos editables por Claude de un proyecto { frontend, backend, root }
+ * (sin root: el README solo cambia con parches explícitos, ver sectionOf)
+ */
+export const flattenProject = (code) => [
+  ...(code.frontend?.files || []).map(f => ({ section: 'frontend', path: f.path, content: f.content })),
+  ...(code.backend?.files || []).map(f => ({ section: 'backend', path: f.path, content: f.content }))
+];
+
+// Copia con arrays de archivos nuevos (los objetos de archivo se reemplazan, no se mutan)
+const copyProject = (code) => ({
+  ...code,
+  frontend: { ...code.frontend, files: [...(code.frontend?.files || [])] },
+  ...(code.backend ? { backend: { ...code.backend, files: [...code.backend.files] } } : {}),
+  ...(code.root ? { root: { ...code.root, files: [...(code.root.files || [])] } } : {})
+});
+
+/**
+ * Sección de una ruta plana: backend/ → backend, archivo existente del root → root, resto → frontend
+ * (los archivos nuevos sin prefijo se crean en el frontend)
+ */
+export const sectionOf = (code, path) => {
+  if (path.startsWith('backend/')) return 'backend';
+
+  const inSection = (section) => (code[section]?.files || []).some(f => f.path === path);
+  return inSection('root') && !inSection('frontend') ? 'root' : 'frontend';
+};
+
+/**
+ * Parsear bloques SEARCH/REPLACE
+ *
+ * FILE: src/App.jsx
+ * <<<<<<< SEARCH
+ * código exacto actual
+ * =======
+ * código nuevo
+ * >>>>>>> REPLACE
+ *
+ * Un SEARCH vacío crea el archivo.
+ * @returns {Array} - [{ path, search, replace }]
+ */
+export const parseSearchReplace = (text) => {
+  const edits = [];
+  const blockRegex = /FILE:\s*(\S+)\s*\n<<<<<<< SEARCH\n([\s\S]*?)\n?=======\n([\s\S]*?)\n?>>>>>>> REPLACE/g;
+  let match;
+
+  while ((match = blockRegex.exec(text)) !== null) {
+    edits.push({ path: match[1].trim(), search: match[2], replace: match[3] });
+  }
+
+  return edits;
+};
+
+/**
+ * Aplicar bloques SEARCH/REPLACE a un proyecto
+ * Cada SEARCH debe aparecer exactamente una vez en su archivo.
+ * @returns {Object} - { success, code, changedFiles, error }
+ */
+export const applySearchReplace = (code, edits) => {
+  if (!edits.length) {
+    return { success: false, error: 'El parche no contiene cambios' };
+  }
+
+  const next = copyProject(code);
+  const changedFiles = new Set();
+
+  for (const edit of edits) {
+    if (edit.path.includes('..')) {
+      return { success: false, error: `Ruta inválida: ${edit.path}` };
+    }
+
+    const section = sectionOf(next, edit.path);
+    if (!next[section]) {
+      return { success: false, error: `La app no tiene ${section}: ${edit.path}` };
+    }
+
+    const files = next[section].files;
+    const index = files.findIndex(f => f.path === edit.path);
+
+    if (!edit.search.trim()) {
+      if (index !== -1) {
+        return { success: false, error: `El archivo ya existe: ${edit.path}` };
+      }
+      files.push({ path: edit.path, content: edit.replace });
+      changedFiles.add(edit.path);
+      continue;
+    }
+
+    if (index === -1) {
+      return { success: false, error: `Archivo no encontrado: ${edit.path}` };
+    }
+
+    const content = files[index].content;
+    const occurrences = content.split(edit.search).length - 1;
+
+    if (occurrences !== 1) {
+      return {
+        success: false,
+        error: occurrences === 0
+          ? `Bloque SEARCH no encontrado en ${edit.path}`
+          : `Bloque SEARCH ambiguo en ${edit.path} (${occurrences} coincidencias)`
+      };
+    }
+
+    files[index] = { path: edit.path, content: content.replace(edit.search, () => edit.replace) };
+    changedFiles.add(edit.path);
+  }
+
+  return { success: true, code: next, changedFiles: [...changedFiles] };
+};
+
+/**
+ * Reemplazar el contenido completo de archivos existentes
+ * @param {Array} files - [{ path, content }] con rutas planas
+ */
+export const replaceFiles = (code, files) => {
+  const next = copyProject(code);
+
+  for (const file of files) {
+    const section = sectionOf(next, file.path);
+    const list = next[section]?.files;
+    const index = list ? list.findIndex(f => f.path === file.path) : -1;
+    if (index !== -1) list[index] = { path: file.path, content: file.content };
+  }
+
+  return next;
+};
+
+/**
+ * Quitar prefijos a/ b/ de git y detectar /dev/null
+ */
+const cleanDiffPath = (fileName) => {
+  if (!fileName || fileName === '/dev/null') return null;
+  return fileName.replace(/^[ab]\//, '').split('\t')[0].trim();
+};
+
+/**
+ * Aplicar un unified diff a un proyecto
+ * Soporta modificar, crear (--- /dev/null) y borrar (+++ /dev/null) archivos.
+ * Los hunks deben aplicar sin fuzz: si el contexto no coincide, se rechaza el parche.
+ * @returns {Object} - { success, code, changedFiles, error }
+ */
+export const applyUnifiedDiff = (code, patchText) => {
+  let filePatches;
+  try {
+    filePatches = parsePatch(patchText);
+  } catch (error) {
+    return { success: false, error: `Diff inválido: ${error.message}` };
+  }
+
+  filePatches = filePatches.filter(p => p.hunks.length > 0);
+  if (!filePatches.length) {
+    return { success: false, error: 'El parche no contiene cambios' };
+  }
+
+  const next = copyProject(code);
+  const changedFiles = new Set();
+
+  for (const filePatch of filePatches) {
+    const oldPath = cleanDiffPath(filePatch.oldFileName);
+    const newPath = cleanDiffPath(filePatch.newFileName);
+    const path = newPath || oldPath;
+
+    if (!path || path.includes('..')) {
+      return { success: false, error: `Ruta inválida: ${filePatch.newFileName || filePatch.oldFileName}` };
+    }
+
+    const section = sectionOf(next, oldPath || path);
+    if (!next[section]) {
+      return { success: false, error: `La app no tiene ${section}: ${path}` };
+    }
+
+    const files = next[section].files;
+    const index = files.findIndex(f => f.path === (oldPath || path));
+
+    if (oldPath && index === -1) {
+      return { success: false, error: `Archivo no encontrado: ${oldPath}` };
+    }
+    if (!oldPath && files.some(f => f.path === path)) {
+      return { success: false, error: `El archivo ya existe: ${path}` };
+    }
+
+    const patched = applyPatch(oldPath ? files[index].content : '', filePatch);
+    if (patched === false) {
+      return { success: false, error: `El diff no aplica sobre ${path} (el contexto no coincide)` };
+    }
+
+    if (!newPath) {
+      files.splice(index, 1);
+    } else if (index === -1) {
+      files.push({ path: newPath, content: patched });
+    } else {
+      files[index] = { path: newPath, content: patched };
+    }
+    changedFiles.add(path);
+  }
+
+  return { success: true, code: next, changedFiles: [...changedFiles] };
+};
+
+/**
+ * Aplicar un parche en cualquiera de los dos formatos soportados
+ */
+export const applyPatchText = (code, patchText) => {
+  if (typeof patchText !== 'string' || !patchText.trim()) {
+    return { success: false, error: 'El parche está vacío' };
+  }
+
+  if (patchText.includes('<<<<<<< SEARCH')) {
+    return applySearchReplace(code, parseSearchReplace(patchText));
+  }
+
+  if (/^(---|\+\+\+|@@) /m.test(patchText)) {
+    return applyUnifiedDiff(code, patchText);
+  }
+
+  return { success: false, error: 'Formato de parche no reconocido (se espera unified diff o bloques SEARCH/REPLACE)' };
+};
+
+/**
+ * Diff por archivo entre dos proyectos normalizados { frontend, backend, root }
+ * @param {Object} options - { context: líneas de contexto, labels: [etiquetaA, etiquetaB] }
+ * @returns {Object} - { files: [{ section, path, status, additions, deletions, diff }], stats }
+ */
+export const diffProjects = (codeA, codeB, options = {}) => {
+  const { context = 3, labels = ['a', 'b'] } = options;
+
+  const index = (code) => {
+    const map = new Map();
+    for (const section of SECTIONS) {
+      for (const file of code?.[section]?.files || []) {
+        map.set(`${section}:${file.path}`, { section, path: file.path, content: file.content ?? '' });
+      }
+    }
+    return map;
+  };
+
+  const filesA = index(codeA);
+  const filesB = index(codeB);
+  const keys = [...new Set([...filesA.keys(), ...filesB.keys()])].sort();
+
+  const files = [];
+  const stats = { added: 0, removed: 0, modified: 0, additions: 0, deletions: 0 };
+
+  for (const key of keys) {
+    const a = filesA.get(key);
+    const b = filesB.get(key);
+    if (a && b && a.content === b.content) continue;
+
+    const { section, path } = a || b;
+    const status = !a ? 'added' : !b ? 'removed' : 'modified';
+
+    const diff = createTwoFilesPatch(
+      a ? `a/${path}` : '/dev/null',
+      b ? `b/${path}` : '/dev/null',
+      a?.content ?? '',
+      b?.content ?? '',
+      labels[0],
+      labels[1],
+      { context }
+    );
+
+    let additions = 0;
+    let deletions = 0;
+    for (const line of diff.split('\n').slice(3)) {
+      if (line.startsWith('+')) additions++;
+      else if (line.startsWith('-')) deletions++;
+    }
+
+    files.push({ section, path, status, additions, deletions, diff });
+    stats[status]++;
+    stats.additions += additions;
+    stats.deletions += deletions;
+  }
+
+  return { files, stats };
+};
+
+export default {
+  flattenProject,
+  sectionOf,
+  parseSearchReplace,
+  applySearchReplace,
+  replaceFiles,
+  applyUnifiedDiff,
+  applyPatchText,
+  diffProjects,
+};
@@ -0,0 +1,90 @@
+/**
+ * Pagos en apps generadas
+ * Las apps no tienen claves de Stripe: index.html define window.AppPayments, que llama al runtime
+ * de la plataforma (/api/runtime/:appId) y este crea el checkout en la cuenta Connect del dueño.
+ */
+
+export const getRuntimeUrl = (appId) =>
+  `${(process.env.API_URL || `http://localhost:${process.env.PORT || 4000}`).replace(/\/$/, '')}/api/runtime/${appId}`;
+
+/**
+ * <script> inline para index.html (sin imports: compila igual en modo single y planned)
+ * Las suscripciones guardan el customerToken en localStorage al volver del checkout (?session_id=...)
+ */
+export const getPaymentsScript = (appId) => `<script>
+      window.AppPayments = (function () {
+        var RUNTIME_URL = ${JSON.stringify(getRuntimeUrl(appId))};
+        var TOKEN_KEY = 'appPayments:' + ${JSON.stringify(appId)};
+
+        function request(path, options) {
+          return fetch(RUNTIME_URL + path, options).then(function (res) {
+            return res.json().then(function (data) {
+              if (!res.ok || !data.success) throw new Error(data.message || 'Payment service unavailable');
+              return data;
+            });
+          });
+        }
+
+        return {
+          getProducts: function () {
+            return request('/products').then(function (data) { return data.products; });
+          },
+          checkout: function (priceId, quantity, options) {
+            options = options || {};
+            return request('/checkout', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({
+                priceId: priceId,
+                quantity: quantity || 1,
+                customerRef: options.customerRef,
+                email: options.email,
+                successUrl: window.location.origin + window.location.pathname + '?checkout=success',
+                cancelUrl: window.location.origin + window.location.pathname + '?checkout=canceled'
+              })
+            }).then(function (data) { window.location.assign(data.url); });
+          },
+          getSubscription: function () {
+            var params = new URLSearchParams(window.location.search);
+            var sessionId = params.get('session_id');
+            var confirm = sessionId
+              ? request('/subscription?session_id=' + encodeURIComponent(sessionId)).then(function (data) {
+                  localStorage.setItem(TOKEN_KEY, data.customerToken);
+                })
+              : Promise.resolve();
+
+            return confirm.then(function () {
+              var token = localStorage.getItem(TOKEN_KEY);
+              if (!token) return { active: false, priceIds: [], subscriptions: [] };
+              return request('/entitlements?token=' + encodeURIComponent(token));
+            });
+          },
+          openPortal: function () {
+            return request('/portal', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({
+                token: localStorage.getItem(TOKEN_KEY),
+                returnUrl: window.location.origin + window.location.pathname
+              })
+            }).then(function (data) { window.location.assign(data.url); });
+          }
+        };
+      })();
+    </script>`;
+
+/**
+ * Instrucciones para el prompt del frontend
+ */
+export const PAYMENTS_PROMPT = `- PAYMENTS: the platform handles payments. NEVER use Stripe keys, Stripe.js or a backend payment route.
+  - window.AppPayments.getProducts() returns a Promise of [{ name, description, price, currency, priceId, type, interval, trialDays }] with what is for sale (load it in useEffect); type is 'one_time' or 'recurring' (show recurring ones as plans: price per interval, free trial days)
+  - window.AppPayments.checkout(priceId, quantity, { customerRef, email }) redirects to the hosted checkout; catch errors and show a friendly message
+  - After payment the user comes back with ?checkout=success (or ?checkout=canceled): show a confirmation banner
+  - Memberships: window.AppPayments.getSubscription() returns a Promise of { active, priceIds, subscriptions }; call it on mount to unlock premium content when active
+  - window.AppPayments.openPortal() redirects to manage or cancel the subscription (show it only when active)`;
+
+export default {
+  getRuntimeUrl,
+  getPaymentsScript,
+  PAYMENTS_PROMPT,
+};
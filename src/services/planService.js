@@ -1,81 +1,317 @@
 // backend/src/services/planService.js
 
+/**
+ * Catálogo único de planes
+ * De aquí salen /api/stripe/plans, los límites de permissions.js, el checkout y los mensajes de upgrade
+ */
+
+import { googleConfig } from '../config/google.config.js';
+
+const FREE_TRIAL_FEATURES = ['basic_generation', 'deploy', 'domain_vercel', 'ssl'];
+const BASICO_FEATURES = [...FREE_TRIAL_FEATURES, 'email_support'];
+const PREMIUM_FEATURES = [...BASICO_FEATURES, 'backups', 'priority_queue', 'custom_domains', 'maps'];
+const PRO_FEATURES = [...PREMIUM_FEATURES, 'api_access', 'priority_support', 'analytics', 'team_members'];
+
+// Categorías de googleConfig.fileUpload.allowedTypes que se pueden subir en cada plan
+const FREE_TRIAL_UPLOADS = ['images', 'data', 'fonts'];
+const BASICO_UPLOADS = [...FREE_TRIAL_UPLOADS, 'documents'];
+const PREMIUM_UPLOADS = [...BASICO_UPLOADS, 'audio'];
+const PRO_UPLOADS = [...PREMIUM_UPLOADS, 'video'];
+
+// Comisión de la plataforma (%) sobre las ventas de las apps generadas (Stripe Connect)
+// Se puede ajustar por plan con PLATFORM_FEE_PERCENT_<PLAN> (p. ej. PLATFORM_FEE_PERCENT_PRO=2.5)
+const platformFee = (planId, percent) => {
+  const configured = parseFloat(process.env[`PLATFORM_FEE_PERCENT_${planId.toUpperCase()}`]);
+  return Number.isFinite(configured) && configured >= 0 && configured <= 100 ? configured : percent;
+};
+
 export const PLANS = {
   free_trial: {
+    platform_fee_percent: platformFee('free_trial', 10),
     apps_allowed: 1,
     token_limit: 10000,
     price: 0,
     trial_days: 7,
     domains_allowed: 0,
-    label: 'Prueba Gratuita'
+    label: 'Prueba Gratuita',
+    purchasable: false,
+    limits: { deploysPerMonth: 1, apiCallsPerHour: 10, storageGB: 0.5, maxUploadMB: 5, teamMembers: 1 },
+    upload_types: FREE_TRIAL_UPLOADS,
+    features: FREE_TRIAL_FEATURES,
+    highlights: []
   },
   basico: {
+    platform_fee_percent: platformFee('basico', 8),
     apps_allowed: 3,
     token_limit: 50000,
     price: 29.99,
     domains_allowed: 0,
-    label: 'Básico'
+    label: 'Básico',
+    purchasable: true,
+    priceId: process.env.STRIPE_PRICE_BASICO || 'price_1Szpa696aBqW1Ydcw4dE3LJH',
+    limits: { deploysPerMonth: 30, apiCallsPerHour: 50, storageGB: 5, maxUploadMB: 10, teamMembers: 1 },
+    upload_types: BASICO_UPLOADS,
+    features: BASICO_FEATURES,
+    highlights: [
+      '3 apps desplegadas',
+      '50,000 tokens/mes',
+      'Deploy automático',
+      'Dominio .vercel.app',
+      'SSL gratis',
+      'Soporte por email'
+    ]
   },
   premium: {
+    platform_fee_percent: platformFee('premium', 5),
     apps_allowed: 8,
     token_limit: 150000,
     price: 49.99,
     domains_allowed: 1,
-    label: 'Premium'
+    label: 'Premium',
+    purchasable: true,
+    priceId: process.env.STRIPE_PRICE_PREMIUM || 'price_1SzpgR96aBqW1YdcVNCU25WV',
+    limits: { deploysPerMonth: 80, apiCallsPerHour: 150, storageGB: 20, maxUploadMB: 25, teamMembers: 3 },
+    upload_types: PREMIUM_UPLOADS,
+    features: PREMIUM_FEATURES,
+    highlights: [
+      '8 apps desplegadas',
+      '150,000 tokens/mes',
+      'Deploy automático',
+      '1 dominio personalizado incluido',
+      'SSL gratis',
+      'Backups automáticos',
+      'Google Maps incluido',
+      'Soporte prioritario'
+    ]
   },
   pro: {
+    platform_fee_percent: platformFee('pro', 3),
     apps_allowed: 25,
     token_limit: 500000,
     price: 99.99,
     domains_allowed: 5,
-    label: 'Pro'
+    label: 'Pro',
+    purchasable: true,
+    priceId: process.env.STRIPE_PRICE_PRO || 'price_1SzpiL96aBqW1Ydc3MqRQtD8',
+    limits: { deploysPerMonth: 250, apiCallsPerHour: 500, storageGB: 100, maxUploadMB: 50, teamMembers: 10 },
+    upload_types: PRO_UPLOADS,
+    features: PRO_FEATURES,
+    highlights: [
+      '25 apps desplegadas',
+      '500,000 tokens/mes',
+      'Deploy automático',
+      '5 dominios personalizados incluidos',
+      'SSL gratis',
+      'Backups automáticos',
+      'Google Maps incluido',
+      'API prioritario',
+      'Soporte 24/7',
+      'Dominios extras +$5/mes'
+    ]
+  },
+  // Se asigna a mano: no tiene checkout
+  enterprise: {
+    platform_fee_percent: platformFee('enterprise', 2),
+    apps_allowed: Infinity,
+    token_limit: Infinity,
+    price: null,
+    domains_allowed: Infinity,
+    label: 'Enterprise',
+    purchasable: false,
+    limits: { deploysPerMonth: Infinity, apiCallsPerHour: Infinity, storageGB: 1000, maxUploadMB: 50, teamMembers: Infinity },
+    upload_types: PRO_UPLOADS,
+    features: ['basic_generation', 'deploy', 'domain_vercel', 'ssl', 'backups', 'custom_domains', 'maps', 'api_access', 'priority_support', 'custom_integrations', 'sla'],
+    highlights: []
   }
 };
 
+/**
+ * Paquetes de tokens de compra única (mode: 'payment')
+ * Los tokens comprados no caducan y se consumen cuando se agota la asignación mensual del plan
+ * Sin priceId, el checkout usa price_data con el precio del catálogo
+ */
+export const TOKEN_PACKS = {
+  tokens_25k: {
+    tokens: 25000,
+    price: 4.99,
+    label: '25,000 tokens',
+    priceId: process.env.STRIPE_PRICE_TOKENS_25K || null
+  },
+  tokens_100k: {
+    tokens: 100000,
+    price: 14.99,
+    label: '100,000 tokens',
+    priceId: process.env.STRIPE_PRICE_TOKENS_100K || null
+  },
+  tokens_300k: {
+    tokens: 300000,
+    price: 34.99,
+    label: '300,000 tokens',
+    priceId: process.env.STRIPE_PRICE_TOKENS_300K || null
+  }
+};
+
+// Orden de upgrade
+const UPGRADE_PATH = ['free_trial', 'basico', 'premium', 'pro'];
+
+export const getPlan = (planId) => PLANS[planId] || null;
+
+/**
+ * Plan con checkout (basico, premium, pro) o null
+ */
+export const getPurchasablePlan = (planId) => (PLANS[planId]?.purchasable ? PLANS[planId] : null);
+
+/**
+ * Plan que corresponde a un price de Stripe (cambios de plan desde el portal)
+ * @returns {string|null} - ID del plan
+ */
+export const getPlanIdByPriceId = (priceId) =>
+  Object.keys(PLANS).find(id => priceId && PLANS[id].priceId === priceId) || null;
+
+/**
+ * Límites en el formato de permissions.checkPlanLimit
+ */
+export const getPlanLimits = (planId) => {
+  const plan = PLANS[planId];
+  if (!plan) return null;
+
+  return {
+    appsPerMonth: plan.apps_allowed,
+    tokensPerMonth: plan.token_limit,
+    ...plan.limits,
+    ...(plan.trial_days ? { trialDays: plan.trial_days } : {})
+  };
+};
+
+/**
+ * Reglas de subida de archivos del plan (en bytes)
+ * El tamaño por archivo nunca supera googleConfig.fileUpload.maxSize
+ * @returns {Object} - { maxFileSize, storageQuota, categories, allowedTypes }
+ */
+export const getUploadRules = (planId) => {
+  const plan = PLANS[planId] || PLANS.free_trial;
+  const { allowedTypes, maxSize } = googleConfig.fileUpload;
+
+  return {
+    maxFileSize: Math.min(plan.limits.maxUploadMB * 1024 * 1024, maxSize),
+    storageQuota: Math.round(plan.limits.storageGB * 1024 * 1024 * 1024),
+    categories: plan.upload_types,
+    allowedTypes: plan.upload_types.flatMap(category => allowedTypes[category] || [])
+  };
+};
+
+export const getPlanFeatures = (planId) => PLANS[planId]?.features || [];
+
+export const planHasFeature = (planId, feature) => getPlanFeatures(planId).includes(feature);
+
+/**
+ * Planes en venta con el formato de GET /api/stripe/plans
+ */
+export const getPublicPlans = () =>
+  Object.entries(PLANS)
+    .filter(([, plan]) => plan.purchasable)
+    .map(([id, plan]) => ({
+      id,
+      name: plan.label,
+      price: plan.price,
+      currency: 'usd',
+      interval: 'month',
+      price_id: plan.priceId,
+      platform_fee_percent: plan.platform_fee_percent,
+      features: plan.highlights
+    }));
+
+/**
+ * Comisión de la plataforma (%) para las ventas de un usuario según su plan
+ */
+export const getPlatformFeePercent = (planId) =>
+  (PLANS[planId] || PLANS.free_trial).platform_fee_percent;
+
+export const getTokenPack = (packId) => TOKEN_PACKS[packId] || null;
+
+/**
+ * Paquetes de tokens con el formato de GET /api/stripe/plans
+ */
+export const getPublicTokenPacks = () =>
+  Object.entries(TOKEN_PACKS).map(([id, pack]) => ({
+    id,
+    name: pack.label,
+    tokens: pack.tokens,
+    price: pack.price,
+    currency: 'usd'
+  }));
+
+/**
+ * Resumen de planes para respuestas de "límite alcanzado"
+ */
+export const getUpgradeOptions = () =>
+  Object.fromEntries(
+    Object.entries(PLANS)
+      .filter(([, plan]) => plan.purchasable)
+      .map(([id, plan]) => [id, { price: plan.price, apps: plan.apps_allowed, label: plan.label }])
+  );
+
 // Mensaje claro según el plan actual
 export function getUpgradeMessage(currentPlan, appsAllowed) {
-  const messages = {
-    free_trial: `Has alcanzado el límite de ${appsAllowed} apps en tu prueba gratuita. Actualiza al plan Básico ($29.99/mes) para continuar.`,
-    basico: `Has alcanzado el límite de ${appsAllowed} apps del plan Básico. Actualiza al plan Premium ($49.99/mes) para crear hasta 8 apps.`,
-    premium: `Has alcanzado el límite de ${appsAllowed} apps del plan Premium. Actualiza al plan Pro ($99.99/mes) para crear hasta 25 apps.`,
-    pro: `Has alcanzado el límite de ${appsAllowed} apps del plan Pro. Contacta soporte para un plan empresarial.`
-  };
-  return messages[currentPlan] || `Has alcanzado el límite de ${appsAllowed} apps. Actualiza tu plan para continuar.`;
+  const index = UPGRADE_PATH.indexOf(currentPlan);
+
+  if (index === -1) {
+    return `Has alcanzado el límite de ${appsAllowed} apps. Actualiza tu plan para continuar.`;
+  }
+
+  const where = currentPlan === 'free_trial' ? 'en tu prueba gratuita' : `del plan ${PLANS[currentPlan].label}`;
+  const next = PLANS[UPGRADE_PATH[index + 1]];
+
+  if (!next) {
+    return `Has alcanzado el límite de ${appsAllowed} apps ${where}. Contacta soporte para un plan empresarial.`;
+  }
+
+  return `Has alcanzado el límite de ${appsAllowed} apps ${where}. Actualiza al plan ${next.label} ($${next.price}/mes) para crear hasta ${next.apps_allowed} apps.`;
 }
 
 /**
  * Obtener suscripción del usuario
+ * Un trial vencido pasa por la máquina de estados (trial_expired) antes de devolverse
  */
 export async function getUserSubscription(userId) {
   const { query } = await import('../config/database.js');
-  
+
   const result = await query(
     `SELECT * FROM subscriptions WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1`,
     [userId]
   );
-  
+
   if (result.rows.length === 0) {
     // Crear suscripción free_trial por defecto
     const insert = await query(
       `INSERT INTO subscriptions (user_id, plan, status, apps_allowed, token_limit, domains_allowed, trial_ends_at)
-       VALUES ($1, 'free_trial', 'trial', $2, $3, $4, NOW() + INTERVAL '7 days')
+       VALUES ($1, 'free_trial', 'trial', $2, $3, $4, NOW() + $5 * INTERVAL '1 day')
        RETURNING *`,
-      [userId, PLANS.free_trial.apps_allowed, PLANS.free_trial.token_limit, PLANS.free_trial.domains_allowed]
+      [userId, PLANS.free_trial.apps_allowed, PLANS.free_trial.token_limit, PLANS.free_trial.domains_allowed, PLANS.free_trial.trial_days]
     );
     return insert.rows[0];
   }
-  
-  return result.rows[0];
+
+  const sub = result.rows[0];
+
+  if (sub.status === 'trial' && sub.trial_ends_at && new Date(sub.trial_ends_at) < new Date()) {
+    const billingService = await import('./billingService.js');
+    const expired = await billingService.transition(sub.id, billingService.BILLING_EVENTS.TRIAL_EXPIRED);
+    return expired.subscription || sub;
+  }
+
+  return sub;
 }
 
 /**
  * Verificar si puede crear otra app
  */
 export async function canCreateApp(userId) {
+  const { ENTITLED_STATUSES } = await import('./billingService.js');
   const sub = await getUserSubscription(userId);
 
-  // Si el trial expiró, no puede crear
-  if (sub.status === 'expired') return false;
+  // Trial vencido, suspendida o cancelada: no puede crear
+  if (!ENTITLED_STATUSES.includes(sub.status)) return false;
 
   // Si tiene suscripción activa o en trial, verificar límite
   const appsCreated = sub.apps_created || 0;
@@ -86,12 +322,13 @@ export async function canCreateApp(userId) {
 
 /**
  * Incrementar contador de apps creadas
+ * @param {Object} client - Cliente de una transacción en curso (opcional)
  */
-export async function incrementAppCount(userId) {
-  const { query } = await import('../config/database.js');
-  
-  await query(
-    `UPDATE subscriptions 
+export async function incrementAppCount(userId, client = null) {
+  const db = client || await import('../config/database.js');
+
+  await db.query(
+    `UPDATE subscriptions
      SET apps_created = apps_created + 1, updated_at = NOW()
      WHERE user_id = $1`,
     [userId]
@@ -99,16 +336,17 @@ export async function incrementAppCount(userId) {
 }
 
 /**
- * Actualizar uso de tokens
+ * Devolver una app del contador (la generación que la ocupaba falló)
+ * @param {Object} client - Cliente de una transacción en curso (opcional)
  */
-export async function updateTokenUsage(userId, tokens) {
-  const { query } = await import('../config/database.js');
-  
-  await query(
-    `UPDATE subscriptions 
-     SET tokens_used = tokens_used + $1, updated_at = NOW()
-     WHERE user_id = $2`,
-    [tokens, userId]
+export async function decrementAppCount(userId, client = null) {
+  const db = client || await import('../config/database.js');
+
+  await db.query(
+    `UPDATE subscriptions
+     SET apps_created = GREATEST(apps_created - 1, 0), updated_at = NOW()
+     WHERE user_id = $1`,
+    [userId]
   );
 }
 
@@ -117,22 +355,35 @@ export async function updateTokenUsage(userId, tokens) {
  */
 export async function isTrialValid(userId) {
   const { query } = await import('../config/database.js');
-  
+
   const result = await query(
-    `SELECT * FROM subscriptions 
+    `SELECT * FROM subscriptions
      WHERE user_id = $1 AND status = 'trial' AND trial_ends_at > NOW()`,
     [userId]
   );
-  
+
   return result.rows.length > 0;
 }
 
 export default {
   PLANS,
+  TOKEN_PACKS,
+  getPlan,
+  getTokenPack,
+  getPublicTokenPacks,
+  getPurchasablePlan,
+  getPlanIdByPriceId,
+  getPlanLimits,
+  getUploadRules,
+  getPlanFeatures,
+  getPlatformFeePercent,
+  planHasFeature,
+  getPublicPlans,
+  getUpgradeOptions,
   getUpgradeMessage,
   getUserSubscription,
   canCreateApp,
   incrementAppCount,
-  updateTokenUsage,
+  decrementAppCount,
   isTrialValid
-};
\ No newline at end of file
+};
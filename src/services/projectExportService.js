@@ -0,0 +1,112 @@
+/**
+ * Exportación del código de una versión como zip
+ * Layouts:
+ * - monorepo: frontend en la raíz y backend/ como en el proyecto generado
+ * - separate: frontend/ y backend/ como proyectos independientes
+ * Se añaden .env.example con las variables que usa el código si el proyecto no los trae
+ */
+
+import JSZip from 'jszip';
+
+export const EXPORT_LAYOUTS = ['monorepo', 'separate'];
+
+const BACKEND_PREFIX = 'backend/';
+const ENV_FILE = '.env.example';
+
+// Valores de ejemplo para desarrollo local; el resto de variables se dejan vacías
+const ENV_DEFAULTS = {
+  PORT: '4000',
+  NODE_ENV: 'development',
+  VITE_API_URL: 'http://localhost:4000/api'
+};
+
+const FRONTEND_ENV = /import\.meta\.env\.(VITE_[A-Z0-9_]+)/g;
+const BACKEND_ENV = /process\.env\.([A-Z][A-Z0-9_]*)/g;
+
+const contentOf = (file) => typeof file.content === 'string' ? file.content : JSON.stringify(file.content, null, 2);
+
+const collectEnv = (files, pattern, required = []) => {
+  const names = new Set(required);
+  for (const file of files) {
+    for (const match of contentOf(file).matchAll(pattern)) names.add(match[1]);
+  }
+  return [...names].sort();
+};
+
+const renderEnv = (names) =>
+  `# Variables de entorno (copiar a .env)\n${names.map(name => `${name}=${ENV_DEFAULTS[name] || ''}`).join('\n')}\n`;
+
+/**
+ * Archivos del zip para un proyecto normalizado
+ * @param {Object} code - Código normalizado (normalizeCode)
+ * @param {Object} options - { layout: 'monorepo'|'separate', includeEnv: boolean }
+ * @returns {Array} - [{ path, content }]
+ */
+export const getExportFiles = (code, { layout = 'monorepo', includeEnv = true } = {}) => {
+  let frontendFiles = (code.frontend?.files || []).map(file => ({ path: file.path, content: contentOf(file) }));
+  let backendFiles = (code.backend?.files || [])
+    .filter(file => file.path.startsWith(BACKEND_PREFIX))
+    .map(file => ({ path: file.path.slice(BACKEND_PREFIX.length), content: contentOf(file) }));
+  const rootFiles = (code.root?.files || []).map(file => ({ path: file.path, content: contentOf(file) }));
+
+  if (!includeEnv) {
+    // Sin .env.example: tampoco se incluyen los que traiga el proyecto
+    frontendFiles = frontendFiles.filter(file => file.path !== ENV_FILE);
+    backendFiles = backendFiles.filter(file => file.path !== ENV_FILE);
+  } else {
+    const frontendEnv = collectEnv(frontendFiles, FRONTEND_ENV, backendFiles.length ? ['VITE_API_URL'] : []);
+    if (frontendEnv.length && !frontendFiles.some(file => file.path === ENV_FILE)) {
+      frontendFiles.push({ path: ENV_FILE, content: renderEnv(frontendEnv) });
+    }
+
+    if (backendFiles.length && !backendFiles.some(file => file.path === ENV_FILE)) {
+      backendFiles.push({ path: ENV_FILE, content: renderEnv(collectEnv(backendFiles, BACKEND_ENV, ['PORT'])) });
+    }
+  }
+
+  const frontendRoot = layout === 'separate' ? 'frontend/' : '';
+
+  return [
+    ...rootFiles,
+    ...frontendFiles.map(file => ({ path: `${frontendRoot}${file.path}`, content: file.content })),
+    ...backendFiles.map(file => ({ path: `${BACKEND_PREFIX}${file.path}`, content: file.content }))
+  ].filter(file => !file.path.split('/').includes('..'));
+};
+
+/**
+ * Zip (JSZip) de un proyecto normalizado
+ * @param {Object} code - Código normalizado
+ * @param {Object} options - Ver getExportFiles
+ */
+export const createProjectZip = (code, options = {}) => {
+  const zip = new JSZip();
+
+  for (const file of getExportFiles(code, options)) {
+    zip.file(file.path, file.content);
+  }
+
+  return zip;
+};
+
+/**
+ * Tamaño aproximado del export (sin comprimir) para decidir si se descarga o se sirve por URL firmada
+ */
+export const estimateExportSize = (code) =>
+  [...(code.frontend?.files || []), ...(code.backend?.files || []), ...(code.root?.files || [])]
+    .reduce((total, file) => total + Buffer.byteLength(contentOf(file)), 0);
+
+/**
+ * Nombre de archivo del zip: mi-app-v3.zip
+ */
+export const getExportFileName = (appName, version) => {
+  const slug = String(appName || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return `${slug || 'app'}-v${version}.zip`;
+};
+
+export default {
+  EXPORT_LAYOUTS,
+  getExportFiles,
+  createProjectZip,
+  estimateExportSize,
+  getExportFileName,
+};
@@ -0,0 +1,283 @@
+/**
+ * Importación de proyectos React/Vite existentes desde un zip
+ * El zip se valida y se normaliza a la estructura { frontend: { files }, backend?: { files }, root: { files } }
+ * que usan normalizeCode, el chat de mejoras y el deploy; se guarda como versión 1 de una app nueva.
+ */
+
+import path from 'path';
+import multer from 'multer';
+import JSZip from 'jszip';
+import { transaction } from '../config/database.js';
+
+const MB = 1024 * 1024;
+
+export const IMPORT_LIMITS = {
+  maxZipSize: (parseInt(process.env.IMPORT_MAX_ZIP_MB, 10) || 10) * MB,
+  maxFiles: parseInt(process.env.IMPORT_MAX_FILES, 10) || 500,
+  maxFileSize: MB,
+  maxTotalSize: 20 * MB
+};
+
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'];
+
+// Carpetas y archivos que nunca forman parte del código fuente
+const IGNORED_SEGMENTS = new Set(['node_modules', 'dist', 'build', '.git', '.vite', '.cache', 'coverage', '__MACOSX']);
+const IGNORED_FILES = new Set(['.DS_Store', 'Thumbs.db', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml']);
+
+// Solo se guarda texto (el código de las versiones es JSON); los binarios se informan como omitidos
+const TEXT_FILE = /\.(jsx?|tsx?|mjs|cjs|json|css|scss|sass|less|html?|md|txt|svg|ya?ml|toml|xml|csv)$|(^|\/)\.(gitignore|npmrc|nvmrc|editorconfig|prettierrc|eslintrc)$|(^|\/)\.env\.example$/i;
+
+const BACKEND_PREFIX = 'backend/';
+const ROOT_FILES = ['README.md'];
+
+// Los .env pueden contener secretos: solo se acepta .env.example
+const isSecretFile = (name) => /^\.env(\.|$)/.test(name) && name !== '.env.example';
+
+/**
+ * Multer en memoria: el zip no se escribe a disco y se rechaza antes de leerlo si no es un zip
+ */
+export const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_LIMITS.maxZipSize, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (ZIP_MIME_TYPES.includes(file.mimetype) && /\.zip$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('El proyecto debe subirse como archivo .zip'), false);
+    }
+  }
+});
+
+/**
+ * Si todo el proyecto está dentro de una carpeta (mi-app/package.json), se quita ese prefijo
+ */
+const commonRoot = (paths) => {
+  const [first, ...rest] = paths.map(p => p.split('/'));
+  if (!first || first.length < 2) return '';
+
+  const folder = first[0];
+  return rest.every(parts => parts.length > 1 && parts[0] === folder) ? `${folder}/` : '';
+};
+
+const hasDependency = (pkg, name) => !!(pkg.dependencies?.[name] || pkg.devDependencies?.[name]);
+
+/**
+ * Descomprimir una entrada contando bytes: se corta al superar maxBytes sin fiarse
+ * del tamaño declarado en la cabecera del zip (un zip bomba puede mentir)
+ * @returns {Promise<string|null>} - Contenido o null si supera maxBytes
+ */
+const readEntry = (entry, maxBytes) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  let done = false;
+
+  const stream = entry.nodeStream('nodebuffer');
+
+  const finish = (error, value) => {
+    if (done) return;
+    done = true;
+    stream.removeAllListeners('data');
+    if (error) reject(error);
+    else resolve(value);
+  };
+
+  stream.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      stream.pause();
+      finish(null, null);
+      return;
+    }
+    chunks.push(chunk);
+  });
+  stream.on('error', (error) => finish(error));
+  stream.on('end', () => finish(null, Buffer.concat(chunks).toString('utf8')));
+});
+
+/**
+ * Leer el zip y devolver los archivos de texto del proyecto
+ * @returns {Promise<Object>} - { success, files: [{ path, content }], skipped } o { success: false, error }
+ */
+export const readZip = async (buffer) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    return { success: false, error: 'El archivo no es un zip válido' };
+  }
+
+  const entries = Object.values(zip.files).filter(entry => !entry.dir);
+  const root = commonRoot(entries.map(entry => entry.name));
+
+  const files = [];
+  const skipped = [];
+  let totalSize = 0;
+
+  for (const entry of entries) {
+    const filePath = path.posix.normalize(entry.name.slice(root.length));
+    const segments = filePath.split('/');
+    const fileName = segments[segments.length - 1];
+
+    // JSZip ya limpia las rutas ("../x" → "x"), pero un zip así está manipulado y se rechaza
+    const originalName = entry.unsafeOriginalName || entry.name;
+    if (path.posix.isAbsolute(originalName) || originalName.split('/').includes('..') || segments.includes('..')) {
+      return { success: false, error: `Ruta no permitida en el zip: ${originalName}` };
+    }
+
+    if (segments.some(segment => IGNORED_SEGMENTS.has(segment)) || IGNORED_FILES.has(fileName)) continue;
+
+    if (isSecretFile(fileName)) {
+      skipped.push({ path: filePath, reason: 'secret' });
+      continue;
+    }
+
+    if (!TEXT_FILE.test(filePath)) {
+      skipped.push({ path: filePath, reason: 'binary' });
+      continue;
+    }
+
+    if (files.length >= IMPORT_LIMITS.maxFiles) {
+      return { success: false, error: `El proyecto supera el máximo de ${IMPORT_LIMITS.maxFiles} archivos` };
+    }
+
+    let content;
+    try {
+      content = await readEntry(entry, IMPORT_LIMITS.maxFileSize);
+    } catch (error) {
+      return { success: false, error: `No se pudo leer ${filePath} del zip (archivo dañado)` };
+    }
+
+    if (content === null) {
+      skipped.push({ path: filePath, reason: 'too_large' });
+      continue;
+    }
+
+    const size = Buffer.byteLength(content);
+
+    totalSize += size;
+    if (totalSize > IMPORT_LIMITS.maxTotalSize) {
+      return { success: false, error: `El proyecto supera ${IMPORT_LIMITS.maxTotalSize / MB} MB de código` };
+    }
+
+    files.push({ path: filePath, content });
+  }
+
+  return { success: true, files, skipped };
+};
+
+/**
+ * Validar que sea un proyecto React + Vite y repartir los archivos por sección
+ * @returns {Object} - { success, code, packageJson } o { success: false, error }
+ */
+export const buildProject = (files) => {
+  const byPath = new Map(files.map(file => [file.path, file]));
+  const packageFile = byPath.get('package.json');
+
+  if (!packageFile) {
+    return { success: false, error: 'Falta package.json en la raíz del proyecto' };
+  }
+
+  let packageJson;
+  try {
+    packageJson = JSON.parse(packageFile.content);
+  } catch {
+    return { success: false, error: 'package.json no es un JSON válido' };
+  }
+
+  if (!hasDependency(packageJson, 'react') || !hasDependency(packageJson, 'vite')) {
+    return { success: false, error: 'Solo se pueden importar proyectos React con Vite (faltan react o vite en package.json)' };
+  }
+
+  if (!byPath.has('index.html')) {
+    return { success: false, error: 'Falta index.html en la raíz del proyecto' };
+  }
+
+  if (!files.some(file => file.path.startsWith('src/'))) {
+    return { success: false, error: 'Falta la carpeta src/ con el código de la app' };
+  }
+
+  const backendFiles = files.filter(file => file.path.startsWith(BACKEND_PREFIX));
+  if (backendFiles.length > 0 && !byPath.has(`${BACKEND_PREFIX}server.js`)) {
+    return { success: false, error: 'La carpeta backend/ debe tener un server.js' };
+  }
+
+  const rootFiles = files.filter(file => ROOT_FILES.includes(file.path));
+  const frontendFiles = files.filter(file => !file.path.startsWith(BACKEND_PREFIX) && !ROOT_FILES.includes(file.path));
+  const isFullstack = backendFiles.length > 0;
+
+  return {
+    success: true,
+    packageJson,
+    code: {
+      isFullstack,
+      frontend: { files: frontendFiles },
+      ...(isFullstack ? { backend: { files: backendFiles } } : {}),
+      root: { files: rootFiles }
+    }
+  };
+};
+
+/**
+ * Importar un zip como app nueva con versión 1
+ * @param {string} userId
+ * @param {Object} file - Archivo de multer (buffer en memoria)
+ * @param {Object} options - { name?, description? }
+ * @returns {Promise<Object>} - { success, app, isFullstack, fileCount, skipped } o { success: false, error }
+ */
+export const importProject = async (userId, file, { name, description } = {}) => {
+  const read = await readZip(file.buffer);
+  if (!read.success) return read;
+
+  const project = buildProject(read.files);
+  if (!project.success) return project;
+
+  const appName = (name || project.packageJson.name || path.basename(file.originalname, '.zip')).trim().slice(0, 100);
+  const appDescription = description || project.packageJson.description || `Proyecto importado desde ${file.originalname}`;
+
+  const app = await transaction(async (client) => {
+    const appResult = await client.query(
+      `INSERT INTO apps (user_id, name, description, prompt, tech_stack, status)
+       VALUES ($1, $2, $3, $4, $5, 'ready')
+       RETURNING *`,
+      [
+        userId,
+        appName,
+        appDescription,
+        appDescription,
+        JSON.stringify({
+          isFullstack: project.code.isFullstack,
+          generationMode: 'import',
+          database: 'memory'
+        })
+      ]
+    );
+
+    const created = appResult.rows[0];
+
+    await client.query(
+      `INSERT INTO app_versions (app_id, version, code, generation_prompt, generation_time_ms, tokens_used)
+       VALUES ($1, 1, $2, $3, 0, 0)`,
+      [created.id, JSON.stringify(project.code), `Importado desde ${file.originalname}`]
+    );
+
+    return created;
+  });
+
+  console.log(`📦 [IMPORT] App ${app.id} importada (${read.files.length} archivos, ${read.skipped.length} omitidos)`);
+
+  return {
+    success: true,
+    app,
+    isFullstack: project.code.isFullstack,
+    fileCount: read.files.length,
+    skipped: read.skipped
+  };
+};
+
+export default {
+  IMPORT_LIMITS,
+  upload,
+  readZip,
+  buildProject,
+  importProject,
+};
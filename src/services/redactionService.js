@@ -0,0 +1,126 @@
+/**
+ * Redacción de tokens y secretos en logs y en Sentry
+ * - Claves sensibles en objetos (access_token, refresh_token, authorization, client_secret...)
+ * - Tokens con formato conocido en textos (Bearer, ya29.* de Google, refresh 1//*, sk_/rk_ de Stripe)
+ * - Parámetros sensibles en URLs (?code= del callback OAuth, ?token=, ?signature=)
+ */
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+const SENSITIVE_KEYS = /^(access_?token|refresh_?token|id_?token|client_?secret|authorization|cookie|set-cookie|password|api_?key|secret|private_?key|customer_?token)$/i;
+
+const SENSITIVE_PARAMS = ['code', 'token', 'access_token', 'refresh_token', 'id_token', 'client_secret', 'signature', 'key'];
+
+const TEXT_PATTERNS = [
+  [/\bBearer\s+[A-Za-z0-9._~+/-]+=*/g, `Bearer ${REDACTED}`],
+  [/\bya29\.[A-Za-z0-9._-]+/g, REDACTED],
+  [/\b1\/\/[A-Za-z0-9._-]{20,}/g, REDACTED],
+  [/\b(sk|rk)_(live|test)_[A-Za-z0-9]+/g, REDACTED],
+  [/("(?:access_token|refresh_token|id_token|client_secret)"\s*:\s*)"[^"]*"/g, `$1"${REDACTED}"`],
+  [new RegExp(`([?&](?:${SENSITIVE_PARAMS.join('|')})=)[^&\\s"']+`, 'g'), `$1${REDACTED}`],
+  [/((?:^|[&\s])(?:access_token|refresh_token|client_secret)=)[^&\s"']+/g, `$1${REDACTED}`]
+];
+
+/**
+ * Redactar un texto
+ */
+export const redactText = (text) =>
+  typeof text === 'string' ? TEXT_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text) : text;
+
+/**
+ * Redactar los parámetros sensibles de una URL (relativa o absoluta)
+ */
+export const redactUrl = (url) => redactText(url);
+
+/**
+ * Copia redactada de cualquier valor (objetos, arrays, errores, textos)
+ * Los errores siguen siendo Error (se imprimen con stack)
+ */
+export const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (typeof value === 'string') return redactText(value);
+  if (!value || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+  if (Buffer.isBuffer(value) || value instanceof Date || value instanceof RegExp) return value;
+
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  const copy = value instanceof Error ? new Error(redactText(value.message)) : {};
+  if (value instanceof Error) {
+    copy.name = value.name;
+    copy.stack = redactText(value.stack);
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEYS.test(key) && item != null ? REDACTED : redact(item, depth + 1, seen);
+  }
+
+  return copy;
+};
+
+let consoleInstalled = false;
+
+/**
+ * Redactar todo lo que se escribe con console.* (los servicios loguean con console)
+ */
+export const installConsoleRedaction = () => {
+  if (consoleInstalled) return;
+  consoleInstalled = true;
+
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(...args.map(arg => redact(arg)));
+  }
+};
+
+/**
+ * Breadcrumb de Sentry sin tokens (console, http, navegación)
+ */
+export const redactBreadcrumb = (breadcrumb) => ({
+  ...breadcrumb,
+  message: redactText(breadcrumb.message),
+  data: breadcrumb.data ? redact(breadcrumb.data) : breadcrumb.data
+});
+
+/**
+ * Evento de Sentry sin tokens: request, extras, mensajes de excepción y breadcrumbs
+ */
+export const redactEvent = (event) => {
+  if (event.request) {
+    event.request = {
+      ...redact(event.request),
+      url: redactUrl(event.request.url),
+      query_string: typeof event.request.query_string === 'string'
+        ? redactText(`?${event.request.query_string}`).slice(1)
+        : redact(event.request.query_string)
+    };
+  }
+
+  if (event.extra) event.extra = redact(event.extra);
+  if (event.contexts) event.contexts = redact(event.contexts);
+  if (event.message) event.message = redactText(event.message);
+
+  for (const exception of event.exception?.values || []) {
+    exception.value = redactText(exception.value);
+  }
+
+  if (event.breadcrumbs) {
+    event.breadcrumbs = event.breadcrumbs.map(redactBreadcrumb);
+  }
+
+  return event;
+};
+
+export default {
+  redactText,
+  redactUrl,
+  redact,
+  installConsoleRedaction,
+  redactBreadcrumb,
+  redactEvent,
+};
@@ -0,0 +1,57 @@
+/**
+ * Registro de drivers de storage (object storage para archivos de apps y subidas)
+ *
+ * Todos los drivers exponen la misma interfaz:
+ *   name                          - identificador guardado en app_files.storage_driver
+ *   isConfigured()                - hay credenciales para usarlo
+ *   init()                        - preparar bucket/directorio
+ *   put(key, content, contentType)
+ *   get(key)                      → Buffer
+ *   remove(keys)
+ *   list(prefix)                  → [{ name, size }] (solo archivos, no recursivo)
+ *   signedUrl(key, expiresIn)     → URL temporal de descarga
+ *   publicUrl(key)                → URL sin firma (solo sirve si el bucket es público)
+ *
+ * Los métodos lanzan en caso de error; storageService los envuelve en { success, error }
+ * Las claves son rutas relativas: apps/<appId>/<archivo>, uploads/<userId>/<appId>/<archivo>
+ */
+
+import { supabaseDriver } from './supabaseDriver.js';
+import { localDriver } from './localDriver.js';
+
+const drivers = new Map();
+
+export const registerDriver = (driver) => {
+  drivers.set(driver.name, driver);
+};
+
+registerDriver(supabaseDriver);
+registerDriver(localDriver);
+
+/**
+ * Obtener un driver por nombre
+ * @throws {Error} si no está registrado
+ */
+export const getDriver = (name) => {
+  const driver = drivers.get(name);
+  if (!driver) {
+    throw new Error(`Driver de storage desconocido: ${name}`);
+  }
+  return driver;
+};
+
+/**
+ * Driver en uso: STORAGE_DRIVER, o Supabase si está configurado y si no el local
+ */
+export const getActiveDriver = () => {
+  if (process.env.STORAGE_DRIVER) {
+    return getDriver(process.env.STORAGE_DRIVER);
+  }
+  return supabaseDriver.isConfigured() ? supabaseDriver : localDriver;
+};
+
+export default {
+  registerDriver,
+  getDriver,
+  getActiveDriver,
+};
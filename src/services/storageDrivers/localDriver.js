@@ -0,0 +1,119 @@
+/**
+ * Driver de storage: directorio local (desarrollo y tests)
+ * Guarda cada clave como archivo bajo STORAGE_LOCAL_DIR. Las URLs firmadas apuntan a
+ * /api/storage/local/<clave> con expiración y firma HMAC (STORAGE_SIGNING_SECRET)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+export const getLocalStorageDir = () =>
+  path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'storage'));
+
+// Sin secreto configurado las URLs dejan de valer al reiniciar
+const FALLBACK_SECRET = crypto.randomBytes(32).toString('hex');
+
+const signingSecret = () => process.env.STORAGE_SIGNING_SECRET || FALLBACK_SECRET;
+
+const sign = (key, expires) =>
+  crypto.createHmac('sha256', signingSecret()).update(`${key}:${expires}`).digest('hex');
+
+/**
+ * Ruta en disco de una clave; nunca fuera de STORAGE_LOCAL_DIR
+ * @throws {Error} si la clave no es válida
+ */
+export const resolveKey = (key) => {
+  const root = getLocalStorageDir();
+  const parts = String(key || '').split('/');
+
+  if (!key || key.startsWith('/') || parts.some((part) => !part || part === '.' || part === '..')) {
+    throw new Error(`Clave de storage inválida: ${key}`);
+  }
+
+  const filePath = path.resolve(root, ...parts);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Clave de storage inválida: ${key}`);
+  }
+  return filePath;
+};
+
+/**
+ * Comprobar una URL firmada por signedUrl()
+ */
+export const verifySignedUrl = (key, expires, signature) => {
+  if (!/^\d+$/.test(expires || '') || Number(expires) * 1000 < Date.now()) return false;
+  if (!/^[a-f0-9]{64}$/.test(signature || '')) return false;
+
+  return crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(sign(key, expires), 'hex'));
+};
+
+export class LocalDriver {
+  constructor() {
+    this.name = 'local';
+  }
+
+  // No necesita credenciales
+  isConfigured() {
+    return true;
+  }
+
+  async init() {
+    await fs.mkdir(getLocalStorageDir(), { recursive: true });
+    console.log('✅ Local storage:', getLocalStorageDir());
+  }
+
+  async put(key, content) {
+    const filePath = resolveKey(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+  }
+
+  async get(key) {
+    return await fs.readFile(resolveKey(key));
+  }
+
+  async remove(keys) {
+    for (const key of keys) {
+      await fs.rm(resolveKey(key), { force: true });
+    }
+  }
+
+  // Como en Supabase: solo los archivos directos del prefijo
+  async list(prefix) {
+    let entries;
+    try {
+      entries = await fs.readdir(resolveKey(prefix), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const entry of entries.filter((e) => e.isFile())) {
+      const stats = await fs.stat(path.join(resolveKey(prefix), entry.name));
+      files.push({ name: entry.name, size: stats.size });
+    }
+    return files;
+  }
+
+  async signedUrl(key, expiresIn) {
+    resolveKey(key);
+    const expires = String(Math.floor(Date.now() / 1000) + expiresIn);
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${this.baseUrl()}/${encodedKey}?expires=${expires}&signature=${sign(key, expires)}`;
+  }
+
+  publicUrl(key) {
+    return `${this.baseUrl()}/${key.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  baseUrl() {
+    const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 4000}`;
+    return `${apiUrl.replace(/\/$/, '')}/api/storage/local`;
+  }
+}
+
+export const localDriver = new LocalDriver();
+
+export default localDriver;
@@ -0,0 +1,98 @@
+/**
+ * Driver de storage: Supabase Storage (bucket privado app-files)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { googleConfig } from '../../config/google.config.js';
+
+const BUCKET_NAME = 'app-files';
+const MAX_FILE_SIZE = googleConfig.fileUpload.maxSize;
+
+// Código generado, exports y las subidas de los usuarios (googleConfig.fileUpload.allowedTypes)
+const ALLOWED_MIME_TYPES = [...new Set([
+  'text/plain',
+  'application/json',
+  'application/javascript',
+  'text/html',
+  'text/css',
+  'image/png',
+  'image/jpeg',
+  'application/pdf',
+  'application/zip',
+  ...Object.values(googleConfig.fileUpload.allowedTypes).flat()
+])];
+
+export class SupabaseDriver {
+  constructor() {
+    this.name = 'supabase';
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY);
+  }
+
+  // El cliente se crea al primer uso: con el driver local no hace falta Supabase
+  bucket() {
+    if (!this.client) {
+      this.client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+    }
+    return this.client.storage.from(BUCKET_NAME);
+  }
+
+  async init() {
+    this.bucket();
+    const { data: buckets } = await this.client.storage.listBuckets();
+    const options = { public: false, fileSizeLimit: MAX_FILE_SIZE, allowedMimeTypes: ALLOWED_MIME_TYPES };
+
+    if (buckets?.some((b) => b.name === BUCKET_NAME)) {
+      // Los buckets creados antes de las subidas solo admitían código
+      const { error } = await this.client.storage.updateBucket(BUCKET_NAME, options);
+      if (error) throw error;
+      console.log('✅ Storage bucket exists:', BUCKET_NAME);
+      return;
+    }
+
+    const { error } = await this.client.storage.createBucket(BUCKET_NAME, options);
+    if (error) throw error;
+    console.log('✅ Storage bucket created:', BUCKET_NAME);
+  }
+
+  async put(key, content, contentType) {
+    const { error } = await this.bucket().upload(key, content, { contentType, upsert: true });
+    if (error) throw error;
+  }
+
+  async get(key) {
+    const { data, error } = await this.bucket().download(key);
+    if (error) throw error;
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async remove(keys) {
+    if (!keys.length) return;
+    const { error } = await this.bucket().remove(keys);
+    if (error) throw error;
+  }
+
+  // No recursivo: las carpetas (id null) no se devuelven
+  async list(prefix) {
+    const { data, error } = await this.bucket().list(prefix);
+    if (error) throw error;
+    return data.filter((entry) => entry.id).map((entry) => ({ name: entry.name, size: entry.metadata?.size ?? null }));
+  }
+
+  async signedUrl(key, expiresIn) {
+    const { data, error } = await this.bucket().createSignedUrl(key, expiresIn);
+    if (error) throw error;
+    return data.signedUrl;
+  }
+
+  publicUrl(key) {
+    return this.bucket().getPublicUrl(key).data.publicUrl;
+  }
+}
+
+export const supabaseDriver = new SupabaseDriver();
+
+export default supabaseDriver;
@@ -0,0 +1,142 @@
+/**
+ * Cuota de almacenamiento por usuario
+ * Cuenta las subidas del usuario (app_files) y lo que la plataforma guarda de sus apps en
+ * el object storage (storage_objects: exports, previews, zips) contra storageGB del plan
+ */
+
+import { query, transaction } from '../config/database.js';
+import { getUploadRules } from './planService.js';
+
+/**
+ * Registrar (o actualizar) un archivo de una app en Storage
+ */
+export const recordObject = async (appId, path, size, contentType = null) => {
+  await query(
+    `INSERT INTO storage_objects (app_id, path, size, content_type)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (app_id, path) DO UPDATE SET size = EXCLUDED.size, content_type = EXCLUDED.content_type, updated_at = NOW()`,
+    [appId, path, size, contentType]
+  );
+};
+
+/**
+ * Quitar archivos de Storage del registro
+ * @param {string|null} path - null = todos los de la app
+ * @returns {Promise<Array>} - Rutas que había registradas
+ */
+export const removeObjects = async (appId, path = null) => {
+  const result = await query(
+    'DELETE FROM storage_objects WHERE app_id = $1 AND ($2::text IS NULL OR path = $2) RETURNING path',
+    [appId, path]
+  );
+  return result.rows.map(row => row.path);
+};
+
+/**
+ * Bytes usados por un usuario
+ * @param {Object} client - Cliente de una transacción (opcional)
+ * @returns {Promise<Object>} - { uploads, storage, total }
+ */
+export const getStorageUsage = async (userId, client = null) => {
+  const db = client || { query };
+  const result = await db.query(
+    `SELECT
+       (SELECT COALESCE(SUM(size), 0) FROM app_files WHERE user_id = $1) AS uploads,
+       (SELECT COALESCE(SUM(so.size), 0)
+          FROM storage_objects so JOIN apps a ON a.id = so.app_id
+         WHERE a.user_id = $1) AS storage`,
+    [userId]
+  );
+
+  const uploads = Number(result.rows[0].uploads);
+  const storage = Number(result.rows[0].storage);
+
+  return { uploads, storage, total: uploads + storage };
+};
+
+/**
+ * Espacio libre según el plan
+ * @returns {Promise<Object>} - { quota, used, remaining, rules }
+ */
+export const getQuota = async (userId, planId) => {
+  const rules = getUploadRules(planId);
+  const usage = await getStorageUsage(userId);
+
+  return {
+    quota: rules.storageQuota,
+    used: usage.total,
+    remaining: Math.max(rules.storageQuota - usage.total, 0),
+    usage,
+    rules
+  };
+};
+
+/**
+ * Registrar una subida solo si cabe en la cuota
+ * Las subidas de un usuario se serializan con un advisory lock: el uso se vuelve a calcular
+ * con las filas ya confirmadas, así dos subidas en paralelo no superan la cuota entre las dos
+ * @param {number} bytes - Tamaño de la subida
+ * @param {Function} insert - async (client) => inserta la fila en app_files
+ * @returns {Promise<boolean>} - false si no cabe (no se inserta nada)
+ */
+export const insertWithinQuota = async (userId, quota, bytes, insert) =>
+  transaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`storage:${userId}`]);
+
+    const usage = await getStorageUsage(userId, client);
+    if (usage.total + bytes > quota) return false;
+
+    await insert(client);
+    return true;
+  });
+
+/**
+ * Uso detallado para GET /api/users/storage
+ */
+export const getStorageReport = async (userId, planId) => {
+  const { quota, used, remaining, usage, rules } = await getQuota(userId, planId);
+
+  const byApp = await query(
+    `SELECT a.id, a.name,
+            (SELECT COALESCE(SUM(size), 0) FROM app_files f WHERE f.app_id = a.id AND f.user_id = $1) AS uploads,
+            (SELECT COUNT(*) FROM app_files f WHERE f.app_id = a.id AND f.user_id = $1) AS upload_count,
+            (SELECT COALESCE(SUM(size), 0) FROM storage_objects so WHERE so.app_id = a.id) AS storage
+     FROM apps a
+     WHERE a.user_id = $1
+     ORDER BY a.created_at DESC`,
+    [userId]
+  );
+
+  return {
+    plan: planId,
+    quotaBytes: quota,
+    usedBytes: used,
+    remainingBytes: remaining,
+    percentUsed: quota ? Math.min(Math.round((used / quota) * 1000) / 10, 100) : 100,
+    breakdown: { uploads: usage.uploads, storage: usage.storage },
+    apps: byApp.rows
+      .map(row => ({
+        appId: row.id,
+        name: row.name,
+        files: parseInt(row.upload_count, 10),
+        uploadsBytes: Number(row.uploads),
+        storageBytes: Number(row.storage),
+        totalBytes: Number(row.uploads) + Number(row.storage)
+      }))
+      .filter(app => app.totalBytes > 0),
+    rules: {
+      maxFileSize: rules.maxFileSize,
+      categories: rules.categories,
+      allowedTypes: rules.allowedTypes
+    }
+  };
+};
+
+export default {
+  recordObject,
+  removeObjects,
+  getStorageUsage,
+  getQuota,
+  insertWithinQuota,
+  getStorageReport,
+};
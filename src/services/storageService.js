@@ -1,50 +1,21 @@
 /**
- * Servicio de Storage con Supabase Storage
+ * Servicio de Storage (object storage vía storageDrivers)
  * Manejo de archivos generados y assets
+ * Supabase Storage en producción; directorio local en desarrollo/tests (STORAGE_DRIVER=local)
  */
 
-import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import * as storageQuotaService from './storageQuotaService.js';
+import { getActiveDriver } from './storageDrivers/index.js';
 
 dotenv.config();
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
-
-const BUCKET_NAME = 'app-files';
-
 /**
  * Inicializar bucket de storage
  */
 export const initStorage = async () => {
   try {
-    const { data: buckets } = await supabase.storage.listBuckets();
-    
-    const bucketExists = buckets?.some((b) => b.name === BUCKET_NAME);
-
-    if (!bucketExists) {
-      const { data, error } = await supabase.storage.createBucket(BUCKET_NAME, {
-        public: false,
-        fileSizeLimit: 52428800, // 50MB
-        allowedMimeTypes: [
-          'text/plain',
-          'application/json',
-          'application/javascript',
-          'text/html',
-          'text/css',
-          'image/png',
-          'image/jpeg',
-          'application/pdf',
-        ],
-      });
-
-      if (error) throw error;
-      console.log('✅ Storage bucket created:', BUCKET_NAME);
-    } else {
-      console.log('✅ Storage bucket exists:', BUCKET_NAME);
-    }
+    await getActiveDriver().init();
   } catch (error) {
     console.error('❌ Error initializing storage:', error);
   }
@@ -62,25 +33,22 @@ export const uploadAppFile = async (appId, fileName, content, contentType = 'tex
   try {
     const filePath = `apps/${appId}/${fileName}`;
 
-    const { data, error } = await supabase.storage
-      .from(BUCKET_NAME)
-      .upload(filePath, content, {
-        contentType,
-        upsert: true,
-      });
-
-    if (error) throw error;
-
-    const { data: urlData } = supabase.storage
-      .from(BUCKET_NAME)
-      .getPublicUrl(filePath);
+    const driver = getActiveDriver();
+    await driver.put(filePath, content, contentType);
 
     console.log('✅ File uploaded:', filePath);
 
+    // Cuenta contra la cuota de almacenamiento del dueño de la app
+    try {
+      await storageQuotaService.recordObject(appId, fileName, Buffer.byteLength(content), contentType);
+    } catch (accountingError) {
+      console.error('⚠️ Error registrando el archivo en la cuota:', accountingError.message);
+    }
+
     return {
       success: true,
-      path: data.path,
-      url: urlData.publicUrl,
+      path: filePath,
+      url: driver.publicUrl(filePath),
     };
   } catch (error) {
     console.error('❌ Error uploading file:', error);
@@ -136,13 +104,7 @@ export const downloadAppFile = async (appId, fileName) => {
   try {
     const filePath = `apps/${appId}/${fileName}`;
 
-    const { data, error } = await supabase.storage
-      .from(BUCKET_NAME)
-      .download(filePath);
-
-    if (error) throw error;
-
-    const content = await data.text();
+    const content = (await getActiveDriver().get(filePath)).toString('utf8');
 
     console.log('✅ File downloaded:', filePath);
 
@@ -166,11 +128,7 @@ export const downloadAppFile = async (appId, fileName) => {
  */
 export const listAppFiles = async (appId) => {
   try {
-    const { data, error } = await supabase.storage
-      .from(BUCKET_NAME)
-      .list(`apps/${appId}`);
-
-    if (error) throw error;
+    const data = await getActiveDriver().list(`apps/${appId}`);
 
     console.log(`✅ Listed ${data.length} files for app ${appId}`);
 
@@ -197,14 +155,12 @@ export const deleteAppFile = async (appId, fileName) => {
   try {
     const filePath = `apps/${appId}/${fileName}`;
 
-    const { error } = await supabase.storage
-      .from(BUCKET_NAME)
-      .remove([filePath]);
-
-    if (error) throw error;
+    await getActiveDriver().remove([filePath]);
 
     console.log('✅ File deleted:', filePath);
 
+    await storageQuotaService.removeObjects(appId, fileName);
+
     return {
       success: true,
     };
@@ -224,16 +180,15 @@ export const deleteAppFile = async (appId, fileName) => {
  */
 export const deleteAllAppFiles = async (appId) => {
   try {
-    const { data: files } = await listAppFiles(appId);
+    // list() no es recursivo: las subcarpetas (exports/) salen del registro de la cuota
+    const { files = [] } = await listAppFiles(appId);
+    const recorded = await storageQuotaService.removeObjects(appId);
+    const names = [...new Set([...files.map((f) => f.name), ...recorded])];
 
-    if (files && files.length > 0) {
-      const filePaths = files.map((f) => `apps/${appId}/${f.name}`);
+    if (names.length > 0) {
+      const filePaths = names.map((name) => `apps/${appId}/${name}`);
 
-      const { error } = await supabase.storage
-        .from(BUCKET_NAME)
-        .remove(filePaths);
-
-      if (error) throw error;
+      await getActiveDriver().remove(filePaths);
 
       console.log(`✅ Deleted ${filePaths.length} files for app ${appId}`);
     }
@@ -261,17 +216,13 @@ export const getSignedUrl = async (appId, fileName, expiresIn = 3600) => {
   try {
     const filePath = `apps/${appId}/${fileName}`;
 
-    const { data, error } = await supabase.storage
-      .from(BUCKET_NAME)
-      .createSignedUrl(filePath, expiresIn);
-
-    if (error) throw error;
+    const url = await getActiveDriver().signedUrl(filePath, expiresIn);
 
     console.log('✅ Signed URL created:', filePath);
 
     return {
       success: true,
-      url: data.signedUrl,
+      url,
       expiresAt: new Date(Date.now() + expiresIn * 1000),
     };
   } catch (error) {
@@ -316,39 +267,27 @@ export const uploadAppPreviewImage = async (appId, imageBuffer) => {
 /**
  * Guardar código completo de app como ZIP
  * @param {string} appId - ID de la app
- * @param {Object} appCode - Código de la app
+ * @param {Object} appCode - Código normalizado de la app
+ * @param {Object} options - { fileName, layout, includeEnv } (ver projectExportService)
  * @returns {Promise<Object>}
  */
-export const saveAppAsZip = async (appId, appCode) => {
+export const saveAppAsZip = async (appId, appCode, { fileName = 'app-code.zip', ...exportOptions } = {}) => {
   try {
-    const JSZip = (await import('jszip')).default;
-    const zip = new JSZip();
-
-    // Agregar archivos al ZIP
-    if (appCode.frontend?.files) {
-      appCode.frontend.files.forEach((file) => {
-        zip.file(file.path, file.content);
-      });
-    }
-
-    if (appCode.backend?.files) {
-      appCode.backend.files.forEach((file) => {
-        zip.file(file.path, file.content);
-      });
-    }
+    const { createProjectZip } = await import('./projectExportService.js');
+    const zip = createProjectZip(appCode, exportOptions);
 
     // Generar ZIP
-    const zipBuffer = await zip.generateAsync({ type: 'nodebuffer' });
+    const zipBuffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
 
     // Subir ZIP
     const result = await uploadAppFile(
       appId,
-      'app-code.zip',
+      fileName,
       zipBuffer,
       'application/zip'
     );
 
-    return result;
+    return { ...result, size: zipBuffer.length };
   } catch (error) {
     console.error('❌ Error saving app as ZIP:', error);
     return {
@@ -1,10 +1,12 @@
 /**
  * Stripe Connect Service
- * Maneja cuentas Connect de usuarios y creación automática de productos
+ * Maneja cuentas Connect de usuarios, creación automática de productos,
+ * la comisión de la plataforma y el ledger de ventas de las apps (app_sales)
  */
 
 import Stripe from 'stripe';
 import { query } from '../config/database.js';
+import { getPlatformFeePercent } from './planService.js';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
@@ -125,53 +127,9 @@ class StripeConnectService {
 
       // Verificar estado actual en Stripe
       const account = await stripe.accounts.retrieve(accountId);
+      const state = await this.syncAccount(account);
 
-      const chargesEnabled = account.charges_enabled;
-      const payoutsEnabled = account.payouts_enabled;
-      const detailsSubmitted = account.details_submitted;
-
-      // Actualizar DB con estado actual
-      await query(
-        `UPDATE users SET
-         stripe_charges_enabled = $1,
-         stripe_payouts_enabled = $2,
-         stripe_onboarding_completed = $3,
-         stripe_account_status = $4
-         WHERE id = $5`,
-        [
-          chargesEnabled,
-          payoutsEnabled,
-          detailsSubmitted,
-          chargesEnabled ? 'active' : 'pending',
-          userId
-        ]
-      );
-
-      await query(
-        `UPDATE stripe_connect_accounts SET
-         charges_enabled = $1,
-         payouts_enabled = $2,
-         details_submitted = $3,
-         status = $4,
-         updated_at = NOW()
-         WHERE stripe_account_id = $5`,
-        [
-          chargesEnabled,
-          payoutsEnabled,
-          detailsSubmitted,
-          chargesEnabled ? 'active' : 'pending',
-          accountId
-        ]
-      );
-
-      return {
-        connected: true,
-        accountId,
-        chargesEnabled,
-        payoutsEnabled,
-        detailsSubmitted,
-        status: chargesEnabled ? 'active' : 'pending'
-      };
+      return { connected: true, accountId, ...state };
 
     } catch (error) {
       console.error('❌ Error verificando estado:', error);
@@ -179,10 +137,62 @@ class StripeConnectService {
     }
   }
 
+  /**
+   * Guardar el estado de una cuenta Connect (GET /status y webhook account.updated)
+   * @param {Object} account - Cuenta de Stripe
+   */
+  async syncAccount(account) {
+    const chargesEnabled = !!account.charges_enabled;
+    const payoutsEnabled = !!account.payouts_enabled;
+    const detailsSubmitted = !!account.details_submitted;
+    const status = chargesEnabled ? 'active' : 'pending';
+
+    await query(
+      `UPDATE users SET
+       stripe_charges_enabled = $1,
+       stripe_payouts_enabled = $2,
+       stripe_onboarding_completed = $3,
+       stripe_account_status = $4
+       WHERE stripe_account_id = $5`,
+      [chargesEnabled, payoutsEnabled, detailsSubmitted, status, account.id]
+    );
+
+    await query(
+      `UPDATE stripe_connect_accounts SET
+       charges_enabled = $1,
+       payouts_enabled = $2,
+       details_submitted = $3,
+       status = $4,
+       updated_at = NOW()
+       WHERE stripe_account_id = $5`,
+      [chargesEnabled, payoutsEnabled, detailsSubmitted, status, account.id]
+    );
+
+    return { chargesEnabled, payoutsEnabled, detailsSubmitted, status };
+  }
+
+  /**
+   * Comisión de la plataforma (%) para el dueño de una cuenta Connect, según su plan
+   */
+  async getFeePercentForAccount(stripeAccountId) {
+    const result = await query(
+      `SELECT s.plan FROM users u
+       LEFT JOIN LATERAL (
+         SELECT plan FROM subscriptions WHERE user_id = u.id ORDER BY created_at DESC LIMIT 1
+       ) s ON TRUE
+       WHERE u.stripe_account_id = $1`,
+      [stripeAccountId]
+    );
+
+    return getPlatformFeePercent(result.rows[0]?.plan);
+  }
+
   /**
    * Crear productos y precios automáticamente en la cuenta del usuario
    * @param {string} stripeAccountId - cuenta Connect del usuario
-   * @param {Array} products - [{ name, price, currency, description }]
+   * @param {Array} products - [{ name, price, currency, description, interval, intervalCount, trialDays, tiers, tiersMode }]
+   *   Sin interval el precio es de pago único; con interval ('day' | 'week' | 'month' | 'year') es una suscripción.
+   *   tiers (solo suscripciones): [{ upTo, price, flatPrice }] — el último con upTo null (sin límite)
    */
   async createProductsForUser(stripeAccountId, products) {
     const created = [];
@@ -203,22 +213,31 @@ class StripeConnectService {
         const stripePrice = await stripe.prices.create(
           {
             product: stripeProduct.id,
-            unit_amount: Math.round(product.price * 100), // centavos
             currency: product.currency || 'usd',
+            ...buildPriceParams(product),
             metadata: { platform: 'AutoAppOrchestrator' }
           },
           { stripeAccount: stripeAccountId }
         );
 
+        const recurring = RECURRING_INTERVALS.includes(product.interval);
+
         created.push({
           name: product.name,
           price: product.price,
           currency: product.currency || 'usd',
           product_id: stripeProduct.id,
-          price_id: stripePrice.id
+          price_id: stripePrice.id,
+          type: recurring ? 'recurring' : 'one_time',
+          ...(recurring ? {
+            interval: product.interval,
+            interval_count: parseInt(product.intervalCount) || 1,
+            trial_days: parseInt(product.trialDays) || 0,
+            ...(product.tiers?.length ? { tiers: product.tiers, tiers_mode: product.tiersMode === 'volume' ? 'volume' : 'graduated' } : {})
+          } : {})
         });
 
-        console.log(`✅ Producto creado: ${product.name} - $${product.price} (${stripePrice.id})`);
+        console.log(`✅ Producto creado: ${product.name} - $${product.price}${recurring ? `/${product.interval}` : ''} (${stripePrice.id})`);
 
       } catch (error) {
         console.error(`❌ Error creando producto ${product.name}:`, error.message);
@@ -230,33 +249,320 @@ class StripeConnectService {
 
   /**
    * Crear checkout session en la cuenta del usuario (dinero va a él)
-   * Tu plataforma cobra application_fee automáticamente
+   * La plataforma cobra application_fee según el plan del dueño (planService.platform_fee_percent)
+   * Un precio recurrente abre un checkout de suscripción (application_fee_percent en cada factura)
+   * @param {Object} options - { appId, quantity, trialDays, customerRef, customerEmail }
+   *   customerRef: ID del usuario en la app generada (para consultar sus entitlements)
    */
-  async createCheckoutForUserApp(stripeAccountId, priceId, successUrl, cancelUrl) {
+  async createCheckoutForUserApp(stripeAccountId, priceId, successUrl, cancelUrl, options = {}) {
+    const { appId = null, quantity = 1, trialDays = 0, customerRef = null, customerEmail = null } = options;
+
     try {
-      const session = await stripe.checkout.sessions.create(
-        {
-          mode: 'payment',
-          payment_method_types: ['card'],
-          line_items: [{ price: priceId, quantity: 1 }],
-          success_url: successUrl,
-          cancel_url: cancelUrl,
-          payment_intent_data: {
-            // Tu comisión: 5% automático en cada pago
-            application_fee_amount: null // se calcula por precio
-          }
-        },
-        { stripeAccount: stripeAccountId }
-      );
+      const price = await stripe.prices.retrieve(priceId, {}, { stripeAccount: stripeAccountId });
+      const feePercent = await this.getFeePercentForAccount(stripeAccountId);
+      const metadata = {
+        platform: 'AutoAppOrchestrator',
+        ...(appId ? { appId } : {}),
+        ...(customerRef ? { customerRef: String(customerRef) } : {}),
+        platformFeePercent: String(feePercent)
+      };
 
-      return { success: true, url: session.url, sessionId: session.id };
+      const sessionParams = {
+        payment_method_types: ['card'],
+        line_items: [{ price: priceId, quantity }],
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        metadata,
+        ...(customerRef ? { client_reference_id: String(customerRef) } : {}),
+        ...(customerEmail ? { customer_email: customerEmail } : {})
+      };
+
+      let applicationFeeAmount = 0;
+
+      if (price.recurring) {
+        sessionParams.mode = 'subscription';
+        sessionParams.subscription_data = {
+          application_fee_percent: feePercent,
+          metadata,
+          ...(trialDays > 0 ? { trial_period_days: trialDays } : {})
+        };
+      } else {
+        sessionParams.mode = 'payment';
+        sessionParams.payment_intent_data = { metadata };
+        if (price.unit_amount != null) {
+          applicationFeeAmount = Math.round(price.unit_amount * quantity * feePercent / 100);
+          sessionParams.payment_intent_data.application_fee_amount = applicationFeeAmount;
+        }
+      }
+
+      const session = await stripe.checkout.sessions.create(sessionParams, { stripeAccount: stripeAccountId });
+
+      return {
+        success: true,
+        url: session.url,
+        sessionId: session.id,
+        mode: sessionParams.mode,
+        applicationFeeAmount
+      };
 
     } catch (error) {
       console.error('❌ Error creando checkout:', error);
       return { success: false, error: error.message };
     }
   }
+
+  /**
+   * Datos de venta de una app para el runtime público (/api/runtime/:appId)
+   * @returns {Promise<Object|null>} - { app, products, paymentsEnabled } o null si la app no existe
+   */
+  async getAppCatalog(appId) {
+    const result = await query(
+      `SELECT a.id, a.name, a.user_id, a.stripe_account_id, a.stripe_products, a.deploy_url,
+              a.custom_domain, a.domain_status, a.deployment_status, u.stripe_charges_enabled
+       FROM apps a
+       JOIN users u ON u.id = a.user_id
+       WHERE a.id = $1`,
+      [appId]
+    );
+
+    const app = result.rows[0];
+    if (!app) return null;
+
+    const stored = typeof app.stripe_products === 'string' ? JSON.parse(app.stripe_products) : app.stripe_products;
+    const products = (Array.isArray(stored) ? stored : [])
+      .filter(product => product?.price_id)
+      .map(product => ({
+        name: product.name,
+        description: product.description || null,
+        price: product.price,
+        currency: product.currency || 'usd',
+        priceId: product.price_id,
+        type: product.type || 'one_time',
+        ...(product.type === 'recurring' ? {
+          interval: product.interval,
+          intervalCount: product.interval_count || 1,
+          trialDays: product.trial_days || 0,
+          ...(product.tiers ? { tiers: product.tiers, tiersMode: product.tiers_mode } : {})
+        } : {})
+      }));
+
+    return {
+      app,
+      products,
+      paymentsEnabled: !!app.stripe_account_id && !!app.stripe_charges_enabled && app.deployment_status !== 'suspended'
+    };
+  }
+
+  /**
+   * Verificar la firma de un webhook de cuentas conectadas (STRIPE_CONNECT_WEBHOOK_SECRET)
+   */
+  constructConnectEvent(payload, signature) {
+    return stripe.webhooks.constructEvent(payload, signature, process.env.STRIPE_CONNECT_WEBHOOK_SECRET);
+  }
+
+  /**
+   * Registrar una venta (webhook charge.succeeded de una cuenta conectada)
+   * Idempotente por cargo; lanza si falla para que el job del evento se reintente
+   * @param {Object} charge - Cargo de Stripe
+   * @param {string} stripeAccountId - Cuenta conectada (event.account)
+   */
+  async recordSale(charge, stripeAccountId) {
+    const owner = await query('SELECT id FROM users WHERE stripe_account_id = $1', [stripeAccountId]);
+    const userId = owner.rows[0]?.id;
+
+    if (!userId) {
+      console.warn(`⚠️ Venta ${charge.id} de una cuenta Connect desconocida: ${stripeAccountId}`);
+      return { success: false, error: 'Cuenta Connect desconocida' };
+    }
+
+    // La metadata del checkout vive en el PaymentIntent; el cargo no siempre la hereda
+    let metadata = charge.metadata || {};
+    if (!metadata.appId && charge.payment_intent) {
+      const paymentIntent = await stripe.paymentIntents.retrieve(
+        charge.payment_intent,
+        {},
+        { stripeAccount: stripeAccountId }
+      );
+      metadata = { ...paymentIntent.metadata, ...metadata };
+    }
+
+    // Cobros de suscripción: la metadata (appId) vive en la suscripción de la factura
+    if (!metadata.appId && charge.invoice) {
+      const invoice = await stripe.invoices.retrieve(
+        charge.invoice,
+        { expand: ['subscription'] },
+        { stripeAccount: stripeAccountId }
+      );
+      metadata = { ...(invoice.subscription?.metadata || {}), ...metadata };
+    }
+
+    const app = metadata.appId
+      ? await query('SELECT id FROM apps WHERE id = $1 AND user_id = $2', [metadata.appId, userId])
+      : { rows: [] };
+
+    const stripeFee = await this.getStripeFee(charge, stripeAccountId);
+
+    const inserted = await query(
+      `INSERT INTO app_sales (
+        app_id, user_id, stripe_account_id, stripe_charge_id, stripe_payment_intent_id,
+        currency, gross_amount, application_fee_amount, stripe_fee_amount, refunded_amount,
+        platform_fee_percent, status, metadata
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      ON CONFLICT (stripe_charge_id) DO NOTHING
+      RETURNING id`,
+      [
+        app.rows[0]?.id || null,
+        userId,
+        stripeAccountId,
+        charge.id,
+        charge.payment_intent || null,
+        charge.currency || 'usd',
+        charge.amount,
+        charge.application_fee_amount || 0,
+        stripeFee,
+        charge.amount_refunded || 0,
+        metadata.platformFeePercent ? parseFloat(metadata.platformFeePercent) : null,
+        saleStatusOf(charge),
+        JSON.stringify({ description: charge.description || null, receiptEmail: charge.receipt_email || null })
+      ]
+    );
+
+    if (inserted.rows.length === 0) {
+      return { success: true, duplicate: true };
+    }
+
+    console.log(`💰 Venta registrada: ${charge.id} (${charge.amount / 100} ${charge.currency}) app ${app.rows[0]?.id || '-'}`);
+
+    return { success: true, saleId: inserted.rows[0].id };
+  }
+
+  /**
+   * Comisión de procesamiento de Stripe de un cargo (sin la comisión de la plataforma)
+   * No bloquea: si no se puede leer el balance transaction se registra 0
+   */
+  async getStripeFee(charge, stripeAccountId) {
+    if (!charge.balance_transaction) return 0;
+
+    try {
+      const balanceTransaction = typeof charge.balance_transaction === 'string'
+        ? await stripe.balanceTransactions.retrieve(charge.balance_transaction, {}, { stripeAccount: stripeAccountId })
+        : charge.balance_transaction;
+
+      return (balanceTransaction.fee_details || [])
+        .filter(detail => detail.type === 'stripe_fee')
+        .reduce((sum, detail) => sum + detail.amount, 0);
+    } catch (error) {
+      console.error(`⚠️ No se pudo leer la comisión de Stripe de ${charge.id}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Actualizar una venta reembolsada (webhook charge.refunded)
+   */
+  async recordRefund(charge) {
+    const result = await query(
+      `UPDATE app_sales
+       SET refunded_amount = $1, status = $2, updated_at = NOW()
+       WHERE stripe_charge_id = $3
+       RETURNING id`,
+      [charge.amount_refunded || 0, saleStatusOf(charge), charge.id]
+    );
+
+    return { success: true, updated: result.rows.length > 0 };
+  }
+
+  /**
+   * Ingresos del usuario por app: bruto, comisiones y neto (en la moneda de cada venta)
+   * @param {Object} filters - { from, to } (fechas opcionales)
+   */
+  async getEarnings(userId, { from = null, to = null } = {}) {
+    const result = await query(
+      `SELECT s.app_id, a.name, s.currency,
+              COUNT(*)::int AS sales,
+              SUM(s.gross_amount)::bigint AS gross,
+              SUM(s.application_fee_amount)::bigint AS platform_fees,
+              SUM(s.stripe_fee_amount)::bigint AS stripe_fees,
+              SUM(s.refunded_amount)::bigint AS refunded
+       FROM app_sales s
+       LEFT JOIN apps a ON a.id = s.app_id
+       WHERE s.user_id = $1
+         AND ($2::timestamptz IS NULL OR s.created_at >= $2)
+         AND ($3::timestamptz IS NULL OR s.created_at < $3)
+       GROUP BY s.app_id, a.name, s.currency
+       ORDER BY gross DESC`,
+      [userId, from, to]
+    );
+
+    const apps = result.rows.map(row => {
+      const gross = Number(row.gross);
+      const platformFees = Number(row.platform_fees);
+      const stripeFees = Number(row.stripe_fees);
+      const refunded = Number(row.refunded);
+
+      return {
+        appId: row.app_id,
+        name: row.name,
+        currency: row.currency,
+        sales: row.sales,
+        gross: gross / 100,
+        platformFees: platformFees / 100,
+        stripeFees: stripeFees / 100,
+        refunded: refunded / 100,
+        net: (gross - platformFees - stripeFees - refunded) / 100
+      };
+    });
+
+    // Totales por moneda
+    const totals = {};
+    for (const app of apps) {
+      const total = totals[app.currency] ||= { sales: 0, gross: 0, platformFees: 0, stripeFees: 0, refunded: 0, net: 0 };
+      for (const key of Object.keys(total)) {
+        total[key] = Math.round((total[key] + app[key]) * 100) / 100;
+      }
+    }
+
+    return { apps, totals };
+  }
 }
 
+const RECURRING_INTERVALS = ['day', 'week', 'month', 'year'];
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Parámetros de stripe.prices.create según el producto (pago único, suscripción o suscripción por tramos)
+ */
+const buildPriceParams = (product) => {
+  if (!RECURRING_INTERVALS.includes(product.interval)) {
+    return { unit_amount: toCents(product.price) };
+  }
+
+  const recurring = {
+    interval: product.interval,
+    interval_count: parseInt(product.intervalCount) || 1
+  };
+
+  if (!product.tiers?.length) {
+    return { unit_amount: toCents(product.price), recurring };
+  }
+
+  return {
+    recurring,
+    billing_scheme: 'tiered',
+    tiers_mode: product.tiersMode === 'volume' ? 'volume' : 'graduated',
+    tiers: product.tiers.map((tier, index) => ({
+      up_to: index === product.tiers.length - 1 || tier.upTo == null ? 'inf' : parseInt(tier.upTo),
+      unit_amount: toCents(tier.price || 0),
+      ...(tier.flatPrice ? { flat_amount: toCents(tier.flatPrice) } : {})
+    }))
+  };
+};
+
+const saleStatusOf = (charge) => {
+  if (!charge.amount_refunded) return 'succeeded';
+  return charge.refunded ? 'refunded' : 'partially_refunded';
+};
+
 export const stripeConnectService = new StripeConnectService();
 export default stripeConnectService;
\ No newline at end of file
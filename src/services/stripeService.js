@@ -1,10 +1,11 @@
 /**
  * Servicio de integración con Stripe
- * Maneja suscripciones, pagos y webhooks
+ * Maneja suscripciones y pagos (los webhooks se procesan en stripeWebhookService)
  */
 
 import Stripe from 'stripe';
 import dotenv from 'dotenv';
+import { PLANS } from './planService.js';
 
 dotenv.config();
 
@@ -242,149 +243,6 @@ export const updateSubscriptionPlan = async (subscriptionId, newPriceId) => {
   }
 };
 
-/**
- * Procesar evento de webhook de Stripe
- * @param {Object} event - Evento de Stripe
- * @returns {Promise<Object>} - Resultado del procesamiento
- */
-export const handleWebhookEvent = async (event) => {
-  try {
-    switch (event.type) {
-      case 'checkout.session.completed':
-        return await handleCheckoutCompleted(event.data.object);
-      
-      case 'customer.subscription.updated':
-        return await handleSubscriptionUpdated(event.data.object);
-      
-      case 'customer.subscription.deleted':
-        return await handleSubscriptionDeleted(event.data.object);
-      
-      case 'invoice.payment_succeeded':
-        return await handlePaymentSucceeded(event.data.object);
-      
-      case 'invoice.payment_failed':
-        return await handlePaymentFailed(event.data.object);
-      
-      default:
-        console.log(`ℹ️ Unhandled event type: ${event.type}`);
-        return { success: true, handled: false, eventType: event.type };
-    }
-  } catch (error) {
-    console.error('❌ Error handling webhook event:', error);
-    return {
-      success: false,
-      error: error.message,
-    };
-  }
-};
-
-/**
- * Manejar checkout completado
- * @private
- */
-async function handleCheckoutCompleted(session) {
-  console.log('✅ Checkout completed:', session.id);
-  
-  return {
-    success: true,
-    eventType: 'checkout.session.completed',
-    data: {
-      sessionId: session.id,
-      customerId: session.customer,
-      subscriptionId: session.subscription,
-      userId: session.metadata?.userId,
-      plan: session.metadata?.plan || 'basico',
-      appsAllowed: parseInt(session.metadata?.appsAllowed || '3'),
-      tokenLimit: parseInt(session.metadata?.tokenLimit || '50000'),
-    },
-  };
-}
-
-/**
- * Manejar actualización de suscripción
- * @private
- */
-async function handleSubscriptionUpdated(subscription) {
-  console.log('🔄 Subscription updated:', subscription.id);
-  
-  return {
-    success: true,
-    eventType: 'customer.subscription.updated',
-    data: {
-      subscriptionId: subscription.id,
-      status: subscription.status,
-      customerId: subscription.customer,
-      userId: subscription.metadata?.userId,
-      plan: subscription.metadata?.plan,
-      cancelAtPeriodEnd: subscription.cancel_at_period_end,
-      currentPeriodEnd: new Date(subscription.current_period_end * 1000),
-    },
-  };
-}
-
-/**
- * Manejar eliminación de suscripción
- * @private
- */
-async function handleSubscriptionDeleted(subscription) {
-  console.log('❌ Subscription deleted:', subscription.id);
-  
-  return {
-    success: true,
-    eventType: 'customer.subscription.deleted',
-    data: {
-      subscriptionId: subscription.id,
-      customerId: subscription.customer,
-      userId: subscription.metadata?.userId,
-      plan: subscription.metadata?.plan,
-    },
-  };
-}
-
-/**
- * Manejar pago exitoso
- * @private
- */
-async function handlePaymentSucceeded(invoice) {
-  console.log('✅ Payment succeeded:', invoice.id);
-  
-  return {
-    success: true,
-    eventType: 'invoice.payment_succeeded',
-    data: {
-      invoiceId: invoice.id,
-      subscriptionId: invoice.subscription,
-      customerId: invoice.customer,
-      amount: invoice.amount_paid / 100, // Convertir de centavos a dólares
-      currency: invoice.currency,
-      paid: invoice.paid,
-    },
-  };
-}
-
-/**
- * Manejar pago fallido
- * @private
- */
-async function handlePaymentFailed(invoice) {
-  console.log('❌ Payment failed:', invoice.id);
-  
-  return {
-    success: true,
-    eventType: 'invoice.payment_failed',
-    data: {
-      invoiceId: invoice.id,
-      subscriptionId: invoice.subscription,
-      customerId: invoice.customer,
-      amount: invoice.amount_due / 100,
-      currency: invoice.currency,
-      nextPaymentAttempt: invoice.next_payment_attempt 
-        ? new Date(invoice.next_payment_attempt * 1000) 
-        : null,
-    },
-  };
-}
-
 /**
  * Verificar firma de webhook
  * @param {string} payload - Payload del webhook
@@ -409,59 +267,19 @@ export const verifyWebhookSignature = (payload, signature) => {
  * Obtener planes de precios disponibles
  * @returns {Object} - Planes con sus IDs
  */
-export const getPricingPlans = () => {
-  return {
-    basico: {
-      priceId: process.env.STRIPE_PRICE_BASICO,
-      name: 'Básico',
-      price: 29.99,
-      appsAllowed: 3,
-      tokenLimit: 50000,
-      features: [
-        '3 apps desplegadas',
-        '50,000 tokens/mes',
-        'Deploy automático',
-        'Dominio .vercel.app',
-        'SSL gratis',
-        'Soporte por email'
-      ],
-    },
-    premium: {
-      priceId: process.env.STRIPE_PRICE_PREMIUM,
-      name: 'Premium',
-      price: 49.99,
-      appsAllowed: 8,
-      tokenLimit: 150000,
-      features: [
-        '8 apps desplegadas',
-        '150,000 tokens/mes',
-        'Deploy automático',
-        'Dominio .vercel.app',
-        'SSL gratis',
-        'Backups automáticos',
-        'Soporte prioritario'
-      ],
-    },
-    pro: {
-      priceId: process.env.STRIPE_PRICE_PRO,
-      name: 'Pro',
-      price: 99.99,
-      appsAllowed: 25,
-      tokenLimit: 500000,
-      features: [
-        '25 apps desplegadas',
-        '500,000 tokens/mes',
-        'Deploy automático',
-        'Dominio .vercel.app',
-        'SSL gratis',
-        'Backups automáticos',
-        'Dominios personalizados',
-        'Soporte 24/7',
-        'API prioritario'
-      ],
-    },
-  };
-};
+export const getPricingPlans = () =>
+  Object.fromEntries(
+    Object.entries(PLANS)
+      .filter(([, plan]) => plan.purchasable)
+      .map(([id, plan]) => [id, {
+        priceId: plan.priceId,
+        name: plan.label,
+        price: plan.price,
+        appsAllowed: plan.apps_allowed,
+        tokenLimit: plan.token_limit,
+        features: plan.highlights,
+      }])
+  );
 
 export default {
   createCheckoutSession,
@@ -471,7 +289,6 @@ export default {
   cancelSubscriptionImmediately,
   reactivateSubscription,
   updateSubscriptionPlan,
-  handleWebhookEvent,
   verifyWebhookSignature,
   getPricingPlans,
 };
\ No newline at end of file
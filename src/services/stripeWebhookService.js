@@ -0,0 +1,566 @@
+/**
+ * Procesamiento de webhooks de Stripe
+ * Cada evento se guarda en stripe_events (clave = event.id) y se procesa como job persistente:
+ * - Un evento ya procesado no se vuelve a aplicar aunque Stripe lo reenvíe
+ * - Un snapshot (customer.subscription.*, account.updated) más viejo que otro ya aplicado sobre el mismo
+ *   objeto se descarta; facturas y checkouts se aplican siempre
+ * - Los fallos se reintentan con el backoff de jobService y quedan en 'failed' para replay manual
+ * Los eventos de cuentas conectadas (webhook de Connect) pasan por el mismo ledger con account != NULL.
+ */
+
+import Stripe from 'stripe';
+import { query, transaction } from '../config/database.js';
+import * as jobService from './jobService.js';
+import * as billingService from './billingService.js';
+import * as tokenLedgerService from './tokenLedgerService.js';
+import { stripeConnectService } from './stripeConnectService.js';
+import * as appSubscriptionService from './appSubscriptionService.js';
+import { getPlan, getPlanIdByPriceId, getTokenPack } from './planService.js';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+export const STRIPE_EVENT_STATUS = {
+  RECEIVED: 'received',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  SKIPPED: 'skipped',
+  FAILED: 'failed',
+};
+
+/**
+ * Suscripción a la que afecta el evento (para ordenar eventos de la misma suscripción)
+ */
+const objectIdOf = (event) => {
+  const object = event.data?.object || {};
+
+  if (event.type.startsWith('customer.subscription.')) return object.id;
+  if (event.type.startsWith('invoice.')) return object.subscription || null;
+  if (event.type === 'checkout.session.completed') return object.subscription || null;
+  if (event.type === 'account.updated') return object.id;
+  return null;
+};
+
+const formatEvent = (row) => ({
+  id: row.id,
+  type: row.type,
+  account: row.account,
+  objectId: row.object_id,
+  status: row.status,
+  attempts: row.attempts,
+  replays: row.replays,
+  jobId: row.job_id,
+  error: row.error,
+  stripeCreatedAt: row.stripe_created_at,
+  receivedAt: row.received_at,
+  processedAt: row.processed_at,
+});
+
+const enqueueEvent = async (eventId, replays = 0) => {
+  // Un job por evento (y por replay): reintentos de Stripe no duplican el job
+  const job = await jobService.addJob(
+    jobService.JOB_TYPES.PROCESS_STRIPE_EVENT,
+    { eventId },
+    { maxRetries: 5, priority: 8, idempotencyKey: `stripe:${eventId}:${replays}` }
+  );
+
+  await query('UPDATE stripe_events SET job_id = $1, updated_at = NOW() WHERE id = $2', [job.id, eventId]);
+
+  return job;
+};
+
+/**
+ * Registrar un evento verificado y encolar su procesamiento
+ * @param {Object} event - Evento de Stripe (ya validado con la firma)
+ * @returns {Promise<Object>} - { duplicate, status }
+ */
+export const recordEvent = async (event) => {
+  const inserted = await query(
+    `INSERT INTO stripe_events (id, type, account, object_id, stripe_created_at, livemode, payload, status)
+     VALUES ($1, $2, $3, $4, to_timestamp($5), $6, $7, $8)
+     ON CONFLICT (id) DO NOTHING
+     RETURNING id`,
+    [
+      event.id,
+      event.type,
+      event.account || null,
+      objectIdOf(event),
+      event.created,
+      !!event.livemode,
+      JSON.stringify(event),
+      STRIPE_EVENT_STATUS.RECEIVED
+    ]
+  );
+
+  if (inserted.rows.length === 0) {
+    const existing = await query('SELECT status, job_id FROM stripe_events WHERE id = $1', [event.id]);
+    const { status, job_id } = existing.rows[0];
+
+    // Registrado pero sin job (falló el encolado): se encola ahora
+    if (!job_id) {
+      await enqueueEvent(event.id);
+    }
+
+    console.log(`🔁 Webhook duplicado: ${event.id} (${status})`);
+    return { duplicate: true, status };
+  }
+
+  await enqueueEvent(event.id);
+
+  return { duplicate: false, status: STRIPE_EVENT_STATUS.RECEIVED };
+};
+
+// Eventos que traen el estado completo del objeto (patrón LIKE de su familia):
+// uno anterior pisaría a uno posterior
+const SNAPSHOT_EVENTS = ['customer.subscription.%', 'account.updated'];
+
+const snapshotPatternOf = (type) =>
+  SNAPSHOT_EVENTS.find(pattern => pattern.endsWith('%') ? type.startsWith(pattern.slice(0, -1)) : type === pattern);
+
+/**
+ * ¿Ya se aplicó un snapshot posterior del mismo objeto?
+ * Solo aplica a snapshots (customer.subscription.*, account.updated): las facturas y los checkouts
+ * se aplican siempre (son idempotentes por factura/sesión y llegan en cualquier orden respecto a los snapshots)
+ */
+const isStale = async (row) => {
+  const pattern = snapshotPatternOf(row.type);
+  if (!row.object_id || !pattern) return false;
+
+  const newer = await query(
+    `SELECT id, type FROM stripe_events
+     WHERE object_id = $1 AND id <> $2 AND status = $3 AND stripe_created_at > $4 AND type LIKE $5
+     ORDER BY stripe_created_at DESC LIMIT 1`,
+    [row.object_id, row.id, STRIPE_EVENT_STATUS.PROCESSED, row.stripe_created_at, pattern]
+  );
+
+  return newer.rows[0] || null;
+};
+
+/**
+ * Procesar un evento guardado (handler de JOB_TYPES.PROCESS_STRIPE_EVENT)
+ * @param {Object} data - { eventId }
+ */
+export const processStripeEvent = async ({ eventId }) => {
+  const result = await query('SELECT * FROM stripe_events WHERE id = $1', [eventId]);
+  const row = result.rows[0];
+
+  if (!row) {
+    return { success: false, error: `Evento ${eventId} no registrado` };
+  }
+
+  if (row.status === STRIPE_EVENT_STATUS.PROCESSED || row.status === STRIPE_EVENT_STATUS.SKIPPED) {
+    console.log(`⏭️ Evento ${eventId} ya procesado (${row.status})`);
+    return { success: true, skipped: true, status: row.status };
+  }
+
+  const newer = await isStale(row);
+  if (newer) {
+    await query(
+      `UPDATE stripe_events SET status = $1, error = $2, processed_at = NOW(), updated_at = NOW() WHERE id = $3`,
+      [STRIPE_EVENT_STATUS.SKIPPED, `Fuera de orden: ya se aplicó ${newer.type} (${newer.id})`, eventId]
+    );
+    console.log(`⏭️ Evento ${eventId} (${row.type}) descartado: ${newer.id} es posterior`);
+    return { success: true, skipped: true, status: STRIPE_EVENT_STATUS.SKIPPED };
+  }
+
+  await query(
+    `UPDATE stripe_events SET status = $1, attempts = attempts + 1, updated_at = NOW() WHERE id = $2`,
+    [STRIPE_EVENT_STATUS.PROCESSING, eventId]
+  );
+
+  try {
+    const handled = await applyEvent(row.payload);
+
+    await query(
+      `UPDATE stripe_events SET status = $1, error = NULL, processed_at = NOW(), updated_at = NOW() WHERE id = $2`,
+      [STRIPE_EVENT_STATUS.PROCESSED, eventId]
+    );
+
+    return { success: true, eventId, type: row.type, handled };
+
+  } catch (error) {
+    console.error(`❌ Error procesando evento ${eventId} (${row.type}):`, error);
+
+    await query(
+      `UPDATE stripe_events SET status = $1, error = $2, updated_at = NOW() WHERE id = $3`,
+      [STRIPE_EVENT_STATUS.FAILED, error.message, eventId]
+    );
+
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Listar eventos del ledger (admin)
+ * @param {Object} filters - { status, type, limit }
+ */
+export const listEvents = async ({ status, type, limit = 50 } = {}) => {
+  const result = await query(
+    `SELECT * FROM stripe_events
+     WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR type = $2)
+     ORDER BY received_at DESC
+     LIMIT $3`,
+    [status || null, type || null, Math.min(parseInt(limit) || 50, 200)]
+  );
+
+  return result.rows.map(formatEvent);
+};
+
+/**
+ * Volver a procesar un evento fallido (admin)
+ * @returns {Promise<Object|null>} - Evento actualizado, o null si no existe o no está en 'failed'
+ */
+export const replayEvent = async (eventId) => {
+  const result = await query(
+    `UPDATE stripe_events
+     SET status = $1, replays = replays + 1, updated_at = NOW()
+     WHERE id = $2 AND status = $3
+     RETURNING *`,
+    [STRIPE_EVENT_STATUS.RECEIVED, eventId, STRIPE_EVENT_STATUS.FAILED]
+  );
+
+  const row = result.rows[0];
+  if (!row) return null;
+
+  const job = await enqueueEvent(row.id, row.replays);
+  console.log(`🔁 Replay del evento ${eventId} encolado: ${job.id}`);
+
+  return formatEvent({ ...row, job_id: job.id });
+};
+
+/**
+ * Aplicar el evento sobre la DB (lanza si falla para que el job se reintente)
+ * @returns {Promise<boolean>} - false si el tipo no se maneja
+ */
+const applyEvent = async (event) => {
+  if (event.account) {
+    return applyConnectEvent(event);
+  }
+
+  switch (event.type) {
+    case 'checkout.session.completed':
+      if (event.data.object.mode === 'payment') {
+        await handleTokenPackCompleted(event.data.object);
+      } else {
+        await handleCheckoutCompleted(event.data.object);
+      }
+      return true;
+    case 'customer.subscription.updated':
+      await handleSubscriptionUpdated(event.data.object);
+      return true;
+    case 'customer.subscription.deleted':
+      await handleSubscriptionDeleted(event.data.object);
+      return true;
+    case 'invoice.payment_succeeded':
+      await handlePaymentSucceeded(event.data.object);
+      return true;
+    case 'invoice.payment_failed':
+      await handlePaymentFailed(event.data.object);
+      return true;
+    default:
+      console.log(`⚠️ Evento no manejado: ${event.type}`);
+      return false;
+  }
+};
+
+/**
+ * Eventos de cuentas conectadas (dueños de apps): cuenta, ventas y suscripciones de sus clientes
+ */
+const applyConnectEvent = async (event) => {
+  switch (event.type) {
+    case 'account.updated':
+      await stripeConnectService.syncAccount(event.data.object);
+      return true;
+    case 'charge.succeeded':
+      await stripeConnectService.recordSale(event.data.object, event.account);
+      return true;
+    case 'charge.refunded':
+      await stripeConnectService.recordRefund(event.data.object);
+      return true;
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+      await appSubscriptionService.syncSubscription(event.data.object, event.account);
+      return true;
+    default:
+      console.log(`⚠️ Evento Connect no manejado: ${event.type} (${event.account})`);
+      return false;
+  }
+};
+
+/**
+ * Suscripción local de un evento: por ID de Stripe y, si aún no existe, por el userId de la metadata
+ */
+const findSubscription = async (stripeSubscriptionId) => {
+  const local = await billingService.findByStripeSubscriptionId(stripeSubscriptionId);
+  if (local) return local;
+
+  const sub = await stripe.subscriptions.retrieve(stripeSubscriptionId);
+  const userId = sub.metadata?.userId;
+  if (!userId) return null;
+
+  const byUser = await query(
+    'SELECT * FROM subscriptions WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1',
+    [userId]
+  );
+  return byUser.rows[0] || null;
+};
+
+/**
+ * Compra de un paquete de tokens (checkout en mode: 'payment')
+ * Idempotente por sesión: el crédito usa reference_id = session.id
+ */
+async function handleTokenPackCompleted(session) {
+  const { metadata } = session;
+  const userId = metadata?.userId;
+  const tokenPack = getTokenPack(metadata?.pack);
+
+  if (metadata?.type !== 'token_pack' || !userId || !tokenPack) {
+    console.error('❌ Faltan datos requeridos en la compra de tokens');
+    return;
+  }
+
+  if (session.payment_status !== 'paid') {
+    console.log(`⏳ Compra de tokens ${session.id} sin pagar (${session.payment_status})`);
+    return;
+  }
+
+  // Se acredita lo que se vendió (metadata), aunque el catálogo haya cambiado después
+  const tokens = parseInt(metadata.tokens) || tokenPack.tokens;
+
+  const result = await tokenLedgerService.credit(userId, {
+    operation: tokenLedgerService.TOKEN_OPERATIONS.TOP_UP,
+    amount: tokens,
+    referenceId: session.id,
+    metadata: {
+      pack: metadata.pack,
+      amountPaid: (session.amount_total || 0) / 100,
+      currency: session.currency,
+      paymentIntent: session.payment_intent
+    }
+  });
+
+  if (result.duplicate) {
+    console.log(`⏭️ Compra de tokens ${session.id} ya acreditada`);
+    return;
+  }
+
+  console.log(`🪙 ${tokens} tokens acreditados a ${userId} (${metadata.pack})`);
+}
+
+/**
+ * Manejar checkout completado
+ * Guarda plan, límites e IDs de Stripe; el cambio de estado lo hace la máquina (subscribed)
+ */
+async function handleCheckoutCompleted(session) {
+  const { metadata, customer, subscription } = session;
+  const userId = metadata?.userId;
+  const plan = metadata?.plan;
+  const isUpgrade = metadata?.isUpgrade === 'true';
+  const catalogPlan = getPlan(plan);
+
+  if (!userId || !catalogPlan || !subscription) {
+    console.error('❌ Faltan datos requeridos en el checkout');
+    return;
+  }
+
+  // Límites del catálogo; la metadata solo refleja lo que se vendió en ese momento
+  const appsAllowed = catalogPlan.apps_allowed;
+  const tokenLimit = catalogPlan.token_limit;
+  const domainsAllowed = catalogPlan.domains_allowed;
+
+  console.log(`🎯 Procesando checkout para usuario ${userId}, plan: ${plan}${isUpgrade ? ' (UPGRADE)' : ''}`);
+
+  const { subscriptionId, replacedId } = await transaction(async (client) => {
+    // ===== 1. BUSCAR POR STRIPE_SUBSCRIPTION_ID =====
+    const existingByStripeId = await client.query(
+      `SELECT id FROM subscriptions WHERE stripe_subscription_id = $1`,
+      [subscription]
+    );
+
+    if (existingByStripeId.rows.length > 0) {
+      const { id } = existingByStripeId.rows[0];
+      await client.query(
+        `UPDATE subscriptions
+         SET plan = $1, apps_allowed = $2, token_limit = $3, domains_allowed = $4,
+             stripe_customer_id = $5, updated_at = NOW()
+         WHERE id = $6`,
+        [plan, appsAllowed, tokenLimit, domainsAllowed, customer, id]
+      );
+      console.log('✅ Suscripción existente ACTUALIZADA');
+      return { subscriptionId: id, replacedId: null };
+    }
+
+    // ===== 2. SUSCRIPCIÓN ANTERIOR DEL USUARIO (trial o plan anterior) =====
+    // Se heredan los contadores y el estado, para que la transición sepa de dónde viene
+    const previous = await client.query(
+      `SELECT id, status, apps_created, tokens_used, domains_used
+       FROM subscriptions
+       WHERE user_id = $1 AND status <> $2
+       ORDER BY created_at DESC LIMIT 1`,
+      [userId, billingService.SUBSCRIPTION_STATUS.CANCELED]
+    );
+
+    const prev = previous.rows[0];
+
+    const inserted = await client.query(
+      `INSERT INTO subscriptions (
+        user_id, stripe_customer_id, stripe_subscription_id, plan, status,
+        apps_allowed, token_limit, tokens_used, apps_created,
+        domains_allowed, domains_used
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING id`,
+      [
+        userId,
+        customer,
+        subscription,
+        plan,
+        prev?.status || billingService.SUBSCRIPTION_STATUS.TRIAL,
+        appsAllowed,
+        tokenLimit,
+        prev?.tokens_used || 0,
+        prev?.apps_created || 0,
+        domainsAllowed,
+        prev?.domains_used || 0
+      ]
+    );
+    console.log('✅ Nueva suscripción CREADA');
+
+    return { subscriptionId: inserted.rows[0].id, replacedId: prev?.id || null };
+  });
+
+  if (replacedId) {
+    await billingService.transition(replacedId, billingService.BILLING_EVENTS.REPLACED, { replacedBy: subscriptionId });
+  }
+
+  await query(`UPDATE users SET plan = $1, updated_at = NOW() WHERE id = $2`, [plan, userId]);
+
+  await billingService.transition(subscriptionId, billingService.BILLING_EVENTS.SUBSCRIBED, {
+    plan,
+    isUpgrade,
+    stripeSubscriptionId: subscription
+  });
+
+  await query(
+    `INSERT INTO logs (user_id, log_type, message, metadata)
+     VALUES ($1, $2, $3, $4)`,
+    [
+      userId,
+      'info',
+      isUpgrade ? `Usuario actualizó al plan ${plan}` : `Usuario suscrito al plan ${plan}`,
+      JSON.stringify({ plan, appsAllowed, tokenLimit, domainsAllowed, isUpgrade, stripeSubscriptionId: subscription })
+    ]
+  );
+
+  console.log(`✅ SUSCRIPCIÓN ${isUpgrade ? 'ACTUALIZADA' : 'ACTIVADA'} para usuario ${userId}: ${plan}`);
+  console.log(`📊 Nuevos límites: ${appsAllowed} apps, ${tokenLimit} tokens, ${domainsAllowed} dominios`);
+}
+
+/**
+ * Manejar actualización de suscripción
+ * Cambios de plan desde el portal (price → plan del catálogo) y status de Stripe → evento de la máquina
+ */
+async function handleSubscriptionUpdated(subscription) {
+  const { id, status, cancel_at_period_end } = subscription;
+
+  const local = await billingService.findByStripeSubscriptionId(id);
+  if (!local) {
+    console.log(`⚠️ No se encontró suscripción en DB con ID: ${id}`);
+    return;
+  }
+
+  await query(
+    `UPDATE subscriptions SET cancel_at_period_end = $1, updated_at = NOW() WHERE id = $2`,
+    [cancel_at_period_end || false, local.id]
+  );
+
+  const planId = getPlanIdByPriceId(subscription.items?.data?.[0]?.price?.id);
+  if (planId && planId !== local.plan) {
+    const plan = getPlan(planId);
+    await query(
+      `UPDATE subscriptions
+       SET plan = $1, apps_allowed = $2, token_limit = $3, domains_allowed = $4, updated_at = NOW()
+       WHERE id = $5`,
+      [planId, plan.apps_allowed, plan.token_limit, plan.domains_allowed, local.id]
+    );
+    await query(`UPDATE users SET plan = $1, updated_at = NOW() WHERE id = $2`, [planId, local.user_id]);
+    console.log(`✅ Plan cambiado desde Stripe: ${local.plan} → ${planId}`);
+  }
+
+  const event = billingService.eventForStripeStatus(status);
+  if (event) {
+    await billingService.transition(local.id, event, { source: 'customer.subscription.updated', stripeStatus: status });
+  }
+
+  console.log(`✅ Suscripción actualizada en DB: ${id} - ${status}`);
+}
+
+/**
+ * Manejar eliminación de suscripción
+ */
+async function handleSubscriptionDeleted(subscription) {
+  const local = await billingService.findByStripeSubscriptionId(subscription.id);
+  if (!local) {
+    console.log(`⚠️ No se encontró suscripción en DB con ID: ${subscription.id}`);
+    return;
+  }
+
+  await billingService.transition(local.id, billingService.BILLING_EVENTS.CANCELED, {
+    source: 'customer.subscription.deleted',
+    periodEnd: subscription.current_period_end ? subscription.current_period_end * 1000 : null
+  });
+}
+
+/**
+ * Manejar pago exitoso
+ */
+async function handlePaymentSucceeded(invoice) {
+  const { id, subscription, total } = invoice;
+  if (!subscription) return;
+
+  const local = await findSubscription(subscription);
+  if (!local) return;
+
+  // Factura de renovación: empieza un periodo nuevo de tokens
+  if (invoice.billing_reason === 'subscription_cycle') {
+    const period = invoice.lines?.data?.[0]?.period;
+    await tokenLedgerService.resetPeriod(local.id, {
+      invoiceId: id,
+      periodStart: period?.start ? new Date(period.start * 1000) : new Date(),
+      periodEnd: period?.end ? new Date(period.end * 1000) : null
+    });
+  }
+
+  await billingService.transition(local.id, billingService.BILLING_EVENTS.PAYMENT_SUCCEEDED, {
+    invoiceId: id,
+    amount: (total || 0) / 100
+  });
+
+  console.log(`✅ Pago registrado: ${id} - $${(total || 0) / 100}`);
+}
+
+/**
+ * Manejar pago fallido
+ */
+async function handlePaymentFailed(invoice) {
+  const { id, subscription, amount_due } = invoice;
+  if (!subscription) return;
+
+  const local = await findSubscription(subscription);
+  if (!local) return;
+
+  await billingService.transition(local.id, billingService.BILLING_EVENTS.PAYMENT_FAILED, {
+    invoiceId: id,
+    amount: (amount_due || 0) / 100,
+    reason: invoice.last_finalization_error?.message || null
+  });
+
+  console.log(`❌ Pago fallido registrado: ${id}`);
+}
+
+export default {
+  STRIPE_EVENT_STATUS,
+  recordEvent,
+  processStripeEvent,
+  listEvents,
+  replayEvent,
+};
@@ -0,0 +1,212 @@
+/**
+ * Cifrado de tokens y secretos en la base de datos (OAuth de Google, JWT_SECRET y DATABASE_URL de los backends)
+ * Envelope encryption con AES-256-GCM:
+ * - Cada valor se cifra con una clave de datos aleatoria (DEK)
+ * - La DEK se cifra con la clave maestra activa de TOKEN_ENCRYPTION_KEYS ("id:clave,id:clave", la primera es la activa)
+ * - Se guarda como enc:v1:<keyId>:<DEK cifrada>:<valor cifrado> (base64url de iv|tag|datos)
+ * El contexto (tabla, fila y columna) va como AAD: un valor copiado a otra fila no se descifra.
+ * Rotar: añadir la clave nueva al principio y ejecutar npm run tokens:rotate (re-cifra las filas).
+ */
+
+import crypto from 'crypto';
+import { query } from '../config/database.js';
+
+const PREFIX = 'enc';
+const VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/**
+ * Columnas con tokens cifrados: las recorre la rotación
+ *   keys: clave primaria de la fila (forma parte del contexto)
+ */
+export const ENCRYPTED_TOKEN_COLUMNS = [
+  { table: 'google_tokens', keys: ['user_id', 'api_name'], columns: ['access_token', 'refresh_token'] },
+  { table: 'apps', keys: ['id'], columns: ['backend_jwt_secret', 'backend_database_url'] }
+];
+
+// Clave de 32 bytes en base64 o hex (openssl rand -base64 32)
+const decodeKey = (id, value) => {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`TOKEN_ENCRYPTION_KEYS: la clave ${id} debe tener 32 bytes`);
+  }
+  return key;
+};
+
+let cachedKeys = null;
+
+/**
+ * Claves maestras configuradas
+ * @returns {Object} - { activeId, keys: Map<id, Buffer> }
+ */
+const getKeys = () => {
+  const raw = process.env.TOKEN_ENCRYPTION_KEYS || '';
+  if (cachedKeys?.raw === raw) return cachedKeys;
+
+  const keys = new Map();
+  for (const entry of raw.split(',').map(item => item.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    if (separator < 1 || !KEY_ID_PATTERN.test(id)) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS debe tener el formato id:clave,id:clave');
+    }
+    keys.set(id, decodeKey(id, entry.slice(separator + 1)));
+  }
+
+  cachedKeys = { raw, activeId: keys.keys().next().value || null, keys };
+  return cachedKeys;
+};
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64url');
+};
+
+const open = (key, sealed, aad) => {
+  const buffer = Buffer.from(sealed, 'base64url');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, buffer.subarray(0, IV_LENGTH));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+};
+
+/**
+ * Contexto de un valor cifrado: tabla:clave1:clave2:columna
+ */
+export const tokenContext = (table, keyValues, column) => `${table}:${keyValues.join(':')}:${column}`;
+
+export const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:${VERSION}:`);
+
+/**
+ * Cifrar un token
+ * @param {string|null} plaintext - null/undefined se guardan tal cual
+ * @param {string} context - tokenContext()
+ * @throws {Error} si no hay claves configuradas (nunca se guarda un token en claro)
+ */
+export const encryptToken = (plaintext, context) => {
+  if (plaintext == null) return plaintext;
+
+  const { activeId, keys } = getKeys();
+  if (!activeId) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS no configurado: no se pueden guardar tokens');
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const wrappedKey = seal(keys.get(activeId), dataKey, `${PREFIX}:${VERSION}:${activeId}`);
+  const payload = seal(dataKey, Buffer.from(String(plaintext), 'utf8'), context);
+
+  return `${PREFIX}:${VERSION}:${activeId}:${wrappedKey}:${payload}`;
+};
+
+/**
+ * Descifrar un token
+ * Los valores sin cifrar (filas anteriores al cifrado) se devuelven igual hasta que se rotan
+ * @throws {Error} si la clave no está configurada o el valor/contexto no cuadran
+ */
+export const decryptToken = (value, context) => {
+  if (!isEncrypted(value)) return value;
+
+  const [, , keyId, wrappedKey, payload] = value.split(':');
+  const key = getKeys().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Clave de cifrado de tokens desconocida: ${keyId}`);
+  }
+
+  try {
+    const dataKey = open(key, wrappedKey, `${PREFIX}:${VERSION}:${keyId}`);
+    return open(dataKey, payload, context).toString('utf8');
+  } catch {
+    throw new Error(`No se pudo descifrar el token (${context})`);
+  }
+};
+
+/**
+ * El valor está en claro o con una clave que no es la activa
+ */
+export const needsReencryption = (value) => {
+  if (value == null) return false;
+  if (!isEncrypted(value)) return true;
+  return value.split(':')[2] !== getKeys().activeId;
+};
+
+/**
+ * Re-cifrar con la clave activa todos los tokens de ENCRYPTED_TOKEN_COLUMNS
+ * Cifra también los que siguen en claro. Cada columna se actualiza solo si no cambió mientras tanto.
+ * @param {Object} options - { dryRun, batchSize }
+ * @returns {Promise<Array>} - [{ table, scanned, reencrypted, plaintext, failed }]
+ */
+export const reencryptTokens = async ({ dryRun = false, batchSize = 200 } = {}) => {
+  const { activeId } = getKeys();
+  if (!activeId) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS no configurado');
+  }
+
+  const report = [];
+
+  for (const { table, keys, columns } of ENCRYPTED_TOKEN_COLUMNS) {
+    const stats = { table, scanned: 0, reencrypted: 0, plaintext: 0, failed: 0 };
+    const keyList = keys.join(', ');
+    let cursor = null;
+
+    for (;;) {
+      const after = cursor ? `WHERE (${keyList}) > (${keys.map((_, i) => `$${i + 2}`).join(', ')})` : '';
+      const result = await query(
+        `SELECT ${keyList}, ${columns.join(', ')} FROM ${table} ${after} ORDER BY ${keyList} LIMIT $1`,
+        [batchSize, ...(cursor || [])]
+      );
+
+      for (const row of result.rows) {
+        const keyValues = keys.map(key => row[key]);
+        stats.scanned++;
+
+        for (const column of columns) {
+          const value = row[column];
+          if (!needsReencryption(value)) continue;
+
+          const context = tokenContext(table, keyValues, column);
+          let updated;
+          try {
+            updated = encryptToken(decryptToken(value, context), context);
+          } catch (error) {
+            console.error(`❌ [TOKENS] ${table} (${keyValues.join(', ')}).${column}: ${error.message}`);
+            stats.failed++;
+            continue;
+          }
+
+          if (!isEncrypted(value)) stats.plaintext++;
+          stats.reencrypted++;
+          if (dryRun) continue;
+
+          await query(
+            `UPDATE ${table} SET ${column} = $1
+             WHERE ${keys.map((key, i) => `${key} = $${i + 3}`).join(' AND ')} AND ${column} = $2`,
+            [updated, value, ...keyValues]
+          );
+        }
+      }
+
+      if (result.rows.length < batchSize) break;
+      cursor = keys.map(key => result.rows[result.rows.length - 1][key]);
+    }
+
+    report.push(stats);
+  }
+
+  return report;
+};
+
+export default {
+  ENCRYPTED_TOKEN_COLUMNS,
+  tokenContext,
+  isEncrypted,
+  encryptToken,
+  decryptToken,
+  needsReencryption,
+  reencryptTokens,
+};
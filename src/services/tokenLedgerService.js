@@ -0,0 +1,432 @@
+/**
+ * Ledger de tokens
+ * Todo consumo de tokens del plan pasa por aquí:
+ *   reserve() antes de llamar a Claude (retiene una estimación; falla si no alcanza el saldo)
+ *   settle()  después, con el consumo real
+ *   release() si la operación falla y no se cobra
+ * subscriptions.tokens_used es la caché del periodo actual; el detalle vive en token_ledger.
+ * Los tokens comprados (users.purchased_tokens) no caducan y solo se gastan al agotar la asignación del plan.
+ */
+
+import { query, transaction } from '../config/database.js';
+import { ENTITLED_STATUSES } from './billingService.js';
+
+export const TOKEN_OPERATIONS = {
+  GENERATION: 'generation',
+  IMPROVEMENT_CHAT: 'improvement_chat',
+  IMPROVEMENT_APPLY: 'improvement_apply',
+  REFUND: 'refund',
+  TOP_UP: 'top_up',
+  MONTHLY_RESET: 'monthly_reset',
+  OPENING_BALANCE: 'opening_balance',
+};
+
+export const ENTRY_STATUS = {
+  RESERVED: 'reserved',
+  SETTLED: 'settled',
+  RELEASED: 'released',
+};
+
+// Tokens que se retienen antes de conocer el consumo real
+export const RESERVATION_ESTIMATES = {
+  [TOKEN_OPERATIONS.GENERATION]: parseInt(process.env.TOKEN_RESERVE_GENERATION) || 8000,
+  [TOKEN_OPERATIONS.IMPROVEMENT_CHAT]: parseInt(process.env.TOKEN_RESERVE_CHAT) || 2000,
+};
+
+// Una reserva abandonada (p. ej. el proceso murió a mitad del chat) deja de retener saldo
+const RESERVATION_TTL_MS = {
+  [TOKEN_OPERATIONS.IMPROVEMENT_CHAT]: 10 * 60 * 1000,
+};
+const DEFAULT_RESERVATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const run = (client) => (client ? client.query.bind(client) : query);
+
+/**
+ * Suscripción vigente del usuario (la última, igual que planService.getUserSubscription)
+ */
+const lockSubscription = async (exec, userId) => {
+  const result = await exec(
+    `SELECT * FROM subscriptions WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1 FOR UPDATE`,
+    [userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+const lockPurchased = async (exec, userId) => {
+  const result = await exec('SELECT purchased_tokens FROM users WHERE id = $1 FOR UPDATE', [userId]);
+  return result.rows[0]?.purchased_tokens || 0;
+};
+
+const reservedTokens = async (exec, userId) => {
+  const result = await exec(
+    `SELECT COALESCE(SUM(reserved), 0)::int AS reserved
+     FROM token_ledger
+     WHERE user_id = $1 AND status = $2 AND (expires_at IS NULL OR expires_at > NOW())`,
+    [userId, ENTRY_STATUS.RESERVED]
+  );
+
+  return result.rows[0].reserved;
+};
+
+// Sin suscripción vigente (suspendida, cancelada, trial vencido) no hay saldo disponible,
+// tampoco el comprado (se conserva para cuando vuelva a estar al día)
+const balanceOf = (subscription, reserved, purchased = 0) => {
+  const limit = subscription?.token_limit || 0;
+  const used = subscription?.tokens_used || 0;
+  const entitled = ENTITLED_STATUSES.includes(subscription?.status);
+
+  return {
+    subscriptionId: subscription?.id || null,
+    status: subscription?.status || null,
+    limit,
+    used,
+    purchased,
+    reserved,
+    available: entitled ? Math.max(Math.max(limit - used, 0) + purchased - reserved, 0) : 0,
+    periodStart: subscription?.tokens_period_start || null,
+    periodEnd: subscription?.tokens_period_end || null,
+  };
+};
+
+/**
+ * Saldo del usuario en el periodo actual
+ * @returns {Promise<Object>} - { subscriptionId, limit, used, purchased, reserved, available, periodStart, periodEnd }
+ */
+export const getBalance = async (userId) => {
+  const subscription = await query(
+    'SELECT * FROM subscriptions WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1',
+    [userId]
+  );
+  const user = await query('SELECT purchased_tokens FROM users WHERE id = $1', [userId]);
+
+  return balanceOf(subscription.rows[0], await reservedTokens(query, userId), user.rows[0]?.purchased_tokens || 0);
+};
+
+/**
+ * Reservar tokens antes de una operación
+ * Con referenceId la reserva es idempotente (un reintento devuelve la misma entrada)
+ * @param {string} userId - ID del usuario
+ * @param {Object} options - { operation, amount, appId, referenceId, metadata }
+ * @param {Object} client - Cliente de una transacción en curso (opcional)
+ * @returns {Promise<Object>} - { success, reservationId, amount, available } o { success: false, error, available, required }
+ */
+export const reserve = async (userId, { operation, amount, appId = null, referenceId = null, metadata = {} }, client = null) => {
+  const required = Math.max(parseInt(amount) || RESERVATION_ESTIMATES[operation] || 0, 0);
+
+  const reserveWith = async (exec) => {
+    if (referenceId) {
+      const existing = await exec(
+        'SELECT * FROM token_ledger WHERE operation = $1 AND reference_id = $2',
+        [operation, String(referenceId)]
+      );
+      if (existing.rows[0]) {
+        return { success: true, reservationId: existing.rows[0].id, amount: existing.rows[0].reserved, duplicate: true };
+      }
+    }
+
+    const subscription = await lockSubscription(exec, userId);
+    if (!subscription || !ENTITLED_STATUSES.includes(subscription.status)) {
+      return { success: false, error: 'No tienes una suscripción activa', available: 0, required };
+    }
+
+    const purchased = await lockPurchased(exec, userId);
+    const balance = balanceOf(subscription, await reservedTokens(exec, userId), purchased);
+
+    if (balance.available < required) {
+      return {
+        success: false,
+        error: `No tienes suficientes tokens. Disponibles: ${balance.available}. Requeridos: ${required}`,
+        available: balance.available,
+        required
+      };
+    }
+
+    const inserted = await exec(
+      `INSERT INTO token_ledger (user_id, subscription_id, app_id, operation, status, reserved, reference_id, metadata, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW() + $9::int * INTERVAL '1 millisecond')
+       RETURNING id`,
+      [
+        userId,
+        subscription.id,
+        appId,
+        operation,
+        ENTRY_STATUS.RESERVED,
+        required,
+        referenceId ? String(referenceId) : null,
+        JSON.stringify(metadata),
+        RESERVATION_TTL_MS[operation] || DEFAULT_RESERVATION_TTL_MS
+      ]
+    );
+
+    return { success: true, reservationId: inserted.rows[0].id, amount: required, available: balance.available - required };
+  };
+
+  return client ? reserveWith(run(client)) : transaction(c => reserveWith(run(c)));
+};
+
+/**
+ * Cobrar una reserva con el consumo real (puede superar lo reservado)
+ * @returns {Promise<Object>} - { success, charged } (charged = 0 si ya estaba cerrada)
+ */
+export const settle = async (reservationId, actualTokens, metadata = {}) => {
+  const tokens = Math.max(parseInt(actualTokens) || 0, 0);
+
+  return transaction(async (client) => {
+    const entry = await client.query(
+      `UPDATE token_ledger
+       SET status = $1, amount = $2, metadata = metadata || $3::jsonb, settled_at = NOW()
+       WHERE id = $4 AND status = $5
+       RETURNING user_id`,
+      [ENTRY_STATUS.SETTLED, -tokens, JSON.stringify(metadata), reservationId, ENTRY_STATUS.RESERVED]
+    );
+
+    if (entry.rows.length === 0) {
+      return { success: true, charged: 0 };
+    }
+
+    const { fromPurchased } = await applyCharge(client, entry.rows[0].user_id, tokens);
+
+    if (fromPurchased > 0) {
+      await client.query(
+        `UPDATE token_ledger SET metadata = metadata || $1::jsonb WHERE id = $2`,
+        [JSON.stringify({ fromPurchased }), reservationId]
+      );
+    }
+
+    return { success: true, charged: tokens, fromPurchased };
+  });
+};
+
+/**
+ * Asociar una reserva a la app y operación que la consumen (p. ej. al crear la generación)
+ * @param {Object} client - Cliente de una transacción en curso (opcional)
+ */
+export const attachReservation = async (reservationId, { appId = null, referenceId = null }, client = null) => {
+  const db = client || { query };
+  await db.query(
+    `UPDATE token_ledger
+     SET app_id = COALESCE($1, app_id), reference_id = COALESCE($2, reference_id)
+     WHERE id = $3`,
+    [appId, referenceId ? String(referenceId) : null, reservationId]
+  );
+};
+
+/**
+ * Liberar una reserva sin cobrarla
+ */
+export const release = async (reservationId, reason = null) => {
+  const result = await query(
+    `UPDATE token_ledger
+     SET status = $1, metadata = metadata || $2::jsonb, settled_at = NOW()
+     WHERE id = $3 AND status = $4
+     RETURNING id`,
+    [ENTRY_STATUS.RELEASED, JSON.stringify(reason ? { releaseReason: reason } : {}), reservationId, ENTRY_STATUS.RESERVED]
+  );
+
+  return { success: true, released: result.rows.length > 0 };
+};
+
+/**
+ * Liberar la reserva de una operación por su referencia (p. ej. job en dead-letter)
+ */
+export const releaseByReference = async (operation, referenceId, reason = null) => {
+  const result = await query(
+    'SELECT id FROM token_ledger WHERE operation = $1 AND reference_id = $2',
+    [operation, String(referenceId)]
+  );
+
+  if (!result.rows[0]) return { success: true, released: false };
+  return release(result.rows[0].id, reason);
+};
+
+/**
+ * Buscar la entrada de una operación por su referencia
+ */
+export const findByReference = async (operation, referenceId) => {
+  const result = await query(
+    'SELECT * FROM token_ledger WHERE operation = $1 AND reference_id = $2',
+    [operation, String(referenceId)]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Crédito directo (reembolso de un cobro ya cerrado o compra de tokens)
+ * Una compra (top_up) suma a los tokens comprados; el resto devuelve primero la asignación del periodo
+ * @param {Object} options - { operation, amount, appId, referenceId, metadata }
+ */
+export const credit = async (userId, { operation, amount, appId = null, referenceId = null, metadata = {} }) => {
+  const tokens = Math.max(parseInt(amount) || 0, 0);
+
+  return transaction(async (client) => {
+    const subscription = await lockSubscription(run(client), userId);
+
+    const inserted = await client.query(
+      `INSERT INTO token_ledger (user_id, subscription_id, app_id, operation, status, amount, reference_id, metadata, settled_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+       ON CONFLICT (operation, reference_id) WHERE reference_id IS NOT NULL DO NOTHING
+       RETURNING id`,
+      [userId, subscription?.id || null, appId, operation, ENTRY_STATUS.SETTLED, tokens, referenceId ? String(referenceId) : null, JSON.stringify(metadata)]
+    );
+
+    if (inserted.rows.length === 0) {
+      return { success: true, credited: 0, duplicate: true };
+    }
+
+    if (operation === TOKEN_OPERATIONS.TOP_UP) {
+      await client.query(
+        'UPDATE users SET purchased_tokens = purchased_tokens + $1, updated_at = NOW() WHERE id = $2',
+        [tokens, userId]
+      );
+    } else {
+      await applyCharge(client, userId, -tokens);
+    }
+
+    return { success: true, credited: tokens, entryId: inserted.rows[0].id };
+  });
+};
+
+/**
+ * Cargar (tokens > 0) o devolver (tokens < 0) consumo
+ * Se carga primero a la asignación del plan y, agotada, a los tokens comprados;
+ * sin tokens comprados el exceso queda en tokens_used como hasta ahora.
+ * Una devolución repone primero la asignación y lo que sobra vuelve a los tokens comprados.
+ * @returns {Promise<Object>} - { fromPurchased } (negativo si se repusieron tokens comprados)
+ */
+const applyCharge = async (client, userId, tokens) => {
+  const exec = run(client);
+  const subscription = await lockSubscription(exec, userId);
+  const purchased = await lockPurchased(exec, userId);
+
+  const limit = subscription?.token_limit || 0;
+  const used = subscription?.tokens_used || 0;
+
+  const fromPurchased = tokens > 0
+    ? Math.min(Math.max(tokens - Math.max(limit - used, 0), 0), purchased)
+    : -Math.max(-tokens - used, 0);
+
+  if (subscription) {
+    await client.query(
+      `UPDATE subscriptions
+       SET tokens_used = GREATEST(tokens_used + $1, 0), updated_at = NOW()
+       WHERE id = $2`,
+      [tokens - fromPurchased, subscription.id]
+    );
+  }
+
+  if (fromPurchased !== 0) {
+    await client.query(
+      'UPDATE users SET purchased_tokens = GREATEST(purchased_tokens - $1, 0), updated_at = NOW() WHERE id = $2',
+      [fromPurchased, userId]
+    );
+  }
+
+  return { fromPurchased };
+};
+
+/**
+ * Nuevo periodo de facturación: tokens_used vuelve a 0
+ * Idempotente por factura (reference_id = invoiceId)
+ * @param {Object} period - { invoiceId, periodStart, periodEnd } (Date)
+ */
+export const resetPeriod = async (subscriptionId, { invoiceId, periodStart, periodEnd }) => {
+  return transaction(async (client) => {
+    const current = await client.query('SELECT * FROM subscriptions WHERE id = $1 FOR UPDATE', [subscriptionId]);
+    const subscription = current.rows[0];
+    if (!subscription) return { success: false, error: 'Suscripción no encontrada' };
+
+    const inserted = await client.query(
+      `INSERT INTO token_ledger (user_id, subscription_id, operation, status, amount, reference_id, metadata, settled_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+       ON CONFLICT (operation, reference_id) WHERE reference_id IS NOT NULL DO NOTHING
+       RETURNING id`,
+      [
+        subscription.user_id,
+        subscription.id,
+        TOKEN_OPERATIONS.MONTHLY_RESET,
+        ENTRY_STATUS.SETTLED,
+        subscription.tokens_used || 0,
+        invoiceId,
+        JSON.stringify({ previousPeriodStart: subscription.tokens_period_start, tokensUsed: subscription.tokens_used || 0 })
+      ]
+    );
+
+    if (inserted.rows.length === 0) {
+      return { success: true, duplicate: true };
+    }
+
+    await client.query(
+      `UPDATE subscriptions
+       SET tokens_used = 0, tokens_period_start = $1, tokens_period_end = $2, updated_at = NOW()
+       WHERE id = $3`,
+      [periodStart || new Date(), periodEnd || null, subscription.id]
+    );
+
+    console.log(`🔄 [TOKENS] Periodo renovado para ${subscription.user_id} (${subscription.tokens_used || 0} tokens consumidos)`);
+
+    return { success: true, previousUsage: subscription.tokens_used || 0 };
+  });
+};
+
+/**
+ * Consumo del periodo actual con desglose por operación y por app
+ * @returns {Promise<Object>}
+ */
+export const getUsage = async (userId) => {
+  const balance = await getBalance(userId);
+  const since = balance.periodStart || new Date(0);
+
+  const byOperation = await query(
+    `SELECT operation, COUNT(*)::int AS entries, COALESCE(SUM(-amount), 0)::int AS tokens
+     FROM token_ledger
+     WHERE user_id = $1 AND status = $2 AND COALESCE(settled_at, created_at) >= $3 AND operation <> $4
+     GROUP BY operation
+     ORDER BY tokens DESC`,
+    [userId, ENTRY_STATUS.SETTLED, since, TOKEN_OPERATIONS.MONTHLY_RESET]
+  );
+
+  const byApp = await query(
+    `WITH per_operation AS (
+       SELECT app_id, operation, COUNT(*)::int AS entries, SUM(-amount)::int AS tokens
+       FROM token_ledger
+       WHERE user_id = $1 AND status = $2 AND COALESCE(settled_at, created_at) >= $3 AND app_id IS NOT NULL
+       GROUP BY app_id, operation
+     )
+     SELECT p.app_id, a.name, SUM(p.entries)::int AS entries, SUM(p.tokens)::int AS tokens,
+            jsonb_object_agg(p.operation, p.tokens) AS operations
+     FROM per_operation p
+     LEFT JOIN apps a ON a.id = p.app_id
+     GROUP BY p.app_id, a.name
+     ORDER BY tokens DESC`,
+    [userId, ENTRY_STATUS.SETTLED, since]
+  );
+
+  return {
+    period: { start: balance.periodStart, end: balance.periodEnd },
+    limit: balance.limit,
+    used: balance.used,
+    purchased: balance.purchased,
+    reserved: balance.reserved,
+    available: balance.available,
+    byOperation: byOperation.rows.map(row => ({ operation: row.operation, tokens: row.tokens, entries: row.entries })),
+    byApp: byApp.rows.map(row => ({ appId: row.app_id, name: row.name, tokens: row.tokens, entries: row.entries, operations: row.operations }))
+  };
+};
+
+export default {
+  TOKEN_OPERATIONS,
+  ENTRY_STATUS,
+  RESERVATION_ESTIMATES,
+  getBalance,
+  reserve,
+  attachReservation,
+  settle,
+  release,
+  releaseByReference,
+  findByReference,
+  credit,
+  resetPeriod,
+  getUsage,
+};
@@ -0,0 +1,104 @@
+/**
+ * Migración de subidas antiguas (disco del servidor → object storage)
+ * Las filas de app_files con path y sin storage_key se suben al driver activo por lotes
+ * (job migrate_uploads); cada lote encola el siguiente con el último id como cursor.
+ * Se encola al arrancar mientras queden filas antiguas; los archivos que ya no existen en
+ * disco se registran y se saltan (el cursor avanza)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { query } from '../config/database.js';
+import * as jobService from './jobService.js';
+import { safeFileName } from './fileUploadService.js';
+import { getActiveDriver } from './storageDrivers/index.js';
+
+const BATCH_SIZE = 50;
+
+/**
+ * Encolar la migración si hay archivos en disco
+ * La clave de idempotencia usa la primera fila pendiente: reiniciar no duplica el job
+ * @returns {Promise<Object|null>} - Job encolado, o null si no hay nada que migrar
+ */
+export const enqueueUploadMigration = async () => {
+  const result = await query(
+    `SELECT id FROM app_files
+     WHERE storage_key IS NULL AND path IS NOT NULL
+     ORDER BY id ASC
+     LIMIT 1`
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const job = await jobService.addJob(
+    jobService.JOB_TYPES.MIGRATE_UPLOADS,
+    { cursor: null },
+    { idempotencyKey: `migrate-uploads:start:${result.rows[0].id}` }
+  );
+
+  if (!job.duplicate) {
+    console.log('📦 [UPLOADS] Migración de subidas en disco a storage encolada');
+  }
+
+  return job;
+};
+
+/**
+ * Migrar un lote (handler del job)
+ * @param {Object} data - { cursor: último id procesado, migrated, missing }
+ */
+export const migrateUploadsBatch = async ({ cursor = null, migrated = 0, missing = 0 } = {}) => {
+  const driver = getActiveDriver();
+  const result = await query(
+    `SELECT id, app_id, user_id, file_name, path, mime_type FROM app_files
+     WHERE storage_key IS NULL AND path IS NOT NULL ${cursor ? 'AND id > $2' : ''}
+     ORDER BY id ASC
+     LIMIT $1`,
+    cursor ? [BATCH_SIZE, cursor] : [BATCH_SIZE]
+  );
+
+  for (const row of result.rows) {
+    let content;
+    try {
+      content = await fs.readFile(row.path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      console.warn(`⚠️ [UPLOADS] ${row.id}: no existe ${row.path}, se deja sin migrar`);
+      missing++;
+      continue;
+    }
+
+    const storageKey = `uploads/${row.user_id}/${row.app_id}/${row.id}-${safeFileName(row.file_name || path.basename(row.path))}`;
+    await driver.put(storageKey, content, row.mime_type || 'application/octet-stream');
+
+    // Si el job se reintenta, las filas ya migradas no vuelven a salir en la consulta
+    await query(
+      `UPDATE app_files SET storage_key = $1, storage_driver = $2, path = NULL
+       WHERE id = $3 AND storage_key IS NULL`,
+      [storageKey, driver.name, row.id]
+    );
+
+    await fs.rm(row.path, { force: true }).catch((error) =>
+      console.warn(`⚠️ [UPLOADS] No se pudo borrar ${row.path}: ${error.message}`));
+
+    migrated++;
+  }
+
+  if (result.rows.length === BATCH_SIZE) {
+    const last = result.rows[result.rows.length - 1].id;
+    await jobService.addJob(
+      jobService.JOB_TYPES.MIGRATE_UPLOADS,
+      { cursor: last, migrated, missing },
+      { idempotencyKey: `migrate-uploads:after:${last}` }
+    );
+  } else {
+    console.log(`✅ [UPLOADS] Migración terminada: ${migrated} archivo(s) en ${driver.name}, ${missing} sin archivo en disco`);
+  }
+
+  return { success: true, migrated, missing };
+};
+
+export default {
+  enqueueUploadMigration,
+  migrateUploadsBatch,
+};
@@ -58,6 +58,31 @@ export class ValidationService {
     };
   }
 
+  /**
+   * Validar código Node.js (backend Express)
+   * Sin reglas de JSX/React: solo balance y cadenas
+   */
+  validateBackendCode(code) {
+    const errors = [];
+    const warnings = [];
+
+    this.validateBraceBalance(code, errors);
+    this.validateParenBalance(code, errors);
+    this.validateBracketBalance(code, errors);
+    errors.push(...this.validateUnterminatedStrings(code));
+    this.validateInvalidChars(code, warnings);
+
+    const score = this.calculateScore(errors, warnings);
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      warnings,
+      score,
+      summary: this.generateSummary(errors, warnings, score)
+    };
+  }
+
   /**
    * Validar balance de etiquetas
    */
@@ -178,7 +203,8 @@ export class ValidationService {
    * Validar sintaxis de React
    */
   validateReactSyntax(code, errors, warnings) {
-    const hasComponent = /function \w+\(\)|const \w+ = \(\) =>|class \w+ extends/.test(code);
+    // Acepta componentes con props: function Card({ title }) / const Card = ({ title }) =>
+    const hasComponent = /function \w+\s*\([^)]*\)|const \w+ = (\([^)]*\)|\w+) =>|class \w+ extends/.test(code);
     if (!hasComponent) {
       errors.push({
         type: 'MISSING_COMPONENT',
@@ -0,0 +1,101 @@
+/**
+ * Versiones de código de una app (app_versions)
+ * Cada fila guarda un snapshot completo; aquí se normaliza y se compara
+ */
+
+import { query } from '../config/database.js';
+import { normalizeCode } from './deploymentService.js';
+import { diffProjects } from './patchService.js';
+
+const formatVersion = (row) => ({
+  ...row,
+  code: normalizeCode(row.code)
+});
+
+/**
+ * Obtener una versión con su código normalizado
+ * @param {string} appId - ID de la app
+ * @param {number} version - Número de versión
+ */
+export const getAppVersion = async (appId, version) => {
+  const result = await query(
+    'SELECT * FROM app_versions WHERE app_id = $1 AND version = $2 ORDER BY created_at DESC LIMIT 1',
+    [appId, version]
+  );
+
+  return result.rows[0] ? formatVersion(result.rows[0]) : null;
+};
+
+/**
+ * Obtener la última versión con su código normalizado
+ * @param {string} appId - ID de la app
+ */
+export const getLatestAppVersion = async (appId) => {
+  const result = await query(
+    'SELECT * FROM app_versions WHERE app_id = $1 ORDER BY version DESC, created_at DESC LIMIT 1',
+    [appId]
+  );
+
+  return result.rows[0] ? formatVersion(result.rows[0]) : null;
+};
+
+/**
+ * Resolver una versión por número (3) o por tag (v1.2.0)
+ * @param {string} appId - ID de la app
+ * @param {string|number} target - Número o tag vX.Y.Z
+ * @returns {Object|null} - Versión con código normalizado
+ */
+export const resolveAppVersion = async (appId, target) => {
+  const value = String(target).trim();
+
+  if (/^\d+$/.test(value)) {
+    return await getAppVersion(appId, parseInt(value, 10));
+  }
+
+  if (/^v\d+\.\d+\.\d+$/.test(value)) {
+    const result = await query(
+      'SELECT * FROM app_versions WHERE app_id = $1 AND tag = $2 ORDER BY version DESC LIMIT 1',
+      [appId, value]
+    );
+    return result.rows[0] ? formatVersion(result.rows[0]) : null;
+  }
+
+  return null;
+};
+
+/**
+ * Diff por archivo entre dos versiones
+ * @param {Object} options - { context }
+ * @returns {Object} - { success, from, to, files, stats } | { success: false, error, status }
+ */
+export const diffVersions = async (appId, versionA, versionB, options = {}) => {
+  const [a, b] = await Promise.all([
+    getAppVersion(appId, versionA),
+    getAppVersion(appId, versionB)
+  ]);
+
+  const missing = !a ? versionA : !b ? versionB : null;
+  if (missing !== null) {
+    return { success: false, status: 404, error: `Versión ${missing} no encontrada` };
+  }
+
+  const { files, stats } = diffProjects(a.code, b.code, {
+    context: options.context,
+    labels: [`v${a.version}`, `v${b.version}`]
+  });
+
+  return {
+    success: true,
+    from: { version: a.version, createdAt: a.created_at, description: a.generation_prompt },
+    to: { version: b.version, createdAt: b.created_at, description: b.generation_prompt },
+    files,
+    stats
+  };
+};
+
+export default {
+  getAppVersion,
+  getLatestAppVersion,
+  resolveAppVersion,
+  diffVersions,
+};